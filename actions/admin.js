@@ -1,7 +1,65 @@
 "use server";
 
+import { revalidatePath } from "next/cache";
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
+import { serializeCarData } from "@/lib/helpers";
+import { sendTestDriveEmail } from "@/lib/notifications";
+import {
+  canManageDealership,
+  getCarDealership,
+  getDefaultDealership,
+  getManagedDealershipIds,
+  managedCarsWhere,
+} from "@/lib/dealerships";
+import { changeBookingStatus } from "@/lib/booking-status";
+import { isSalespersonFree } from "@/lib/staff";
+import {
+  summarizeFeedback,
+  summarizeFeedbackBy,
+} from "@/lib/test-drive-feedback";
+
+// Related records the admin test drive views show with each booking
+const ADMIN_BOOKING_INCLUDE = {
+  car: true,
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      imageUrl: true,
+      phone: true,
+    },
+  },
+  salesperson: { select: { id: true, name: true, email: true } },
+  statusChanges: {
+    include: {
+      changedBy: { select: { name: true, email: true, role: true } },
+    },
+    orderBy: { changedAt: "asc" },
+  },
+};
+
+const formatAdminBooking = (booking) => ({
+  id: booking.id,
+  carId: booking.carId,
+  car: serializeCarData(booking.car),
+  userId: booking.userId,
+  user: booking.user,
+  bookingDate: booking.bookingDate.toISOString(),
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  status: booking.status,
+  notes: booking.notes,
+  salespersonId: booking.salespersonId,
+  salesperson: booking.salesperson,
+  statusChanges: booking.statusChanges.map((change) => ({
+    ...change,
+    changedAt: change.changedAt.toISOString(),
+  })),
+  createdAt: booking.createdAt.toISOString(),
+  updatedAt: booking.updatedAt.toISOString(),
+});
 
 export async function getAdmin() {
   const { userId } = await auth();
@@ -30,14 +88,17 @@ export async function getAdminTestDrives({ search = "", status = "" }) {
     // Verify admin status
     const user = await db.user.findUnique({
       where: { clerkUserId: userId },
+      include: { dealerships: { select: { id: true } } },
     });
 
     if (!user || user.role !== "ADMIN") {
       throw new Error("Unauthorized access");
     }
 
-    // Build where conditions
-    let where = {};
+    // Build where conditions, limited to cars at the admin's locations
+    let where = {
+      car: managedCarsWhere(getManagedDealershipIds(user)),
+    };
 
     // Add status filter
     if (status) {
@@ -69,43 +130,141 @@ export async function getAdminTestDrives({ search = "", status = "" }) {
     // Get bookings
     const bookings = await db.testDriveBooking.findMany({
       where,
-      include: {
-        car: true,
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            imageUrl: true,
-            phone: true,
+      include: ADMIN_BOOKING_INCLUDE,
+      orderBy: [{ bookingDate: "desc" }, { startTime: "asc" }],
+    });
+
+    return {
+      success: true,
+      data: bookings.map(formatAdminBooking),
+    };
+  } catch (error) {
+    console.error("Error fetching test drives:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get test drives between two dates ("yyyy-MM-dd", inclusive) for the admin
+ * calendar, with the opening hours of each location so bookings can only be
+ * dragged into working hours
+ */
+export async function getTestDriveCalendar({ start, end }) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+      include: { dealerships: { select: { id: true } } },
+    });
+
+    if (!user || user.role !== "ADMIN") {
+      throw new Error("Unauthorized access");
+    }
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(start || "") || !datePattern.test(end || "")) {
+      throw new Error("Invalid date range");
+    }
+
+    const range = { gte: new Date(start), lte: new Date(end) };
+    const managedIds = getManagedDealershipIds(user);
+
+    const [bookings, dealerships, defaultDealership] = await Promise.all([
+      db.testDriveBooking.findMany({
+        where: {
+          bookingDate: range,
+          car: managedCarsWhere(managedIds),
+        },
+        include: ADMIN_BOOKING_INCLUDE,
+        orderBy: [{ bookingDate: "asc" }, { startTime: "asc" }],
+      }),
+      db.dealershipInfo.findMany({
+        where: managedIds ? { id: { in: managedIds } } : {},
+        select: {
+          id: true,
+          name: true,
+          workingHours: {
+            select: {
+              dayOfWeek: true,
+              openTime: true,
+              closeTime: true,
+              isOpen: true,
+            },
+          },
+          specialHours: {
+            where: { date: range },
+            select: {
+              date: true,
+              openTime: true,
+              closeTime: true,
+              isOpen: true,
+            },
           },
         },
+        orderBy: { createdAt: "asc" },
+      }),
+      getDefaultDealership(),
+    ]);
+
+    return {
+      success: true,
+      data: {
+        bookings: bookings.map((booking) => ({
+          ...formatAdminBooking(booking),
+          // Cars without a location are at the default one
+          dealershipId: booking.car.dealershipId || defaultDealership?.id,
+        })),
+        dealerships: dealerships.map((dealership) => ({
+          ...dealership,
+          specialHours: dealership.specialHours.map((special) => ({
+            ...special,
+            date: special.date.toISOString().slice(0, 10),
+          })),
+        })),
       },
-      orderBy: [{ bookingDate: "desc" }, { startTime: "asc" }],
+    };
+  } catch (error) {
+    console.error("Error fetching test drive calendar:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get the staff test drives can be assigned to
+ */
+export async function getSalespeople() {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
     });
 
-    // Format the bookings
-    const formattedBookings = bookings.map((booking) => ({
-      id: booking.id,
-      carId: booking.carId,
-      car: serializeCarData(booking.car),
-      userId: booking.userId,
-      user: booking.user,
-      bookingDate: booking.bookingDate.toISOString(),
-      startTime: booking.startTime,
-      endTime: booking.endTime,
-      status: booking.status,
-      notes: booking.notes,
-      createdAt: booking.createdAt.toISOString(),
-      updatedAt: booking.updatedAt.toISOString(),
-    }));
+    if (!user || user.role !== "ADMIN") {
+      throw new Error("Unauthorized access");
+    }
+
+    const salespeople = await db.user.findMany({
+      where: { role: "STAFF" },
+      select: { id: true, name: true, email: true },
+      orderBy: { name: "asc" },
+    });
 
     return {
       success: true,
-      data: formattedBookings,
+      data: salespeople,
     };
   } catch (error) {
-    console.error("Error fetching test drives:", error);
+    console.error("Error fetching salespeople:", error);
     return {
       success: false,
       error: error.message,
@@ -114,55 +273,164 @@ export async function getAdminTestDrives({ search = "", status = "" }) {
 }
 
 /**
- * Update test drive status
+ * Assign a salesperson to an upcoming test drive, or unassign it with null.
+ * They must be on shift at the car's location and free at that time.
  */
-export async function updateTestDriveStatus(bookingId, newStatus) {
+export async function assignTestDriveSalesperson(bookingId, salespersonId) {
   try {
     const { userId } = await auth();
     if (!userId) throw new Error("Unauthorized");
 
-    // Verify admin status
     const user = await db.user.findUnique({
       where: { clerkUserId: userId },
+      include: { dealerships: { select: { id: true } } },
     });
 
     if (!user || user.role !== "ADMIN") {
       throw new Error("Unauthorized access");
     }
 
-    // Get the booking
     const booking = await db.testDriveBooking.findUnique({
       where: { id: bookingId },
+      include: { car: { select: { dealershipId: true } } },
     });
 
     if (!booking) {
       throw new Error("Booking not found");
     }
 
-    // Validate status
-    const validStatuses = [
-      "PENDING",
-      "CONFIRMED",
-      "COMPLETED",
-      "CANCELLED",
-      "NO_SHOW",
-    ];
-    if (!validStatuses.includes(newStatus)) {
-      return {
-        success: false,
-        error: "Invalid status",
-      };
+    if (
+      !canManageDealership(
+        getManagedDealershipIds(user),
+        booking.car.dealershipId
+      )
+    ) {
+      throw new Error("You don't manage this car's dealership");
+    }
+
+    if (!["PENDING", "CONFIRMED"].includes(booking.status)) {
+      throw new Error("Only upcoming test drives can be assigned");
+    }
+
+    if (salespersonId) {
+      const salesperson = await db.user.findUnique({
+        where: { id: salespersonId },
+      });
+
+      if (!salesperson || salesperson.role !== "STAFF") {
+        throw new Error("Salesperson not found");
+      }
+
+      const dealership = await getCarDealership(booking.car);
+      const isFree = await isSalespersonFree(db, {
+        salespersonId,
+        dealershipId: dealership?.id,
+        date: booking.bookingDate.toISOString().slice(0, 10),
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        excludeBookingId: booking.id,
+      });
+
+      if (!isFree) {
+        throw new Error(
+          `${
+            salesperson.name || salesperson.email
+          } isn't on shift or already has a test drive at this time`
+        );
+      }
     }
 
-    // Update status
     await db.testDriveBooking.update({
       where: { id: bookingId },
-      data: { status: newStatus },
+      data: { salespersonId: salespersonId || null },
     });
 
+    revalidatePath("/admin/test-drives");
+    revalidatePath("/my-drives");
+
+    return {
+      success: true,
+      message: "Salesperson updated successfully",
+    };
+  } catch (error) {
+    throw new Error("Error assigning salesperson:" + error.message);
+  }
+}
+
+/**
+ * Update test drive status, following the allowed transitions in
+ * lib/booking-status.js and recording who changed it and why. Staff can
+ * update the drives assigned to them.
+ */
+export async function updateTestDriveStatus(bookingId, newStatus, reason) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    // Verify admin or staff status
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+      include: { dealerships: { select: { id: true } } },
+    });
+
+    if (!user || !["ADMIN", "STAFF"].includes(user.role)) {
+      throw new Error("Unauthorized access");
+    }
+
+    // Get the booking
+    const booking = await db.testDriveBooking.findUnique({
+      where: { id: bookingId },
+      include: { car: { select: { dealershipId: true } } },
+    });
+
+    if (!booking) {
+      throw new Error("Booking not found");
+    }
+
+    if (user.role === "STAFF" && booking.salespersonId !== user.id) {
+      throw new Error("This test drive isn't assigned to you");
+    }
+
+    if (
+      user.role === "ADMIN" &&
+      !canManageDealership(
+        getManagedDealershipIds(user),
+        booking.car.dealershipId
+      )
+    ) {
+      throw new Error("You don't manage this car's dealership");
+    }
+
+    // Update status and its history together, throws if the transition
+    // isn't allowed
+    await db.$transaction((tx) =>
+      changeBookingStatus(tx, booking, newStatus, {
+        changedById: user.id,
+        reason,
+      })
+    );
+
+    // Email the customer when their booking is confirmed or cancelled, and
+    // ask for feedback the first time it is completed
+    if (newStatus === "CONFIRMED") {
+      await sendTestDriveEmail(bookingId, "confirmed");
+    } else if (newStatus === "CANCELLED") {
+      await sendTestDriveEmail(bookingId, "cancelled");
+    } else if (
+      newStatus === "COMPLETED" &&
+      !booking.feedbackSentAt &&
+      (await sendTestDriveEmail(bookingId, "feedback"))
+    ) {
+      await db.testDriveBooking.update({
+        where: { id: bookingId },
+        data: { feedbackSentAt: new Date() },
+      });
+    }
+
     // Revalidate paths
     revalidatePath("/admin/test-drives");
     revalidatePath("/reservations");
+    revalidatePath("/my-drives");
 
     return {
       success: true,
@@ -181,6 +449,7 @@ export async function getDashboardData() {
     // Get user
     const user = await db.user.findUnique({
       where: { clerkUserId: userId },
+      include: { dealerships: { select: { id: true } } },
     });
 
     if (!user || user.role !== "ADMIN") {
@@ -190,10 +459,14 @@ export async function getDashboardData() {
       };
     }
 
+    // Only count cars and test drives at the admin's locations
+    const carsWhere = managedCarsWhere(getManagedDealershipIds(user));
+
     // Fetch all necessary data in a single parallel operation
-    const [cars, testDrives] = await Promise.all([
+    const [cars, testDrives, feedback] = await Promise.all([
       // Get all cars with minimal fields
       db.car.findMany({
+        where: carsWhere,
         select: {
           id: true,
           status: true,
@@ -203,12 +476,30 @@ export async function getDashboardData() {
 
       // Get all test drives with minimal fields
       db.testDriveBooking.findMany({
+        where: { car: carsWhere },
         select: {
           id: true,
           status: true,
           carId: true,
         },
       }),
+
+      // Get customer ratings with the car and salesperson they're about
+      db.testDriveFeedback.findMany({
+        where: { booking: { car: carsWhere } },
+        select: {
+          carRating: true,
+          experienceRating: true,
+          booking: {
+            select: {
+              car: {
+                select: { id: true, year: true, make: true, model: true },
+              },
+              salesperson: { select: { id: true, name: true, email: true } },
+            },
+          },
+        },
+      }),
     ]);
 
     // Calculate car statistics
@@ -274,6 +565,22 @@ export async function getDashboardData() {
           noShow: noShowTestDrives,
           conversionRate: parseFloat(conversionRate.toFixed(2)),
         },
+        feedback: {
+          ...summarizeFeedback(feedback),
+          byCar: summarizeFeedbackBy(feedback, ({ booking: { car } }) => ({
+            id: car.id,
+            label: `${car.year} ${car.make} ${car.model}`,
+          })),
+          // Drives nobody was assigned to don't count towards anyone
+          bySalesperson: summarizeFeedbackBy(
+            feedback,
+            ({ booking: { salesperson } }) =>
+              salesperson && {
+                id: salesperson.id,
+                label: salesperson.name || salesperson.email,
+              }
+          ),
+        },
       },
     };
   } catch (error) {
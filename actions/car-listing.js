@@ -1,69 +1,163 @@
 "use server";
 
-import { serializeCarData } from "@/lib/helpers";
+import { serializeCarData, serializeSpecialHour } from "@/lib/helpers";
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import { getCarDealership } from "@/lib/dealerships";
+import { getFeatureLabel, sortFeatures } from "@/lib/car-specs";
+import { parseCompareIds } from "@/lib/compare";
+import { buildCarSearchWhere, pickSearchFilters } from "@/lib/car-search";
+import { getCarSearchQuery } from "@/lib/car-text-search";
+import {
+  carCursorWhere,
+  decodeCarCursor,
+  encodeCarCursor,
+  getCarOrderBy,
+} from "@/lib/car-sort";
+import { addCarPopularity, POPULARITY_POINTS } from "@/lib/car-popularity";
+import { getPriceBand, rankSimilarCars } from "@/lib/similar-cars";
+import { getCurrentDbUser } from "@/lib/current-user";
+import {
+  parseRecentlyViewedIds,
+  RECENTLY_VIEWED_LIMIT,
+} from "@/lib/recently-viewed";
+
+// Options of a facet with how many cars have each value
+async function countByField(field, where) {
+  const groups = await db.car.groupBy({
+    by: [field],
+    where,
+    _count: { _all: true },
+    orderBy: { [field]: "asc" },
+  });
+
+  // Optional specs like drivetrain are skipped on cars without them
+  return groups
+    .filter((group) => group[field] !== null)
+    .map((group) => ({
+      value: group[field],
+      label: String(group[field]),
+      count: group._count._all,
+    }));
+}
 
 /**
- * Get simplified filters for the car marketplace
+ * Get filter options for the car marketplace, with counts against the
+ * currently applied filters
  */
-export async function getCarFilters() {
+export async function getCarFilters(appliedFilters = {}) {
   try {
-    // Get unique makes
-    const makes = await db.car.findMany({
-      where: { status: "AVAILABLE" },
-      select: { make: true },
-      distinct: ["make"],
-      orderBy: { make: "asc" },
-    });
-
-    // Get unique body types
-    const bodyTypes = await db.car.findMany({
-      where: { status: "AVAILABLE" },
-      select: { bodyType: true },
-      distinct: ["bodyType"],
-      orderBy: { bodyType: "asc" },
+    const filters = pickSearchFilters(appliedFilters);
+
+    // Run the text search once and reuse its matches for every facet
+    const { relevance } = await getCarSearchQuery(filters);
+    const matchedIds = relevance ? [...relevance.keys()] : [];
+
+    // Each facet is counted against every filter except its own, so its
+    // options show what picking them instead would return
+    const facetWhere = (key) =>
+      buildCarSearchWhere({ ...filters, [key]: "" }, matchedIds);
+
+    const [makes, bodyTypes, fuelTypes, transmissions, drivetrains] =
+      await Promise.all([
+        countByField("make", facetWhere("make")),
+        countByField("bodyType", facetWhere("bodyType")),
+        countByField("fuelType", facetWhere("fuelType")),
+        countByField("transmission", facetWhere("transmission")),
+        countByField("drivetrain", facetWhere("drivetrain")),
+      ]);
+
+    const [colors, seats, dealershipCounts, featuredCount] = await Promise.all([
+      countByField("color", facetWhere("color")),
+      countByField("seats", facetWhere("seats")),
+      countByField("dealershipId", facetWhere("location")),
+      db.car.count({
+        where: { ...facetWhere("featured"), featured: true },
+      }),
+    ]);
+
+    // Name the locations that have matching cars
+    const dealerships = await db.dealershipInfo.findMany({
+      where: { id: { in: dealershipCounts.map((item) => item.value) } },
+      select: { id: true, name: true },
     });
-
-    // Get unique fuel types
-    const fuelTypes = await db.car.findMany({
-      where: { status: "AVAILABLE" },
-      select: { fuelType: true },
-      distinct: ["fuelType"],
-      orderBy: { fuelType: "asc" },
-    });
-
-    // Get unique transmissions
-    const transmissions = await db.car.findMany({
-      where: { status: "AVAILABLE" },
-      select: { transmission: true },
-      distinct: ["transmission"],
-      orderBy: { transmission: "asc" },
+    const dealershipNames = new Map(dealerships.map((d) => [d.id, d.name]));
+    const locations = dealershipCounts
+      .filter((item) => dealershipNames.has(item.value))
+      .map((item) => ({ ...item, label: dealershipNames.get(item.value) }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+
+    // Cars need every selected feature, so each option is counted among the
+    // cars that already have the ones picked
+    const selectedFeatures = filters.features
+      ? filters.features.split(",")
+      : [];
+    const matchingCars = await db.car.findMany({
+      where: {
+        ...facetWhere("features"),
+        features: { hasEvery: selectedFeatures },
+      },
+      select: { id: true },
     });
+    const matchingIds = matchingCars.map((car) => car.id);
+
+    // Equipment that at least one car for sale has, with how many of the
+    // matching cars have it
+    const featureCounts = await db.$queryRaw`
+      SELECT
+        "feature",
+        COUNT(*) FILTER (WHERE "id" = ANY(${matchingIds})) AS "count"
+      FROM "Car", unnest("features") AS "feature"
+      WHERE "status" = 'AVAILABLE'
+      GROUP BY "feature"
+    `;
+    const countsByFeature = new Map(
+      featureCounts.map((item) => [item.feature, Number(item.count)])
+    );
+    const features = sortFeatures([...countsByFeature.keys()]).map(
+      (feature) => ({
+        value: feature,
+        label: getFeatureLabel(feature),
+        count: countsByFeature.get(feature),
+      })
+    );
 
-    // Get min and max prices using Prisma aggregations
-    const priceAggregations = await db.car.aggregate({
+    // Slider bounds cover all cars for sale, so they don't shrink as
+    // filters are applied
+    const ranges = await db.car.aggregate({
       where: { status: "AVAILABLE" },
-      _min: { price: true },
-      _max: { price: true },
+      _min: { price: true, year: true, mileage: true },
+      _max: { price: true, year: true, mileage: true },
     });
 
     return {
       success: true,
       data: {
-        makes: makes.map((item) => item.make),
-        bodyTypes: bodyTypes.map((item) => item.bodyType),
-        fuelTypes: fuelTypes.map((item) => item.fuelType),
-        transmissions: transmissions.map((item) => item.transmission),
+        makes,
+        bodyTypes,
+        fuelTypes,
+        transmissions,
+        drivetrains,
+        colors,
+        seats,
+        features,
+        locations,
+        featuredCount,
         priceRange: {
-          min: priceAggregations._min.price
-            ? parseFloat(priceAggregations._min.price.toString())
-            : 0,
-          max: priceAggregations._max.price
-            ? parseFloat(priceAggregations._max.price.toString())
+          min: ranges._min.price ? parseFloat(ranges._min.price.toString()) : 0,
+          max: ranges._max.price
+            ? parseFloat(ranges._max.price.toString())
             : 100000,
         },
+        yearRange: {
+          min: ranges._min.year ?? 1990,
+          max: ranges._max.year ?? new Date().getFullYear(),
+        },
+        mileageRange: {
+          min: ranges._min.mileage ?? 0,
+          max: ranges._max.mileage ?? 200000,
+        },
       },
     };
   } catch (error) {
@@ -71,6 +165,30 @@ export async function getCarFilters() {
   }
 }
 
+/**
+ * Get cars for the comparison page, in the order they were picked
+ */
+export async function getCompareCars(carIds = []) {
+  try {
+    const ids = parseCompareIds(carIds);
+
+    const cars = await db.car.findMany({
+      where: { id: { in: ids } },
+    });
+
+    const carsById = new Map(cars.map((car) => [car.id, car]));
+
+    return {
+      success: true,
+      data: ids
+        .filter((id) => carsById.has(id))
+        .map((id) => serializeCarData(carsById.get(id))),
+    };
+  } catch (error) {
+    throw new Error("Error fetching cars to compare:" + error.message);
+  }
+}
+
 /**
  * Get cars with simplified filters
  */
@@ -80,11 +198,22 @@ export async function getCars({
   bodyType = "",
   fuelType = "",
   transmission = "",
+  location = "",
+  drivetrain = "",
+  features = "", // Comma separated feature keys, cars must have all of them
+  color = "",
+  seats = "",
+  featured = "", // "true" for featured cars only
   minPrice = 0,
   maxPrice = Number.MAX_SAFE_INTEGER,
-  sortBy = "newest", // Options: newest, priceAsc, priceDesc
+  minYear = "",
+  maxYear = "",
+  minMileage = "",
+  maxMileage = "",
+  sortBy = "newest", // One of SORT_OPTIONS in lib/car-search.js
   page = 1,
   limit = 6,
+  cursor = "", // pagination.nextCursor of the previous batch, replaces page
 }) {
   try {
     // Get current user if authenticated
@@ -97,62 +226,107 @@ export async function getCars({
       });
     }
 
-    // Build where conditions
-    let where = {
-      status: "AVAILABLE",
-    };
+    // Build where conditions, shared with saved search alerts
+    const { where, relevance } = await getCarSearchQuery({
+      search,
+      make,
+      bodyType,
+      fuelType,
+      transmission,
+      location,
+      drivetrain,
+      features,
+      color,
+      seats,
+      featured,
+      minPrice,
+      maxPrice,
+      minYear,
+      maxYear,
+      minMileage,
+      maxMileage,
+    });
 
-    if (search) {
-      where.OR = [
-        { make: { contains: search, mode: "insensitive" } },
-        { model: { contains: search, mode: "insensitive" } },
-        { description: { contains: search, mode: "insensitive" } },
-      ];
-    }
+    // Calculate pagination. A cursor continues after the last car already
+    // shown instead, so cars added or removed meanwhile don't shift the list.
+    const skip = cursor ? 0 : (page - 1) * limit;
 
-    if (make) where.make = { equals: make, mode: "insensitive" };
-    if (bodyType) where.bodyType = { equals: bodyType, mode: "insensitive" };
-    if (fuelType) where.fuelType = { equals: fuelType, mode: "insensitive" };
-    if (transmission)
-      where.transmission = { equals: transmission, mode: "insensitive" };
+    // Only first pages count the total, later batches keep the first count
+    const totalCars = cursor ? null : await db.car.count({ where });
 
-    // Add price range
-    where.price = {
-      gte: parseFloat(minPrice) || 0,
+    const include = {
+      // The latest two prices are enough to detect a price drop
+      priceHistory: {
+        orderBy: { changedAt: "desc" },
+        take: 2,
+      },
     };
 
-    if (maxPrice && maxPrice < Number.MAX_SAFE_INTEGER) {
-      where.price.lte = parseFloat(maxPrice);
-    }
+    // Best match needs words to rank, without them show the newest first
+    const sort = sortBy === "relevance" && !relevance ? "newest" : sortBy;
+
+    // Execute the main query, fetching one extra car to see if there are more
+    let cars;
+    if (sort === "relevance") {
+      // The database can't order by the text search rank through Prisma, so
+      // rank the matches here and fetch the page by id
+      const matches = await db.car.findMany({
+        where,
+        select: { id: true },
+      });
 
-    // Calculate pagination
-    const skip = (page - 1) * limit;
-
-    // Determine sort order
-    let orderBy = {};
-    switch (sortBy) {
-      case "priceAsc":
-        orderBy = { price: "asc" };
-        break;
-      case "priceDesc":
-        orderBy = { price: "desc" };
-        break;
-      case "newest":
-      default:
-        orderBy = { createdAt: "desc" };
-        break;
+      const rankedIds = matches
+        .map((match) => match.id)
+        .sort(
+          (a, b) => relevance.get(b) - relevance.get(a) || b.localeCompare(a)
+        );
+
+      let start = skip;
+      if (cursor) {
+        const decoded = decodeCarCursor(cursor, sort);
+        if (!decoded) throw new Error("Invalid cursor");
+
+        // Fall back to the rank if the last car shown is no longer listed
+        const index = rankedIds.indexOf(decoded.id);
+        start =
+          index >= 0
+            ? index + 1
+            : rankedIds.filter((id) => relevance.get(id) >= decoded.value)
+                .length;
+      }
+
+      const pageIds = rankedIds.slice(start, start + limit + 1);
+
+      const pageCars = await db.car.findMany({
+        where: { id: { in: pageIds } },
+        include,
+      });
+      const carsById = new Map(
+        pageCars.map((car) => [car.id, { ...car, rank: relevance.get(car.id) }])
+      );
+      cars = pageIds.map((id) => carsById.get(id)).filter(Boolean);
+    } else {
+      cars = await db.car.findMany({
+        where: cursor
+          ? {
+              ...where,
+              AND: [...(where.AND || []), carCursorWhere(cursor, sort)],
+            }
+          : where,
+        take: limit + 1,
+        skip,
+        orderBy: getCarOrderBy(sort),
+        include,
+      });
     }
 
-    // Get total count for pagination
-    const totalCars = await db.car.count({ where });
+    const hasMore = cars.length > limit;
+    cars = cars.slice(0, limit);
 
-    // Execute the main query
-    const cars = await db.car.findMany({
-      where,
-      take: limit,
-      skip,
-      orderBy,
-    });
+    const nextCursor =
+      hasMore && cars.length > 0
+        ? encodeCarCursor(cars[cars.length - 1], sort)
+        : null;
 
     // If we have a user, check which cars are wishlisted
     let wishlisted = new Set();
@@ -177,7 +351,8 @@ export async function getCars({
         total: totalCars,
         page,
         limit,
-        pages: Math.ceil(totalCars / limit),
+        pages: totalCars === null ? null : Math.ceil(totalCars / limit),
+        nextCursor,
       },
     };
   } catch (error) {
@@ -223,14 +398,17 @@ export async function toggleSavedCar(carId) {
 
     // If car is already saved, remove it
     if (existingSave) {
-      await db.userSavedCar.delete({
-        where: {
-          userId_carId: {
-            userId: user.id,
-            carId,
+      await db.$transaction([
+        db.userSavedCar.delete({
+          where: {
+            userId_carId: {
+              userId: user.id,
+              carId,
+            },
           },
-        },
-      });
+        }),
+        addCarPopularity(db, carId, -POPULARITY_POINTS.save),
+      ]);
 
       revalidatePath(`/saved-cars`);
       return {
@@ -241,12 +419,15 @@ export async function toggleSavedCar(carId) {
     }
 
     // If car is not saved, add it
-    await db.userSavedCar.create({
-      data: {
-        userId: user.id,
-        carId,
-      },
-    });
+    await db.$transaction([
+      db.userSavedCar.create({
+        data: {
+          userId: user.id,
+          carId,
+        },
+      }),
+      addCarPopularity(db, carId, POPULARITY_POINTS.save),
+    ]);
 
     revalidatePath(`/saved-cars`);
     return {
@@ -277,6 +458,11 @@ export async function getCarById(carId) {
     // Get car details
     const car = await db.car.findUnique({
       where: { id: carId },
+      include: {
+        priceHistory: {
+          orderBy: { changedAt: "desc" },
+        },
+      },
     });
 
     if (!car) {
@@ -302,16 +488,18 @@ export async function getCarById(carId) {
     }
 
     // Check if user has already booked a test drive for this car
-    const existingTestDrive = await db.testDriveBooking.findFirst({
-      where: {
-        carId,
-        userId: dbUser.id,
-        status: { in: ["PENDING", "CONFIRMED", "COMPLETED"] },
-      },
-      orderBy: {
-        createdAt: "desc",
-      },
-    });
+    const existingTestDrive = dbUser
+      ? await db.testDriveBooking.findFirst({
+          where: {
+            carId,
+            userId: dbUser.id,
+            status: { in: ["PENDING", "CONFIRMED", "COMPLETED"] },
+          },
+          orderBy: {
+            createdAt: "desc",
+          },
+        })
+      : null;
 
     let userTestDrive = null;
 
@@ -323,10 +511,15 @@ export async function getCarById(carId) {
       };
     }
 
-    // Get dealership info for test drive availability
-    const dealership = await db.dealershipInfo.findFirst({
-      include: {
-        workingHours: true,
+    // Get the car's dealership location for test drive availability
+    const dealership = await getCarDealership(car, db, {
+      workingHours: true,
+      // Upcoming holidays and special hours
+      specialHours: {
+        where: {
+          date: { gte: new Date(new Date().toISOString().slice(0, 10)) },
+        },
+        orderBy: { date: "asc" },
       },
     });
 
@@ -346,6 +539,7 @@ export async function getCarById(carId) {
                   createdAt: hour.createdAt.toISOString(),
                   updatedAt: hour.updatedAt.toISOString(),
                 })),
+                specialHours: dealership.specialHours.map(serializeSpecialHour),
               }
             : null,
         },
@@ -385,7 +579,14 @@ export async function getSavedCars() {
     const savedCars = await db.userSavedCar.findMany({
       where: { userId: user.id },
       include: {
-        car: true,
+        car: {
+          include: {
+            priceHistory: {
+              orderBy: { changedAt: "desc" },
+              take: 2,
+            },
+          },
+        },
       },
       orderBy: { savedAt: "desc" },
     });
@@ -404,4 +605,135 @@ export async function getSavedCars() {
       error: error.message,
     };
   }
-}
\ No newline at end of file
+}
+
+// Cars considered when picking similar ones, newest first
+const SIMILAR_CANDIDATE_LIMIT = 50;
+
+/**
+ * Get cars like the given one, by make, body type, price band and fuel type
+ */
+export async function getSimilarCars(carId, limit = 4) {
+  try {
+    const car = await db.car.findUnique({
+      where: { id: carId },
+    });
+
+    if (!car) {
+      return {
+        success: false,
+        error: "Car not found",
+      };
+    }
+
+    const candidates = await db.car.findMany({
+      where: {
+        id: { not: carId },
+        status: { not: "SOLD" },
+        OR: [
+          { make: { equals: car.make, mode: "insensitive" } },
+          { bodyType: { equals: car.bodyType, mode: "insensitive" } },
+          { fuelType: { equals: car.fuelType, mode: "insensitive" } },
+          { price: getPriceBand(Number(car.price)) },
+        ],
+      },
+      include: {
+        priceHistory: {
+          orderBy: { changedAt: "desc" },
+          take: 2,
+        },
+      },
+      orderBy: { createdAt: "desc" },
+      take: SIMILAR_CANDIDATE_LIMIT,
+    });
+
+    return {
+      success: true,
+      data: rankSimilarCars(car, candidates)
+        .slice(0, limit)
+        .map((candidate) => serializeCarData(candidate)),
+    };
+  } catch (error) {
+    throw new Error("Error fetching similar cars:" + error.message);
+  }
+}
+
+/**
+ * Record that the signed-in user viewed a car, keeping only their most
+ * recent views
+ */
+export async function recordCarView(carId) {
+  try {
+    const user = await getCurrentDbUser();
+
+    // Guests keep their views in localStorage instead
+    if (!user) return { success: false };
+
+    await db.carView.upsert({
+      where: { userId_carId: { userId: user.id, carId } },
+      create: { userId: user.id, carId },
+      update: { viewedAt: new Date() },
+    });
+
+    const stale = await db.carView.findMany({
+      where: { userId: user.id },
+      orderBy: { viewedAt: "desc" },
+      skip: RECENTLY_VIEWED_LIMIT,
+      select: { id: true },
+    });
+
+    if (stale.length > 0) {
+      await db.carView.deleteMany({
+        where: { id: { in: stale.map((view) => view.id) } },
+      });
+    }
+
+    return { success: true };
+  } catch (error) {
+    throw new Error("Error recording car view:" + error.message);
+  }
+}
+
+/**
+ * Get recently viewed cars, most recent first. Signed-in users get their
+ * saved views, guests the car ids kept in their browser.
+ */
+export async function getRecentlyViewedCars(guestCarIds = []) {
+  try {
+    const user = await getCurrentDbUser();
+    let carIds;
+
+    if (user) {
+      const views = await db.carView.findMany({
+        where: { userId: user.id },
+        orderBy: { viewedAt: "desc" },
+        take: RECENTLY_VIEWED_LIMIT,
+        select: { carId: true },
+      });
+      carIds = views.map((view) => view.carId);
+    } else {
+      carIds = parseRecentlyViewedIds(guestCarIds);
+    }
+
+    const cars = await db.car.findMany({
+      where: { id: { in: carIds } },
+      include: {
+        priceHistory: {
+          orderBy: { changedAt: "desc" },
+          take: 2,
+        },
+      },
+    });
+
+    const carsById = new Map(cars.map((car) => [car.id, car]));
+
+    return {
+      success: true,
+      data: carIds
+        .filter((id) => carsById.has(id))
+        .map((id) => serializeCarData(carsById.get(id))),
+    };
+  } catch (error) {
+    throw new Error("Error fetching recently viewed cars:" + error.message);
+  }
+}
@@ -8,6 +8,16 @@ import { db } from "@/lib/prisma";
 import { createClient } from "@/lib/supabase";
 import { auth } from "@clerk/nextjs/server";
 import { serializeCarData } from "@/lib/helpers";
+import { carFormSchema, toCarData } from "@/lib/car-schema";
+import { carsToCsv } from "@/lib/car-import";
+import { decodeVin } from "@/lib/vin";
+import { assertPublicUrl } from "@/lib/public-url";
+import { sendCarNotifications } from "@/lib/notifications";
+import {
+  canManageDealership,
+  getManagedDealershipIds,
+  managedCarsWhere,
+} from "@/lib/dealerships";
 
 // Function to convert File to base64
 async function fileToBase64(file) {
@@ -126,17 +136,184 @@ export async function processCarImageWithAI(file) {
   }
 }
 
+// Upload a single base64 data URL to the car's storage folder
+async function uploadCarImage(supabase, folderPath, base64Data, index) {
+  // Skip if image data is not valid
+  if (!base64Data || !base64Data.startsWith("data:image/")) {
+    console.warn("Skipping invalid image data");
+    return null;
+  }
+
+  // Extract the base64 part (remove the data:image/xyz;base64, prefix)
+  const base64 = base64Data.split(",")[1];
+  const imageBuffer = Buffer.from(base64, "base64");
+
+  // Determine file extension from the data URL
+  const mimeMatch = base64Data.match(/data:image\/([a-zA-Z0-9]+);/);
+  const fileExtension = mimeMatch ? mimeMatch[1] : "jpeg";
+
+  // Create filename
+  const fileName = `image-${Date.now()}-${index}.${fileExtension}`;
+  const filePath = `${folderPath}/${fileName}`;
+
+  // Upload the file buffer directly
+  const { error } = await supabase.storage
+    .from("car-images")
+    .upload(filePath, imageBuffer, {
+      contentType: `image/${fileExtension}`,
+    });
+
+  if (error) {
+    console.error("Error uploading image:", error);
+    throw new Error(`Failed to upload image: ${error.message}`);
+  }
+
+  // Get the public URL for the uploaded file
+  return `${process.env.NEXT_PUBLIC_SUPABASE_URL}/storage/v1/object/public/car-images/${filePath}`; // disable cache in config
+}
+
+// Largest image we download, same as the limit for uploads in the car form
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Redirects followed for a supplier image, each checked like the first URL
+const MAX_IMAGE_REDIRECTS = 5;
+
+// Download an image from a supplier URL and store it like an uploaded one
+async function uploadCarImageFromUrl(supabase, folderPath, imageUrl, index) {
+  const signal = AbortSignal.timeout(15000);
+  let url = imageUrl;
+  let response;
+
+  // Follow redirects ourselves so none of them can lead to an internal address
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(url);
+    response = await fetch(url, { redirect: "manual", signal });
+
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) break;
+
+    await response.body?.cancel();
+    if (redirects === MAX_IMAGE_REDIRECTS) {
+      throw new Error(`Too many redirects for image ${imageUrl}`);
+    }
+    url = new URL(location, url).href;
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+
+  if (!response.ok || !contentType.startsWith("image/")) {
+    throw new Error(`Could not download image ${imageUrl}`);
+  }
+
+  const tooLarge = `Image ${imageUrl} is larger than 5MB`;
+  if (Number(response.headers.get("content-length")) > MAX_IMAGE_BYTES) {
+    throw new Error(tooLarge);
+  }
+
+  // Content-Length can be missing or wrong, so count the bytes as they arrive
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    // Leaving the loop cancels the rest of the download
+    if (size > MAX_IMAGE_BYTES) throw new Error(tooLarge);
+    chunks.push(chunk);
+  }
+
+  const buffer = Buffer.concat(chunks);
+  const dataUrl = `data:${contentType.split(";")[0]};base64,${buffer.toString(
+    "base64"
+  )}`;
+
+  return uploadCarImage(supabase, folderPath, dataUrl, index);
+}
+
+// Locations the signed-in admin manages, or null when they manage all of them
+async function getManagedIds() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: { dealerships: { select: { id: true } } },
+  });
+
+  if (!user || user.role !== "ADMIN") {
+    throw new Error("Unauthorized: Admin access required");
+  }
+
+  return getManagedDealershipIds(user);
+}
+
+function assertCanManageCar(managedIds, dealershipId) {
+  if (!canManageDealership(managedIds, dealershipId)) {
+    throw new Error("You don't manage this car's dealership");
+  }
+}
+
+// Validate a VIN and make sure no other unsold listing uses it. Sold cars
+// keep their VIN for history, so they don't block relisting the vehicle.
+// Returns the normalized VIN, or null when none was given.
+async function checkVin(vin, { status, excludeCarId } = {}) {
+  if (!vin) return null;
+
+  const decoded = decodeVin(vin);
+  if (!decoded.valid) throw new Error(decoded.error);
+  if (status === "SOLD") return decoded.vin;
+
+  const existingCar = await db.car.findFirst({
+    where: {
+      vin: decoded.vin,
+      status: { not: "SOLD" },
+      ...(excludeCarId && { id: { not: excludeCarId } }),
+    },
+    select: { year: true, make: true, model: true },
+  });
+
+  if (existingCar) {
+    throw new Error(
+      `VIN ${decoded.vin} is already listed on a ${existingCar.year} ${existingCar.make} ${existingCar.model}`
+    );
+  }
+
+  return decoded.vin;
+}
+
+// Where clause for the admin car list, limited to the admin's locations
+function getCarsWhere(managedIds, search) {
+  const where = managedCarsWhere(managedIds);
+
+  // Add search filter
+  if (search) {
+    where.OR = [
+      { make: { contains: search, mode: "insensitive" } },
+      { model: { contains: search, mode: "insensitive" } },
+      { color: { contains: search, mode: "insensitive" } },
+    ];
+  }
+
+  return where;
+}
+
+// Extract the storage path from a public car image URL
+function getStoragePath(imageUrl) {
+  try {
+    const url = new URL(imageUrl);
+    const pathMatch = url.pathname.match(/\/car-images\/(.*)/);
+    return pathMatch ? pathMatch[1] : null;
+  } catch {
+    return null;
+  }
+}
+
 // Add a car to the database with images
 export async function addCar({ carData, images }) {
   try {
-    const { userId } = await auth();
-    if (!userId) throw new Error("Unauthorized");
-
-    const user = await db.user.findUnique({
-      where: { clerkUserId: userId },
-    });
+    const managedIds = await getManagedIds();
+    assertCanManageCar(managedIds, carData.dealershipId);
 
-    if (!user) throw new Error("User not found");
+    // Check the VIN before uploading anything
+    const vin = await checkVin(carData.vin, { status: carData.status });
 
     // Create a unique folder name for this car's images
     const carId = uuidv4();
@@ -150,52 +327,240 @@ export async function addCar({ carData, images }) {
     const imageUrls = [];
 
     for (let i = 0; i < images.length; i++) {
-      const base64Data = images[i];
+      const publicUrl = await uploadCarImage(supabase, folderPath, images[i], i);
+      if (publicUrl) imageUrls.push(publicUrl);
+    }
 
-      // Skip if image data is not valid
-      if (!base64Data || !base64Data.startsWith("data:image/")) {
-        console.warn("Skipping invalid image data");
+    if (imageUrls.length === 0) {
+      throw new Error("No valid images were uploaded");
+    }
+
+    // Add the car to the database
+    const car = await db.car.create({
+      data: {
+        id: carId, // Use the same ID we used for the folder
+        vin,
+        make: carData.make,
+        model: carData.model,
+        year: carData.year,
+        price: carData.price,
+        mileage: carData.mileage,
+        color: carData.color,
+        fuelType: carData.fuelType,
+        transmission: carData.transmission,
+        bodyType: carData.bodyType,
+        seats: carData.seats,
+        doors: carData.doors,
+        drivetrain: carData.drivetrain,
+        engineSize: carData.engineSize,
+        horsepower: carData.horsepower,
+        electricRange: carData.electricRange,
+        features: carData.features,
+        description: carData.description,
+        status: carData.status,
+        featured: carData.featured,
+        dealershipId: carData.dealershipId,
+        images: imageUrls, // Store the array of image URLs
+        // Start the price history with the listing price
+        priceHistory: {
+          create: { price: carData.price },
+        },
+      },
+    });
+
+    // Revalidate the cars list page
+    revalidatePath("/admin/cars");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error adding car:" + error.message);
+  }
+}
+
+// Create many cars at once from spreadsheet rows. Each row holds the raw
+// string values for the car form plus a list of image URLs to download.
+export async function importCars({ rows }) {
+  try {
+    const managedIds = await getManagedIds();
+
+    const cookieStore = await cookies();
+    const supabase = createClient(cookieStore);
+
+    const errors = [];
+    const warnings = [];
+    const newCars = [];
+    // VINs listed earlier in this batch, which aren't in the database yet
+    const batchVins = new Set();
+
+    for (const row of rows) {
+      const { rowNumber, imageUrls = [], ...values } = row;
+
+      // Same rules as the add car form
+      const parsed = carFormSchema.safeParse(values);
+      if (!parsed.success) {
+        errors.push({
+          rowNumber,
+          messages: parsed.error.issues.map(
+            (issue) => `${issue.path.join(".")}: ${issue.message}`
+          ),
+        });
         continue;
       }
 
-      // Extract the base64 part (remove the data:image/xyz;base64, prefix)
-      const base64 = base64Data.split(",")[1];
-      const imageBuffer = Buffer.from(base64, "base64");
+      if (!canManageDealership(managedIds, parsed.data.dealershipId)) {
+        errors.push({
+          rowNumber,
+          messages: ["You don't manage this car's dealership"],
+        });
+        continue;
+      }
 
-      // Determine file extension from the data URL
-      const mimeMatch = base64Data.match(/data:image\/([a-zA-Z0-9]+);/);
-      const fileExtension = mimeMatch ? mimeMatch[1] : "jpeg";
+      let vin;
+      try {
+        vin = await checkVin(parsed.data.vin, { status: parsed.data.status });
+        if (vin && parsed.data.status !== "SOLD") {
+          if (batchVins.has(vin)) {
+            throw new Error(`VIN ${vin} appears more than once in this file`);
+          }
+          batchVins.add(vin);
+        }
+      } catch (vinError) {
+        errors.push({ rowNumber, messages: [vinError.message] });
+        continue;
+      }
 
-      // Create filename
-      const fileName = `image-${Date.now()}-${i}.${fileExtension}`;
-      const filePath = `${folderPath}/${fileName}`;
+      const carId = uuidv4();
+      const folderPath = `cars/${carId}`;
+      const images = [];
+
+      for (let i = 0; i < imageUrls.length; i++) {
+        try {
+          const publicUrl = await uploadCarImageFromUrl(
+            supabase,
+            folderPath,
+            imageUrls[i],
+            i
+          );
+          if (publicUrl) images.push(publicUrl);
+        } catch (imageError) {
+          warnings.push({ rowNumber, message: imageError.message });
+        }
+      }
 
-      // Upload the file buffer directly
-      const { data, error } = await supabase.storage
-        .from("car-images")
-        .upload(filePath, imageBuffer, {
-          contentType: `image/${fileExtension}`,
-        });
+      const carData = toCarData(parsed.data);
 
-      if (error) {
-        console.error("Error uploading image:", error);
-        throw new Error(`Failed to upload image: ${error.message}`);
+      newCars.push({
+        ...carData,
+        id: carId,
+        images,
+        // Cars without photos stay off the marketplace until images are added
+        status: images.length > 0 ? carData.status : "UNAVAILABLE",
+      });
+    }
+
+    // Create all valid cars together so a failure doesn't leave half a batch
+    try {
+      await db.$transaction(
+        newCars.map((car) =>
+          db.car.create({
+            data: {
+              ...car,
+              priceHistory: {
+                create: { price: car.price },
+              },
+            },
+          })
+        )
+      );
+    } catch (createError) {
+      // None of the cars exist, so their downloaded images aren't needed
+      const uploadedPaths = newCars
+        .flatMap((car) => car.images)
+        .map(getStoragePath)
+        .filter(Boolean);
+
+      if (uploadedPaths.length > 0) {
+        const { error } = await supabase.storage
+          .from("car-images")
+          .remove(uploadedPaths);
+
+        if (error) {
+          console.error("Error deleting images:", error);
+        }
       }
 
-      // Get the public URL for the uploaded file
-      const publicUrl = `${process.env.NEXT_PUBLIC_SUPABASE_URL}/storage/v1/object/public/car-images/${filePath}`; // disable cache in config
+      throw createError;
+    }
+
+    revalidatePath("/admin/cars");
+
+    return {
+      success: true,
+      created: newCars.length,
+      withoutImages: newCars.filter((car) => car.images.length === 0).length,
+      errors,
+      warnings,
+    };
+  } catch (error) {
+    throw new Error("Error importing cars:" + error.message);
+  }
+}
+
+// Update an existing car's details and images
+export async function updateCar({ id, carData, images }) {
+  try {
+    const managedIds = await getManagedIds();
+
+    const existingCar = await db.car.findUnique({
+      where: { id },
+      select: { images: true, price: true, status: true, dealershipId: true },
+    });
+
+    if (!existingCar) throw new Error("Car not found");
+
+    // Admins can only move cars between locations they manage
+    assertCanManageCar(managedIds, existingCar.dealershipId);
+    assertCanManageCar(managedIds, carData.dealershipId);
+
+    const vin = await checkVin(carData.vin, {
+      status: carData.status,
+      excludeCarId: id,
+    });
 
-      imageUrls.push(publicUrl);
+    // Images live in the same folder they were created in
+    const folderPath = `cars/${id}`;
+
+    const cookieStore = await cookies();
+    const supabase = createClient(cookieStore);
+
+    // Keep existing URLs in place and upload new data URLs, preserving order
+    const imageUrls = [];
+
+    for (let i = 0; i < images.length; i++) {
+      const image = images[i];
+
+      if (existingCar.images.includes(image)) {
+        imageUrls.push(image);
+        continue;
+      }
+
+      const publicUrl = await uploadCarImage(supabase, folderPath, image, i);
+      if (publicUrl) imageUrls.push(publicUrl);
     }
 
     if (imageUrls.length === 0) {
-      throw new Error("No valid images were uploaded");
+      throw new Error("A car must have at least one image");
     }
 
-    // Add the car to the database
-    const car = await db.car.create({
+    const previousPrice = parseFloat(existingCar.price.toString());
+    const priceChanged = previousPrice !== parseFloat(carData.price);
+
+    const updatedCar = await db.car.update({
+      where: { id },
       data: {
-        id: carId, // Use the same ID we used for the folder
+        vin,
         make: carData.make,
         model: carData.model,
         year: carData.year,
@@ -206,46 +571,113 @@ export async function addCar({ carData, images }) {
         transmission: carData.transmission,
         bodyType: carData.bodyType,
         seats: carData.seats,
+        doors: carData.doors,
+        drivetrain: carData.drivetrain,
+        engineSize: carData.engineSize,
+        horsepower: carData.horsepower,
+        electricRange: carData.electricRange,
+        features: carData.features,
         description: carData.description,
         status: carData.status,
         featured: carData.featured,
-        images: imageUrls, // Store the array of image URLs
+        dealershipId: carData.dealershipId,
+        images: imageUrls,
+        // Record the new price so buyers and managers can see the change
+        ...(priceChanged && {
+          priceHistory: {
+            create: { price: carData.price },
+          },
+        }),
       },
     });
 
-    // Revalidate the cars list page
+    // Remove images that were dropped from the listing
+    const removedPaths = existingCar.images
+      .filter((imageUrl) => !imageUrls.includes(imageUrl))
+      .map(getStoragePath)
+      .filter(Boolean);
+
+    if (removedPaths.length > 0) {
+      const { error } = await supabase.storage
+        .from("car-images")
+        .remove(removedPaths);
+
+      if (error) {
+        console.error("Error deleting images:", error);
+        // The car is already updated, so we continue even if cleanup fails
+      }
+    }
+
+    // Let users who saved this car know about price drops and status changes
+    await sendCarNotifications({
+      car: updatedCar,
+      previousPrice,
+      previousStatus: existingCar.status,
+    });
+
     revalidatePath("/admin/cars");
+    revalidatePath(`/cars/${id}`);
 
     return {
       success: true,
     };
   } catch (error) {
-    throw new Error("Error adding car:" + error.message);
+    throw new Error("Error updating car:" + error.message);
+  }
+}
+
+// Get a single car for editing
+export async function getCar(id) {
+  try {
+    const managedIds = await getManagedIds();
+
+    const car = await db.car.findUnique({
+      where: { id },
+    });
+
+    if (!car || !canManageDealership(managedIds, car.dealershipId)) {
+      return {
+        success: false,
+        error: "Car not found",
+      };
+    }
+
+    return {
+      success: true,
+      data: serializeCarData(car),
+    };
+  } catch (error) {
+    console.error("Error fetching car:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
   }
 }
 
 // Fetch all cars with simple search
 export async function getCars(search = "") {
   try {
-    // Build where conditions
-    let where = {};
-
-    // Add search filter
-    if (search) {
-      where.OR = [
-        { make: { contains: search, mode: "insensitive" } },
-        { model: { contains: search, mode: "insensitive" } },
-        { color: { contains: search, mode: "insensitive" } },
-      ];
-    }
+    const managedIds = await getManagedIds();
 
     // Execute main query
     const cars = await db.car.findMany({
-      where,
+      where: getCarsWhere(managedIds, search),
+      include: {
+        priceHistory: {
+          orderBy: { changedAt: "desc" },
+        },
+        dealership: {
+          select: { name: true },
+        },
+      },
       orderBy: { createdAt: "desc" },
     });
 
-    const serializedCars = cars.map(serializeCarData);
+    const serializedCars = cars.map(({ dealership, ...car }) => ({
+      ...serializeCarData(car),
+      dealershipName: dealership?.name || null,
+    }));
 
     return {
       success: true,
@@ -260,16 +692,46 @@ export async function getCars(search = "") {
   }
 }
 
+// Export the cars matching the admin list search as a CSV file
+export async function exportCars(search = "") {
+  try {
+    const managedIds = await getManagedIds();
+
+    const cars = await db.car.findMany({
+      where: getCarsWhere(managedIds, search),
+      include: {
+        dealership: {
+          select: { name: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const csv = carsToCsv(
+      cars.map(({ dealership, ...car }) => ({
+        ...serializeCarData(car),
+        dealershipName: dealership?.name || null,
+      }))
+    );
+
+    return {
+      success: true,
+      data: csv,
+    };
+  } catch (error) {
+    throw new Error("Error exporting cars:" + error.message);
+  }
+}
+
 // Delete a car by ID
 export async function deleteCar(id) {
   try {
-    const { userId } = await auth();
-    if (!userId) throw new Error("Unauthorized");
+    const managedIds = await getManagedIds();
 
     // First, fetch the car to get its images
     const car = await db.car.findUnique({
       where: { id },
-      select: { images: true },
+      select: { images: true, dealershipId: true },
     });
 
     if (!car) {
@@ -279,6 +741,8 @@ export async function deleteCar(id) {
       };
     }
 
+    assertCanManageCar(managedIds, car.dealershipId);
+
     // Delete the car from the database
     await db.car.delete({
       where: { id },
@@ -290,13 +754,7 @@ export async function deleteCar(id) {
       const supabase = createClient(cookieStore);
 
       // Extract file paths from image URLs
-      const filePaths = car.images
-        .map((imageUrl) => {
-          const url = new URL(imageUrl);
-          const pathMatch = url.pathname.match(/\/car-images\/(.*)/);
-          return pathMatch ? pathMatch[1] : null;
-        })
-        .filter(Boolean);
+      const filePaths = car.images.map(getStoragePath).filter(Boolean);
 
       // Delete files from storage if paths were extracted
       if (filePaths.length > 0) {
@@ -332,8 +790,7 @@ export async function deleteCar(id) {
 // Update car status or featured status
 export async function updateCarStatus(id, { status, featured }) {
   try {
-    const { userId } = await auth();
-    if (!userId) throw new Error("Unauthorized");
+    const managedIds = await getManagedIds();
 
     const updateData = {};
 
@@ -345,12 +802,32 @@ export async function updateCarStatus(id, { status, featured }) {
       updateData.featured = featured;
     }
 
+    const existingCar = await db.car.findUnique({
+      where: { id },
+      select: { status: true, dealershipId: true, vin: true },
+    });
+
+    if (!existingCar) throw new Error("Car not found");
+
+    assertCanManageCar(managedIds, existingCar.dealershipId);
+
+    // Putting a sold car back on sale must not clash with a relisting
+    if (existingCar.status === "SOLD" && status && status !== "SOLD") {
+      await checkVin(existingCar.vin, { status, excludeCarId: id });
+    }
+
     // Update the car
-    await db.car.update({
+    const updatedCar = await db.car.update({
       where: { id },
       data: updateData,
     });
 
+    // Let users who saved this car know it was sold or taken off the market
+    await sendCarNotifications({
+      car: updatedCar,
+      previousStatus: existingCar.status,
+    });
+
     // Revalidate the cars list page
     revalidatePath("/admin/cars");
 
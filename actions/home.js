@@ -4,16 +4,9 @@ import { GoogleGenerativeAI } from "@google/generative-ai";
 import { db } from "@/lib/prisma";
 import aj from "@/lib/arcjet";
 import { request } from "@arcjet/next";
-
-// Function to serialize car data
-function serializeCarData(car) {
-  return {
-    ...car,
-    price: car.price ? parseFloat(car.price.toString()) : 0,
-    createdAt: car.createdAt?.toISOString(),
-    updatedAt: car.updatedAt?.toISOString(),
-  };
-}
+import { serializeCarData } from "@/lib/helpers";
+import { getSearchUrl } from "@/lib/car-search";
+import { getCurrentDbUser } from "@/lib/current-user";
 
 /**
  * Get featured cars for the homepage
@@ -27,14 +20,162 @@ export async function getFeaturedCars(limit = 3) {
       },
       take: limit,
       orderBy: { createdAt: "desc" },
+      include: {
+        priceHistory: {
+          orderBy: { changedAt: "desc" },
+          take: 2,
+        },
+      },
     });
 
-    return cars.map(serializeCarData);
+    return cars.map((car) => serializeCarData(car));
   } catch (error) {
     throw new Error("Error fetching featured cars:" + error.message);
   }
 }
 
+// Recent searches kept per user and offered in the typeahead
+const RECENT_SEARCH_LIMIT = 5;
+
+// Suggestions shown per group (makes, models, body types)
+const SUGGESTION_LIMIT = 5;
+
+// Escape LIKE wildcards so they are matched literally
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+
+/**
+ * Typeahead suggestions for the home page search: makes, models and body
+ * types in stock with counts, plus the user's recent searches
+ */
+export async function getSearchSuggestions(query = "") {
+  try {
+    const text = query.trim().slice(0, 100);
+    const user = await getCurrentDbUser();
+
+    const recentSearches = user
+      ? await db.recentSearch.findMany({
+          where: {
+            userId: user.id,
+            ...(text && { query: { contains: text, mode: "insensitive" } }),
+          },
+          orderBy: { searchedAt: "desc" },
+          take: RECENT_SEARCH_LIMIT,
+        })
+      : [];
+
+    const recent = recentSearches.map((recentSearch) => ({
+      type: "recent",
+      label: recentSearch.query,
+      url: getSearchUrl({ search: recentSearch.query, sortBy: "relevance" }),
+    }));
+
+    // Single letters match too much to be useful
+    if (text.length < 2) {
+      return { success: true, data: { suggestions: [], recent } };
+    }
+
+    const pattern = likePattern(text);
+
+    // Both queries filter on the trigram-indexed make + model expression
+    const [makes, models, bodyTypes] = await Promise.all([
+      db.$queryRaw`
+        SELECT "make", COUNT(*)::int AS "count"
+        FROM "Car"
+        WHERE "status" = 'AVAILABLE'
+          AND ("make" || ' ' || "model") ILIKE ${pattern}
+          AND "make" ILIKE ${pattern}
+        GROUP BY "make"
+        ORDER BY "count" DESC, "make"
+        LIMIT ${SUGGESTION_LIMIT}
+      `,
+      db.$queryRaw`
+        SELECT "make", "model", COUNT(*)::int AS "count"
+        FROM "Car"
+        WHERE "status" = 'AVAILABLE'
+          AND ("make" || ' ' || "model") ILIKE ${pattern}
+        GROUP BY "make", "model"
+        ORDER BY "count" DESC, "make", "model"
+        LIMIT ${SUGGESTION_LIMIT}
+      `,
+      db.car.groupBy({
+        by: ["bodyType"],
+        where: {
+          status: "AVAILABLE",
+          bodyType: { contains: text, mode: "insensitive" },
+        },
+        _count: { _all: true },
+        orderBy: { _count: { bodyType: "desc" } },
+        take: SUGGESTION_LIMIT,
+      }),
+    ]);
+
+    const suggestions = [
+      ...makes.map((item) => ({
+        type: "make",
+        label: item.make,
+        count: item.count,
+        url: getSearchUrl({ make: item.make }),
+      })),
+      ...models.map((item) => ({
+        type: "model",
+        label: `${item.make} ${item.model}`,
+        count: item.count,
+        url: getSearchUrl({
+          make: item.make,
+          search: item.model,
+          sortBy: "relevance",
+        }),
+      })),
+      ...bodyTypes.map((item) => ({
+        type: "bodyType",
+        label: item.bodyType,
+        count: item._count._all,
+        url: getSearchUrl({ bodyType: item.bodyType }),
+      })),
+    ];
+
+    return { success: true, data: { suggestions, recent } };
+  } catch (error) {
+    throw new Error("Error fetching search suggestions:" + error.message);
+  }
+}
+
+/**
+ * Remember a text search for the signed-in user, keeping the latest few
+ */
+export async function saveRecentSearch(query) {
+  try {
+    const text = query.trim().slice(0, 100);
+    const user = await getCurrentDbUser();
+
+    // Signed-out searches aren't kept
+    if (!user || !text) return { success: false };
+
+    await db.recentSearch.upsert({
+      where: { userId_query: { userId: user.id, query: text } },
+      create: { userId: user.id, query: text },
+      update: { searchedAt: new Date() },
+    });
+
+    const stale = await db.recentSearch.findMany({
+      where: { userId: user.id },
+      orderBy: { searchedAt: "desc" },
+      skip: RECENT_SEARCH_LIMIT,
+      select: { id: true },
+    });
+
+    if (stale.length > 0) {
+      await db.recentSearch.deleteMany({
+        where: { id: { in: stale.map((item) => item.id) } },
+      });
+    }
+
+    return { success: true };
+  } catch (error) {
+    throw new Error("Error saving recent search:" + error.message);
+  }
+}
+
 // Function to convert File to base64
 async function fileToBase64(file) {
   const bytes = await file.arrayBuffer();
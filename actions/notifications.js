@@ -0,0 +1,98 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+
+// Defaults used until a user saves their own preferences
+const DEFAULT_PREFERENCES = {
+  emailEnabled: true,
+  priceDrops: true,
+  statusChanges: true,
+  savedSearches: true,
+};
+
+/**
+ * Get the current user's notification preferences
+ */
+export async function getNotificationPreferences() {
+  try {
+    const { userId } = await auth();
+    if (!userId) {
+      return {
+        success: false,
+        error: "Unauthorized",
+      };
+    }
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+      include: { notificationPreference: true },
+    });
+
+    if (!user) {
+      return {
+        success: false,
+        error: "User not found",
+      };
+    }
+
+    const preference = user.notificationPreference;
+
+    return {
+      success: true,
+      data: preference
+        ? {
+            emailEnabled: preference.emailEnabled,
+            priceDrops: preference.priceDrops,
+            statusChanges: preference.statusChanges,
+            savedSearches: preference.savedSearches,
+          }
+        : DEFAULT_PREFERENCES,
+    };
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Save the current user's notification preferences
+ */
+export async function updateNotificationPreferences(preferences) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    // Only accept the known boolean flags
+    const data = {};
+    for (const key of Object.keys(DEFAULT_PREFERENCES)) {
+      if (typeof preferences[key] === "boolean") {
+        data[key] = preferences[key];
+      }
+    }
+
+    await db.notificationPreference.upsert({
+      where: { userId: user.id },
+      create: { ...DEFAULT_PREFERENCES, ...data, userId: user.id },
+      update: data,
+    });
+
+    revalidatePath("/notifications");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error saving notification preferences:" + error.message);
+  }
+}
@@ -0,0 +1,172 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { pickSearchFilters } from "@/lib/car-search";
+import { getCarSearchQuery } from "@/lib/car-text-search";
+
+// Keep the list manageable and the alerts job cheap
+const MAX_SAVED_SEARCHES = 20;
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return user;
+}
+
+const serializeSavedSearch = (savedSearch) => ({
+  ...savedSearch,
+  lastCheckedAt: savedSearch.lastCheckedAt.toISOString(),
+  createdAt: savedSearch.createdAt.toISOString(),
+  updatedAt: savedSearch.updatedAt.toISOString(),
+});
+
+/**
+ * Get the current user's saved searches with how many cars match each now
+ */
+export async function getSavedSearches() {
+  try {
+    const { userId } = await auth();
+    if (!userId) {
+      return {
+        success: false,
+        error: "Unauthorized",
+      };
+    }
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) {
+      return {
+        success: false,
+        error: "User not found",
+      };
+    }
+
+    const savedSearches = await db.savedSearch.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const matchCounts = await Promise.all(
+      savedSearches.map(async (savedSearch) => {
+        const { where } = await getCarSearchQuery(savedSearch.filters);
+        return db.car.count({ where });
+      })
+    );
+
+    return {
+      success: true,
+      data: savedSearches.map((savedSearch, index) => ({
+        ...serializeSavedSearch(savedSearch),
+        matchCount: matchCounts[index],
+      })),
+    };
+  } catch (error) {
+    console.error("Error fetching saved searches:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Save the current /cars filters under a name
+ */
+export async function saveSearch({ name, filters }) {
+  try {
+    const user = await getCurrentUser();
+
+    const trimmedName = name?.trim();
+    if (!trimmedName) throw new Error("Name is required");
+
+    const count = await db.savedSearch.count({
+      where: { userId: user.id },
+    });
+    if (count >= MAX_SAVED_SEARCHES) {
+      throw new Error(
+        `You can save up to ${MAX_SAVED_SEARCHES} searches, delete one first`
+      );
+    }
+
+    const savedSearch = await db.savedSearch.create({
+      data: {
+        userId: user.id,
+        name: trimmedName.slice(0, 100),
+        // Only keep known filters, page numbers and the like don't belong here
+        filters: pickSearchFilters(filters),
+      },
+    });
+
+    revalidatePath("/saved-searches");
+
+    return {
+      success: true,
+      data: serializeSavedSearch(savedSearch),
+    };
+  } catch (error) {
+    throw new Error("Error saving search:" + error.message);
+  }
+}
+
+/**
+ * Turn new-match emails on or off for a saved search
+ */
+export async function updateSavedSearchAlerts(id, alertsEnabled) {
+  try {
+    const user = await getCurrentUser();
+
+    const { count } = await db.savedSearch.updateMany({
+      where: { id, userId: user.id },
+      data: {
+        alertsEnabled,
+        // Don't email about cars added while alerts were off
+        ...(alertsEnabled && { lastCheckedAt: new Date() }),
+      },
+    });
+
+    if (count === 0) throw new Error("Saved search not found");
+
+    revalidatePath("/saved-searches");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error updating saved search:" + error.message);
+  }
+}
+
+/**
+ * Delete one of the current user's saved searches
+ */
+export async function deleteSavedSearch(id) {
+  try {
+    const user = await getCurrentUser();
+
+    const { count } = await db.savedSearch.deleteMany({
+      where: { id, userId: user.id },
+    });
+
+    if (count === 0) throw new Error("Saved search not found");
+
+    revalidatePath("/saved-searches");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error deleting saved search:" + error.message);
+  }
+}
@@ -3,91 +3,149 @@
 import { revalidatePath } from "next/cache";
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
+import { serializeSpecialHour } from "@/lib/helpers";
+import {
+  DEFAULT_WORKING_HOURS,
+  canManageDealership,
+  getManagedDealershipIds,
+} from "@/lib/dealerships";
 
-// Get dealership info with working hours
-export async function getDealershipInfo() {
-  try {
-    const { userId } = await auth();
-    if (!userId) throw new Error("Unauthorized");
+const USER_ROLES = ["USER", "STAFF", "ADMIN"];
 
-    // Get the dealership record
-    let dealership = await db.dealershipInfo.findFirst({
-      include: {
-        workingHours: {
-          orderBy: {
-            dayOfWeek: "asc",
-          },
-        },
-      },
-    });
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
 
-    // If no dealership exists, create a default one
-    if (!dealership) {
-      dealership = await db.dealershipInfo.create({
+// Opening hours for a weekday or a special date, times only matter when open
+function assertValidOpeningHours({ isOpen, openTime, closeTime }) {
+  if (!isOpen) return;
+
+  if (
+    !TIME_PATTERN.test(openTime || "") ||
+    !TIME_PATTERN.test(closeTime || "")
+  ) {
+    throw new Error("Opening hours must be in HH:MM format");
+  }
+  if (openTime >= closeTime) {
+    throw new Error("Closing time must be after opening time");
+  }
+}
+
+// Special hours from today onwards, soonest first
+function upcomingSpecialHours() {
+  return {
+    where: { date: { gte: new Date(new Date().toISOString().slice(0, 10)) } },
+    orderBy: { date: "asc" },
+  };
+}
+
+// Current user if they are an admin, with the locations they are scoped to
+async function getAdminUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: { dealerships: { select: { id: true } } },
+  });
+
+  if (!user || user.role !== "ADMIN") {
+    throw new Error("Unauthorized: Admin access required");
+  }
+
+  return { user, managedIds: getManagedDealershipIds(user) };
+}
+
+// Make sure the admin may change this location and that it exists
+async function getManagedDealership(managedIds, dealershipId) {
+  if (!dealershipId || !canManageDealership(managedIds, dealershipId)) {
+    throw new Error("You don't manage this dealership");
+  }
+
+  const dealership = await db.dealershipInfo.findUnique({
+    where: { id: dealershipId },
+  });
+
+  if (!dealership) {
+    throw new Error("Dealership info not found");
+  }
+
+  return dealership;
+}
+
+// Get the dealership locations the current admin manages
+export async function getDealerships() {
+  try {
+    const { managedIds } = await getAdminUser();
+
+    // The first visit sets up a default location
+    if ((await db.dealershipInfo.count()) === 0) {
+      await db.dealershipInfo.create({
         data: {
           // Default values will be used from schema
-          workingHours: {
-            create: [
-              {
-                dayOfWeek: "MONDAY",
-                openTime: "09:00",
-                closeTime: "18:00",
-                isOpen: true,
-              },
-              {
-                dayOfWeek: "TUESDAY",
-                openTime: "09:00",
-                closeTime: "18:00",
-                isOpen: true,
-              },
-              {
-                dayOfWeek: "WEDNESDAY",
-                openTime: "09:00",
-                closeTime: "18:00",
-                isOpen: true,
-              },
-              {
-                dayOfWeek: "THURSDAY",
-                openTime: "09:00",
-                closeTime: "18:00",
-                isOpen: true,
-              },
-              {
-                dayOfWeek: "FRIDAY",
-                openTime: "09:00",
-                closeTime: "18:00",
-                isOpen: true,
-              },
-              {
-                dayOfWeek: "SATURDAY",
-                openTime: "10:00",
-                closeTime: "16:00",
-                isOpen: true,
-              },
-              {
-                dayOfWeek: "SUNDAY",
-                openTime: "10:00",
-                closeTime: "16:00",
-                isOpen: false,
-              },
-            ],
-          },
-        },
-        include: {
-          workingHours: {
-            orderBy: {
-              dayOfWeek: "asc",
-            },
-          },
+          workingHours: { create: DEFAULT_WORKING_HOURS },
         },
       });
     }
 
+    const dealerships = await db.dealershipInfo.findMany({
+      where: managedIds ? { id: { in: managedIds } } : {},
+      orderBy: { createdAt: "asc" },
+      include: { _count: { select: { cars: true } } },
+    });
+
+    return {
+      success: true,
+      data: dealerships.map((dealership) => ({
+        id: dealership.id,
+        name: dealership.name,
+        address: dealership.address,
+        phone: dealership.phone,
+        email: dealership.email,
+        carCount: dealership._count.cars,
+      })),
+      // Only admins who aren't scoped to locations can add new ones
+      canManageAll: !managedIds,
+    };
+  } catch (error) {
+    throw new Error("Error fetching dealerships:" + error.message);
+  }
+}
+
+// Get dealership info with working hours
+export async function getDealershipInfo(dealershipId) {
+  try {
+    const { managedIds } = await getAdminUser();
+
+    const include = {
+      workingHours: {
+        orderBy: {
+          dayOfWeek: "asc",
+        },
+      },
+      specialHours: upcomingSpecialHours(),
+    };
+
+    // Default to the first location the admin manages
+    const dealership = dealershipId
+      ? await db.dealershipInfo.findUnique({
+          where: { id: dealershipId },
+          include,
+        })
+      : await db.dealershipInfo.findFirst({
+          where: managedIds ? { id: { in: managedIds } } : {},
+          orderBy: { createdAt: "asc" },
+          include,
+        });
+
+    if (!dealership || !canManageDealership(managedIds, dealership.id)) {
+      throw new Error("Dealership not found");
+    }
+
     // Format the data
     return {
       success: true,
       data: {
         ...dealership,
+        specialHours: dealership.specialHours.map(serializeSpecialHour),
         createdAt: dealership.createdAt.toISOString(),
         updatedAt: dealership.updatedAt.toISOString(),
       },
@@ -97,28 +155,66 @@ export async function getDealershipInfo() {
   }
 }
 
-// Save working hours
-export async function saveWorkingHours(workingHours) {
+// Add a new dealership location or update an existing one's details
+export async function saveDealership({ id, name, address, phone, email }) {
   try {
-    const { userId } = await auth();
-    if (!userId) throw new Error("Unauthorized");
+    const { managedIds } = await getAdminUser();
 
-    // Check if user is admin
-    const user = await db.user.findUnique({
-      where: { clerkUserId: userId },
-    });
+    const data = {
+      name: name?.trim(),
+      address: address?.trim(),
+      phone: phone?.trim(),
+      email: email?.trim(),
+    };
 
-    if (!user || user.role !== "ADMIN") {
-      throw new Error("Unauthorized: Admin access required");
+    if (!data.name || !data.address) {
+      throw new Error("Name and address are required");
     }
 
-    // Get current dealership info
-    const dealership = await db.dealershipInfo.findFirst();
+    let dealership;
+    if (id) {
+      await getManagedDealership(managedIds, id);
 
-    if (!dealership) {
-      throw new Error("Dealership info not found");
+      dealership = await db.dealershipInfo.update({
+        where: { id },
+        data,
+      });
+    } else {
+      if (managedIds) {
+        throw new Error("Only group admins can add dealerships");
+      }
+
+      dealership = await db.dealershipInfo.create({
+        data: {
+          ...data,
+          workingHours: { create: DEFAULT_WORKING_HOURS },
+        },
+      });
     }
 
+    // Revalidate paths
+    revalidatePath("/admin/settings");
+    revalidatePath("/cars");
+
+    return {
+      success: true,
+      data: { id: dealership.id },
+    };
+  } catch (error) {
+    throw new Error("Error saving dealership:" + error.message);
+  }
+}
+
+// Save working hours
+export async function saveWorkingHours(dealershipId, workingHours) {
+  try {
+    const { managedIds } = await getAdminUser();
+
+    workingHours.forEach(assertValidOpeningHours);
+
+    // Get the dealership being edited
+    const dealership = await getManagedDealership(managedIds, dealershipId);
+
     // Update working hours - first delete existing hours
     await db.workingHour.deleteMany({
       where: { dealershipId: dealership.id },
@@ -149,30 +245,190 @@ export async function saveWorkingHours(workingHours) {
   }
 }
 
-// Get all users
-export async function getUsers() {
+// Most drives per slot at a location that has no staff shifts yet
+const MAX_CONCURRENT_DRIVES = 20;
+
+// Whole numbers only, parseInt would accept "1.5" or "12abc"
+const toWholeNumber = (value) =>
+  /^\d+$/.test(String(value ?? "").trim()) ? Number(value) : NaN;
+
+// Save test drive slot duration, buffer and capacity
+export async function saveBookingSettings({
+  dealershipId,
+  slotDuration,
+  bufferMinutes,
+  maxConcurrentDrives,
+}) {
   try {
-    const { userId } = await auth();
-    if (!userId) throw new Error("Unauthorized");
+    const { managedIds } = await getAdminUser();
+
+    const settings = {
+      slotDuration: toWholeNumber(slotDuration),
+      bufferMinutes: toWholeNumber(bufferMinutes),
+      maxConcurrentDrives: toWholeNumber(maxConcurrentDrives),
+    };
+
+    // Validate settings
+    if (!(settings.slotDuration >= 15 && settings.slotDuration <= 480)) {
+      throw new Error("Slot duration must be between 15 and 480 minutes");
+    }
+    if (!(settings.bufferMinutes >= 0 && settings.bufferMinutes <= 240)) {
+      throw new Error("Buffer time must be between 0 and 240 minutes");
+    }
+    if (!(settings.maxConcurrentDrives >= 1)) {
+      throw new Error("At least one test drive must be allowed per slot");
+    }
 
-    // Check if user is admin
-    const adminUser = await db.user.findUnique({
-      where: { clerkUserId: userId },
+    // Get the dealership being edited
+    const dealership = await getManagedDealership(managedIds, dealershipId);
+
+    // Each drive needs someone to go along, so once the location has staff
+    // shifts it can't run more drives at once than it has salespeople
+    const staff = await db.staffShift.findMany({
+      where: { dealershipId: dealership.id, user: { role: "STAFF" } },
+      distinct: ["userId"],
+      select: { userId: true },
     });
+    const maxDrives = staff.length || MAX_CONCURRENT_DRIVES;
 
-    if (!adminUser || adminUser.role !== "ADMIN") {
-      throw new Error("Unauthorized: Admin access required");
+    if (settings.maxConcurrentDrives > maxDrives) {
+      throw new Error(
+        staff.length > 0
+          ? `This location has ${staff.length} staff on shift, so at most ${staff.length} drives per slot`
+          : `At most ${MAX_CONCURRENT_DRIVES} test drives can be allowed per slot`
+      );
     }
 
+    await db.dealershipInfo.update({
+      where: { id: dealership.id },
+      data: settings,
+    });
+
+    // Revalidate paths
+    revalidatePath("/admin/settings");
+    revalidatePath("/test-drive/[id]", "page");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error saving booking settings:" + error.message);
+  }
+}
+
+// Add or update a holiday or special opening hours for a date
+export async function saveSpecialHour({
+  dealershipId,
+  date,
+  isOpen,
+  openTime,
+  closeTime,
+  reason,
+}) {
+  try {
+    const { managedIds } = await getAdminUser();
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      throw new Error("Invalid date");
+    }
+
+    assertValidOpeningHours({ isOpen, openTime, closeTime });
+
+    // Get the dealership being edited
+    const dealership = await getManagedDealership(managedIds, dealershipId);
+
+    const data = {
+      isOpen: !!isOpen,
+      openTime: isOpen ? openTime : null,
+      closeTime: isOpen ? closeTime : null,
+      reason: reason?.trim() || null,
+    };
+
+    // One entry per date, so saving the same date again replaces it
+    await db.specialHour.upsert({
+      where: {
+        dealershipId_date: {
+          dealershipId: dealership.id,
+          date: new Date(date),
+        },
+      },
+      update: data,
+      create: {
+        ...data,
+        dealershipId: dealership.id,
+        date: new Date(date),
+      },
+    });
+
+    // Revalidate paths
+    revalidatePath("/admin/settings");
+    revalidatePath("/cars/[id]", "page");
+    revalidatePath("/test-drive/[id]", "page");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error saving special hours:" + error.message);
+  }
+}
+
+// Remove a holiday or special opening hours entry
+export async function deleteSpecialHour(id) {
+  try {
+    const { managedIds } = await getAdminUser();
+
+    const specialHour = await db.specialHour.findUnique({
+      where: { id },
+    });
+
+    if (!specialHour) throw new Error("Special hours not found");
+
+    await getManagedDealership(managedIds, specialHour.dealershipId);
+
+    await db.specialHour.delete({
+      where: { id },
+    });
+
+    // Revalidate paths
+    revalidatePath("/admin/settings");
+    revalidatePath("/cars/[id]", "page");
+    revalidatePath("/test-drive/[id]", "page");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error deleting special hours:" + error.message);
+  }
+}
+
+// Get all users
+export async function getUsers() {
+  try {
+    await getAdminUser();
+
     // Get all users
     const users = await db.user.findMany({
       orderBy: { createdAt: "desc" },
+      include: {
+        dealerships: { select: { id: true } },
+        staffShifts: {
+          select: {
+            dealershipId: true,
+            dayOfWeek: true,
+            startTime: true,
+            endTime: true,
+          },
+        },
+      },
     });
 
     return {
       success: true,
-      data: users.map((user) => ({
+      data: users.map(({ dealerships, ...user }) => ({
         ...user,
+        dealershipIds: dealerships.map((dealership) => dealership.id),
         createdAt: user.createdAt.toISOString(),
         updatedAt: user.updatedAt.toISOString(),
       })),
@@ -182,25 +438,145 @@ export async function getUsers() {
   }
 }
 
-// Update user role
+// Update user role. Admins scoped to some locations can only make admins for
+// those same locations, and only group admins can take admin access away.
 export async function updateUserRole(userId, role) {
   try {
-    const { userId: adminId } = await auth();
-    if (!adminId) throw new Error("Unauthorized");
+    const { managedIds } = await getAdminUser();
+
+    if (!USER_ROLES.includes(role)) {
+      throw new Error("Invalid role");
+    }
+
+    const target = await db.user.findUnique({ where: { id: userId } });
+    if (!target) throw new Error("User not found");
+
+    const isRevokingAdmin = target.role === "ADMIN" && role !== "ADMIN";
+    if (isRevokingAdmin && managedIds) {
+      throw new Error("Only group admins can remove admin access");
+    }
 
-    // Check if user is admin
-    const adminUser = await db.user.findUnique({
-      where: { clerkUserId: adminId },
+    // An admin with no locations manages all of them, so a new admin gets
+    // the locations of whoever promoted them
+    let dealerships;
+    if (role === "ADMIN" && target.role !== "ADMIN" && managedIds) {
+      dealerships = { set: managedIds.map((id) => ({ id })) };
+    } else if (isRevokingAdmin) {
+      dealerships = { set: [] };
+    }
+
+    await db.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: { role, ...(dealerships && { dealerships }) },
+      });
+
+      // Someone who is no longer staff can't run their upcoming drives
+      if (role !== "STAFF") {
+        await tx.testDriveBooking.updateMany({
+          where: {
+            salespersonId: userId,
+            status: { in: ["PENDING", "CONFIRMED"] },
+          },
+          data: { salespersonId: null },
+        });
+      }
     });
 
-    if (!adminUser || adminUser.role !== "ADMIN") {
-      throw new Error("Unauthorized: Admin access required");
+    // Revalidate paths
+    revalidatePath("/admin/settings");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error updating user role:" + error.message);
+  }
+}
+
+// Replace a salesperson's weekly shifts, at most one a day. Admins scoped to
+// some locations only change the shifts at those locations.
+export async function saveStaffShifts(userId, shifts) {
+  try {
+    const { managedIds } = await getAdminUser();
+
+    const staff = await db.user.findUnique({ where: { id: userId } });
+    if (!staff || staff.role !== "STAFF") {
+      throw new Error("Shifts can only be set for staff");
+    }
+
+    // Shifts at locations the admin doesn't manage are kept as they are
+    const otherShifts = managedIds
+      ? await db.staffShift.findMany({
+          where: { userId, dealershipId: { notIn: managedIds } },
+        })
+      : [];
+
+    const days = new Set(otherShifts.map((shift) => shift.dayOfWeek));
+    for (const shift of shifts) {
+      if (!canManageDealership(managedIds, shift.dealershipId)) {
+        throw new Error("You don't manage this dealership");
+      }
+      if (days.has(shift.dayOfWeek)) {
+        throw new Error("Only one shift a day is allowed");
+      }
+      if (
+        !TIME_PATTERN.test(shift.startTime) ||
+        !TIME_PATTERN.test(shift.endTime)
+      ) {
+        throw new Error("Shift times must be in HH:MM format");
+      }
+      if (shift.startTime >= shift.endTime) {
+        throw new Error("A shift must end after it starts");
+      }
+      days.add(shift.dayOfWeek);
+    }
+
+    await db.$transaction([
+      db.staffShift.deleteMany({
+        where: {
+          userId,
+          ...(managedIds && { dealershipId: { in: managedIds } }),
+        },
+      }),
+      db.staffShift.createMany({
+        data: shifts.map((shift) => ({
+          userId,
+          dealershipId: shift.dealershipId,
+          dayOfWeek: shift.dayOfWeek,
+          startTime: shift.startTime,
+          endTime: shift.endTime,
+        })),
+      }),
+    ]);
+
+    // Revalidate paths
+    revalidatePath("/admin/settings");
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    throw new Error("Error saving shifts:" + error.message);
+  }
+}
+
+// Scope an admin to some locations, an empty list gives access to all of them
+export async function updateAdminDealerships(userId, dealershipIds) {
+  try {
+    const { managedIds } = await getAdminUser();
+
+    if (managedIds) {
+      throw new Error("Only group admins can change dealership access");
     }
 
-    // Update user role
     await db.user.update({
       where: { id: userId },
-      data: { role },
+      data: {
+        dealerships: {
+          set: dealershipIds.map((id) => ({ id })),
+        },
+      },
     });
 
     // Revalidate paths
@@ -210,6 +586,6 @@ export async function updateUserRole(userId, role) {
       success: true,
     };
   } catch (error) {
-    throw new Error("Error updating user role:" + error.message);
+    throw new Error("Error updating dealership access:" + error.message);
   }
-}
\ No newline at end of file
+}
@@ -4,6 +4,118 @@ import { revalidatePath } from "next/cache";
 import { auth } from "@clerk/nextjs/server";
 import { db } from "@/lib/prisma";
 import { serializeCarData } from "@/lib/helpers";
+import { sendTestDriveEmail } from "@/lib/notifications";
+import {
+  filterAvailableSlots,
+  generateDaySlots,
+  getBookingSettings,
+  getDayOfWeek,
+  getScheduleForDate,
+} from "@/lib/test-drive-slots";
+import {
+  canManageDealership,
+  carsAtDealershipWhere,
+  getCarDealership,
+  getManagedDealershipIds,
+} from "@/lib/dealerships";
+import { addCarPopularity, POPULARITY_POINTS } from "@/lib/car-popularity";
+import { changeBookingStatus } from "@/lib/booking-status";
+import { isSalespersonFree } from "@/lib/staff";
+import { assertValidFeedback } from "@/lib/test-drive-feedback";
+import { getDealershipDateKey } from "@/lib/dealership-time";
+
+// Open slots for a car ({ id, dealershipId }) on a date ("yyyy-MM-dd") at the
+// car's location. Takes a Prisma client so it can run inside the booking
+// transaction. A booking being rescheduled is left out so it doesn't block
+// the slots around its current time.
+async function findAvailableSlots(client, car, date, excludeBookingId) {
+  const dealership = await getCarDealership(car, client, {
+    workingHours: {
+      where: { dayOfWeek: getDayOfWeek(date) },
+    },
+    specialHours: {
+      where: { date: new Date(date) },
+    },
+    staffShifts: {
+      where: { dayOfWeek: getDayOfWeek(date), user: { role: "STAFF" } },
+    },
+    _count: {
+      select: { staffShifts: { where: { user: { role: "STAFF" } } } },
+    },
+  });
+
+  const settings = getBookingSettings(dealership);
+  const daySchedule = getScheduleForDate(
+    dealership?.workingHours,
+    dealership?.specialHours,
+    date
+  );
+  const slots = generateDaySlots(daySchedule, settings);
+  if (slots.length === 0) return [];
+
+  // Only active bookings block a slot. Bookings for other cars at the same
+  // location still count towards how many drives can run at the same time.
+  // There are no slots without a location, so dealership is set here.
+  const bookings = await client.testDriveBooking.findMany({
+    where: {
+      bookingDate: new Date(date),
+      status: { in: ["PENDING", "CONFIRMED"] },
+      car: await carsAtDealershipWhere(dealership, client),
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+    },
+    select: {
+      carId: true,
+      salespersonId: true,
+      startTime: true,
+      endTime: true,
+    },
+  });
+
+  return filterAvailableSlots(
+    slots,
+    {
+      carBookings: bookings.filter((booking) => booking.carId === car.id),
+      dealershipBookings: bookings,
+      // Locations nobody has set up staff shifts for take bookings as before
+      staffShifts: dealership?._count.staffShifts
+        ? dealership.staffShifts
+        : null,
+    },
+    { settings, date, now: new Date() }
+  );
+}
+
+/**
+ * Get available test drive slots for a car on a given date, optionally for
+ * moving an existing booking
+ */
+export async function getAvailableSlots({ carId, date, bookingId }) {
+  try {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      throw new Error("Invalid date");
+    }
+
+    const car = await db.car.findUnique({
+      where: { id: carId, status: "AVAILABLE" },
+      select: { id: true, dealershipId: true },
+    });
+
+    if (!car) throw new Error("Car not available for test drive");
+
+    const slots = await findAvailableSlots(db, car, date, bookingId);
+
+    return {
+      success: true,
+      data: slots,
+    };
+  } catch (error) {
+    console.error("Error fetching available slots:", error);
+    return {
+      success: false,
+      error: error.message || "Failed to fetch available slots",
+    };
+  }
+}
 
 /**
  * Books a test drive for a car
@@ -27,42 +139,63 @@ export async function bookTestDrive({
 
     if (!user) throw new Error("User not found in database");
 
-    // Check if car exists and is available
-    const car = await db.car.findUnique({
-      where: { id: carId, status: "AVAILABLE" },
-    });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(bookingDate || "")) {
+      throw new Error("Invalid booking date");
+    }
 
-    if (!car) throw new Error("Car not available for test drive");
+    const booking = await db.$transaction(async (tx) => {
+      const [car] = await tx.$queryRaw`
+        SELECT "id", "dealershipId" FROM "Car"
+        WHERE "id" = ${carId} AND "status" = 'AVAILABLE'
+        FOR UPDATE
+      `;
 
-    // Check if slot is already booked
-    const existingBooking = await db.testDriveBooking.findFirst({
-      where: {
-        carId,
-        bookingDate: new Date(bookingDate),
-        startTime,
-        status: { in: ["PENDING", "CONFIRMED"] },
-      },
-    });
+      if (!car) throw new Error("Car not available for test drive");
+
+      // Bookings share the location's drive capacity, so lock its row to make
+      // concurrent bookings there run one at a time
+      const dealership = await getCarDealership(car, tx);
+      if (dealership) {
+        await tx.$queryRaw`
+          SELECT "id" FROM "DealershipInfo" WHERE "id" = ${dealership.id} FOR UPDATE
+        `;
+      }
 
-    if (existingBooking) {
-      throw new Error(
-        "This time slot is already booked. Please select another time."
+      // The requested slot must be one we'd offer right now
+      const slots = await findAvailableSlots(tx, car, bookingDate);
+      const isAvailable = slots.some(
+        (slot) => slot.startTime === startTime && slot.endTime === endTime
       );
-    }
 
-    // Create the booking
-    const booking = await db.testDriveBooking.create({
-      data: {
-        carId,
-        userId: user.id,
-        bookingDate: new Date(bookingDate),
-        startTime,
-        endTime,
-        notes: notes || null,
-        status: "PENDING",
-      },
+      if (!isAvailable) {
+        throw new Error(
+          "This time slot is no longer available. Please select another time."
+        );
+      }
+
+      const created = await tx.testDriveBooking.create({
+        data: {
+          carId,
+          userId: user.id,
+          bookingDate: new Date(bookingDate),
+          startTime,
+          endTime,
+          notes: notes || null,
+          status: "PENDING",
+          statusChanges: {
+            create: { toStatus: "PENDING", changedById: user.id },
+          },
+        },
+      });
+
+      await addCarPopularity(tx, carId, POPULARITY_POINTS.testDrive);
+
+      return created;
     });
 
+    // Let the customer know we received the request
+    await sendTestDriveEmail(booking.id, "booked");
+
     // Revalidate relevant paths
     revalidatePath(`/test-drive/${carId}`);
     revalidatePath(`/cars/${carId}`);
@@ -110,6 +243,7 @@ export async function getUserTestDrives() {
       where: { userId: user.id },
       include: {
         car: true,
+        feedback: true,
       },
       orderBy: { bookingDate: "desc" },
     });
@@ -124,6 +258,11 @@ export async function getUserTestDrives() {
       endTime: booking.endTime,
       status: booking.status,
       notes: booking.notes,
+      feedback: booking.feedback && {
+        carRating: booking.feedback.carRating,
+        experienceRating: booking.feedback.experienceRating,
+        comments: booking.feedback.comments,
+      },
       createdAt: booking.createdAt.toISOString(),
       updatedAt: booking.updatedAt.toISOString(),
     }));
@@ -141,6 +280,72 @@ export async function getUserTestDrives() {
   }
 }
 
+/**
+ * Get today's test drives assigned to the signed-in salesperson - my drives page
+ */
+export async function getStaffTestDrives() {
+  try {
+    const { userId } = await auth();
+    if (!userId) {
+      return {
+        success: false,
+        error: "Unauthorized",
+      };
+    }
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user || user.role !== "STAFF") {
+      return {
+        success: false,
+        error: "Only staff have assigned test drives",
+      };
+    }
+
+    const bookings = await db.testDriveBooking.findMany({
+      where: {
+        salespersonId: user.id,
+        // Today at the dealership, not on the server
+        bookingDate: new Date(getDealershipDateKey()),
+      },
+      include: {
+        car: true,
+        user: {
+          select: { id: true, name: true, email: true, phone: true },
+        },
+      },
+      orderBy: { startTime: "asc" },
+    });
+
+    const formattedBookings = bookings.map((booking) => ({
+      id: booking.id,
+      carId: booking.carId,
+      car: serializeCarData(booking.car),
+      user: booking.user,
+      bookingDate: booking.bookingDate.toISOString(),
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      status: booking.status,
+      notes: booking.notes,
+      createdAt: booking.createdAt.toISOString(),
+      updatedAt: booking.updatedAt.toISOString(),
+    }));
+
+    return {
+      success: true,
+      data: formattedBookings,
+    };
+  } catch (error) {
+    console.error("Error fetching staff test drives:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Cancel a test drive booking
  */
@@ -157,6 +362,7 @@ export async function cancelTestDrive(bookingId) {
     // Get the user from our database
     const user = await db.user.findUnique({
       where: { clerkUserId: userId },
+      include: { dealerships: { select: { id: true } } },
     });
 
     if (!user) {
@@ -169,6 +375,7 @@ export async function cancelTestDrive(bookingId) {
     // Get the booking
     const booking = await db.testDriveBooking.findUnique({
       where: { id: bookingId },
+      include: { car: { select: { dealershipId: true } } },
     });
 
     if (!booking) {
@@ -178,8 +385,16 @@ export async function cancelTestDrive(bookingId) {
       };
     }
 
-    // Check if user owns this booking
-    if (booking.userId !== user.id || user.role !== "ADMIN") {
+    // Customers can cancel their own bookings, admins any booking at a
+    // location they manage
+    const isManagingAdmin =
+      user.role === "ADMIN" &&
+      canManageDealership(
+        getManagedDealershipIds(user),
+        booking.car.dealershipId
+      );
+
+    if (booking.userId !== user.id && !isManagingAdmin) {
       return {
         success: false,
         error: "Unauthorized to cancel this booking",
@@ -201,15 +416,23 @@ export async function cancelTestDrive(bookingId) {
       };
     }
 
-    // Update the booking status
-    await db.testDriveBooking.update({
-      where: { id: bookingId },
-      data: { status: "CANCELLED" },
-    });
+    // Update the booking status and its history together
+    await db.$transaction((tx) =>
+      changeBookingStatus(tx, booking, "CANCELLED", {
+        changedById: user.id,
+        reason:
+          booking.userId === user.id
+            ? "Cancelled by the customer"
+            : "Cancelled by the dealership",
+      })
+    );
+
+    await sendTestDriveEmail(bookingId, "cancelled");
 
     // Revalidate paths
     revalidatePath("/reservations");
     revalidatePath("/admin/test-drives");
+    revalidatePath("/my-drives");
 
     return {
       success: true,
@@ -222,4 +445,233 @@ export async function cancelTestDrive(bookingId) {
       error: error.message,
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Rate a completed test drive. Customers can leave feedback once per booking.
+ */
+export async function submitTestDriveFeedback({
+  bookingId,
+  carRating,
+  experienceRating,
+  comments,
+}) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("You must be logged in to leave feedback");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found in database");
+
+    const booking = await db.testDriveBooking.findUnique({
+      where: { id: bookingId },
+      include: { feedback: { select: { id: true } } },
+    });
+
+    if (!booking || booking.userId !== user.id) {
+      throw new Error("Booking not found");
+    }
+
+    if (booking.status !== "COMPLETED") {
+      throw new Error("Feedback can only be left for completed test drives");
+    }
+
+    if (booking.feedback) {
+      throw new Error("You have already rated this test drive");
+    }
+
+    const trimmedComments = comments?.trim() || null;
+    assertValidFeedback({
+      carRating,
+      experienceRating,
+      comments: trimmedComments,
+    });
+
+    await db.testDriveFeedback.create({
+      data: {
+        bookingId,
+        carRating,
+        experienceRating,
+        comments: trimmedComments,
+      },
+    });
+
+    revalidatePath("/reservations");
+    revalidatePath("/admin");
+
+    return {
+      success: true,
+      message: "Thanks for your feedback",
+    };
+  } catch (error) {
+    console.error("Error submitting test drive feedback:", error);
+    return {
+      success: false,
+      error: error.message || "Failed to submit feedback",
+    };
+  }
+}
+
+/**
+ * Move a test drive booking to another slot for the same car. Customers can
+ * move their own bookings and admins any booking at a location they manage.
+ * A booking the customer moves goes back to PENDING for the dealership to
+ * confirm again, and every move is kept in the reschedule history.
+ */
+export async function rescheduleTestDrive({
+  bookingId,
+  bookingDate,
+  startTime,
+  endTime,
+}) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("You must be logged in to reschedule");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+      include: { dealerships: { select: { id: true } } },
+    });
+
+    if (!user) throw new Error("User not found in database");
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(bookingDate || "")) {
+      throw new Error("Invalid booking date");
+    }
+
+    const booking = await db.$transaction(async (tx) => {
+      // Lock the booking first, so a status change or another move made
+      // meanwhile waits for this one instead of being overwritten by it
+      const [locked] = await tx.$queryRaw`
+        SELECT "id" FROM "TestDriveBooking" WHERE "id" = ${bookingId} FOR UPDATE
+      `;
+      if (!locked) throw new Error("Booking not found");
+
+      const current = await tx.testDriveBooking.findUnique({
+        where: { id: bookingId },
+      });
+
+      // Same locking as bookTestDrive, so a move can't race a new booking
+      const [car] = await tx.$queryRaw`
+        SELECT "id", "dealershipId", "status" FROM "Car"
+        WHERE "id" = ${current.carId}
+        FOR UPDATE
+      `;
+
+      const isOwner = current.userId === user.id;
+      const isManagingAdmin =
+        user.role === "ADMIN" &&
+        canManageDealership(getManagedDealershipIds(user), car.dealershipId);
+
+      if (!isOwner && !isManagingAdmin) {
+        throw new Error("Unauthorized to reschedule this booking");
+      }
+
+      if (!["PENDING", "CONFIRMED"].includes(current.status)) {
+        throw new Error("Only upcoming test drives can be rescheduled");
+      }
+
+      if (car.status !== "AVAILABLE") {
+        throw new Error("Car not available for test drive");
+      }
+
+      if (
+        current.bookingDate.toISOString().slice(0, 10) === bookingDate &&
+        current.startTime === startTime &&
+        current.endTime === endTime
+      ) {
+        throw new Error("The test drive is already booked for this time");
+      }
+
+      const dealership = await getCarDealership(car, tx);
+      if (dealership) {
+        await tx.$queryRaw`
+          SELECT "id" FROM "DealershipInfo" WHERE "id" = ${dealership.id} FOR UPDATE
+        `;
+      }
+
+      const slots = await findAvailableSlots(tx, car, bookingDate, bookingId);
+      const isAvailable = slots.some(
+        (slot) => slot.startTime === startTime && slot.endTime === endTime
+      );
+
+      if (!isAvailable) {
+        throw new Error(
+          "This time slot is no longer available. Please select another time."
+        );
+      }
+
+      // An admin moving someone's booking has already agreed to the slot
+      if (isOwner && current.status !== "PENDING") {
+        await changeBookingStatus(tx, current, "PENDING", {
+          changedById: user.id,
+          reason: "Rescheduled by the customer",
+          reschedule: true,
+        });
+      }
+
+      // Hand the drive back for reassignment if its salesperson can't make
+      // the new time
+      const keepsSalesperson =
+        !current.salespersonId ||
+        (await isSalespersonFree(tx, {
+          salespersonId: current.salespersonId,
+          dealershipId: dealership?.id,
+          date: bookingDate,
+          startTime,
+          endTime,
+          excludeBookingId: bookingId,
+        }));
+
+      return tx.testDriveBooking.update({
+        where: { id: bookingId },
+        data: {
+          bookingDate: new Date(bookingDate),
+          startTime,
+          endTime,
+          ...(!keepsSalesperson && { salespersonId: null }),
+          // The reminder is due again for the new slot
+          reminderSentAt: null,
+          reschedules: {
+            create: {
+              previousDate: current.bookingDate,
+              previousStartTime: current.startTime,
+              previousEndTime: current.endTime,
+              previousStatus: current.status,
+              newDate: new Date(bookingDate),
+              newStartTime: startTime,
+              newEndTime: endTime,
+              rescheduledById: user.id,
+            },
+          },
+        },
+      });
+    });
+
+    await sendTestDriveEmail(booking.id, "rescheduled");
+
+    revalidatePath("/reservations");
+    revalidatePath("/admin/test-drives");
+    revalidatePath("/my-drives");
+    revalidatePath(`/cars/${booking.carId}`);
+
+    return {
+      success: true,
+      data: {
+        ...booking,
+        bookingDate: booking.bookingDate.toISOString(),
+        createdAt: booking.createdAt.toISOString(),
+        updatedAt: booking.updatedAt.toISOString(),
+      },
+    };
+  } catch (error) {
+    console.error("Error rescheduling test drive:", error);
+    return {
+      success: false,
+      error: error.message || "Failed to reschedule test drive",
+    };
+  }
+}
@@ -15,6 +15,7 @@ import {
   Star,
   DollarSign,
 } from "lucide-react";
+import { FeedbackSummary } from "./feedback-summary";
 
 export function Dashboard({ initialData }) {
   const [activeTab, setActiveTab] = useState("overview");
@@ -32,7 +33,7 @@ export function Dashboard({ initialData }) {
     );
   }
 
-  const { cars, testDrives } = initialData.data;
+  const { cars, testDrives, feedback } = initialData.data;
 
   return (
     <div className="space-y-6">
@@ -44,6 +45,7 @@ export function Dashboard({ initialData }) {
         <TabsList>
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="test-drives">Test Drives</TabsTrigger>
+          <TabsTrigger value="feedback">Feedback</TabsTrigger>
         </TabsList>
 
         {/* Overview Tab */}
@@ -436,6 +438,14 @@ export function Dashboard({ initialData }) {
             </CardContent>
           </Card>
         </TabsContent>
+
+        {/* Feedback Tab */}
+        <TabsContent value="feedback" className="space-y-6">
+          <FeedbackSummary
+            feedback={feedback}
+            completedTestDrives={testDrives.completed}
+          />
+        </TabsContent>
       </Tabs>
     </div>
   );
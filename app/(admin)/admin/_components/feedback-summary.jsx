@@ -0,0 +1,138 @@
+"use client";
+
+import { MessageSquare, Star, Users } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { StarRating } from "@/components/star-rating";
+import { RATING_MAX } from "@/lib/test-drive-feedback";
+
+const formatRating = (rating) =>
+  rating === null ? "-" : `${rating.toFixed(1)} / ${RATING_MAX}`;
+
+// Average ratings for each car or salesperson, best rated first
+const RatingsTable = ({ title, nameHeading, rows, emptyMessage }) => (
+  <Card>
+    <CardHeader>
+      <CardTitle>{title}</CardTitle>
+    </CardHeader>
+    <CardContent>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4 text-center">{emptyMessage}</p>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{nameHeading}</TableHead>
+              <TableHead>Car Rating</TableHead>
+              <TableHead>Experience Rating</TableHead>
+              <TableHead className="text-right">Ratings</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row.id}>
+                <TableCell className="font-medium">{row.label}</TableCell>
+                <TableCell>
+                  <div className="flex items-center gap-2">
+                    <StarRating value={row.carRating} label="Car rating" />
+                    <span className="text-xs text-gray-500">
+                      {row.carRating.toFixed(1)}
+                    </span>
+                  </div>
+                </TableCell>
+                <TableCell>
+                  <div className="flex items-center gap-2">
+                    <StarRating
+                      value={row.experienceRating}
+                      label="Experience rating"
+                    />
+                    <span className="text-xs text-gray-500">
+                      {row.experienceRating.toFixed(1)}
+                    </span>
+                  </div>
+                </TableCell>
+                <TableCell className="text-right">{row.count}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </CardContent>
+  </Card>
+);
+
+export function FeedbackSummary({ feedback, completedTestDrives }) {
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-4 md:grid-cols-3">
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Responses</CardTitle>
+            <MessageSquare className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{feedback.count}</div>
+            <p className="text-xs text-muted-foreground">
+              {completedTestDrives
+                ? ((feedback.count / completedTestDrives) * 100).toFixed(1)
+                : 0}
+              % of completed test drives
+            </p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">
+              Average Car Rating
+            </CardTitle>
+            <Star className="h-4 w-4 text-amber-500" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">
+              {formatRating(feedback.carRating)}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              How customers rated the cars they drove
+            </p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">
+              Average Experience Rating
+            </CardTitle>
+            <Users className="h-4 w-4 text-blue-500" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">
+              {formatRating(feedback.experienceRating)}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              How customers rated the drive and our team
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+
+      <RatingsTable
+        title="Ratings by Car"
+        nameHeading="Car"
+        rows={feedback.byCar}
+        emptyMessage="No feedback yet. Customers are asked to rate a test drive once it is marked completed."
+      />
+      <RatingsTable
+        title="Ratings by Salesperson"
+        nameHeading="Salesperson"
+        rows={feedback.bySalesperson}
+        emptyMessage="No feedback yet for test drives with a salesperson assigned."
+      />
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import {
   LayoutDashboard,
   Car,
   Calendar,
+  CalendarDays,
   Cog,
 } from "lucide-react";
 import { cn } from "@/lib/utils";
@@ -28,6 +29,11 @@ const routes = [
     icon: Calendar,
     href: "/admin/test-drives",
   },
+  {
+    label: "Calendar",
+    icon: CalendarDays,
+    href: "/admin/test-drives/calendar",
+  },
   {
     label: "Settings",
     icon: Cog,
@@ -0,0 +1,33 @@
+import { notFound } from "next/navigation";
+import { getCar } from "@/actions/cars";
+import { getDealerships } from "@/actions/settings";
+import AddCarForm from "../../_components/add-car-form";
+
+export const metadata = {
+  title: "Edit Car | Vehiql Admin",
+  description: "Update a car in your marketplace",
+};
+
+export default async function EditCarPage({ params }) {
+  const { id } = await params;
+  const [result, dealershipsResult] = await Promise.all([
+    getCar(id),
+    getDealerships(),
+  ]);
+
+  // If car not found, show 404
+  if (!result.success) {
+    notFound();
+  }
+
+  const car = result.data;
+
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-bold mb-6">
+        Edit {car.year} {car.make} {car.model}
+      </h1>
+      <AddCarForm car={car} dealerships={dealershipsResult.data} />
+    </div>
+  );
+}
@@ -3,7 +3,6 @@
 import { toast } from 'sonner';
 import React, { useEffect, useState } from 'react'
 import { useForm } from 'react-hook-form';
-import { z } from 'zod';
 import { zodResolver } from '@hookform/resolvers/zod'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
@@ -13,12 +12,15 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Textarea } from '@/components/ui/textarea';
 import { Checkbox } from '@/components/ui/checkbox';
 import { useDropzone } from 'react-dropzone';
-import { Camera, Loader2, Upload, X } from 'lucide-react';
+import { Camera, ChevronLeft, ChevronRight, Loader2, Upload, X } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import Image from 'next/image';
 import { useRouter } from 'next/navigation';
 import useFetch from '@/hooks/use-fetch';
-import { addCar, processCarImageWithAI } from '@/actions/cars';
+import { addCar, processCarImageWithAI, updateCar } from '@/actions/cars';
+import { carFormSchema, toCarData } from '@/lib/car-schema';
+import { decodeVin } from '@/lib/vin';
+import { CAR_FEATURES, DRIVETRAINS } from '@/lib/car-specs';
 
 const fuelTypes = ["Petrol", "Diesel", "Electric", "Hybrid", "Plug-in Hybrid"];
 const transmissions = ["Automatic", "Manual", "Semi-Automatic"];
@@ -35,37 +37,16 @@ const bodyTypes = [
 const carStatuses = ["AVAILABLE", "UNAVAILABLE", "SOLD"];
 
 
-const AddCarForm = () => {
+// Pass an existing car to edit it instead of creating a new one
+const AddCarForm = ({ car = null, dealerships = [] }) => {
     const router = useRouter();
+    const isEditing = !!car;
     const [activeTab, setActiveTab] = useState("manual");
-    const [uploadedImages, setUploadedImages] = useState([]);
+    const [uploadedImages, setUploadedImages] = useState(car?.images || []);
     const [imageError, setImageError] = useState("");
     const [imagePreview, setImagePreview] = useState(null);
     const [uploadedAiImage, setUploadedAiImage] = useState(null);
 
-   const carFormSchema = z.object({
-    make: z.string().min(1, "Make is required"),
-    model: z.string().min(1, "Model is required"),
-    year: z.string().refine((val) => {
-        const year = parseInt(val);
-        return (
-        !isNaN(year) && year >= 1900 && year <= new Date().getFullYear() + 1
-        );
-    }, "Valid year required"),
-    price: z.string().min(1, "Price is required"),
-    mileage: z.string().min(1, "Mileage is required"),
-    color: z.string().min(1, "Color is required"),
-    fuelType: z.string().min(1, "Fuel type is required"),
-    transmission: z.string().min(1, "Transmission is required"),
-    bodyType: z.string().min(1, "Body type is required"),
-    seats: z.string().optional(),
-    description: z
-        .string()
-        .min(10, "Description must be at least 10 characters"),
-    status: z.enum(["AVAILABLE", "UNAVAILABLE", "SOLD"]),
-    featured: z.boolean().default(false),
-  });
-
   const {
     register, 
     setValue,
@@ -77,19 +58,27 @@ const AddCarForm = () => {
   } = useForm({
     resolver: zodResolver(carFormSchema),
     defaultValues: {
-        make: "",
-        model: "",
-        year: "",
-        price: "",
-        mileage: "",
-        color: "",
-        fuelType: "",
-        transmission: "",
-        bodyType: "",
-        seats: "",
-        description: "",
-        status: "AVAILABLE",
-        featured: false,
+        vin: car?.vin || "",
+        make: car?.make || "",
+        model: car?.model || "",
+        year: car?.year ? car.year.toString() : "",
+        price: car?.price ? car.price.toString() : "",
+        mileage: car ? car.mileage.toString() : "",
+        color: car?.color || "",
+        fuelType: car?.fuelType || "",
+        transmission: car?.transmission || "",
+        bodyType: car?.bodyType || "",
+        seats: car?.seats ? car.seats.toString() : "",
+        doors: car?.doors ? car.doors.toString() : "",
+        drivetrain: car?.drivetrain || "",
+        engineSize: car?.engineSize ? car.engineSize.toString() : "",
+        horsepower: car?.horsepower ? car.horsepower.toString() : "",
+        electricRange: car?.electricRange ? car.electricRange.toString() : "",
+        features: car?.features || [],
+        description: car?.description || "",
+        status: car?.status || "AVAILABLE",
+        dealershipId: car?.dealershipId || dealerships[0]?.id || "",
+        featured: car?.featured || false,
      },
    });
 
@@ -139,12 +128,45 @@ const AddCarForm = () => {
   }, [processImageResult, setValue]);
   
 
+  // Tick or untick an item on the equipment checklist
+  const toggleFeature = (key, checked) => {
+    const features = getValues("features");
+    setValue(
+        "features",
+        checked ? [...features, key] : features.filter((feature) => feature !== key)
+    );
+  };
+
+  const vinValue = watch("vin");
+  const decodedVin = vinValue?.length >= 17 ? decodeVin(vinValue) : null;
+
+  // Fill in make and year from the VIN if they're still empty
+  const handleVinChange = (e) => {
+    const decoded = decodeVin(e.target.value);
+    if (!decoded.valid) return;
+
+    if (decoded.make && !getValues("make")) {
+        setValue("make", decoded.make);
+    }
+    if (decoded.year && !getValues("year")) {
+        setValue("year", decoded.year.toString());
+    }
+  };
+
    const {
         data: addCarResult,
         loading: addCarLoading,
         fn: addCarFn
    } = useFetch(addCar);
 
+   const {
+        data: updateCarResult,
+        loading: updateCarLoading,
+        fn: updateCarFn
+   } = useFetch(updateCar);
+
+   const isSubmitting = addCarLoading || updateCarLoading;
+
    useEffect(() => {
     if (addCarResult?.success) {
         toast.success("Car added successfully");
@@ -152,19 +174,29 @@ const AddCarForm = () => {
     }
    }, [addCarResult, router]);
 
+   useEffect(() => {
+    if (updateCarResult?.success) {
+        toast.success("Car updated successfully");
+        router.push("/admin/cars");
+    }
+   }, [updateCarResult, router]);
+
    const onSubmit = async (data) => {
         if(uploadedImages.length === 0) {
             setImageError("Please upload at least one image");
             return;
         }
 
-        const carData = {
-            ...data,
-            year: parseInt(data.year),
-            price: parseFloat(data.price),
-            mileage: parseInt(data.mileage),
-            seats: data.seats ? parseInt(data.seats) : null,
-        };
+        const carData = toCarData(data);
+
+        if (isEditing) {
+            await updateCarFn({
+                id: car.id,
+                carData,
+                images: uploadedImages,
+            });
+            return;
+        }
           
         await addCarFn({
             carData,
@@ -254,6 +286,18 @@ const AddCarForm = () => {
       setImageError("Please upload at least one image");
     }
   };
+
+  // Move an image one position left or right; the first image is the cover
+  const moveImage = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= uploadedImages.length) return;
+
+    setUploadedImages((prev) => {
+      const reordered = [...prev];
+      [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+      return reordered;
+    });
+  };
    
   return (
     <div>
@@ -273,7 +317,9 @@ const AddCarForm = () => {
                 <CardHeader>
                     <CardTitle>Car Details</CardTitle>
                     <CardDescription>
-                        Enter the details of the car you want to add.
+                        {isEditing
+                            ? "Update the details and images of this car."
+                            : "Enter the details of the car you want to add."}
                     </CardDescription>
                 </CardHeader>
                 <CardContent>
@@ -281,6 +327,33 @@ const AddCarForm = () => {
                         onSubmit={handleSubmit(onSubmit)}
                         className='space-y-6'
                     >
+                        <div className='space-y-2'>
+                            <Label htmlFor="vin">
+                                VIN{" "}
+                                <span className="text-sm text-gray-500">(Optional)</span>
+                            </Label>
+                            <Input
+                                id="vin"
+                                {...register("vin", { onChange: handleVinChange })}
+                                placeholder="e.g. 1HGCM82633A004352"
+                                className={`uppercase ${errors.vin ? "border-red-500" : ""}`}
+                            />
+                            {errors.vin ? (
+                                <p className="text-xs text-red-500">
+                                    {errors.vin.message}
+                                </p>
+                            ) : decodedVin?.valid ? (
+                                <p className="text-xs text-gray-500">
+                                    {[decodedVin.year, decodedVin.make || "Unknown manufacturer"].join(" ")}
+                                    {!decodedVin.checkDigitValid && " (no check digit)"}
+                                </p>
+                            ) : decodedVin ? (
+                                <p className="text-xs text-amber-600">
+                                    {decodedVin.error}
+                                </p>
+                            ) : null}
+                        </div>
+
                         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                             <div className='space-y-2'>
                                 <Label htmlFor="make">Make</Label>
@@ -469,6 +542,118 @@ const AddCarForm = () => {
                                     </SelectContent>
                                 </Select>
                             </div>
+
+                            <div className="space-y-2">
+                                <Label htmlFor="dealershipId">Location</Label>
+                                <Select
+                                    onValueChange={(value) => setValue("dealershipId", value)}
+                                    value={watch("dealershipId")}
+                                >
+                                    <SelectTrigger className={errors.dealershipId ? "border-red-500" : ""}>
+                                    <SelectValue placeholder="Select location" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                    {dealerships.map((dealership) => (
+                                        <SelectItem key={dealership.id} value={dealership.id}>
+                                        {dealership.name}
+                                        </SelectItem>
+                                    ))}
+                                    </SelectContent>
+                                </Select>
+                                {errors.dealershipId && (
+                                    <p className="text-xs text-red-500">
+                                        {errors.dealershipId.message}
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="space-y-4">
+                            <h3 className="font-medium">
+                                Specifications{" "}
+                                <span className="text-sm font-normal text-gray-500">(Optional)</span>
+                            </h3>
+                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                                <div className="space-y-2">
+                                    <Label htmlFor="drivetrain">Drivetrain</Label>
+                                    <Select
+                                        onValueChange={(value) => setValue("drivetrain", value)}
+                                        value={watch("drivetrain")}
+                                    >
+                                        <SelectTrigger className={errors.drivetrain ? "border-red-500" : ""}>
+                                            <SelectValue placeholder="Select drivetrain" />
+                                        </SelectTrigger>
+                                        <SelectContent>
+                                            {DRIVETRAINS.map((type) => (
+                                                <SelectItem key={type} value={type}>
+                                                    {type}
+                                                </SelectItem>
+                                            ))}
+                                        </SelectContent>
+                                    </Select>
+                                    {errors.drivetrain && (
+                                        <p className="text-xs text-red-500">
+                                            {errors.drivetrain.message}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="engineSize">Engine Size (L)</Label>
+                                    <Input
+                                        id="engineSize"
+                                        {...register("engineSize")}
+                                        placeholder="e.g. 2.0"
+                                        className={errors.engineSize ? "border-red-500" : ""}
+                                    />
+                                    {errors.engineSize && (
+                                        <p className="text-xs text-red-500">
+                                            {errors.engineSize.message}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="horsepower">Horsepower</Label>
+                                    <Input
+                                        id="horsepower"
+                                        {...register("horsepower")}
+                                        placeholder="e.g. 180"
+                                        className={errors.horsepower ? "border-red-500" : ""}
+                                    />
+                                    {errors.horsepower && (
+                                        <p className="text-xs text-red-500">
+                                            {errors.horsepower.message}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="doors">Doors</Label>
+                                    <Input
+                                        id="doors"
+                                        {...register("doors")}
+                                        placeholder="e.g. 4"
+                                        className={errors.doors ? "border-red-500" : ""}
+                                    />
+                                    {errors.doors && (
+                                        <p className="text-xs text-red-500">
+                                            {errors.doors.message}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="electricRange">Electric Range (miles)</Label>
+                                    <Input
+                                        id="electricRange"
+                                        {...register("electricRange")}
+                                        placeholder="e.g. 300"
+                                        className={errors.electricRange ? "border-red-500" : ""}
+                                    />
+                                    {errors.electricRange && (
+                                        <p className="text-xs text-red-500">
+                                            {errors.electricRange.message}
+                                        </p>
+                                    )}
+                                </div>
+                            </div>
                         </div>
 
                         <div className="space-y-2">
@@ -486,6 +671,29 @@ const AddCarForm = () => {
                         )}
                         </div>
 
+                        <div className="space-y-3">
+                            <Label>Features & Equipment</Label>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+                                {CAR_FEATURES.map((feature) => (
+                                    <div key={feature.key} className="flex items-center space-x-2">
+                                        <Checkbox
+                                            id={`feature-${feature.key}`}
+                                            checked={watch("features").includes(feature.key)}
+                                            onCheckedChange={(checked) =>
+                                                toggleFeature(feature.key, checked)
+                                            }
+                                        />
+                                        <Label
+                                            htmlFor={`feature-${feature.key}`}
+                                            className="font-normal"
+                                        >
+                                            {feature.label}
+                                        </Label>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
                         <div className="flex items-start space-x-3 space-y-0 rounded-md border p-4">
                             <Checkbox
                                 id="featured"
@@ -547,6 +755,11 @@ const AddCarForm = () => {
                                         className='h-full w-full object-cover'
                                         />
                                     </div>
+                                    {index === 0 && (
+                                        <span className="absolute top-1 left-1 rounded bg-black/70 px-1.5 py-0.5 text-xs text-white">
+                                            Cover
+                                        </span>
+                                    )}
                                     <Button
                                         type="button"
                                         size="icon"
@@ -556,6 +769,28 @@ const AddCarForm = () => {
                                         >
                                         <X className="h-4 w-4" />
                                     </Button>
+                                    <div className="absolute bottom-1 right-1 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                                        <Button
+                                            type="button"
+                                            size="icon"
+                                            variant="secondary"
+                                            className="h-6 w-6"
+                                            onClick={() => moveImage(index, -1)}
+                                            disabled={index === 0}
+                                        >
+                                            <ChevronLeft className="h-4 w-4" />
+                                        </Button>
+                                        <Button
+                                            type="button"
+                                            size="icon"
+                                            variant="secondary"
+                                            className="h-6 w-6"
+                                            onClick={() => moveImage(index, 1)}
+                                            disabled={index === uploadedImages.length - 1}
+                                        >
+                                            <ChevronRight className="h-4 w-4" />
+                                        </Button>
+                                    </div>
                                 </div>
                             ))}
                             </div>
@@ -565,9 +800,11 @@ const AddCarForm = () => {
                         <Button 
                             type="submit" 
                             className="w-full md:w-auto mt-6"
-                            disabled={addCarLoading}
+                            disabled={isSubmitting}
                         >
-                            {addCarLoading ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Adding Car...</> : "Add Car"}
+                            {isEditing
+                                ? updateCarLoading ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Saving Changes...</> : "Save Changes"
+                                : addCarLoading ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Adding Car...</> : "Add Car"}
                         </Button>
                     </form>
                 </CardContent>
@@ -654,7 +891,7 @@ const AddCarForm = () => {
                                 <li>Click "Extract Car Details with AI" to analyze with Gemini AI</li>
                                 <li>Review the extracted information on the Manual Entry tab</li>
                                 <li>Fill in any missing details manually</li>
-                                <li>Add the car to your inventory</li>
+                                <li>{isEditing ? "Save your changes" : "Add the car to your inventory"}</li>
                             </ol>
                         </div>
 
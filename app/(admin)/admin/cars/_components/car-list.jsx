@@ -4,15 +4,19 @@ import { useEffect, useState } from "react";
 import { useRouter } from "next/navigation";
 import {
   CarIcon,
+  Download,
   Eye,
+  History,
   Image,
   Loader2,
   MoreHorizontal,
+  Pencil,
   Plus,
   Search,
   Star,
   StarOff,
   Trash2,
+  Upload,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -21,11 +25,19 @@ import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@
 import { DropdownMenu, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { DropdownMenuContent } from "@radix-ui/react-dropdown-menu";
 import useFetch from "@/hooks/use-fetch";
-import { deleteCar, getCars, updateCarStatus } from "@/actions/cars";
+import { deleteCar, exportCars, getCars, updateCarStatus } from "@/actions/cars";
 import { formatCurrency } from "@/lib/helpers";
 import { Badge } from "@/components/ui/badge";
 import { toast } from "sonner";
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { differenceInDays, format } from "date-fns";
+
+// Days a car has sat at its current price, from its latest history entry
+const getDaysAtPrice = (car) => {
+  const latest = car.priceHistory?.[0];
+  if (!latest) return null;
+  return differenceInDays(new Date(), new Date(latest.changedAt));
+};
 
 export const CarsList = () => {
 
@@ -33,6 +45,7 @@ export const CarsList = () => {
   const [search, setSearch] = useState("");
   const [carToDelete, setCarToDelete] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [priceHistoryCar, setPriceHistoryCar] = useState(null);
 
   const router = useRouter();
 
@@ -76,6 +89,27 @@ export const CarsList = () => {
     }
   }, [deleteResult, updateResult ]); 
 
+  const {
+    loading: exportingCars,
+    fn: exportCarsFn,
+    data: exportResult,
+  } = useFetch(exportCars);
+
+  // Download the exported CSV once it's ready
+  useEffect(() => {
+    if (exportResult?.success) {
+      const blob = new Blob([exportResult.data], {
+        type: "text/csv;charset=utf-8",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `cars-${format(new Date(), "yyyy-MM-dd")}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+  }, [exportResult]);
+
 
   // Get status badge color
   const getStatusBadge = (status) => {
@@ -136,13 +170,36 @@ export const CarsList = () => {
     <div className="space-y-4">
       {/* Actions and Search */}
       <div className="flex flex-col sm:flex-row gap-4 items-start sm:items-center justify-between">
-        <Button
-          onClick={() => router.push("/admin/cars/create")}
-          className="flex items-center"
-        >
-          <Plus className="h-4 w-4" />
-          Add Car
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            onClick={() => router.push("/admin/cars/create")}
+            className="flex items-center"
+          >
+            <Plus className="h-4 w-4" />
+            Add Car
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => router.push("/admin/cars/import")}
+            className="flex items-center"
+          >
+            <Upload className="h-4 w-4" />
+            Import
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => exportCarsFn(search)}
+            disabled={exportingCars}
+            className="flex items-center"
+          >
+            {exportingCars ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <Download className="h-4 w-4" />
+            )}
+            Export
+          </Button>
+        </div>
 
         {/* Simple Search Form */}
         <form onSubmit={handleSearchSubmit} className="flex w-full sm:w-auto">
@@ -175,6 +232,7 @@ export const CarsList = () => {
                     <TableHead>Make & Model</TableHead>
                     <TableHead>Year</TableHead>
                     <TableHead>Price</TableHead>
+                    <TableHead>Location</TableHead>
                     <TableHead>Status</TableHead>
                     <TableHead>Featured</TableHead>
                     <TableHead className="text-right">Actions</TableHead>
@@ -205,7 +263,17 @@ export const CarsList = () => {
                         {car.make} {car.model}
                       </TableCell>
                       <TableCell>{car.year}</TableCell>
-                      <TableCell>{formatCurrency(car.price)}</TableCell>
+                      <TableCell>
+                        <div>{formatCurrency(car.price)}</div>
+                        {getDaysAtPrice(car) !== null && (
+                          <div className="text-xs text-gray-500">
+                            {getDaysAtPrice(car)} days at this price
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm text-gray-600">
+                        {car.dealershipName || "Unassigned"}
+                      </TableCell>
                       <TableCell>{getStatusBadge(car.status)}</TableCell>
                       <TableCell>
                         <Button
@@ -244,6 +312,20 @@ export const CarsList = () => {
                               <Eye className="mr-2 h-4 w-4" />
                               View
                             </DropdownMenuItem>
+                            <DropdownMenuItem
+                              onClick={() =>
+                                router.push(`/admin/cars/${car.id}/edit`)
+                              }
+                            >
+                              <Pencil className="mr-2 h-4 w-4" />
+                              Edit
+                            </DropdownMenuItem>
+                            <DropdownMenuItem
+                              onClick={() => setPriceHistoryCar(car)}
+                            >
+                              <History className="mr-2 h-4 w-4" />
+                              Price History
+                            </DropdownMenuItem>
                             <DropdownMenuSeparator />
                             <DropdownMenuLabel>Status</DropdownMenuLabel>
                             <DropdownMenuItem
@@ -310,6 +392,64 @@ export const CarsList = () => {
         </CardContent>
       </Card>
 
+      {/* Price History Dialog */}
+      <Dialog
+        open={!!priceHistoryCar}
+        onOpenChange={(open) => !open && setPriceHistoryCar(null)}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Price History</DialogTitle>
+            <DialogDescription>
+              {priceHistoryCar?.make} {priceHistoryCar?.model} (
+              {priceHistoryCar?.year})
+            </DialogDescription>
+          </DialogHeader>
+          {priceHistoryCar?.priceHistory?.length > 0 ? (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Price</TableHead>
+                  <TableHead>From</TableHead>
+                  <TableHead>Until</TableHead>
+                  <TableHead className="text-right">Days</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {priceHistoryCar.priceHistory.map((entry, index) => {
+                  // History is newest first, so the next newer entry ends this price
+                  const endedAt =
+                    index > 0
+                      ? new Date(priceHistoryCar.priceHistory[index - 1].changedAt)
+                      : new Date();
+
+                  return (
+                    <TableRow key={entry.id}>
+                      <TableCell className="font-medium">
+                        {formatCurrency(entry.price)}
+                      </TableCell>
+                      <TableCell>
+                        {format(new Date(entry.changedAt), "MMM d, yyyy")}
+                      </TableCell>
+                      <TableCell>
+                        {index > 0 ? format(endedAt, "MMM d, yyyy") : "Current"}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {differenceInDays(endedAt, new Date(entry.changedAt))}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          ) : (
+            <p className="text-sm text-gray-500">
+              No price changes have been recorded for this car.
+            </p>
+          )}
+        </DialogContent>
+      </Dialog>
+
        {/* Delete Confirmation Dialog */}
        <Dialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
         <DialogContent>
@@ -0,0 +1,391 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { useRouter } from "next/navigation";
+import { useDropzone } from "react-dropzone";
+import { toast } from "sonner";
+import {
+  AlertCircle,
+  CheckCircle2,
+  FileSpreadsheet,
+  Loader2,
+  Upload,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { importCars } from "@/actions/cars";
+import { carFormSchema } from "@/lib/car-schema";
+import {
+  IMPORT_FIELDS,
+  buildImportRow,
+  guessColumnMapping,
+  parseSpreadsheet,
+} from "@/lib/car-import";
+
+// Rows sent to the server per request, images are downloaded for each one
+const BATCH_SIZE = 20;
+
+// Radix Select doesn't allow an empty value, so use a placeholder for "none"
+const NOT_MAPPED = "__none__";
+
+export const ImportCarsForm = ({ dealerships = [] }) => {
+  const router = useRouter();
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [defaultDealershipId, setDefaultDealershipId] = useState(
+    dealerships[0]?.id || ""
+  );
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+
+  const onDrop = async (acceptedFiles) => {
+    const file = acceptedFiles[0];
+    if (!file) return;
+
+    try {
+      const parsed = await parseSpreadsheet(file);
+
+      if (parsed.records.length === 0) {
+        toast.error("The file has no rows to import");
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(parsed.headers.filter(Boolean));
+      setRecords(parsed.records);
+      setMapping(guessColumnMapping(parsed.headers));
+      setResults(null);
+    } catch (error) {
+      console.error("Error reading spreadsheet:", error);
+      toast.error("Could not read this file");
+    }
+  };
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      "text/csv": [".csv"],
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [
+        ".xlsx",
+      ],
+    },
+    multiple: false,
+  });
+
+  // Build and validate every row whenever the mapping changes
+  const rows = useMemo(
+    () =>
+      records.map((record, index) => {
+        // Row 1 is the header, so data starts on row 2
+        const row = buildImportRow(record, mapping, {
+          rowNumber: index + 2,
+          defaultDealershipId,
+          dealerships,
+        });
+        const { rowNumber, imageUrls, ...values } = row;
+        const parsed = carFormSchema.safeParse(values);
+
+        return {
+          ...row,
+          errors: parsed.success
+            ? []
+            : parsed.error.issues.map(
+                (issue) => `${issue.path.join(".")}: ${issue.message}`
+              ),
+        };
+      }),
+    [records, mapping, defaultDealershipId, dealerships]
+  );
+
+  const validRows = rows.filter((row) => row.errors.length === 0);
+  const invalidCount = rows.length - validRows.length;
+
+  const handleMappingChange = (fieldKey, column) => {
+    setMapping((prev) => ({
+      ...prev,
+      [fieldKey]: column === NOT_MAPPED ? "" : column,
+    }));
+  };
+
+  // Import valid rows in batches so large feeds don't time out. Batches that
+  // already went through stay imported if a later one fails.
+  const handleImport = async () => {
+    const totals = { created: 0, withoutImages: 0, errors: [], warnings: [] };
+    setProgress({ done: 0, total: validRows.length });
+
+    try {
+      for (let i = 0; i < validRows.length; i += BATCH_SIZE) {
+        const batch = validRows
+          .slice(i, i + BATCH_SIZE)
+          .map(({ errors, ...row }) => row);
+
+        const result = await importCars({ rows: batch });
+
+        totals.created += result.created;
+        totals.withoutImages += result.withoutImages;
+        totals.errors.push(...result.errors);
+        totals.warnings.push(...result.warnings);
+        setProgress({ done: i + batch.length, total: validRows.length });
+      }
+
+      toast.success(`Imported ${totals.created} cars`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setProgress(null);
+      setResults(totals);
+    }
+  };
+
+  const isImporting = progress !== null;
+
+  return (
+    <div className="space-y-6">
+      {/* File upload */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Upload File</CardTitle>
+          <CardDescription>
+            Upload a CSV or Excel (.xlsx) file with one car per row and a header
+            row with column names.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div
+            {...getRootProps()}
+            className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition ${
+              isDragActive ? "border-blue-500 bg-blue-50" : "hover:bg-gray-50"
+            }`}
+          >
+            <input {...getInputProps()} />
+            {fileName ? (
+              <div className="flex flex-col items-center">
+                <FileSpreadsheet className="h-10 w-10 text-green-600 mb-2" />
+                <p className="font-medium">{fileName}</p>
+                <p className="text-sm text-gray-500">
+                  {records.length} rows found. Drop another file to replace it.
+                </p>
+              </div>
+            ) : (
+              <div className="flex flex-col items-center">
+                <Upload className="h-10 w-10 text-gray-400 mb-2" />
+                <p className="text-gray-600">
+                  {isDragActive
+                    ? "Drop the file here"
+                    : "Drag & drop a file, or click to select"}
+                </p>
+                <p className="text-gray-500 text-sm mt-1">
+                  Supports .csv and .xlsx
+                </p>
+              </div>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {records.length > 0 && (
+        <>
+          {/* Column mapping */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Map Columns</CardTitle>
+              <CardDescription>
+                Choose which column holds each car field. Image URLs can be
+                separated by spaces, commas, semicolons or pipes; cars without
+                images are imported as unavailable until photos are added.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {IMPORT_FIELDS.map((field) => (
+                  <div key={field.key} className="space-y-2">
+                    <Label>{field.label}</Label>
+                    <Select
+                      value={mapping[field.key] || NOT_MAPPED}
+                      onValueChange={(value) =>
+                        handleMappingChange(field.key, value)
+                      }
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={NOT_MAPPED}>Not mapped</SelectItem>
+                        {headers.map((header) => (
+                          <SelectItem key={header} value={header}>
+                            {header}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+
+                <div className="space-y-2">
+                  <Label>Default Location</Label>
+                  <Select
+                    value={defaultDealershipId}
+                    onValueChange={setDefaultDealershipId}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select location" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {dealerships.map((dealership) => (
+                        <SelectItem key={dealership.id} value={dealership.id}>
+                          {dealership.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-gray-500">
+                    Used for rows without a location column value
+                  </p>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Preview */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Preview</CardTitle>
+              <CardDescription>
+                {validRows.length} of {rows.length} rows are ready to import.
+                {invalidCount > 0 &&
+                  ` ${invalidCount} rows have errors and will be skipped.`}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="overflow-x-auto max-h-[480px] overflow-y-auto border rounded-md">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-16">Row</TableHead>
+                      <TableHead>Car</TableHead>
+                      <TableHead>Price</TableHead>
+                      <TableHead>Images</TableHead>
+                      <TableHead>Result</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rows.map((row) => (
+                      <TableRow key={row.rowNumber}>
+                        <TableCell>{row.rowNumber}</TableCell>
+                        <TableCell className="font-medium">
+                          {[row.year, row.make, row.model]
+                            .filter(Boolean)
+                            .join(" ") || "-"}
+                        </TableCell>
+                        <TableCell>{row.price || "-"}</TableCell>
+                        <TableCell>{row.imageUrls.length}</TableCell>
+                        <TableCell>
+                          {row.errors.length === 0 ? (
+                            <Badge className="bg-green-100 text-green-800 hover:bg-green-100">
+                              <CheckCircle2 className="h-3 w-3 mr-1" />
+                              Valid
+                            </Badge>
+                          ) : (
+                            <ul className="text-xs text-red-600 space-y-0.5">
+                              {row.errors.map((error) => (
+                                <li key={error} className="flex items-start">
+                                  <AlertCircle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                                  {error}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+
+              <div className="flex justify-end">
+                <Button
+                  onClick={handleImport}
+                  disabled={isImporting || validRows.length === 0}
+                >
+                  {isImporting ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Importing {progress.done} of {progress.total}...
+                    </>
+                  ) : (
+                    <>
+                      <Upload className="mr-2 h-4 w-4" />
+                      Import {validRows.length} Cars
+                    </>
+                  )}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+
+      {/* Import results */}
+      {results && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Import Complete</CardTitle>
+            <CardDescription>
+              {results.created} cars created
+              {results.withoutImages > 0 &&
+                `, ${results.withoutImages} without images (marked unavailable)`}
+              .
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {[...results.errors, ...results.warnings].length > 0 && (
+              <ul className="text-sm space-y-1">
+                {results.errors.map((error) => (
+                  <li key={`error-${error.rowNumber}`} className="text-red-600">
+                    Row {error.rowNumber}: {error.messages.join(", ")}
+                  </li>
+                ))}
+                {results.warnings.map((warning, index) => (
+                  <li
+                    key={`warning-${warning.rowNumber}-${index}`}
+                    className="text-amber-600"
+                  >
+                    Row {warning.rowNumber}: {warning.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <Button onClick={() => router.push("/admin/cars")}>
+              View Cars
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
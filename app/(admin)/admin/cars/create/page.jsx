@@ -1,15 +1,18 @@
 import AddCarForm from "../_components/add-car-form";
+import { getDealerships } from "@/actions/settings";
 
 export const metadata = {
   title: "Cars | Vehiql Admin",
   description: "Manage cars in your marketplace",
 };
 
-export default function CarsPage() {
+export default async function CarsPage() {
+  const dealershipsResult = await getDealerships();
+
   return (
     <div className="p-6">
       <h1 className="text-2xl font-bold mb-6">Add New Car</h1>
-      <AddCarForm/>
+      <AddCarForm dealerships={dealershipsResult.data} />
     </div>
   );
-}
\ No newline at end of file
+}
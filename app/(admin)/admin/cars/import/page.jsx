@@ -0,0 +1,18 @@
+import { getDealerships } from "@/actions/settings";
+import { ImportCarsForm } from "../_components/import-cars-form";
+
+export const metadata = {
+  title: "Import Cars | Vehiql Admin",
+  description: "Import cars from a CSV or Excel file",
+};
+
+export default async function ImportCarsPage() {
+  const dealershipsResult = await getDealerships();
+
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-bold mb-6">Import Cars</h1>
+      <ImportCarsForm dealerships={dealershipsResult.data} />
+    </div>
+  );
+}
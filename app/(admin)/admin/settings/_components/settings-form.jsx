@@ -11,7 +11,14 @@ import {
   UserX,
   CheckCircle,
   Search,
+  CalendarPlus,
+  Trash2,
+  MapPin,
+  Plus,
+  BadgeCheck,
+  CalendarClock,
 } from "lucide-react";
+import { format } from "date-fns";
 
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
@@ -34,6 +41,14 @@ import {
   TableRow,
 } from "@/components/ui/table";
 import { Badge } from "@/components/ui/badge";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import {
   Dialog,
   DialogContent,
@@ -44,11 +59,18 @@ import {
 } from "@/components/ui/dialog";
 import useFetch from "@/hooks/use-fetch";
 import {
+  getDealerships,
   getDealershipInfo,
+  saveDealership,
   saveWorkingHours,
+  saveBookingSettings,
+  saveSpecialHour,
+  deleteSpecialHour,
   getUsers,
   updateUserRole,
+  updateAdminDealerships,
 } from "@/actions/settings";
+import { StaffShiftsDialog } from "./staff-shifts-dialog";
 
 // Day names for display
 const DAYS = [
@@ -61,7 +83,16 @@ const DAYS = [
   { value: "SUNDAY", label: "Sunday" },
 ];
 
+const EMPTY_LOCATION = { name: "", address: "", phone: "", email: "" };
+
 export const SettingsForm = () => {
+  const [selectedDealershipId, setSelectedDealershipId] = useState("");
+  const [locationDetails, setLocationDetails] = useState(EMPTY_LOCATION);
+  const [isNewLocation, setIsNewLocation] = useState(false);
+  const [activeTab, setActiveTab] = useState("hours");
+  const [userToScope, setUserToScope] = useState(null);
+  const [scopeDealershipIds, setScopeDealershipIds] = useState([]);
+
   const [workingHours, setWorkingHours] = useState(
     DAYS.map((day) => ({
       dayOfWeek: day.value,
@@ -71,13 +102,48 @@ export const SettingsForm = () => {
     }))
   );
 
+  const [bookingSettings, setBookingSettings] = useState({
+    slotDuration: 60,
+    bufferMinutes: 0,
+    maxConcurrentDrives: 1,
+  });
+
+  const [specialHour, setSpecialHour] = useState({
+    date: undefined,
+    isOpen: false,
+    openTime: "09:00",
+    closeTime: "18:00",
+    reason: "",
+  });
+
   const [userSearch, setUserSearch] = useState("");
   const [confirmAdminDialog, setConfirmAdminDialog] = useState(false);
   const [userToPromote, setUserToPromote] = useState(null);
   const [confirmRemoveDialog, setConfirmRemoveDialog] = useState(false);
   const [userToDemote, setUserToDemote] = useState(null);
+  const [staffToSchedule, setStaffToSchedule] = useState(null);
 
   // Custom hooks for API calls
+  const {
+    fn: fetchDealerships,
+    data: dealershipsData,
+    error: dealershipsError,
+  } = useFetch(getDealerships);
+
+  const {
+    loading: savingLocation,
+    fn: saveLocation,
+    data: saveLocationResult,
+    error: saveLocationError,
+  } = useFetch(saveDealership);
+
+  const {
+    loading: updatingScope,
+    fn: updateScope,
+    data: updateScopeResult,
+    error: updateScopeError,
+  } = useFetch(updateAdminDealerships);
+
   const {
     loading: fetchingSettings,
     fn: fetchDealershipInfo,
@@ -92,6 +158,27 @@ export const SettingsForm = () => {
     error: saveError,
   } = useFetch(saveWorkingHours);
 
+  const {
+    loading: savingBooking,
+    fn: saveBooking,
+    data: saveBookingResult,
+    error: saveBookingError,
+  } = useFetch(saveBookingSettings);
+
+  const {
+    loading: savingSpecial,
+    fn: saveSpecial,
+    data: saveSpecialResult,
+    error: saveSpecialError,
+  } = useFetch(saveSpecialHour);
+
+  const {
+    loading: deletingSpecial,
+    fn: deleteSpecial,
+    data: deleteSpecialResult,
+    error: deleteSpecialError,
+  } = useFetch(deleteSpecialHour);
+
   const {
     loading: fetchingUsers,
     fn: fetchUsers,
@@ -106,17 +193,51 @@ export const SettingsForm = () => {
     error: updateRoleError,
   } = useFetch(updateUserRole);
 
-  // Fetch settings and users on component mount
+  const dealerships = dealershipsData?.success ? dealershipsData.data : [];
+  const canManageAll = dealershipsData?.canManageAll;
+
+  // Reload the settings of the location being edited
+  const refreshDealership = () => fetchDealershipInfo(selectedDealershipId);
+
+  // Fetch locations and users on component mount
   useEffect(() => {
-    fetchDealershipInfo();
+    fetchDealerships();
     fetchUsers();
   }, []);
 
+  // Select the first location once they are loaded
+  useEffect(() => {
+    if (dealerships.length > 0 && !selectedDealershipId) {
+      setSelectedDealershipId(dealerships[0].id);
+    }
+  }, [dealershipsData]);
+
+  // Fetch settings whenever a different location is selected
+  useEffect(() => {
+    if (selectedDealershipId) {
+      fetchDealershipInfo(selectedDealershipId);
+      setIsNewLocation(false);
+    }
+  }, [selectedDealershipId]);
+
   // Set working hours when settings data is fetched
   useEffect(() => {
     if (settingsData?.success && settingsData.data) {
       const dealership = settingsData.data;
 
+      setLocationDetails({
+        name: dealership.name,
+        address: dealership.address,
+        phone: dealership.phone,
+        email: dealership.email,
+      });
+
+      setBookingSettings({
+        slotDuration: dealership.slotDuration,
+        bufferMinutes: dealership.bufferMinutes,
+        maxConcurrentDrives: dealership.maxConcurrentDrives,
+      });
+
       // Map the working hours
       if (dealership.workingHours.length > 0) {
         const mappedHours = DAYS.map((day) => {
@@ -154,10 +275,38 @@ export const SettingsForm = () => {
       toast.error("Failed to load dealership settings");
     }
 
+    if (dealershipsError) {
+      toast.error("Failed to load dealership locations");
+    }
+
+    if (saveLocationError) {
+      toast.error(`Failed to save location: ${saveLocationError.message}`);
+    }
+
+    if (updateScopeError) {
+      toast.error(
+        `Failed to update dealership access: ${updateScopeError.message}`
+      );
+    }
+
     if (saveError) {
       toast.error(`Failed to save working hours: ${saveError.message}`);
     }
 
+    if (saveBookingError) {
+      toast.error(`Failed to save booking settings: ${saveBookingError.message}`);
+    }
+
+    if (saveSpecialError) {
+      toast.error(`Failed to save special hours: ${saveSpecialError.message}`);
+    }
+
+    if (deleteSpecialError) {
+      toast.error(
+        `Failed to delete special hours: ${deleteSpecialError.message}`
+      );
+    }
+
     if (usersError) {
       toast.error("Failed to load users");
     }
@@ -165,13 +314,57 @@ export const SettingsForm = () => {
     if (updateRoleError) {
       toast.error(`Failed to update user role: ${updateRoleError.message}`);
     }
-  }, [settingsError, saveError, usersError, updateRoleError]);
+  }, [
+    settingsError,
+    dealershipsError,
+    saveLocationError,
+    updateScopeError,
+    saveError,
+    saveBookingError,
+    saveSpecialError,
+    deleteSpecialError,
+    usersError,
+    updateRoleError,
+  ]);
 
   // Handle successful operations
   useEffect(() => {
+    if (saveLocationResult?.success) {
+      toast.success("Location saved successfully");
+      fetchDealerships();
+
+      if (saveLocationResult.data.id === selectedDealershipId) {
+        refreshDealership();
+      } else {
+        setSelectedDealershipId(saveLocationResult.data.id);
+      }
+    }
+
+    if (updateScopeResult?.success) {
+      toast.success("Dealership access updated successfully");
+      fetchUsers();
+      setUserToScope(null);
+    }
+
     if (saveResult?.success) {
       toast.success("Working hours saved successfully");
-      fetchDealershipInfo();
+      refreshDealership();
+    }
+
+    if (saveBookingResult?.success) {
+      toast.success("Booking settings saved successfully");
+      refreshDealership();
+    }
+
+    if (saveSpecialResult?.success) {
+      toast.success("Special hours saved successfully");
+      setSpecialHour((prev) => ({ ...prev, date: undefined, reason: "" }));
+      refreshDealership();
+    }
+
+    if (deleteSpecialResult?.success) {
+      toast.success("Special hours removed");
+      refreshDealership();
     }
 
     if (updateRoleResult?.success) {
@@ -180,7 +373,15 @@ export const SettingsForm = () => {
       setConfirmAdminDialog(false);
       setConfirmRemoveDialog(false);
     }
-  }, [saveResult, updateRoleResult]);
+  }, [
+    saveLocationResult,
+    updateScopeResult,
+    saveResult,
+    saveBookingResult,
+    saveSpecialResult,
+    deleteSpecialResult,
+    updateRoleResult,
+  ]);
 
   // Handle working hours change
   const handleWorkingHourChange = (index, field, value) => {
@@ -194,9 +395,70 @@ export const SettingsForm = () => {
 
   // Save working hours
   const handleSaveHours = async () => {
-    await saveHours(workingHours);
+    await saveHours(selectedDealershipId, workingHours);
+  };
+
+  // Start adding a new location
+  const handleNewLocation = () => {
+    setIsNewLocation(true);
+    setLocationDetails(EMPTY_LOCATION);
+    setActiveTab("location");
+  };
+
+  // Create the new location or update the selected one
+  const handleSaveLocation = async () => {
+    await saveLocation({
+      ...locationDetails,
+      id: isNewLocation ? undefined : selectedDealershipId,
+    });
   };
 
+  // Open the dealership access dialog for an admin
+  const handleEditScope = (user) => {
+    setUserToScope(user);
+    setScopeDealershipIds(user.dealershipIds);
+  };
+
+  const toggleScopeDealership = (dealershipId, checked) => {
+    setScopeDealershipIds((prev) =>
+      checked
+        ? [...prev, dealershipId]
+        : prev.filter((id) => id !== dealershipId)
+    );
+  };
+
+  const handleSaveScope = async () => {
+    if (!userToScope) return;
+    await updateScope(userToScope.id, scopeDealershipIds);
+  };
+
+  // Handle booking settings change
+  const handleBookingSettingChange = (field, value) => {
+    setBookingSettings((prev) => ({ ...prev, [field]: value }));
+  };
+
+  // Save booking settings
+  const handleSaveBookingSettings = async () => {
+    await saveBooking({
+      ...bookingSettings,
+      dealershipId: selectedDealershipId,
+    });
+  };
+
+  // Save a holiday or special hours for the selected date
+  const handleSaveSpecialHour = async () => {
+    if (!specialHour.date) return;
+    await saveSpecial({
+      ...specialHour,
+      dealershipId: selectedDealershipId,
+      date: format(specialHour.date, "yyyy-MM-dd"),
+    });
+  };
+
+  const specialHours = settingsData?.success
+    ? settingsData.data.specialHours
+    : [];
+
   // Make user admin
   const handleMakeAdmin = async () => {
     if (!userToPromote) return;
@@ -209,6 +471,24 @@ export const SettingsForm = () => {
     await updateRole(userToDemote.id, "USER");
   };
 
+  // Staff don't need confirming, they only see the drives assigned to them
+  const handleSetStaff = async (user, isStaff) => {
+    await updateRole(user.id, isStaff ? "STAFF" : "USER");
+  };
+
+  // Locations an admin is scoped to, by name
+  const getLocationNames = (dealershipIds) => {
+    if (dealershipIds.length === 0) return "All locations";
+
+    return dealershipIds
+      .map(
+        (id) =>
+          dealerships.find((dealership) => dealership.id === id)?.name ||
+          "Other location"
+      )
+      .join(", ");
+  };
+
   // Filter users by search term
   const filteredUsers = usersData?.success
     ? usersData.data.filter(
@@ -220,18 +500,119 @@ export const SettingsForm = () => {
 
   return (
     <div className="space-y-6">
-      <Tabs defaultValue="hours">
+      {/* Location being configured */}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <div className="flex items-center gap-2">
+          <MapPin className="h-4 w-4 text-gray-500" />
+          <span className="font-medium">Location</span>
+        </div>
+        <Select
+          value={selectedDealershipId}
+          onValueChange={setSelectedDealershipId}
+          disabled={dealerships.length === 0}
+        >
+          <SelectTrigger className="sm:w-72">
+            <SelectValue placeholder="Select a location" />
+          </SelectTrigger>
+          <SelectContent>
+            {dealerships.map((dealership) => (
+              <SelectItem key={dealership.id} value={dealership.id}>
+                {dealership.name} ({dealership.carCount} cars)
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {canManageAll && (
+          <Button variant="outline" onClick={handleNewLocation}>
+            <Plus className="h-4 w-4 mr-2" />
+            New Location
+          </Button>
+        )}
+      </div>
+
+      <Tabs value={activeTab} onValueChange={setActiveTab}>
         <TabsList>
+          <TabsTrigger value="location">
+            <MapPin className="h-4 w-4 mr-2" />
+            Location Details
+          </TabsTrigger>
           <TabsTrigger value="hours">
             <Clock className="h-4 w-4 mr-2" />
             Working Hours
           </TabsTrigger>
           <TabsTrigger value="admins">
             <Shield className="h-4 w-4 mr-2" />
-            Admin Users
+            Users & Staff
           </TabsTrigger>
         </TabsList>
 
+        <TabsContent value="location" className="space-y-6 mt-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>
+                {isNewLocation ? "New Location" : "Location Details"}
+              </CardTitle>
+              <CardDescription>
+                {isNewLocation
+                  ? "Add another lot. It starts with the default working hours."
+                  : "Contact details shown to buyers for cars at this location."}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[
+                  { field: "name", label: "Name" },
+                  { field: "address", label: "Address" },
+                  { field: "phone", label: "Phone" },
+                  { field: "email", label: "Email" },
+                ].map(({ field, label }) => (
+                  <div key={field} className="space-y-2">
+                    <Label htmlFor={`location-${field}`}>{label}</Label>
+                    <Input
+                      id={`location-${field}`}
+                      value={locationDetails[field]}
+                      onChange={(e) =>
+                        setLocationDetails((prev) => ({
+                          ...prev,
+                          [field]: e.target.value,
+                        }))
+                      }
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="mt-6 flex justify-end gap-2">
+                {isNewLocation && (
+                  <Button
+                    variant="outline"
+                    onClick={() => {
+                      setIsNewLocation(false);
+                      refreshDealership();
+                    }}
+                    disabled={savingLocation}
+                  >
+                    Cancel
+                  </Button>
+                )}
+                <Button onClick={handleSaveLocation} disabled={savingLocation}>
+                  {savingLocation ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Saving...
+                    </>
+                  ) : (
+                    <>
+                      <Save className="mr-2 h-4 w-4" />
+                      {isNewLocation ? "Add Location" : "Save Location"}
+                    </>
+                  )}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </TabsContent>
+
         <TabsContent value="hours" className="space-y-6 mt-6">
           <Card>
             <CardHeader>
@@ -332,14 +713,252 @@ export const SettingsForm = () => {
               </div>
             </CardContent>
           </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Test Drive Slots</CardTitle>
+              <CardDescription>
+                Control how long test drives last, the gap between them and how
+                many can run at the same time.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="slotDuration">Slot Duration (minutes)</Label>
+                  <Input
+                    id="slotDuration"
+                    type="number"
+                    min={15}
+                    max={480}
+                    step={15}
+                    value={bookingSettings.slotDuration}
+                    onChange={(e) =>
+                      handleBookingSettingChange("slotDuration", e.target.value)
+                    }
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="bufferMinutes">Buffer Time (minutes)</Label>
+                  <Input
+                    id="bufferMinutes"
+                    type="number"
+                    min={0}
+                    max={240}
+                    step={5}
+                    value={bookingSettings.bufferMinutes}
+                    onChange={(e) =>
+                      handleBookingSettingChange("bufferMinutes", e.target.value)
+                    }
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="maxConcurrentDrives">
+                    Concurrent Drives per Slot
+                  </Label>
+                  <Input
+                    id="maxConcurrentDrives"
+                    type="number"
+                    min={1}
+                    max={20}
+                    value={bookingSettings.maxConcurrentDrives}
+                    onChange={(e) =>
+                      handleBookingSettingChange(
+                        "maxConcurrentDrives",
+                        e.target.value
+                      )
+                    }
+                  />
+                  <p className="text-xs text-gray-500">
+                    At most the number of staff with shifts at this location
+                  </p>
+                </div>
+              </div>
+
+              <div className="mt-6 flex justify-end">
+                <Button
+                  onClick={handleSaveBookingSettings}
+                  disabled={savingBooking}
+                >
+                  {savingBooking ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Saving...
+                    </>
+                  ) : (
+                    <>
+                      <Save className="mr-2 h-4 w-4" />
+                      Save Booking Settings
+                    </>
+                  )}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Holidays & Special Hours</CardTitle>
+              <CardDescription>
+                Close on specific dates or set custom hours that override the
+                weekly schedule.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="space-y-4">
+                  <Calendar
+                    mode="single"
+                    selected={specialHour.date}
+                    onSelect={(date) =>
+                      setSpecialHour((prev) => ({ ...prev, date }))
+                    }
+                    disabled={{ before: new Date() }}
+                    modifiers={{
+                      special: specialHours.map(
+                        (entry) => new Date(`${entry.date}T00:00:00`)
+                      ),
+                    }}
+                    modifiersClassNames={{
+                      special: "bg-amber-100 text-amber-900",
+                    }}
+                    className="rounded-md border w-fit"
+                  />
+
+                  <div className="flex items-center">
+                    <Checkbox
+                      id="special-is-open"
+                      checked={specialHour.isOpen}
+                      onCheckedChange={(checked) =>
+                        setSpecialHour((prev) => ({
+                          ...prev,
+                          isOpen: checked === true,
+                        }))
+                      }
+                    />
+                    <Label
+                      htmlFor="special-is-open"
+                      className="ml-2 cursor-pointer"
+                    >
+                      {specialHour.isOpen
+                        ? "Open with custom hours"
+                        : "Closed all day"}
+                    </Label>
+                  </div>
+
+                  {specialHour.isOpen && (
+                    <div className="flex items-center gap-2">
+                      <Clock className="h-4 w-4 text-gray-400" />
+                      <Input
+                        type="time"
+                        value={specialHour.openTime}
+                        onChange={(e) =>
+                          setSpecialHour((prev) => ({
+                            ...prev,
+                            openTime: e.target.value,
+                          }))
+                        }
+                        className="text-sm"
+                      />
+                      <span>to</span>
+                      <Input
+                        type="time"
+                        value={specialHour.closeTime}
+                        onChange={(e) =>
+                          setSpecialHour((prev) => ({
+                            ...prev,
+                            closeTime: e.target.value,
+                          }))
+                        }
+                        className="text-sm"
+                      />
+                    </div>
+                  )}
+
+                  <Input
+                    placeholder="Reason (e.g. Christmas Day)"
+                    value={specialHour.reason}
+                    onChange={(e) =>
+                      setSpecialHour((prev) => ({
+                        ...prev,
+                        reason: e.target.value,
+                      }))
+                    }
+                  />
+
+                  <Button
+                    onClick={handleSaveSpecialHour}
+                    disabled={!specialHour.date || savingSpecial}
+                  >
+                    {savingSpecial ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        Saving...
+                      </>
+                    ) : (
+                      <>
+                        <CalendarPlus className="mr-2 h-4 w-4" />
+                        Save Date
+                      </>
+                    )}
+                  </Button>
+                </div>
+
+                <div>
+                  <h4 className="font-medium mb-3">Upcoming</h4>
+                  {specialHours.length > 0 ? (
+                    <div className="space-y-2">
+                      {specialHours.map((entry) => (
+                        <div
+                          key={entry.id}
+                          className="flex items-center justify-between gap-4 rounded-lg border px-4 py-2"
+                        >
+                          <div>
+                            <div className="font-medium">
+                              {format(
+                                new Date(`${entry.date}T00:00:00`),
+                                "EEE, MMM d, yyyy"
+                              )}
+                            </div>
+                            <div className="text-sm text-gray-500">
+                              {entry.isOpen
+                                ? `${entry.openTime} - ${entry.closeTime}`
+                                : "Closed"}
+                              {entry.reason && ` · ${entry.reason}`}
+                            </div>
+                          </div>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="text-red-600"
+                            onClick={() => deleteSpecial(entry.id)}
+                            disabled={deletingSpecial}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500 italic">
+                      No holidays or special hours scheduled
+                    </p>
+                  )}
+                </div>
+              </div>
+            </CardContent>
+          </Card>
         </TabsContent>
 
         <TabsContent value="admins" className="space-y-6 mt-6">
           <Card>
             <CardHeader>
-              <CardTitle>Admin Users</CardTitle>
+              <CardTitle>Users & Staff</CardTitle>
               <CardDescription>
-                Manage users with admin privileges.
+                Manage admins, and the salespeople test drives can be assigned
+                to.
               </CardDescription>
             </CardHeader>
             <CardContent>
@@ -366,6 +985,7 @@ export const SettingsForm = () => {
                         <TableHead>User</TableHead>
                         <TableHead>Email</TableHead>
                         <TableHead>Role</TableHead>
+                        <TableHead>Locations / Shifts</TableHead>
                         <TableHead className="text-right">Actions</TableHead>
                       </TableRow>
                     </TableHeader>
@@ -394,27 +1014,83 @@ export const SettingsForm = () => {
                               className={
                                 user.role === "ADMIN"
                                   ? "bg-green-800"
+                                  : user.role === "STAFF"
+                                  ? "bg-blue-800"
                                   : "bg-gray-800"
                               }
                             >
                               {user.role}
                             </Badge>
                           </TableCell>
-                          <TableCell className="text-right">
-                            {user.role === "ADMIN" ? (
+                          <TableCell className="text-sm text-gray-600">
+                            {user.role === "ADMIN"
+                              ? getLocationNames(user.dealershipIds)
+                              : user.role === "STAFF"
+                              ? user.staffShifts.length > 0
+                                ? `${user.staffShifts.length} shifts a week`
+                                : "No shifts set"
+                              : "-"}
+                          </TableCell>
+                          <TableCell className="text-right space-x-2">
+                            {user.role === "ADMIN" && canManageAll && (
                               <Button
                                 variant="outline"
                                 size="sm"
-                                className="text-red-600"
-                                onClick={() => {
-                                  setUserToDemote(user);
-                                  setConfirmRemoveDialog(true);
-                                }}
+                                onClick={() => handleEditScope(user)}
+                                disabled={updatingScope}
+                              >
+                                <MapPin className="h-4 w-4 mr-2" />
+                                Locations
+                              </Button>
+                            )}
+                            {user.role === "STAFF" && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => setStaffToSchedule(user)}
+                              >
+                                <CalendarClock className="h-4 w-4 mr-2" />
+                                Shifts
+                              </Button>
+                            )}
+                            {user.role !== "ADMIN" && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                className={
+                                  user.role === "STAFF" ? "text-red-600" : ""
+                                }
+                                onClick={() =>
+                                  handleSetStaff(user, user.role !== "STAFF")
+                                }
                                 disabled={updatingRole}
                               >
-                                <UserX className="h-4 w-4 mr-2" />
-                                Remove Admin
+                                {user.role === "STAFF" ? (
+                                  <UserX className="h-4 w-4 mr-2" />
+                                ) : (
+                                  <BadgeCheck className="h-4 w-4 mr-2" />
+                                )}
+                                {user.role === "STAFF"
+                                  ? "Remove Staff"
+                                  : "Make Staff"}
                               </Button>
+                            )}
+                            {user.role === "ADMIN" ? (
+                              canManageAll && (
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  className="text-red-600"
+                                  onClick={() => {
+                                    setUserToDemote(user);
+                                    setConfirmRemoveDialog(true);
+                                  }}
+                                  disabled={updatingRole}
+                                >
+                                  <UserX className="h-4 w-4 mr-2" />
+                                  Remove Admin
+                                </Button>
+                              )
                             ) : (
                               <Button
                                 variant="outline"
@@ -451,6 +1127,76 @@ export const SettingsForm = () => {
             </CardContent>
           </Card>
 
+          {/* Dealership Access Dialog */}
+          <Dialog
+            open={!!userToScope}
+            onOpenChange={(open) => !open && setUserToScope(null)}
+          >
+            <DialogContent>
+              <DialogHeader>
+                <DialogTitle>Dealership Access</DialogTitle>
+                <DialogDescription>
+                  Choose which locations{" "}
+                  {userToScope?.name || userToScope?.email} can manage. Leave
+                  all unchecked to give access to every location.
+                </DialogDescription>
+              </DialogHeader>
+              <div className="space-y-3">
+                {dealerships.map((dealership) => (
+                  <div key={dealership.id} className="flex items-center">
+                    <Checkbox
+                      id={`scope-${dealership.id}`}
+                      checked={scopeDealershipIds.includes(dealership.id)}
+                      onCheckedChange={(checked) =>
+                        toggleScopeDealership(dealership.id, checked === true)
+                      }
+                    />
+                    <Label
+                      htmlFor={`scope-${dealership.id}`}
+                      className="ml-2 cursor-pointer"
+                    >
+                      {dealership.name}
+                    </Label>
+                  </div>
+                ))}
+              </div>
+              <DialogFooter>
+                <Button
+                  variant="outline"
+                  onClick={() => setUserToScope(null)}
+                  disabled={updatingScope}
+                >
+                  Cancel
+                </Button>
+                <Button onClick={handleSaveScope} disabled={updatingScope}>
+                  {updatingScope ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Saving...
+                    </>
+                  ) : (
+                    <>
+                      <Save className="mr-2 h-4 w-4" />
+                      Save Access
+                    </>
+                  )}
+                </Button>
+              </DialogFooter>
+            </DialogContent>
+          </Dialog>
+
+          <StaffShiftsDialog
+            user={staffToSchedule}
+            days={DAYS}
+            dealerships={dealerships}
+            defaultDealershipId={selectedDealershipId || dealerships[0]?.id}
+            onClose={() => setStaffToSchedule(null)}
+            onSaved={() => {
+              setStaffToSchedule(null);
+              fetchUsers();
+            }}
+          />
+
           {/* Confirm Make Admin Dialog */}
           <Dialog
             open={confirmAdminDialog}
@@ -462,7 +1208,8 @@ export const SettingsForm = () => {
                 <DialogDescription>
                   Are you sure you want to give admin privileges to{" "}
                   {userToPromote?.name || userToPromote?.email}? Admin users can
-                  manage all aspects of the dealership.
+                  manage all aspects of the dealership
+                  {canManageAll ? "" : " at the locations you manage"}.
                 </DialogDescription>
               </DialogHeader>
               <DialogFooter>
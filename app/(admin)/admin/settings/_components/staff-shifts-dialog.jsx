@@ -0,0 +1,199 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { toast } from "sonner";
+import { Loader2, Save } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import useFetch from "@/hooks/use-fetch";
+import { saveStaffShifts } from "@/actions/settings";
+
+// One row per day, filled in from the salesperson's current shifts
+const toShiftRows = (days, shifts, defaultDealershipId) =>
+  days.map((day) => {
+    const shift = shifts.find((item) => item.dayOfWeek === day.value);
+
+    return {
+      dayOfWeek: day.value,
+      working: !!shift,
+      dealershipId: shift?.dealershipId || defaultDealershipId,
+      startTime: shift?.startTime || "09:00",
+      endTime: shift?.endTime || "17:00",
+    };
+  });
+
+export const StaffShiftsDialog = ({
+  user,
+  days,
+  dealerships,
+  defaultDealershipId,
+  onClose,
+  onSaved,
+}) => {
+  const [rows, setRows] = useState([]);
+
+  const { loading: saving, fn: saveShifts } = useFetch(saveStaffShifts);
+
+  useEffect(() => {
+    if (user) {
+      setRows(toShiftRows(days, user.staffShifts, defaultDealershipId));
+    }
+  }, [user, days, defaultDealershipId]);
+
+  // Shifts at locations this admin can't manage are shown but not editable
+  const isEditable = (row) =>
+    !row.working ||
+    dealerships.some((dealership) => dealership.id === row.dealershipId);
+
+  const updateRow = (dayOfWeek, field, value) => {
+    setRows((prev) =>
+      prev.map((row) =>
+        row.dayOfWeek === dayOfWeek ? { ...row, [field]: value } : row
+      )
+    );
+  };
+
+  const handleSave = async () => {
+    const result = await saveShifts(
+      user.id,
+      rows
+        .filter((row) => row.working && isEditable(row))
+        .map(({ working, ...shift }) => shift)
+    );
+
+    if (result?.success) {
+      toast.success("Shifts saved successfully");
+      onSaved();
+    }
+  };
+
+  return (
+    <Dialog open={!!user} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Staff Shifts</DialogTitle>
+          <DialogDescription>
+            Weekly hours {user?.name || user?.email} works. Test drives at a
+            location with staff shifts can only be booked when a salesperson is
+            free.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          {rows.map((row) => {
+            const day = days.find((item) => item.value === row.dayOfWeek);
+            const editable = isEditable(row);
+
+            return (
+              <div
+                key={row.dayOfWeek}
+                className="grid grid-cols-12 items-center gap-2"
+              >
+                <div className="col-span-3 flex items-center">
+                  <Checkbox
+                    id={`shift-${row.dayOfWeek}`}
+                    checked={row.working}
+                    disabled={!editable}
+                    onCheckedChange={(checked) =>
+                      updateRow(row.dayOfWeek, "working", checked === true)
+                    }
+                  />
+                  <label
+                    htmlFor={`shift-${row.dayOfWeek}`}
+                    className="ml-2 text-sm font-medium"
+                  >
+                    {day.label}
+                  </label>
+                </div>
+
+                {!editable ? (
+                  <p className="col-span-9 text-sm text-gray-500">
+                    {row.startTime} - {row.endTime} at another location
+                  </p>
+                ) : row.working ? (
+                  <>
+                    <div className="col-span-5">
+                      <Select
+                        value={row.dealershipId}
+                        onValueChange={(value) =>
+                          updateRow(row.dayOfWeek, "dealershipId", value)
+                        }
+                      >
+                        <SelectTrigger className="h-9">
+                          <SelectValue placeholder="Location" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {dealerships.map((dealership) => (
+                            <SelectItem
+                              key={dealership.id}
+                              value={dealership.id}
+                            >
+                              {dealership.name}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <Input
+                      type="time"
+                      className="col-span-2 h-9"
+                      value={row.startTime}
+                      onChange={(e) =>
+                        updateRow(row.dayOfWeek, "startTime", e.target.value)
+                      }
+                    />
+                    <Input
+                      type="time"
+                      className="col-span-2 h-9"
+                      value={row.endTime}
+                      onChange={(e) =>
+                        updateRow(row.dayOfWeek, "endTime", e.target.value)
+                      }
+                    />
+                  </>
+                ) : (
+                  <p className="col-span-9 text-sm text-gray-500">Day off</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              <>
+                <Save className="mr-2 h-4 w-4" />
+                Save Shifts
+              </>
+            )}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
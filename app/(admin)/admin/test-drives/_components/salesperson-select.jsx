@@ -0,0 +1,66 @@
+"use client";
+
+import { useEffect } from "react";
+import { toast } from "sonner";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import useFetch from "@/hooks/use-fetch";
+import { assignTestDriveSalesperson } from "@/actions/admin";
+
+// Select values can't be empty, so this stands in for no salesperson
+const UNASSIGNED = "unassigned";
+
+export const SalespersonSelect = ({
+  booking,
+  salespeople = [],
+  onAssigned,
+}) => {
+  const {
+    loading: assigning,
+    fn: assignFn,
+    data: assignResult,
+  } = useFetch(assignTestDriveSalesperson);
+
+  useEffect(() => {
+    if (assignResult?.success) {
+      toast.success("Salesperson updated");
+      onAssigned?.();
+    }
+  }, [assignResult]);
+
+  const isUpcoming = ["PENDING", "CONFIRMED"].includes(booking.status);
+
+  // Keep showing whoever ran a past drive, even if they're no longer staff
+  const options =
+    booking.salesperson &&
+    !salespeople.some((person) => person.id === booking.salespersonId)
+      ? [booking.salesperson, ...salespeople]
+      : salespeople;
+
+  return (
+    <Select
+      value={booking.salespersonId || UNASSIGNED}
+      onValueChange={(value) =>
+        assignFn(booking.id, value === UNASSIGNED ? null : value)
+      }
+      disabled={assigning || !isUpcoming}
+    >
+      <SelectTrigger className="w-full h-8">
+        <SelectValue placeholder="Assign salesperson" />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={UNASSIGNED}>No salesperson</SelectItem>
+        {options.map((person) => (
+          <SelectItem key={person.id} value={person.id}>
+            {person.name || person.email}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+};
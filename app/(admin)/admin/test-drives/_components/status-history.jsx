@@ -0,0 +1,67 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { ChevronDown, ChevronUp, History } from "lucide-react";
+import { BOOKING_STATUS_LABELS } from "@/lib/booking-status";
+
+// Marks changes made by the dealership rather than the customer
+const ROLE_LABELS = {
+  ADMIN: " (admin)",
+  STAFF: " (staff)",
+};
+
+const describeChange = (change) =>
+  change.fromStatus
+    ? `${BOOKING_STATUS_LABELS[change.fromStatus]} → ${
+        BOOKING_STATUS_LABELS[change.toStatus]
+      }`
+    : `Booked as ${BOOKING_STATUS_LABELS[change.toStatus].toLowerCase()}`;
+
+export const StatusHistory = ({ changes = [] }) => {
+  const [open, setOpen] = useState(false);
+
+  if (changes.length === 0) return null;
+
+  return (
+    <div className="mt-2 border rounded-lg px-4 py-2 bg-gray-50 text-sm">
+      <button
+        type="button"
+        className="flex items-center text-gray-600 hover:text-gray-900"
+        onClick={() => setOpen(!open)}
+      >
+        <History className="h-4 w-4 mr-2" />
+        Status history ({changes.length})
+        {open ? (
+          <ChevronUp className="h-4 w-4 ml-1" />
+        ) : (
+          <ChevronDown className="h-4 w-4 ml-1" />
+        )}
+      </button>
+
+      {open && (
+        <ol className="mt-3 mb-1 space-y-2">
+          {changes.map((change) => (
+            <li key={change.id} className="flex flex-col sm:flex-row gap-1">
+              <span className="text-gray-500 sm:w-44 flex-shrink-0">
+                {format(new Date(change.changedAt), "MMM d, yyyy h:mm a")}
+              </span>
+              <span>
+                <span className="font-medium">{describeChange(change)}</span>
+                {" by "}
+                {change.changedBy
+                  ? `${change.changedBy.name || change.changedBy.email}${
+                      ROLE_LABELS[change.changedBy.role] || ""
+                    }`
+                  : "a deleted user"}
+                {change.reason && (
+                  <span className="text-gray-600">: {change.reason}</span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
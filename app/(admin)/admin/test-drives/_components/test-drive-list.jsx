@@ -20,14 +20,37 @@ import {
   CardDescription,
 } from "@/components/ui/card";
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Textarea } from "@/components/ui/textarea";
 import { TestDriveCard } from "@/components/test-drive-card";
 import useFetch from "@/hooks/use-fetch";
-import { getAdminTestDrives, updateTestDriveStatus } from "@/actions/admin";
+import {
+  getAdminTestDrives,
+  getSalespeople,
+  updateTestDriveStatus,
+} from "@/actions/admin";
 import { cancelTestDrive } from "@/actions/test-drive";
+import {
+  BOOKING_STATUS_LABELS,
+  BOOKING_STATUS_TRANSITIONS,
+  needsStatusChangeReason,
+} from "@/lib/booking-status";
+import { StatusHistory } from "./status-history";
+import { SalespersonSelect } from "./salesperson-select";
 
 export const TestDrivesList = () => {
   const [search, setSearch] = useState("");
   const [statusFilter, setStatusFilter] = useState("");
+  // Status change waiting for the admin to confirm it with a reason
+  const [statusChange, setStatusChange] = useState(null);
+  const [reason, setReason] = useState("");
 
   // Custom hooks for API calls
   const {
@@ -44,6 +67,9 @@ export const TestDrivesList = () => {
     error: updateError,
   } = useFetch(updateTestDriveStatus);
 
+  const { fn: fetchSalespeople, data: salespeopleResult } =
+    useFetch(getSalespeople);
+
   const {
     loading: cancelling,
     fn: cancelTestDriveFn,
@@ -51,6 +77,10 @@ export const TestDrivesList = () => {
     error: cancelError,
   } = useFetch(cancelTestDrive);
 
+  useEffect(() => {
+    fetchSalespeople();
+  }, []);
+
   // Initial fetch and refetch on search/filter changes
   useEffect(() => {
     fetchTestDrives({ search, status: statusFilter });
@@ -73,6 +103,7 @@ export const TestDrivesList = () => {
   useEffect(() => {
     if (updateResult?.success) {
       toast.success("Test drive status updated successfully");
+      setStatusChange(null);
       fetchTestDrives({ search, status: statusFilter });
     }
     if (cancelResult?.success) {
@@ -87,13 +118,26 @@ export const TestDrivesList = () => {
     fetchTestDrives({ search, status: statusFilter });
   };
 
+  // Ask for a reason before changing the status
+  const handleSelectStatus = (booking, newStatus) => {
+    if (!newStatus || newStatus === booking.status) return;
+
+    setReason("");
+    setStatusChange({ booking, status: newStatus });
+  };
+
   // Handle status update
-  const handleUpdateStatus = async (bookingId, newStatus) => {
-    if (newStatus) {
-      await updateStatusFn(bookingId, newStatus);
-    }
+  const handleUpdateStatus = async () => {
+    await updateStatusFn(
+      statusChange.booking.id,
+      statusChange.status,
+      reason.trim()
+    );
   };
 
+  // Changing a recorded outcome needs a reason
+  const isCorrection = needsStatusChangeReason(statusChange?.booking.status);
+
   // Handle booking cancellation
   const handleCancel = async (bookingId) => {
     await cancelTestDriveFn(bookingId);
@@ -186,6 +230,9 @@ export const TestDrivesList = () => {
                   <TestDriveCard
                     booking={booking}
                     onCancel={handleCancel}
+                    onRescheduled={() =>
+                      fetchTestDrives({ search, status: statusFilter })
+                    }
                     showActions={["PENDING", "CONFIRMED"].includes(
                       booking.status
                     )}
@@ -193,32 +240,115 @@ export const TestDrivesList = () => {
                     isCancelling={cancelling}
                     cancelError={cancelError}
                     renderStatusSelector={() => (
-                      <Select
-                        value={booking.status}
-                        onValueChange={(value) =>
-                          handleUpdateStatus(booking.id, value)
-                        }
-                        disabled={updatingStatus}
-                      >
-                        <SelectTrigger className="w-full h-8">
-                          <SelectValue placeholder="Update Status" />
-                        </SelectTrigger>
-                        <SelectContent>
-                          <SelectItem value="PENDING">Pending</SelectItem>
-                          <SelectItem value="CONFIRMED">Confirmed</SelectItem>
-                          <SelectItem value="COMPLETED">Completed</SelectItem>
-                          <SelectItem value="CANCELLED">Cancelled</SelectItem>
-                          <SelectItem value="NO_SHOW">No Show</SelectItem>
-                        </SelectContent>
-                      </Select>
+                      <div className="space-y-2">
+                        <Select
+                          value={booking.status}
+                          onValueChange={(value) =>
+                            handleSelectStatus(booking, value)
+                          }
+                          disabled={
+                            updatingStatus ||
+                            BOOKING_STATUS_TRANSITIONS[booking.status]
+                              .length === 0
+                          }
+                        >
+                          <SelectTrigger className="w-full h-8">
+                            <SelectValue placeholder="Update Status" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {/* The current status and the ones it can move to */}
+                            {[
+                              booking.status,
+                              ...BOOKING_STATUS_TRANSITIONS[booking.status],
+                            ].map((status) => (
+                              <SelectItem key={status} value={status}>
+                                {BOOKING_STATUS_LABELS[status]}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <SalespersonSelect
+                          booking={booking}
+                          salespeople={salespeopleResult?.data}
+                          onAssigned={() =>
+                            fetchTestDrives({ search, status: statusFilter })
+                          }
+                        />
+                      </div>
                     )}
                   />
+                  <StatusHistory changes={booking.statusChanges} />
                 </div>
               ))}
             </div>
           )}
         </CardContent>
       </Card>
+
+      {/* Status Change Dialog */}
+      <Dialog
+        open={!!statusChange}
+        onOpenChange={(open) => !open && setStatusChange(null)}
+      >
+        {statusChange && (
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>
+                Mark as {BOOKING_STATUS_LABELS[statusChange.status]}
+              </DialogTitle>
+              <DialogDescription>
+                Change the test drive for the {statusChange.booking.car.year}{" "}
+                {statusChange.booking.car.make} {statusChange.booking.car.model}{" "}
+                from{" "}
+                {BOOKING_STATUS_LABELS[
+                  statusChange.booking.status
+                ].toLowerCase()}{" "}
+                to {BOOKING_STATUS_LABELS[statusChange.status].toLowerCase()}.
+                The change is kept in the booking&apos;s status history.
+              </DialogDescription>
+            </DialogHeader>
+
+            <div className="space-y-2">
+              <label htmlFor="status-reason" className="text-sm font-medium">
+                Reason {isCorrection ? "(required)" : "(optional)"}
+              </label>
+              <Textarea
+                id="status-reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder={
+                  isCorrection
+                    ? "Why is the outcome being corrected?"
+                    : "e.g. Customer called to confirm"
+                }
+              />
+            </div>
+
+            <DialogFooter>
+              <Button
+                variant="outline"
+                onClick={() => setStatusChange(null)}
+                disabled={updatingStatus}
+              >
+                Cancel
+              </Button>
+              <Button
+                onClick={handleUpdateStatus}
+                disabled={updatingStatus || (isCorrection && !reason.trim())}
+              >
+                {updatingStatus ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Updating...
+                  </>
+                ) : (
+                  "Update Status"
+                )}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        )}
+      </Dialog>
     </div>
   );
 };
\ No newline at end of file
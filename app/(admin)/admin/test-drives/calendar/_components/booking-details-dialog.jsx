@@ -0,0 +1,179 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { format, parseISO } from "date-fns";
+import { CalendarClock, Loader2, Mail, Phone, User } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import useFetch from "@/hooks/use-fetch";
+import { updateTestDriveStatus } from "@/actions/admin";
+import {
+  BOOKING_STATUS_LABELS,
+  BOOKING_STATUS_TRANSITIONS,
+  needsStatusChangeReason,
+} from "@/lib/booking-status";
+import { isMovableBooking } from "@/lib/booking-calendar";
+import { StatusHistory } from "../../_components/status-history";
+import { SalespersonSelect } from "../../_components/salesperson-select";
+import { STATUS_STYLES } from "./calendar-views";
+
+// Outcomes staff set from the calendar, cancelling stays on the list
+const CALENDAR_ACTIONS = [
+  { status: "CONFIRMED", label: "Confirm" },
+  { status: "COMPLETED", label: "Mark Completed" },
+  { status: "NO_SHOW", label: "Mark No Show", variant: "destructive" },
+];
+
+const formatTime = (timeString) =>
+  format(parseISO(`2022-01-01T${timeString}`), "h:mm a");
+
+export const BookingDetailsDialog = ({
+  booking,
+  salespeople,
+  onClose,
+  onUpdated,
+  onReschedule,
+}) => {
+  const [reason, setReason] = useState("");
+  const [pendingStatus, setPendingStatus] = useState(null);
+
+  const {
+    loading: updating,
+    fn: updateStatusFn,
+    data: updateResult,
+  } = useFetch(updateTestDriveStatus);
+
+  useEffect(() => {
+    setReason("");
+  }, [booking?.id]);
+
+  useEffect(() => {
+    if (updateResult?.success) {
+      toast.success(
+        `Test drive marked as ${BOOKING_STATUS_LABELS[
+          pendingStatus
+        ].toLowerCase()}`
+      );
+      setReason("");
+      onUpdated();
+    }
+  }, [updateResult]);
+
+  if (!booking) return null;
+
+  const actions = CALENDAR_ACTIONS.filter(({ status }) =>
+    BOOKING_STATUS_TRANSITIONS[booking.status].includes(status)
+  );
+  const reasonRequired = needsStatusChangeReason(booking.status);
+
+  const handleStatus = async (status) => {
+    setPendingStatus(status);
+    await updateStatusFn(booking.id, status, reason.trim());
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            {booking.car.year} {booking.car.make} {booking.car.model}
+            <Badge className={STATUS_STYLES[booking.status]}>
+              {BOOKING_STATUS_LABELS[booking.status]}
+            </Badge>
+          </DialogTitle>
+          <DialogDescription>
+            {format(new Date(booking.bookingDate), "EEEE, MMMM d, yyyy")},{" "}
+            {formatTime(booking.startTime)} - {formatTime(booking.endTime)}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 text-sm">
+          <div className="flex items-center text-gray-700">
+            <User className="h-4 w-4 mr-2" />
+            {booking.user.name || "Unnamed customer"}
+          </div>
+          <div className="flex items-center text-gray-700">
+            <Mail className="h-4 w-4 mr-2" />
+            {booking.user.email}
+          </div>
+          {booking.user.phone && (
+            <div className="flex items-center text-gray-700">
+              <Phone className="h-4 w-4 mr-2" />
+              {booking.user.phone}
+            </div>
+          )}
+          <div className="pt-1">
+            <p className="font-medium mb-1">Salesperson</p>
+            <SalespersonSelect
+              booking={booking}
+              salespeople={salespeople}
+              onAssigned={onUpdated}
+            />
+          </div>
+          {booking.notes && (
+            <div className="bg-gray-50 p-2 rounded">
+              <p className="font-medium">Notes:</p>
+              <p className="text-gray-600">{booking.notes}</p>
+            </div>
+          )}
+        </div>
+
+        <StatusHistory changes={booking.statusChanges} />
+
+        {actions.length > 0 && (
+          <div className="space-y-2">
+            <label htmlFor="calendar-reason" className="text-sm font-medium">
+              Reason {reasonRequired ? "(required)" : "(optional)"}
+            </label>
+            <Textarea
+              id="calendar-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={
+                reasonRequired
+                  ? "Why is the outcome being corrected?"
+                  : "e.g. Customer arrived on time"
+              }
+            />
+          </div>
+        )}
+
+        <DialogFooter className="flex-wrap gap-2">
+          {isMovableBooking(booking) && (
+            <Button
+              variant="outline"
+              onClick={() => onReschedule(booking)}
+              disabled={updating}
+            >
+              <CalendarClock className="mr-2 h-4 w-4" />
+              Reschedule
+            </Button>
+          )}
+          {actions.map((action) => (
+            <Button
+              key={action.status}
+              variant={action.variant || "default"}
+              onClick={() => handleStatus(action.status)}
+              disabled={updating || (reasonRequired && !reason.trim())}
+            >
+              {updating && pendingStatus === action.status && (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              )}
+              {action.label}
+            </Button>
+          ))}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
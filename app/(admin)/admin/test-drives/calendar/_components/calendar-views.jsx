@@ -0,0 +1,262 @@
+"use client";
+
+import { useState } from "react";
+import { format, isSameMonth, isToday, parseISO } from "date-fns";
+import { cn } from "@/lib/utils";
+import { getDayKey, isMovableBooking } from "@/lib/booking-calendar";
+
+// Booking colours by status, matching the badges on TestDriveCard
+export const STATUS_STYLES = {
+  PENDING: "bg-amber-100 text-amber-900 border-amber-300",
+  CONFIRMED: "bg-green-100 text-green-900 border-green-300",
+  COMPLETED: "bg-blue-100 text-blue-900 border-blue-300",
+  CANCELLED: "bg-gray-100 text-gray-500 border-gray-300 line-through",
+  NO_SHOW: "bg-red-100 text-red-900 border-red-300",
+};
+
+const MONTH_CHIP_LIMIT = 3;
+
+const formatTime = (timeString) =>
+  format(parseISO(`2022-01-01T${timeString}`), "h:mm a");
+
+const formatHour = (hour) => formatTime(`${String(hour).padStart(2, "0")}:00`);
+
+const bookingHour = (booking) => Number(booking.startTime.slice(0, 2));
+
+const carName = (car) => `${car.year} ${car.make} ${car.model}`;
+
+const BookingChip = ({
+  booking,
+  calendar,
+  showCar = true,
+  compact = false,
+}) => {
+  const movable = isMovableBooking(booking);
+
+  return (
+    <button
+      type="button"
+      draggable={movable}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", booking.id);
+        calendar.onDragStart(booking);
+      }}
+      onDragEnd={calendar.onDragEnd}
+      onClick={() => calendar.onSelect(booking)}
+      className={cn(
+        "w-full text-left rounded border px-2 py-1 text-xs hover:shadow-sm",
+        movable && "cursor-grab active:cursor-grabbing",
+        STATUS_STYLES[booking.status]
+      )}
+    >
+      <div className="truncate">
+        <span className="font-medium">{formatTime(booking.startTime)}</span>{" "}
+        {showCar
+          ? carName(booking.car)
+          : booking.user.name || booking.user.email}
+      </div>
+      {!compact && showCar && (
+        <div className="truncate opacity-80">
+          {booking.user.name || booking.user.email}
+        </div>
+      )}
+    </button>
+  );
+};
+
+// Highlights while a booking is dragged over it, if it may be dropped there
+const DropCell = ({ canDrop, onDrop, className, children }) => {
+  const [over, setOver] = useState(false);
+
+  return (
+    <div
+      onDragOver={(e) => {
+        if (!canDrop) return;
+        e.preventDefault();
+        setOver(true);
+      }}
+      onDragLeave={() => setOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setOver(false);
+        if (canDrop) onDrop();
+      }}
+      className={cn(
+        className,
+        over && "bg-blue-50 ring-2 ring-inset ring-blue-300"
+      )}
+    >
+      {children}
+    </div>
+  );
+};
+
+export const MonthView = ({ date, days, bookingsByDay, calendar }) => (
+  <div className="grid grid-cols-7 border-l border-t">
+    {days.slice(0, 7).map((day) => (
+      <div
+        key={day.toISOString()}
+        className="border-r border-b bg-gray-50 px-2 py-1 text-xs font-medium text-gray-500"
+      >
+        {format(day, "EEE")}
+      </div>
+    ))}
+
+    {days.map((day) => {
+      const dayBookings = bookingsByDay.get(getDayKey(day)) || [];
+      const hidden = dayBookings.length - MONTH_CHIP_LIMIT;
+
+      return (
+        <DropCell
+          key={day.toISOString()}
+          canDrop={calendar.canDrop(day)}
+          onDrop={() => calendar.onDrop(day)}
+          className={cn(
+            "border-r border-b min-h-28 p-1",
+            !isSameMonth(day, date) && "bg-gray-50"
+          )}
+        >
+          <button
+            type="button"
+            onClick={() => calendar.onShowDay(day)}
+            className={cn(
+              "text-xs mb-1 px-1.5 rounded-full hover:bg-gray-200",
+              !isSameMonth(day, date) && "text-gray-400",
+              isToday(day) && "bg-blue-600 text-white hover:bg-blue-700"
+            )}
+          >
+            {format(day, "d")}
+          </button>
+          <div className="space-y-1">
+            {dayBookings.slice(0, MONTH_CHIP_LIMIT).map((booking) => (
+              <BookingChip
+                key={booking.id}
+                booking={booking}
+                calendar={calendar}
+                compact
+              />
+            ))}
+            {hidden > 0 && (
+              <button
+                type="button"
+                onClick={() => calendar.onShowDay(day)}
+                className="text-xs text-gray-500 hover:text-gray-900 px-1"
+              >
+                +{hidden} more
+              </button>
+            )}
+          </div>
+        </DropCell>
+      );
+    })}
+  </div>
+);
+
+export const WeekView = ({ days, hours, bookingsByDay, calendar }) => (
+  <div className="overflow-x-auto">
+    <div className="grid grid-cols-[4rem_repeat(7,minmax(8rem,1fr))] border-l border-t">
+      <div className="border-r border-b bg-gray-50" />
+      {days.map((day) => (
+        <button
+          type="button"
+          key={day.toISOString()}
+          onClick={() => calendar.onShowDay(day)}
+          className={cn(
+            "border-r border-b bg-gray-50 px-2 py-1 text-xs font-medium text-left hover:bg-gray-100",
+            isToday(day) ? "text-blue-700" : "text-gray-500"
+          )}
+        >
+          {format(day, "EEE d")}
+        </button>
+      ))}
+
+      {hours.map((hour) => [
+        <div
+          key={`label-${hour}`}
+          className="border-r border-b px-1 py-1 text-xs text-gray-500"
+        >
+          {formatHour(hour)}
+        </div>,
+        ...days.map((day) => (
+          <DropCell
+            key={`${day.toISOString()}-${hour}`}
+            canDrop={calendar.canDrop(day, hour)}
+            onDrop={() => calendar.onDrop(day, hour)}
+            className="border-r border-b min-h-14 p-1 space-y-1"
+          >
+            {(bookingsByDay.get(getDayKey(day)) || [])
+              .filter((booking) => bookingHour(booking) === hour)
+              .map((booking) => (
+                <BookingChip
+                  key={booking.id}
+                  booking={booking}
+                  calendar={calendar}
+                />
+              ))}
+          </DropCell>
+        )),
+      ])}
+    </div>
+  </div>
+);
+
+// One column per group of bookings (e.g. per car), with a row per hour
+export const DayView = ({ day, hours, groups, calendar }) => {
+  if (groups.length === 0) {
+    return (
+      <p className="py-12 text-center text-gray-500">
+        No test drives on {format(day, "EEEE, MMMM d")}.
+      </p>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <div
+        className="grid border-l border-t"
+        style={{
+          gridTemplateColumns: `4rem repeat(${groups.length}, minmax(10rem, 1fr))`,
+        }}
+      >
+        <div className="border-r border-b bg-gray-50" />
+        {groups.map((group) => (
+          <div
+            key={group.id}
+            className="border-r border-b bg-gray-50 px-2 py-1 text-xs font-medium text-gray-700 truncate"
+          >
+            {group.label}
+          </div>
+        ))}
+
+        {hours.map((hour) => [
+          <div
+            key={`label-${hour}`}
+            className="border-r border-b px-1 py-1 text-xs text-gray-500"
+          >
+            {formatHour(hour)}
+          </div>,
+          ...groups.map((group) => (
+            <DropCell
+              key={`${group.id}-${hour}`}
+              canDrop={calendar.canDrop(day, hour, group)}
+              onDrop={() => calendar.onDrop(day, hour)}
+              className="border-r border-b min-h-14 p-1 space-y-1"
+            >
+              {group.bookings
+                .filter((booking) => bookingHour(booking) === hour)
+                .map((booking) => (
+                  <BookingChip
+                    key={booking.id}
+                    booking={booking}
+                    calendar={calendar}
+                    showCar={group.showCar}
+                  />
+                ))}
+            </DropCell>
+          )),
+        ])}
+      </div>
+    </div>
+  );
+};
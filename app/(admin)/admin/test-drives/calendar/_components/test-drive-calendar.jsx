@@ -0,0 +1,322 @@
+"use client";
+
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { toast } from "sonner";
+import { ChevronLeft, ChevronRight, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { RescheduleTestDriveDialog } from "@/components/reschedule-test-drive-dialog";
+import useFetch from "@/hooks/use-fetch";
+import { getSalespeople, getTestDriveCalendar } from "@/actions/admin";
+import { BOOKING_STATUS_LABELS } from "@/lib/booking-status";
+import {
+  CALENDAR_VIEWS,
+  canMoveBookingTo,
+  getCalendarDays,
+  getCalendarHours,
+  getCalendarTitle,
+  getDayKey,
+  groupBookingsByDay,
+  shiftCalendarDate,
+} from "@/lib/booking-calendar";
+import { cn } from "@/lib/utils";
+import { DayView, MonthView, STATUS_STYLES, WeekView } from "./calendar-views";
+import { BookingDetailsDialog } from "./booking-details-dialog";
+
+// Day view columns, one per car with drives that day
+const groupByCar = (bookings) => {
+  const groups = new Map();
+
+  bookings.forEach((booking) => {
+    if (!groups.has(booking.carId)) {
+      groups.set(booking.carId, {
+        id: booking.carId,
+        label: `${booking.car.year} ${booking.car.make} ${booking.car.model}`,
+        bookings: [],
+        showCar: false,
+        // A drive can only move to another time for the same car
+        accepts: (dragged) => dragged.carId === booking.carId,
+      });
+    }
+    groups.get(booking.carId).bookings.push(booking);
+  });
+
+  return [...groups.values()].sort((a, b) => a.label.localeCompare(b.label));
+};
+
+// Day view columns, one per salesperson with drives that day and one for
+// drives nobody has been assigned yet
+const groupBySalesperson = (bookings) => {
+  const groups = new Map();
+
+  bookings.forEach((booking) => {
+    const id = booking.salespersonId || "unassigned";
+
+    if (!groups.has(id)) {
+      groups.set(id, {
+        id,
+        label: booking.salesperson
+          ? booking.salesperson.name || booking.salesperson.email
+          : "Unassigned",
+        bookings: [],
+        showCar: true,
+        // Moving a drive keeps its salesperson, reassigning is done separately
+        accepts: (dragged) => (dragged.salespersonId || "unassigned") === id,
+      });
+    }
+    groups.get(id).bookings.push(booking);
+  });
+
+  // Unassigned drives first, they need someone to take them
+  return [...groups.values()].sort(
+    (a, b) =>
+      (b.id === "unassigned") - (a.id === "unassigned") ||
+      a.label.localeCompare(b.label)
+  );
+};
+
+const DAY_GROUPINGS = {
+  car: { label: "By car", group: groupByCar },
+  salesperson: { label: "By salesperson", group: groupBySalesperson },
+};
+
+export const TestDriveCalendar = () => {
+  const [view, setView] = useState("week");
+  const [date, setDate] = useState(() => new Date());
+  const [showCancelled, setShowCancelled] = useState(false);
+  const [dayGrouping, setDayGrouping] = useState("car");
+  const [dragging, setDragging] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  // Booking being moved, with the day and time it was dropped on
+  const [move, setMove] = useState(null);
+
+  const {
+    loading,
+    fn: fetchCalendar,
+    data: calendarResult,
+  } = useFetch(getTestDriveCalendar);
+
+  const { fn: fetchSalespeople, data: salespeopleResult } =
+    useFetch(getSalespeople);
+
+  const days = useMemo(() => getCalendarDays(view, date), [view, date]);
+  const start = getDayKey(days[0]);
+  const end = getDayKey(days[days.length - 1]);
+
+  const refresh = useCallback(
+    () => fetchCalendar({ start, end }),
+    [fetchCalendar, start, end]
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    fetchSalespeople();
+  }, [fetchSalespeople]);
+
+  useEffect(() => {
+    if (calendarResult && !calendarResult.success) {
+      toast.error(calendarResult.error || "Failed to load test drives");
+    }
+  }, [calendarResult]);
+
+  const allBookings = calendarResult?.data?.bookings || [];
+  const bookings = allBookings.filter(
+    (booking) => showCancelled || booking.status !== "CANCELLED"
+  );
+  const dealerships = calendarResult?.data?.dealerships || [];
+  const dealershipsById = new Map(
+    dealerships.map((dealership) => [dealership.id, dealership])
+  );
+  const bookingsByDay = groupBookingsByDay(bookings);
+  const hours = getCalendarHours(dealerships, days, bookings);
+  const selectedBooking = allBookings.find(
+    (booking) => booking.id === selectedId
+  );
+
+  // Handlers shared by every view
+  const calendar = {
+    onSelect: (booking) => setSelectedId(booking.id),
+    onShowDay: (day) => {
+      setView("day");
+      setDate(day);
+    },
+    onDragStart: setDragging,
+    onDragEnd: () => setDragging(null),
+    canDrop: (day, hour, group) =>
+      !!dragging &&
+      (!group?.accepts || group.accepts(dragging)) &&
+      canMoveBookingTo(
+        dragging,
+        dealershipsById.get(dragging.dealershipId),
+        day,
+        hour
+      ),
+    onDrop: (day, hour) => {
+      setMove({
+        booking: dragging,
+        date: day,
+        // Keep the time when dropped on a whole day
+        time:
+          hour === undefined
+            ? dragging.startTime
+            : `${String(hour).padStart(2, "0")}:00`,
+      });
+      setDragging(null);
+    },
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Toolbar */}
+      <div className="flex flex-col md:flex-row gap-4 md:items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Button
+            variant="outline"
+            size="icon"
+            onClick={() => setDate(shiftCalendarDate(view, date, -1))}
+            aria-label="Previous"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" onClick={() => setDate(new Date())}>
+            Today
+          </Button>
+          <Button
+            variant="outline"
+            size="icon"
+            onClick={() => setDate(shiftCalendarDate(view, date, 1))}
+            aria-label="Next"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+          <h2 className="text-lg font-semibold ml-2">
+            {getCalendarTitle(view, date)}
+          </h2>
+          {loading && (
+            <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+          )}
+        </div>
+
+        <div className="flex items-center gap-4">
+          {view === "day" && (
+            <Select value={dayGrouping} onValueChange={setDayGrouping}>
+              <SelectTrigger className="w-40 h-9">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(DAY_GROUPINGS).map(([value, option]) => (
+                  <SelectItem key={value} value={value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <div className="flex items-center space-x-2">
+            <Checkbox
+              id="show-cancelled"
+              checked={showCancelled}
+              onCheckedChange={(checked) => setShowCancelled(!!checked)}
+            />
+            <label htmlFor="show-cancelled" className="text-sm">
+              Show cancelled
+            </label>
+          </div>
+          <div className="inline-flex rounded-md border">
+            {CALENDAR_VIEWS.map((option) => (
+              <Button
+                key={option.value}
+                variant={view === option.value ? "default" : "ghost"}
+                size="sm"
+                className="rounded-none first:rounded-l-md last:rounded-r-md"
+                onClick={() => setView(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-2 text-xs">
+        {Object.entries(BOOKING_STATUS_LABELS).map(([status, label]) => (
+          <span
+            key={status}
+            className={cn("rounded border px-2 py-0.5", STATUS_STYLES[status])}
+          >
+            {label}
+          </span>
+        ))}
+        <span className="text-gray-500 self-center">
+          Drag an upcoming test drive to another time to reschedule it
+        </span>
+      </div>
+
+      <Card>
+        <CardContent className="p-4">
+          {view === "month" && (
+            <MonthView
+              date={date}
+              days={days}
+              bookingsByDay={bookingsByDay}
+              calendar={calendar}
+            />
+          )}
+          {view === "week" && (
+            <WeekView
+              days={days}
+              hours={hours}
+              bookingsByDay={bookingsByDay}
+              calendar={calendar}
+            />
+          )}
+          {view === "day" && (
+            <DayView
+              day={date}
+              hours={hours}
+              groups={DAY_GROUPINGS[dayGrouping].group(
+                bookingsByDay.get(getDayKey(date)) || []
+              )}
+              calendar={calendar}
+            />
+          )}
+        </CardContent>
+      </Card>
+
+      <BookingDetailsDialog
+        booking={selectedBooking}
+        salespeople={salespeopleResult?.data}
+        onClose={() => setSelectedId(null)}
+        onUpdated={refresh}
+        onReschedule={(booking) => {
+          setSelectedId(null);
+          setMove({ booking });
+        }}
+      />
+
+      {move && (
+        <RescheduleTestDriveDialog
+          booking={move.booking}
+          open
+          onOpenChange={(open) => !open && setMove(null)}
+          onRescheduled={refresh}
+          isAdmin
+          initialDate={move.date}
+          preferredTime={move.time}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,15 @@
+import { TestDriveCalendar } from "./_components/test-drive-calendar";
+
+export const metadata = {
+  title: "Test Drive Calendar | Vehiql Admin",
+  description: "Plan test drives by day, week and month",
+};
+
+export default function TestDriveCalendarPage() {
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-bold mb-6">Test Drive Calendar</h1>
+      <TestDriveCalendar />
+    </div>
+  );
+}
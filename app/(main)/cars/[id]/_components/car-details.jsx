@@ -13,15 +13,21 @@ import {
   LocateFixed,
   Share2,
   Heart,
+  GitCompareArrows,
   MessageSquare,
   Currency,
+  TrendingDown,
+  TrendingUp,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { toggleSavedCar } from "@/actions/car-listing";
+import { recordCarView, toggleSavedCar } from "@/actions/car-listing";
 import useFetch from "@/hooks/use-fetch";
+import useCompare from "@/hooks/use-compare";
+import useRecentlyViewed from "@/hooks/use-recently-viewed";
 import { formatCurrency } from "@/lib/helpers";
+import { getCarSpecs, getFeatureLabel, sortFeatures } from "@/lib/car-specs";
 import { format } from "date-fns";
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
 import {
@@ -32,12 +38,16 @@ import {
   DialogTrigger,
 } from "@/components/ui/dialog";
 import EmiCalculator from "./emi-calculator";
+import { CarCard } from "@/components/car-card";
 
-export function CarDetails({ car, testDriveInfo }) {
+export function CarDetails({ car, testDriveInfo, similarCars = [] }) {
   const router = useRouter();
-  const { isSignedIn } = useAuth();
+  const { isLoaded, isSignedIn } = useAuth();
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [isWishlisted, setIsWishlisted] = useState(car.wishlisted);
+  const { isComparing, toggleCompare } = useCompare();
+  const comparing = isComparing(car.id);
+  const { addRecentlyViewed } = useRecentlyViewed();
 
   const {
     loading: savingCar,
@@ -46,6 +56,18 @@ export function CarDetails({ car, testDriveInfo }) {
     error: toggleError,
   } = useFetch(toggleSavedCar);
 
+  // Remember the view locally, and on the account once signed in
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    addRecentlyViewed(car.id);
+    if (isSignedIn) {
+      recordCarView(car.id).catch((error) =>
+        console.error("Failed to record car view:", error)
+      );
+    }
+  }, [car.id, isLoaded, isSignedIn]);
+
   // Handle toggle result with useEffect
   useEffect(() => {
     if (toggleResult?.success) {
@@ -178,6 +200,16 @@ export function CarDetails({ car, testDriveInfo }) {
               <Share2 className="h-5 w-5" />
               Share
             </Button>
+            <Button
+              variant="outline"
+              className={`flex items-center gap-2 flex-1 ${
+                comparing ? "text-blue-600 border-blue-600" : ""
+              }`}
+              onClick={() => toggleCompare(car.id)}
+            >
+              <GitCompareArrows className="h-5 w-5" />
+              {comparing ? "Comparing" : "Compare"}
+            </Button>
           </div>
         </div>
 
@@ -194,6 +226,12 @@ export function CarDetails({ car, testDriveInfo }) {
           <div className="text-2xl font-bold text-blue-600">
             {formatCurrency(car.price)}
           </div>
+          {car.priceDrop > 0 && (
+            <Badge className="mt-2 bg-green-600 hover:bg-green-600 text-white">
+              <TrendingDown className="mr-1 h-3 w-3" />
+              Price dropped by {formatCurrency(car.priceDrop)}
+            </Badge>
+          )}
 
           {/* Quick Stats */}
           <div className="grid grid-cols-2 md:grid-cols-3 gap-4 my-6">
@@ -321,6 +359,12 @@ export function CarDetails({ car, testDriveInfo }) {
                 <span className="h-2 w-2 bg-blue-600 rounded-full"></span>
                 {car.color} Exterior
               </li>
+              {sortFeatures(car.features).map((feature) => (
+                <li key={feature} className="flex items-center gap-2">
+                  <span className="h-2 w-2 bg-blue-600 rounded-full"></span>
+                  {getFeatureLabel(feature)}
+                </li>
+              ))}
             </ul>
           </div>
         </div>
@@ -331,50 +375,66 @@ export function CarDetails({ car, testDriveInfo }) {
         <h2 className="text-2xl font-bold mb-6">Specifications</h2>
         <div className="bg-gray-50 rounded-lg p-6">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-y-4 gap-x-8">
-            <div className="flex justify-between py-2 border-b">
-              <span className="text-gray-600">Make</span>
-              <span className="font-medium">{car.make}</span>
-            </div>
-            <div className="flex justify-between py-2 border-b">
-              <span className="text-gray-600">Model</span>
-              <span className="font-medium">{car.model}</span>
-            </div>
-            <div className="flex justify-between py-2 border-b">
-              <span className="text-gray-600">Year</span>
-              <span className="font-medium">{car.year}</span>
-            </div>
-            <div className="flex justify-between py-2 border-b">
-              <span className="text-gray-600">Body Type</span>
-              <span className="font-medium">{car.bodyType}</span>
-            </div>
-            <div className="flex justify-between py-2 border-b">
-              <span className="text-gray-600">Fuel Type</span>
-              <span className="font-medium">{car.fuelType}</span>
-            </div>
-            <div className="flex justify-between py-2 border-b">
-              <span className="text-gray-600">Transmission</span>
-              <span className="font-medium">{car.transmission}</span>
-            </div>
-            <div className="flex justify-between py-2 border-b">
-              <span className="text-gray-600">Mileage</span>
-              <span className="font-medium">
-                {car.mileage.toLocaleString()} miles
-              </span>
-            </div>
-            <div className="flex justify-between py-2 border-b">
-              <span className="text-gray-600">Color</span>
-              <span className="font-medium">{car.color}</span>
-            </div>
-            {car.seats && (
-              <div className="flex justify-between py-2 border-b">
-                <span className="text-gray-600">Seats</span>
-                <span className="font-medium">{car.seats}</span>
+            {getCarSpecs(car).map((spec) => (
+              <div
+                key={spec.label}
+                className="flex justify-between py-2 border-b"
+              >
+                <span className="text-gray-600">{spec.label}</span>
+                <span className="font-medium">{spec.value}</span>
               </div>
-            )}
+            ))}
           </div>
         </div>
       </div>
 
+      {/* Price History Section */}
+      {car.priceHistory && car.priceHistory.length > 1 && (
+        <div className="mt-8 p-6 bg-white rounded-lg shadow-sm">
+          <h2 className="text-2xl font-bold mb-6">Price History</h2>
+          <ol className="relative border-l border-gray-200 ml-2 space-y-6">
+            {car.priceHistory.map((entry, index) => {
+              // History is newest first, so the previous price is the next entry
+              const previous = car.priceHistory[index + 1];
+              const change = previous ? entry.price - previous.price : 0;
+
+              return (
+                <li key={entry.id} className="ml-6">
+                  <span
+                    className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${
+                      index === 0 ? "bg-blue-600" : "bg-gray-300"
+                    }`}
+                  ></span>
+                  <div className="flex items-center gap-3">
+                    <span className="font-medium">
+                      {formatCurrency(entry.price)}
+                    </span>
+                    {change < 0 && (
+                      <span className="flex items-center text-sm text-green-600">
+                        <TrendingDown className="mr-1 h-4 w-4" />
+                        {formatCurrency(Math.abs(change))}
+                      </span>
+                    )}
+                    {change > 0 && (
+                      <span className="flex items-center text-sm text-red-600">
+                        <TrendingUp className="mr-1 h-4 w-4" />
+                        {formatCurrency(change)}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    {index === car.priceHistory.length - 1
+                      ? "Listed"
+                      : "Changed"}{" "}
+                    on {format(new Date(entry.changedAt), "MMMM d, yyyy")}
+                  </p>
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      )}
+
       {/* Dealership Location Section */}
       <div className="mt-8 p-6 bg-white rounded-lg shadow-sm">
         <h2 className="text-2xl font-bold mb-6">Dealership Location</h2>
@@ -384,7 +444,9 @@ export function CarDetails({ car, testDriveInfo }) {
             <div className="flex items-start gap-3">
               <LocateFixed className="h-5 w-5 text-blue-600 mt-1 flex-shrink-0" />
               <div>
-                <h4 className="font-medium">Vehiql Motors</h4>
+                <h4 className="font-medium">
+                  {testDriveInfo.dealership?.name || "Vehiql Motors"}
+                </h4>
                 <p className="text-gray-600">
                   {testDriveInfo.dealership?.address || "Not Available"}
                 </p>
@@ -455,10 +517,50 @@ export function CarDetails({ car, testDriveInfo }) {
                       </div>
                     ))}
               </div>
+
+              {/* Holidays and special hours */}
+              {testDriveInfo.dealership?.specialHours?.length > 0 && (
+                <>
+                  <h4 className="font-medium mt-4 mb-2">Special Hours</h4>
+                  <div className="space-y-2">
+                    {testDriveInfo.dealership.specialHours.map((special) => (
+                      <div
+                        key={special.id}
+                        className="flex justify-between text-sm gap-4"
+                      >
+                        <span className="text-gray-600">
+                          {format(
+                            new Date(`${special.date}T00:00:00`),
+                            "MMM d, yyyy"
+                          )}
+                          {special.reason && ` (${special.reason})`}
+                        </span>
+                        <span className="whitespace-nowrap">
+                          {special.isOpen
+                            ? `${special.openTime} - ${special.closeTime}`
+                            : "Closed"}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
             </div>
           </div>
         </div>
       </div>
+
+      {/* Similar Cars Section */}
+      {similarCars.length > 0 && (
+        <div className="mt-8">
+          <h2 className="text-2xl font-bold mb-6">Similar Cars</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            {similarCars.map((similarCar) => (
+              <CarCard key={similarCar.id} car={similarCar} />
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -1,6 +1,7 @@
 "use client";
 
 import React, { useEffect, useState } from "react";
+import { calculateEmi } from "@/lib/helpers";
 
 function EmiCalculator({ price = 1000 }) {
   const [loanAmount, setLoanAmount] = useState(price);
@@ -53,12 +54,8 @@ function EmiCalculator({ price = 1000 }) {
       return;
     }
 
-    const monthlyRate = rate / 100 / 12;
     const months = years * 12;
-
-    const emi =
-      (loanPrincipal * monthlyRate * Math.pow(1 + monthlyRate, months)) /
-      (Math.pow(1 + monthlyRate, months) - 1);
+    const emi = calculateEmi(loanPrincipal, rate, years);
     const totalPayment = emi * months;
     const totalInterest = totalPayment - loanPrincipal;
 
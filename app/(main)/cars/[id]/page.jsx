@@ -1,4 +1,4 @@
-import { getCarById } from "@/actions/car-listing";
+import { getCarById, getSimilarCars } from "@/actions/car-listing";
 import { CarDetails } from "./_components/car-details";
 import { notFound } from "next/navigation";
 
@@ -27,7 +27,10 @@ export async function generateMetadata({ params }) {
 export default async function CarDetailsPage({ params }) {
   // Fetch car details
   const { id } = await params;
-  const result = await getCarById(id);
+  const [result, similarCars] = await Promise.all([
+    getCarById(id),
+    getSimilarCars(id),
+  ]);
 
   // If car not found, show 404
   if (!result.success) {
@@ -36,7 +39,11 @@ export default async function CarDetailsPage({ params }) {
 
   return (
     <div className="container mx-auto px-4 py-12">
-      <CarDetails car={result.data} testDriveInfo={result.data.testDriveInfo} />
+      <CarDetails
+        car={result.data}
+        testDriveInfo={result.data.testDriveInfo}
+        similarCars={similarCars.data || []}
+      />
     </div>
   );
 }
\ No newline at end of file
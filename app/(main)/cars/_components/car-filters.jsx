@@ -14,6 +14,8 @@ import {
   SheetFooter,
 } from "@/components/ui/sheet";
 import { CarFilterControls } from "./filter-controls";
+import { SaveSearchDialog } from "./save-search-dialog";
+import { SORT_OPTIONS } from "@/lib/car-search";
 import {
   Select,
   SelectContent,
@@ -32,12 +34,30 @@ export const CarFilters = ({ filters }) => {
   const currentBodyType = searchParams.get("bodyType") || "";
   const currentFuelType = searchParams.get("fuelType") || "";
   const currentTransmission = searchParams.get("transmission") || "";
+  const currentLocation = searchParams.get("location") || "";
+  const currentDrivetrain = searchParams.get("drivetrain") || "";
+  const currentFeatures = searchParams.get("features") || "";
+  const currentColor = searchParams.get("color") || "";
+  const currentSeats = searchParams.get("seats") || "";
+  const currentFeatured = searchParams.get("featured") === "true";
   const currentMinPrice = searchParams.get("minPrice")
     ? parseInt(searchParams.get("minPrice"))
     : filters.priceRange.min;
   const currentMaxPrice = searchParams.get("maxPrice")
     ? parseInt(searchParams.get("maxPrice"))
     : filters.priceRange.max;
+  const currentMinYear = searchParams.get("minYear")
+    ? parseInt(searchParams.get("minYear"))
+    : filters.yearRange.min;
+  const currentMaxYear = searchParams.get("maxYear")
+    ? parseInt(searchParams.get("maxYear"))
+    : filters.yearRange.max;
+  const currentMinMileage = searchParams.get("minMileage")
+    ? parseInt(searchParams.get("minMileage"))
+    : filters.mileageRange.min;
+  const currentMaxMileage = searchParams.get("maxMileage")
+    ? parseInt(searchParams.get("maxMileage"))
+    : filters.mileageRange.max;
   const currentSortBy = searchParams.get("sortBy") || "newest";
 
   // Local state for filters
@@ -45,10 +65,23 @@ export const CarFilters = ({ filters }) => {
   const [bodyType, setBodyType] = useState(currentBodyType);
   const [fuelType, setFuelType] = useState(currentFuelType);
   const [transmission, setTransmission] = useState(currentTransmission);
+  const [location, setLocation] = useState(currentLocation);
+  const [drivetrain, setDrivetrain] = useState(currentDrivetrain);
+  const [features, setFeatures] = useState(
+    currentFeatures ? currentFeatures.split(",") : []
+  );
+  const [color, setColor] = useState(currentColor);
+  const [seats, setSeats] = useState(currentSeats);
+  const [featured, setFeatured] = useState(currentFeatured);
   const [priceRange, setPriceRange] = useState([
     currentMinPrice,
     currentMaxPrice,
   ]);
+  const [yearRange, setYearRange] = useState([currentMinYear, currentMaxYear]);
+  const [mileageRange, setMileageRange] = useState([
+    currentMinMileage,
+    currentMaxMileage,
+  ]);
   const [sortBy, setSortBy] = useState(currentSortBy);
   const [isSheetOpen, setIsSheetOpen] = useState(false);
 
@@ -58,15 +91,33 @@ export const CarFilters = ({ filters }) => {
     setBodyType(currentBodyType);
     setFuelType(currentFuelType);
     setTransmission(currentTransmission);
+    setLocation(currentLocation);
+    setDrivetrain(currentDrivetrain);
+    setFeatures(currentFeatures ? currentFeatures.split(",") : []);
+    setColor(currentColor);
+    setSeats(currentSeats);
+    setFeatured(currentFeatured);
     setPriceRange([currentMinPrice, currentMaxPrice]);
+    setYearRange([currentMinYear, currentMaxYear]);
+    setMileageRange([currentMinMileage, currentMaxMileage]);
     setSortBy(currentSortBy);
   }, [
     currentMake,
     currentBodyType,
     currentFuelType,
     currentTransmission,
+    currentLocation,
+    currentDrivetrain,
+    currentFeatures,
+    currentColor,
+    currentSeats,
+    currentFeatured,
     currentMinPrice,
     currentMaxPrice,
+    currentMinYear,
+    currentMaxYear,
+    currentMinMileage,
+    currentMaxMileage,
     currentSortBy,
   ]);
 
@@ -76,8 +127,18 @@ export const CarFilters = ({ filters }) => {
     bodyType,
     fuelType,
     transmission,
+    location,
+    drivetrain,
+    features.length > 0,
+    color,
+    seats,
+    featured,
     currentMinPrice > filters.priceRange.min ||
       currentMaxPrice < filters.priceRange.max,
+    currentMinYear > filters.yearRange.min ||
+      currentMaxYear < filters.yearRange.max,
+    currentMinMileage > filters.mileageRange.min ||
+      currentMaxMileage < filters.mileageRange.max,
   ].filter(Boolean).length;
 
   // Update URL when filters change
@@ -88,10 +149,24 @@ export const CarFilters = ({ filters }) => {
     if (bodyType) params.set("bodyType", bodyType);
     if (fuelType) params.set("fuelType", fuelType);
     if (transmission) params.set("transmission", transmission);
+    if (location) params.set("location", location);
+    if (drivetrain) params.set("drivetrain", drivetrain);
+    if (features.length > 0) params.set("features", features.join(","));
+    if (color) params.set("color", color);
+    if (seats) params.set("seats", seats);
+    if (featured) params.set("featured", "true");
     if (priceRange[0] > filters.priceRange.min)
       params.set("minPrice", priceRange[0].toString());
     if (priceRange[1] < filters.priceRange.max)
       params.set("maxPrice", priceRange[1].toString());
+    if (yearRange[0] > filters.yearRange.min)
+      params.set("minYear", yearRange[0].toString());
+    if (yearRange[1] < filters.yearRange.max)
+      params.set("maxYear", yearRange[1].toString());
+    if (mileageRange[0] > filters.mileageRange.min)
+      params.set("minMileage", mileageRange[0].toString());
+    if (mileageRange[1] < filters.mileageRange.max)
+      params.set("maxMileage", mileageRange[1].toString());
     if (sortBy !== "newest") params.set("sortBy", sortBy);
 
     // Preserve search and page params if they exist
@@ -110,12 +185,24 @@ export const CarFilters = ({ filters }) => {
     bodyType,
     fuelType,
     transmission,
+    location,
+    drivetrain,
+    features,
+    color,
+    seats,
+    featured,
     priceRange,
+    yearRange,
+    mileageRange,
     sortBy,
     pathname,
     searchParams,
     filters.priceRange.min,
     filters.priceRange.max,
+    filters.yearRange.min,
+    filters.yearRange.max,
+    filters.mileageRange.min,
+    filters.mileageRange.max,
   ]);
 
   // Handle filter changes
@@ -133,9 +220,33 @@ export const CarFilters = ({ filters }) => {
       case "transmission":
         setTransmission(value);
         break;
+      case "location":
+        setLocation(value);
+        break;
+      case "drivetrain":
+        setDrivetrain(value);
+        break;
+      case "features":
+        setFeatures(value || []);
+        break;
+      case "color":
+        setColor(value);
+        break;
+      case "seats":
+        setSeats(value);
+        break;
+      case "featured":
+        setFeatured(!!value);
+        break;
       case "priceRange":
         setPriceRange(value);
         break;
+      case "yearRange":
+        setYearRange(value);
+        break;
+      case "mileageRange":
+        setMileageRange(value);
+        break;
     }
   };
 
@@ -150,7 +261,15 @@ export const CarFilters = ({ filters }) => {
     setBodyType("");
     setFuelType("");
     setTransmission("");
+    setLocation("");
+    setDrivetrain("");
+    setFeatures([]);
+    setColor("");
+    setSeats("");
+    setFeatured(false);
     setPriceRange([filters.priceRange.min, filters.priceRange.max]);
+    setYearRange([filters.yearRange.min, filters.yearRange.max]);
+    setMileageRange([filters.mileageRange.min, filters.mileageRange.max]);
     setSortBy("newest");
 
     // Keep search term if exists
@@ -171,16 +290,22 @@ export const CarFilters = ({ filters }) => {
     bodyType,
     fuelType,
     transmission,
+    location,
+    drivetrain,
+    features,
+    color,
+    seats,
+    featured,
     priceRange,
-    priceRangeMin: filters.priceRange.min,
-    priceRangeMax: filters.priceRange.max,
+    yearRange,
+    mileageRange,
   };
 
   return (
     <div className="flex lg:flex-col justify-between gap-4">
       {/* Mobile Filters */}
       <div className="lg:hidden mb-4">
-        <div className="flex items-center">
+        <div className="flex items-center gap-2">
           <Sheet open={isSheetOpen} onOpenChange={setIsSheetOpen}>
             <SheetTrigger asChild>
               <Button variant="outline" className="flex items-center gap-2">
@@ -225,6 +350,7 @@ export const CarFilters = ({ filters }) => {
               </SheetFooter>
             </SheetContent>
           </Sheet>
+          <SaveSearchDialog />
         </div>
       </div>
 
@@ -240,11 +366,7 @@ export const CarFilters = ({ filters }) => {
           <SelectValue placeholder="Sort by" />
         </SelectTrigger>
         <SelectContent>
-          {[
-            { value: "newest", label: "Newest First" },
-            { value: "priceAsc", label: "Price: Low to High" },
-            { value: "priceDesc", label: "Price: High to Low" },
-          ].map((option) => (
+          {SORT_OPTIONS.map((option) => (
             <SelectItem key={option.value} value={option.value}>
               {option.label}
             </SelectItem>
@@ -282,10 +404,11 @@ export const CarFilters = ({ filters }) => {
             />
           </div>
 
-          <div className="px-4 py-4 border-t">
+          <div className="px-4 py-4 border-t space-y-2">
             <Button onClick={applyFilters} className="w-full">
               Apply Filters
             </Button>
+            <SaveSearchDialog className="w-full" />
           </div>
         </div>
       </div>
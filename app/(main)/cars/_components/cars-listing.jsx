@@ -1,14 +1,22 @@
 "use client";
 
-import { useEffect, useState } from "react";
+import {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
 import Link from "next/link";
 import { useSearchParams, useRouter } from "next/navigation";
+import { toast } from "sonner";
 import { Button } from "@/components/ui/button";
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
-import { Info } from "lucide-react";
+import { ChevronsDown, Info, ListOrdered, Loader2 } from "lucide-react";
 import { CarCard } from "@/components/car-card";
 import useFetch from "@/hooks/use-fetch";
 import { getCars } from "@/actions/car-listing";
+import { pickSearchFilters } from "@/lib/car-search";
 import CarListingsLoading from "./car-listing-loading";
 
 import {
@@ -21,64 +29,223 @@ import {
   PaginationPrevious,
 } from "@/components/ui/pagination";
 
+// Cars loaded per batch in infinite scroll mode
+const SCROLL_BATCH_SIZE = 12;
+
+// Whether the user last picked numbered pages or infinite scroll
+const LISTING_MODE_KEY = "vehiql-listing-mode";
+
+// What was on screen when the user left the listing, so the back button can
+// bring them back to the same place
+const SNAPSHOT_KEY = "vehiql-listing-snapshot";
+
+// Set by back/forward navigation, so a fresh visit to /cars starts at the top
+let isHistoryNavigation = false;
+if (typeof window !== "undefined") {
+  window.addEventListener("popstate", () => {
+    isHistoryNavigation = true;
+  });
+}
+
+const readSnapshot = (query) => {
+  try {
+    const snapshot = JSON.parse(window.sessionStorage.getItem(SNAPSHOT_KEY));
+    return snapshot?.query === query ? snapshot : null;
+  } catch {
+    return null;
+  }
+};
+
+// getCars arguments from the filters part of the URL
+const filtersFromQuery = (filterQuery) =>
+  Object.fromEntries(new URLSearchParams(filterQuery));
+
 export function CarListings() {
   const searchParams = useSearchParams();
   const router = useRouter();
-  const [currentPage, setCurrentPage] = useState(1);
   const limit = 6;
 
-  // Extract filter values from searchParams
-  const search = searchParams.get("search") || "";
-  const make = searchParams.get("make") || "";
-  const bodyType = searchParams.get("bodyType") || "";
-  const fuelType = searchParams.get("fuelType") || "";
-  const transmission = searchParams.get("transmission") || "";
-  const minPrice = searchParams.get("minPrice") || 0;
-  const maxPrice = searchParams.get("maxPrice") || Number.MAX_SAFE_INTEGER;
-  const sortBy = searchParams.get("sortBy") || "newest";
   const page = parseInt(searchParams.get("page") || "1");
+  const query = searchParams.toString();
+
+  // Filters without the page, as a string so effects only rerun when they change
+  const filterQuery = new URLSearchParams(
+    pickSearchFilters(searchParams)
+  ).toString();
+
+  // Unknown until the saved preference is read after mounting
+  const [mode, setMode] = useState(null);
+  const restoreRef = useRef(null);
+
+  // Infinite scroll state, the first batch sets the total
+  const [scrollList, setScrollList] = useState(null);
+  const [scrollError, setScrollError] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadingMoreRef = useRef(false);
+  const sentinelRef = useRef(null);
 
   // Use the useFetch hook
   const { loading, fn: fetchCars, data: result, error } = useFetch(getCars);
 
-  // Fetch cars when filters change
   useEffect(() => {
-    fetchCars({
-      search,
-      make,
-      bodyType,
-      fuelType,
-      transmission,
-      minPrice,
-      maxPrice,
-      sortBy,
-      page,
-      limit,
-    });
-  }, [
-    search,
-    make,
-    bodyType,
-    fuelType,
-    transmission,
-    minPrice,
-    maxPrice,
-    sortBy,
-    page,
-  ]);
-
-  // Update URL when page changes
+    restoreRef.current = isHistoryNavigation
+      ? readSnapshot(window.location.search.slice(1))
+      : null;
+    isHistoryNavigation = false;
+
+    setMode(
+      window.localStorage.getItem(LISTING_MODE_KEY) === "scroll"
+        ? "scroll"
+        : "pages"
+    );
+  }, []);
+
+  const handleModeChange = (newMode) => {
+    window.localStorage.setItem(LISTING_MODE_KEY, newMode);
+    setMode(newMode);
+  };
+
+  // Fetch the current page when filters change
   useEffect(() => {
-    if (currentPage !== page) {
-      const params = new URLSearchParams(searchParams);
-      params.set("page", currentPage.toString());
-      router.push(`?${params.toString()}`);
+    if (mode !== "pages") return;
+    fetchCars({ ...filtersFromQuery(filterQuery), page, limit });
+  }, [mode, filterQuery, page, fetchCars]);
+
+  // Fetch the first batch when filters change, or reuse the cars that were
+  // on screen when coming back to the listing
+  useEffect(() => {
+    if (mode !== "scroll") return;
+
+    const snapshot = restoreRef.current;
+    if (snapshot?.mode === "scroll" && snapshot.scrollList) {
+      setScrollList(snapshot.scrollList);
+      return;
     }
-  }, [currentPage, router, searchParams, page]);
+
+    let ignore = false;
+    setScrollList(null);
+    setScrollError(null);
+
+    getCars({ ...filtersFromQuery(filterQuery), limit: SCROLL_BATCH_SIZE })
+      .then((result) => {
+        if (ignore) return;
+        setScrollList({
+          cars: result.data,
+          total: result.pagination.total,
+          nextCursor: result.pagination.nextCursor,
+        });
+      })
+      .catch((error) => {
+        if (!ignore) setScrollError(error);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [mode, filterQuery]);
+
+  // Load the batch after the cursor. Results are dropped if the list moved
+  // on in the meantime, e.g. because the filters changed.
+  const loadMore = useCallback(
+    async (cursor) => {
+      if (loadingMoreRef.current) return;
+      loadingMoreRef.current = true;
+      setLoadingMore(true);
+
+      try {
+        const result = await getCars({
+          ...filtersFromQuery(filterQuery),
+          limit: SCROLL_BATCH_SIZE,
+          cursor,
+        });
+
+        setScrollList((prev) =>
+          prev?.nextCursor === cursor
+            ? {
+                ...prev,
+                cars: [...prev.cars, ...result.data],
+                nextCursor: result.pagination.nextCursor,
+              }
+            : prev
+        );
+      } catch (error) {
+        toast.error(error.message);
+      } finally {
+        loadingMoreRef.current = false;
+        setLoadingMore(false);
+      }
+    },
+    [filterQuery]
+  );
+
+  // Load more as the end of the list comes into view
+  const nextCursor = mode === "scroll" ? scrollList?.nextCursor : null;
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore(nextCursor);
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
+
+  // Track the scroll position from scroll events, as by the time the listing
+  // unmounts the next page may already have scrolled the window to the top
+  const scrollYRef = useRef(0);
+  const scrollListRef = useRef(null);
+  useEffect(() => {
+    const handleScroll = () => {
+      scrollYRef.current = window.scrollY;
+    };
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => window.removeEventListener("scroll", handleScroll);
+  }, []);
+
+  useEffect(() => {
+    scrollListRef.current = scrollList;
+  }, [scrollList]);
+
+  // Remember what was on screen when leaving, e.g. to open a car
+  useLayoutEffect(() => {
+    if (!mode) return;
+
+    return () => {
+      try {
+        window.sessionStorage.setItem(
+          SNAPSHOT_KEY,
+          JSON.stringify({
+            query,
+            mode,
+            scrollY: scrollYRef.current,
+            scrollList: mode === "scroll" ? scrollListRef.current : null,
+          })
+        );
+      } catch {
+        // Storage may be full or disabled, coming back then starts at the top
+      }
+    };
+  }, [mode, query]);
+
+  // Scroll back to where the user was once the cars are on screen again
+  const isShowingCars =
+    mode === "scroll" ? scrollList !== null : !!result?.success;
+  useEffect(() => {
+    const snapshot = restoreRef.current;
+    if (!snapshot || snapshot.mode !== mode || !isShowingCars) return;
+
+    restoreRef.current = null;
+    window.scrollTo(0, snapshot.scrollY);
+  }, [mode, isShowingCars]);
 
   // Handle pagination clicks
   const handlePageChange = (pageNum) => {
-    setCurrentPage(pageNum);
+    router.push(getPaginationUrl(pageNum));
   };
 
   // Generate pagination URL
@@ -88,6 +255,97 @@ export function CarListings() {
     return `?${params.toString()}`;
   };
 
+  const modeToggle = (
+    <div className="flex gap-1">
+      <Button
+        variant={mode === "pages" ? "secondary" : "ghost"}
+        size="sm"
+        onClick={() => handleModeChange("pages")}
+      >
+        <ListOrdered className="h-4 w-4" />
+        Pages
+      </Button>
+      <Button
+        variant={mode === "scroll" ? "secondary" : "ghost"}
+        size="sm"
+        onClick={() => handleModeChange("scroll")}
+      >
+        <ChevronsDown className="h-4 w-4" />
+        Scroll
+      </Button>
+    </div>
+  );
+
+  const errorAlert = (
+    <Alert variant="destructive">
+      <Info className="h-4 w-4" />
+      <AlertTitle>Error</AlertTitle>
+      <AlertDescription>
+        Failed to load cars. Please try again later.
+      </AlertDescription>
+    </Alert>
+  );
+
+  const noResults = (
+    <div className="min-h-[400px] flex flex-col items-center justify-center text-center p-8 border rounded-lg bg-gray-50">
+      <div className="bg-gray-100 p-4 rounded-full mb-4">
+        <Info className="h-8 w-8 text-gray-500" />
+      </div>
+      <h3 className="text-lg font-medium mb-2">No cars found</h3>
+      <p className="text-gray-500 mb-6 max-w-md">
+        We couldn&apos;t find any cars matching your search criteria. Try
+        adjusting your filters or search term.
+      </p>
+      <Button variant="outline" asChild>
+        <Link href="/cars">Clear all filters</Link>
+      </Button>
+    </div>
+  );
+
+  if (!mode) return null;
+
+  if (mode === "scroll") {
+    if (scrollError) return errorAlert;
+    if (!scrollList) return <CarListingsLoading />;
+    if (scrollList.cars.length === 0) return noResults;
+
+    return (
+      <div>
+        <div className="flex justify-between items-center mb-6">
+          <p className="text-gray-600">
+            Showing{" "}
+            <span className="font-medium">{scrollList.cars.length}</span> of{" "}
+            <span className="font-medium">{scrollList.total}</span> cars
+          </p>
+          {modeToggle}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {scrollList.cars.map((car) => (
+            <CarCard key={car.id} car={car} />
+          ))}
+        </div>
+
+        <div ref={sentinelRef} className="flex justify-center mt-10">
+          {loadingMore ? (
+            <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+          ) : scrollList.nextCursor ? (
+            <Button
+              variant="outline"
+              onClick={() => loadMore(scrollList.nextCursor)}
+            >
+              Load more
+            </Button>
+          ) : (
+            <p className="text-sm text-gray-500">
+              You&apos;ve reached the end of the list
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   // Show loading state
   if (loading && !result) {
     return <CarListingsLoading />;
@@ -95,15 +353,7 @@ export function CarListings() {
 
   // Handle error
   if (error || (result && !result.success)) {
-    return (
-      <Alert variant="destructive">
-        <Info className="h-4 w-4" />
-        <AlertTitle>Error</AlertTitle>
-        <AlertDescription>
-          Failed to load cars. Please try again later.
-        </AlertDescription>
-      </Alert>
-    );
+    return errorAlert;
   }
 
   // If no results yet, return empty placeholder
@@ -115,21 +365,7 @@ export function CarListings() {
 
   // No results
   if (cars.length === 0) {
-    return (
-      <div className="min-h-[400px] flex flex-col items-center justify-center text-center p-8 border rounded-lg bg-gray-50">
-        <div className="bg-gray-100 p-4 rounded-full mb-4">
-          <Info className="h-8 w-8 text-gray-500" />
-        </div>
-        <h3 className="text-lg font-medium mb-2">No cars found</h3>
-        <p className="text-gray-500 mb-6 max-w-md">
-          We couldn't find any cars matching your search criteria. Try adjusting
-          your filters or search term.
-        </p>
-        <Button variant="outline" asChild>
-          <Link href="/cars">Clear all filters</Link>
-        </Button>
-      </div>
-    );
+    return noResults;
   }
 
   // Generate pagination items
@@ -201,6 +437,7 @@ export function CarListings() {
           </span>{" "}
           of <span className="font-medium">{pagination.total}</span> cars
         </p>
+        {modeToggle}
       </div>
 
       {/* Car grid */}
@@ -250,4 +487,4 @@ export function CarListings() {
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -3,6 +3,15 @@
 import { Check, X } from "lucide-react";
 import { Slider } from "@/components/ui/slider";
 import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+
+// Keep the picked option listed even when nothing else matches it any more,
+// so it can still be cleared
+const withCurrentOption = (options, currentValue) =>
+  currentValue &&
+  !options.some((option) => String(option.value) === currentValue)
+    ? [...options, { value: currentValue, label: currentValue, count: 0 }]
+    : options;
 
 export const CarFilterControls = ({
   filters,
@@ -10,60 +19,140 @@ export const CarFilterControls = ({
   onFilterChange,
   onClearFilter,
 }) => {
-  const { make, bodyType, fuelType, transmission, priceRange } = currentFilters;
+  const {
+    make,
+    bodyType,
+    fuelType,
+    transmission,
+    location,
+    drivetrain,
+    features,
+    color,
+    seats,
+    featured,
+    priceRange,
+    yearRange,
+    mileageRange,
+  } = currentFilters;
 
   const filterSections = [
-    {
-      id: "make",
-      title: "Make",
-      options: filters.makes.map((make) => ({ value: make, label: make })),
-      currentValue: make,
-      onChange: (value) => onFilterChange("make", value),
-    },
+    { id: "make", title: "Make", options: filters.makes, currentValue: make },
     {
       id: "bodyType",
       title: "Body Type",
-      options: filters.bodyTypes.map((type) => ({ value: type, label: type })),
+      options: filters.bodyTypes,
       currentValue: bodyType,
-      onChange: (value) => onFilterChange("bodyType", value),
     },
     {
       id: "fuelType",
       title: "Fuel Type",
-      options: filters.fuelTypes.map((type) => ({ value: type, label: type })),
+      options: filters.fuelTypes,
       currentValue: fuelType,
-      onChange: (value) => onFilterChange("fuelType", value),
     },
     {
       id: "transmission",
       title: "Transmission",
-      options: filters.transmissions.map((type) => ({
-        value: type,
-        label: type,
-      })),
+      options: filters.transmissions,
       currentValue: transmission,
-      onChange: (value) => onFilterChange("transmission", value),
+    },
+    {
+      id: "drivetrain",
+      title: "Drivetrain",
+      options: filters.drivetrains,
+      currentValue: drivetrain,
+    },
+    {
+      id: "color",
+      title: "Colour",
+      options: filters.colors,
+      currentValue: color,
+    },
+    {
+      id: "seats",
+      title: "Seats",
+      options: filters.seats.map((option) => ({
+        ...option,
+        value: String(option.value),
+      })),
+      currentValue: seats,
+    },
+    {
+      id: "location",
+      title: "Location",
+      options: filters.locations,
+      currentValue: location,
+    },
+  ].map((section) => ({
+    ...section,
+    options: withCurrentOption(section.options, section.currentValue),
+  }));
+
+  const rangeSections = [
+    {
+      id: "priceRange",
+      title: "Price Range",
+      bounds: filters.priceRange,
+      value: priceRange,
+      step: 100,
+      format: (value) => `$ ${value}`,
+    },
+    {
+      id: "yearRange",
+      title: "Year",
+      bounds: filters.yearRange,
+      value: yearRange,
+      step: 1,
+      format: String,
+    },
+    {
+      id: "mileageRange",
+      title: "Mileage",
+      bounds: filters.mileageRange,
+      value: mileageRange,
+      step: 1000,
+      format: (value) => `${value.toLocaleString()} mi`,
     },
   ];
 
   return (
     <div className="space-y-6">
-      {/* Price Range */}
-      <div className="space-y-4">
-        <h3 className="font-medium">Price Range</h3>
-        <div className="px-2">
-          <Slider
-            min={filters.priceRange.min}
-            max={filters.priceRange.max}
-            step={100}
-            value={priceRange}
-            onValueChange={(value) => onFilterChange("priceRange", value)}
-          />
-        </div>
-        <div className="flex items-center justify-between">
-          <div className="font-medium text-sm">$ {priceRange[0]}</div>
-          <div className="font-medium text-sm">$ {priceRange[1]}</div>
+      {/* Ranges */}
+      {rangeSections.map((section) => (
+        <div key={section.id} className="space-y-4">
+          <h3 className="font-medium">{section.title}</h3>
+          <div className="px-2">
+            <Slider
+              min={section.bounds.min}
+              max={section.bounds.max}
+              step={section.step}
+              value={section.value}
+              onValueChange={(value) => onFilterChange(section.id, value)}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <div className="font-medium text-sm">
+              {section.format(section.value[0])}
+            </div>
+            <div className="font-medium text-sm">
+              {section.format(section.value[1])}
+            </div>
+          </div>
         </div>
+      ))}
+
+      {/* Featured */}
+      <div className="flex items-center space-x-2">
+        <Checkbox
+          id="featured"
+          checked={featured}
+          onCheckedChange={(checked) => onFilterChange("featured", checked)}
+        />
+        <label htmlFor="featured" className="text-sm font-medium">
+          Featured cars only
+          <span className="ml-1 text-xs text-gray-500">
+            ({filters.featuredCount})
+          </span>
+        </label>
       </div>
 
       {/* Filter Categories */}
@@ -94,12 +183,16 @@ export const CarFilterControls = ({
                     : "bg-white hover:bg-gray-100 text-gray-700"
                 }`}
                 onClick={() => {
-                  section.onChange(
+                  onFilterChange(
+                    section.id,
                     section.currentValue === option.value ? "" : option.value
                   );
                 }}
               >
                 {option.label}
+                <span className="ml-1 text-xs text-gray-500">
+                  ({option.count})
+                </span>
                 {section.currentValue === option.value && (
                   <Check className="ml-1 h-3 w-3 inline" />
                 )}
@@ -108,6 +201,53 @@ export const CarFilterControls = ({
           </div>
         </div>
       ))}
+
+      {/* Features, where cars must have every selected item */}
+      {filters.features?.length > 0 && (
+        <div className="space-y-3">
+          <h4 className="text-sm font-medium flex justify-between">
+            <span>Features</span>
+            {features.length > 0 && (
+              <button
+                className="text-xs text-gray-600 flex items-center"
+                onClick={() => onClearFilter("features")}
+              >
+                <X className="mr-1 h-3 w-3" />
+                Clear
+              </button>
+            )}
+          </h4>
+          <div className="flex flex-wrap gap-2 max-h-60 overflow-y-auto pr-1 custom-scrollbar">
+            {filters.features.map(({ value: feature, label, count }) => {
+              const selected = features.includes(feature);
+
+              return (
+                <Badge
+                  key={feature}
+                  variant={selected ? "default" : "outline"}
+                  className={`cursor-pointer px-3 py-1 ${
+                    selected
+                      ? "bg-blue-100 hover:bg-blue-200 text-blue-900 border-blue-200"
+                      : "bg-white hover:bg-gray-100 text-gray-700"
+                  }`}
+                  onClick={() =>
+                    onFilterChange(
+                      "features",
+                      selected
+                        ? features.filter((item) => item !== feature)
+                        : [...features, feature]
+                    )
+                  }
+                >
+                  {label}
+                  <span className="ml-1 text-xs text-gray-500">({count})</span>
+                  {selected && <Check className="ml-1 h-3 w-3 inline" />}
+                </Badge>
+              );
+            })}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
\ No newline at end of file
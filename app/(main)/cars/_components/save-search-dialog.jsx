@@ -0,0 +1,122 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+import { useAuth } from "@clerk/nextjs";
+import { toast } from "sonner";
+import { BookmarkPlus, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import useFetch from "@/hooks/use-fetch";
+import { saveSearch } from "@/actions/saved-searches";
+import { describeSearchFilters, pickSearchFilters } from "@/lib/car-search";
+
+// Save the filters currently applied to the URL, not ones still being edited
+export const SaveSearchDialog = ({ className = "" }) => {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { isSignedIn } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+
+  const filters = pickSearchFilters(searchParams);
+  const summary = describeSearchFilters(filters);
+
+  const { loading: saving, fn: saveSearchFn, data: saveResult } =
+    useFetch(saveSearch);
+
+  useEffect(() => {
+    if (saveResult?.success) {
+      toast.success("Search saved", {
+        description: "We'll email you when new cars match it",
+        action: {
+          label: "View",
+          onClick: () => router.push("/saved-searches"),
+        },
+      });
+      setOpen(false);
+    }
+  }, [saveResult, router]);
+
+  const handleOpen = () => {
+    if (!isSignedIn) {
+      toast.error("Please sign in to save searches");
+      router.push("/sign-in");
+      return;
+    }
+
+    setName(summary.slice(0, 3).join(", ") || "All cars");
+    setOpen(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    await saveSearchFn({ name, filters });
+  };
+
+  return (
+    <>
+      <Button variant="outline" className={className} onClick={handleOpen}>
+        <BookmarkPlus className="h-4 w-4" />
+        Save Search
+      </Button>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Save this search</DialogTitle>
+            <DialogDescription>
+              {summary.length > 0
+                ? summary.join(" · ")
+                : "All cars, no filters applied"}
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="search-name">Name</Label>
+              <Input
+                id="search-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={100}
+                autoFocus
+              />
+              <p className="text-xs text-gray-500">
+                Find it later under{" "}
+                <Link href="/saved-searches" className="underline">
+                  Saved Searches
+                </Link>
+                .
+              </p>
+            </div>
+
+            <DialogFooter>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setOpen(false)}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving || !name.trim()}>
+                {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Save
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
@@ -7,9 +7,9 @@ export const metadata = {
   description: "Browse and search for your dream car",
 };
 
-export default async function CarsPage() {
-  // Fetch filters data on the server
-  const filtersData = await getCarFilters();
+export default async function CarsPage({ searchParams }) {
+  // Fetch filters data on the server, counted against the applied filters
+  const filtersData = await getCarFilters(await searchParams);
 
   return (
     <div className="container mx-auto px-4 py-12">
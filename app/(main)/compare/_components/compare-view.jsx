@@ -0,0 +1,199 @@
+"use client";
+
+import { useEffect } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+import { Car, Link2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import useCompare from "@/hooks/use-compare";
+import { calculateEmi, formatCurrency } from "@/lib/helpers";
+import { getCompareUrl } from "@/lib/compare";
+
+// Loan terms behind the estimated monthly payment
+const EMI_TERMS = { downPaymentPercent: 20, interestRate: 7, years: 5 };
+
+const estimateEmi = (car) =>
+  calculateEmi(
+    car.price * (1 - EMI_TERMS.downPaymentPercent / 100),
+    EMI_TERMS.interestRate,
+    EMI_TERMS.years
+  );
+
+// Rows of the comparison. `best` marks which end of a numeric row is better.
+const COMPARE_ROWS = [
+  {
+    label: "Price",
+    value: (car) => car.price,
+    format: formatCurrency,
+    best: "min",
+  },
+  {
+    label: "Est. Monthly EMI",
+    value: (car) => Math.round(estimateEmi(car)),
+    format: formatCurrency,
+    best: "min",
+  },
+  { label: "Year", value: (car) => car.year, best: "max" },
+  {
+    label: "Mileage",
+    value: (car) => car.mileage,
+    format: (mileage) => `${mileage.toLocaleString()} miles`,
+    best: "min",
+  },
+  { label: "Fuel Type", value: (car) => car.fuelType },
+  { label: "Transmission", value: (car) => car.transmission },
+  { label: "Body Type", value: (car) => car.bodyType },
+  { label: "Seats", value: (car) => car.seats },
+];
+
+export const CompareView = ({ cars }) => {
+  const router = useRouter();
+  const { setCompareIds } = useCompare();
+  const carIds = cars.map((car) => car.id);
+  const carIdsKey = carIds.join(",");
+
+  // Opening a comparison (including a shared link) makes it the current pick
+  useEffect(() => {
+    if (carIdsKey) setCompareIds(carIdsKey.split(","));
+  }, [carIdsKey]);
+
+  const handleRemove = (carId) => {
+    const remaining = carIds.filter((id) => id !== carId);
+    setCompareIds(remaining);
+    router.replace(remaining.length > 0 ? getCompareUrl(remaining) : "/compare");
+  };
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href);
+    toast.success("Comparison link copied to clipboard");
+  };
+
+  if (cars.length === 0) {
+    return (
+      <div className="min-h-[300px] flex flex-col items-center justify-center text-center p-8 border rounded-lg bg-gray-50">
+        <Car className="h-10 w-10 text-gray-400 mb-4" />
+        <h3 className="text-lg font-medium mb-2">No cars to compare</h3>
+        <p className="text-gray-500 mb-6 max-w-md">
+          Use the Compare button on up to four cars to see them side by side.
+        </p>
+        <Button asChild>
+          <Link href="/cars">Browse Cars</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <p className="text-gray-600">
+          Comparing {cars.length} {cars.length === 1 ? "car" : "cars"}.
+          Highlighted rows differ between cars, the best value is in green.
+        </p>
+        <Button variant="outline" onClick={copyLink}>
+          <Link2 className="h-4 w-4" />
+          Copy Link
+        </Button>
+      </div>
+
+      <div className="overflow-x-auto border rounded-lg bg-white">
+        <Table className="table-fixed min-w-[640px]">
+          <TableHeader>
+            <TableRow>
+              <TableHead className="w-40"></TableHead>
+              {cars.map((car) => (
+                <TableHead key={car.id} className="align-top py-4">
+                  <div className="relative">
+                    <button
+                      className="absolute top-1 right-1 bg-white/90 rounded-full p-1 text-gray-600 hover:text-gray-900"
+                      onClick={() => handleRemove(car.id)}
+                      title="Remove from comparison"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                    {car.images?.length > 0 ? (
+                      <img
+                        src={car.images[0]}
+                        alt={`${car.make} ${car.model}`}
+                        className="w-full h-32 object-cover rounded-md"
+                      />
+                    ) : (
+                      <div className="w-full h-32 bg-gray-200 rounded-md flex items-center justify-center">
+                        <Car className="h-8 w-8 text-gray-400" />
+                      </div>
+                    )}
+                  </div>
+                  <Link
+                    href={`/cars/${car.id}`}
+                    className="block mt-2 font-bold text-gray-900 hover:underline"
+                  >
+                    {car.year} {car.make} {car.model}
+                  </Link>
+                  {car.status !== "AVAILABLE" && (
+                    <Badge variant="outline" className="mt-1">
+                      No longer available
+                    </Badge>
+                  )}
+                </TableHead>
+              ))}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {COMPARE_ROWS.map((row) => {
+              const values = cars.map(row.value);
+              const differs = new Set(values).size > 1;
+              const present = values.filter((value) => value != null);
+              const bestValue =
+                differs && row.best && present.length > 0
+                  ? Math[row.best](...present)
+                  : null;
+
+              return (
+                <TableRow
+                  key={row.label}
+                  className={differs ? "bg-amber-50 hover:bg-amber-50" : ""}
+                >
+                  <TableCell className="font-medium text-gray-600">
+                    {row.label}
+                  </TableCell>
+                  {values.map((value, index) => (
+                    <TableCell
+                      key={cars[index].id}
+                      className={
+                        value != null && value === bestValue
+                          ? "font-semibold text-green-700"
+                          : ""
+                      }
+                    >
+                      {value == null
+                        ? "-"
+                        : row.format
+                        ? row.format(value)
+                        : value}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Monthly EMI is an estimate with {EMI_TERMS.downPaymentPercent}% down,{" "}
+        {EMI_TERMS.interestRate}% interest over {EMI_TERMS.years} years. Use
+        the calculator on a car&apos;s page for your own terms.
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,24 @@
+import { getCompareCars } from "@/actions/car-listing";
+import { parseCompareIds } from "@/lib/compare";
+import { CompareView } from "./_components/compare-view";
+
+export const metadata = {
+  title: "Compare Cars | Vehiql",
+  description: "Compare cars side by side",
+};
+
+export default async function ComparePage({ searchParams }) {
+  const { ids } = await searchParams;
+  const carIds = parseCompareIds(ids);
+
+  // Fetch the cars in the link on the server, so shared links work right away
+  const result =
+    carIds.length > 0 ? await getCompareCars(carIds) : { data: [] };
+
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <h1 className="text-6xl mb-6 gradient-title">Compare Cars</h1>
+      <CompareView cars={result.data} />
+    </div>
+  );
+}
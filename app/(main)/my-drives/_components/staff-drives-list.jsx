@@ -0,0 +1,106 @@
+"use client";
+
+import { useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+import { CalendarCheck, Phone } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { TestDriveCard } from "@/components/test-drive-card";
+import useFetch from "@/hooks/use-fetch";
+import { updateTestDriveStatus } from "@/actions/admin";
+import { canChangeBookingStatus } from "@/lib/booking-status";
+
+// What a salesperson can do with a drive that hasn't happened yet
+const STAFF_ACTIONS = [
+  { status: "CONFIRMED", label: "Confirm", variant: "default" },
+  { status: "COMPLETED", label: "Mark Completed", variant: "outline" },
+  { status: "NO_SHOW", label: "Mark No Show", variant: "outline" },
+];
+
+export function StaffDrivesList({ initialData }) {
+  const router = useRouter();
+
+  const {
+    loading: updatingStatus,
+    fn: updateStatusFn,
+    data: updateResult,
+  } = useFetch(updateTestDriveStatus);
+
+  useEffect(() => {
+    if (updateResult?.success) {
+      toast.success("Test drive status updated successfully");
+      router.refresh();
+    }
+  }, [updateResult]);
+
+  if (!initialData?.success) {
+    return (
+      <p className="text-red-600">
+        {initialData?.error || "Failed to load your test drives"}
+      </p>
+    );
+  }
+
+  if (initialData.data.length === 0) {
+    return (
+      <div className="min-h-[300px] flex flex-col items-center justify-center text-center p-8 border rounded-lg bg-gray-50">
+        <div className="bg-gray-100 p-4 rounded-full mb-4">
+          <CalendarCheck className="h-8 w-8 text-gray-500" />
+        </div>
+        <h3 className="text-lg font-medium mb-2">No Test Drives Today</h3>
+        <p className="text-gray-500 max-w-md">
+          Test drives an admin assigns to you for today will show up here.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {initialData.data.map((booking) => (
+        <TestDriveCard
+          key={booking.id}
+          booking={booking}
+          isAdmin
+          showActions={false}
+          isPast={!["PENDING", "CONFIRMED"].includes(booking.status)}
+          renderStatusSelector={() => (
+            <div className="space-y-2 mt-2">
+              {booking.user.phone && (
+                <a
+                  href={`tel:${booking.user.phone}`}
+                  className="flex items-center text-sm text-blue-600 hover:underline"
+                >
+                  <Phone className="h-4 w-4 mr-2" />
+                  {booking.user.phone}
+                </a>
+              )}
+              {booking.notes && (
+                <p className="text-sm text-gray-600">
+                  <span className="font-medium">Notes:</span> {booking.notes}
+                </p>
+              )}
+              {["PENDING", "CONFIRMED"].includes(booking.status) && (
+                <div className="flex flex-wrap gap-2">
+                  {STAFF_ACTIONS.filter((action) =>
+                    canChangeBookingStatus(booking.status, action.status)
+                  ).map((action) => (
+                    <Button
+                      key={action.status}
+                      size="sm"
+                      variant={action.variant}
+                      disabled={updatingStatus}
+                      onClick={() => updateStatusFn(booking.id, action.status)}
+                    >
+                      {action.label}
+                    </Button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { getStaffTestDrives } from "@/actions/test-drive";
+import { auth } from "@clerk/nextjs/server";
+import { notFound, redirect } from "next/navigation";
+import { format } from "date-fns";
+import { checkUser } from "@/lib/checkUser";
+import { StaffDrivesList } from "./_components/staff-drives-list";
+
+export const metadata = {
+  title: "My Drives | Vehiql",
+  description: "Test drives assigned to you today",
+};
+
+export default async function MyDrivesPage() {
+  const { userId } = await auth();
+  if (!userId) {
+    redirect("/sign-in?redirect=/my-drives");
+  }
+
+  // Only salespeople have drives assigned to them
+  const user = await checkUser();
+  if (user?.role !== "STAFF") {
+    return notFound();
+  }
+
+  const drivesResult = await getStaffTestDrives();
+
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <h1 className="text-6xl mb-2 gradient-title">My Drives Today</h1>
+      <p className="text-gray-500 mb-6">
+        {format(new Date(), "EEEE, MMMM d, yyyy")}
+      </p>
+      <StaffDrivesList initialData={drivesResult} />
+    </div>
+  );
+}
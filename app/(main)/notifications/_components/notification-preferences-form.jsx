@@ -0,0 +1,124 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { toast } from "sonner";
+import { Loader2, Save } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import useFetch from "@/hooks/use-fetch";
+import { updateNotificationPreferences } from "@/actions/notifications";
+
+// Notification types users can switch on or off
+const NOTIFICATION_TYPES = [
+  {
+    key: "priceDrops",
+    label: "Price drops",
+    description: "When a car you saved gets cheaper",
+  },
+  {
+    key: "statusChanges",
+    label: "Sold or unavailable",
+    description: "When a car you saved is sold or taken off the market",
+  },
+  {
+    key: "savedSearches",
+    label: "Saved search alerts",
+    description: "When new cars match one of your saved searches",
+  },
+];
+
+export function NotificationPreferencesForm({ initialData }) {
+  const [preferences, setPreferences] = useState(initialData?.data || {});
+
+  const {
+    loading: saving,
+    fn: savePreferences,
+    data: saveResult,
+  } = useFetch(updateNotificationPreferences);
+
+  useEffect(() => {
+    if (saveResult?.success) {
+      toast.success("Notification preferences saved");
+    }
+  }, [saveResult]);
+
+  const handleChange = (key, checked) => {
+    setPreferences((prev) => ({ ...prev, [key]: checked === true }));
+  };
+
+  if (!initialData?.success) {
+    return (
+      <p className="text-gray-500">
+        {initialData?.error || "Failed to load notification preferences"}
+      </p>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Email Notifications</CardTitle>
+        <CardDescription>
+          Choose which emails we send you about the cars and searches you save.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-start space-x-3 rounded-md border p-4">
+          <Checkbox
+            id="emailEnabled"
+            checked={preferences.emailEnabled}
+            onCheckedChange={(checked) => handleChange("emailEnabled", checked)}
+          />
+          <div className="space-y-1 leading-none">
+            <Label htmlFor="emailEnabled">Send me emails</Label>
+            <p className="text-sm text-gray-500">
+              Turn this off to stop all notification emails
+            </p>
+          </div>
+        </div>
+
+        {NOTIFICATION_TYPES.map((type) => (
+          <div
+            key={type.key}
+            className="flex items-start space-x-3 rounded-md border p-4 ml-6"
+          >
+            <Checkbox
+              id={type.key}
+              checked={preferences[type.key]}
+              disabled={!preferences.emailEnabled}
+              onCheckedChange={(checked) => handleChange(type.key, checked)}
+            />
+            <div className="space-y-1 leading-none">
+              <Label htmlFor={type.key}>{type.label}</Label>
+              <p className="text-sm text-gray-500">{type.description}</p>
+            </div>
+          </div>
+        ))}
+
+        <div className="flex justify-end">
+          <Button onClick={() => savePreferences(preferences)} disabled={saving}>
+            {saving ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              <>
+                <Save className="mr-2 h-4 w-4" />
+                Save Preferences
+              </>
+            )}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,27 @@
+import { getNotificationPreferences } from "@/actions/notifications";
+import { auth } from "@clerk/nextjs/server";
+import { redirect } from "next/navigation";
+import { NotificationPreferencesForm } from "./_components/notification-preferences-form";
+
+export const metadata = {
+  title: "Notifications | Vehiql",
+  description: "Choose which emails you receive from Vehiql",
+};
+
+export default async function NotificationsPage() {
+  // Check authentication on server
+  const { userId } = await auth();
+  if (!userId) {
+    redirect("/sign-in?redirect=/notifications");
+  }
+
+  // Fetch preferences on the server
+  const preferencesResult = await getNotificationPreferences();
+
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <h1 className="text-6xl mb-6 gradient-title">Notifications</h1>
+      <NotificationPreferencesForm initialData={preferencesResult} />
+    </div>
+  );
+}
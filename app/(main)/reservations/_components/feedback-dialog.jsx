@@ -0,0 +1,131 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { format } from "date-fns";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { StarRating } from "@/components/star-rating";
+import useFetch from "@/hooks/use-fetch";
+import { submitTestDriveFeedback } from "@/actions/test-drive";
+import { FEEDBACK_COMMENTS_MAX_LENGTH } from "@/lib/test-drive-feedback";
+
+export function FeedbackDialog({ booking, onClose, onSubmitted }) {
+  const [carRating, setCarRating] = useState(0);
+  const [experienceRating, setExperienceRating] = useState(0);
+  const [comments, setComments] = useState("");
+
+  const {
+    loading: submitting,
+    fn: submitFeedbackFn,
+    data: submitResult,
+  } = useFetch(submitTestDriveFeedback);
+
+  // Start over for each booking
+  useEffect(() => {
+    setCarRating(0);
+    setExperienceRating(0);
+    setComments("");
+  }, [booking?.id]);
+
+  useEffect(() => {
+    if (!submitResult) return;
+
+    if (submitResult.success) {
+      toast.success("Thanks for your feedback!");
+      onSubmitted();
+    } else {
+      toast.error(submitResult.error || "Failed to submit feedback");
+    }
+  }, [submitResult]);
+
+  const handleSubmit = async () => {
+    await submitFeedbackFn({
+      bookingId: booking.id,
+      carRating,
+      experienceRating,
+      comments,
+    });
+  };
+
+  return (
+    <Dialog open={!!booking} onOpenChange={(open) => !open && onClose()}>
+      {booking && (
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Rate Your Test Drive</DialogTitle>
+            <DialogDescription>
+              How was the {booking.car.year} {booking.car.make}{" "}
+              {booking.car.model} you drove on{" "}
+              {format(new Date(booking.bookingDate), "MMMM d, yyyy")}?
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="space-y-1">
+              <p className="text-sm font-medium">The car</p>
+              <StarRating
+                value={carRating}
+                onChange={setCarRating}
+                label="Car rating"
+              />
+            </div>
+            <div className="space-y-1">
+              <p className="text-sm font-medium">
+                Your experience with our team
+              </p>
+              <StarRating
+                value={experienceRating}
+                onChange={setExperienceRating}
+                label="Experience rating"
+              />
+            </div>
+            <div className="space-y-1">
+              <label
+                htmlFor="feedback-comments"
+                className="text-sm font-medium"
+              >
+                Comments (optional)
+              </label>
+              <Textarea
+                id="feedback-comments"
+                value={comments}
+                onChange={(e) => setComments(e.target.value)}
+                maxLength={FEEDBACK_COMMENTS_MAX_LENGTH}
+                placeholder="Anything you liked, or that we could do better?"
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={onClose} disabled={submitting}>
+              Not Now
+            </Button>
+            <Button
+              onClick={handleSubmit}
+              disabled={!carRating || !experienceRating || submitting}
+            >
+              {submitting ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Submitting...
+                </>
+              ) : (
+                "Submit Feedback"
+              )}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      )}
+    </Dialog>
+  );
+}
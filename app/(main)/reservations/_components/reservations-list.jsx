@@ -1,13 +1,30 @@
 "use client";
 
+import { useState } from "react";
 import Link from "next/link";
+import { useRouter } from "next/navigation";
 import { Button } from "@/components/ui/button";
-import { Calendar } from "lucide-react";
+import { Calendar, Star } from "lucide-react";
 import { TestDriveCard } from "@/components/test-drive-card";
+import { StarRating } from "@/components/star-rating";
 import useFetch from "@/hooks/use-fetch";
 import { cancelTestDrive } from "@/actions/test-drive";
+import { FeedbackDialog } from "./feedback-dialog";
+
+const canLeaveFeedback = (booking) =>
+  booking?.status === "COMPLETED" && !booking.feedback;
+
+export function ReservationsList({ initialData, feedbackBookingId }) {
+  const router = useRouter();
+
+  // Opened straight away when following the link in the feedback email
+  const [feedbackBooking, setFeedbackBooking] = useState(() => {
+    const booking = initialData?.data?.find(
+      (item) => item.id === feedbackBookingId
+    );
+    return canLeaveFeedback(booking) ? booking : null;
+  });
 
-export function ReservationsList({ initialData }) {
   const {
     loading: cancelling,
     fn: cancelBookingFn,
@@ -61,6 +78,7 @@ export function ReservationsList({ initialData }) {
                 key={booking.id}
                 booking={booking}
                 onCancel={handleCancelBooking}
+                onRescheduled={() => router.refresh()}
                 isCancelling={cancelling}
                 showActions
                 cancelError={cancelError}
@@ -82,11 +100,41 @@ export function ReservationsList({ initialData }) {
                 booking={booking}
                 showActions={false}
                 isPast
+                renderStatusSelector={() =>
+                  booking.feedback ? (
+                    <div className="flex items-center gap-2 text-sm text-gray-600">
+                      <span>Your rating</span>
+                      <StarRating
+                        value={booking.feedback.carRating}
+                        label="Your car rating"
+                      />
+                    </div>
+                  ) : canLeaveFeedback(booking) ? (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="mt-1"
+                      onClick={() => setFeedbackBooking(booking)}
+                    >
+                      <Star className="mr-2 h-4 w-4" />
+                      Rate Test Drive
+                    </Button>
+                  ) : null
+                }
               />
             ))}
           </div>
         </div>
       )}
+
+      <FeedbackDialog
+        booking={feedbackBooking}
+        onClose={() => setFeedbackBooking(null)}
+        onSubmitted={() => {
+          setFeedbackBooking(null);
+          router.refresh();
+        }}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -8,7 +8,9 @@ export const metadata = {
   description: "Manage your test drive reservations",
 };
 
-export default async function ReservationsPage() {
+export default async function ReservationsPage({ searchParams }) {
+  const { feedback } = await searchParams;
+
   // Check authentication on server
   const { userId } = await auth();
   if (!userId) {
@@ -21,7 +23,10 @@ export default async function ReservationsPage() {
   return (
     <div className="container mx-auto px-4 py-12">
       <h1 className="text-6xl mb-6 gradient-title">Your Reservations</h1>
-      <ReservationsList initialData={reservationsResult} />
+      <ReservationsList
+        initialData={reservationsResult}
+        feedbackBookingId={feedback}
+      />
     </div>
   );
 }
\ No newline at end of file
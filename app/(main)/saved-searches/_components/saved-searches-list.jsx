@@ -0,0 +1,165 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+import { format } from "date-fns";
+import { Bell, BellOff, Search, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent } from "@/components/ui/card";
+import useFetch from "@/hooks/use-fetch";
+import {
+  deleteSavedSearch,
+  updateSavedSearchAlerts,
+} from "@/actions/saved-searches";
+import { describeSearchFilters, getSearchUrl } from "@/lib/car-search";
+
+export function SavedSearchesList({ initialData }) {
+  const router = useRouter();
+  const [pendingId, setPendingId] = useState(null);
+
+  const {
+    fn: updateAlertsFn,
+    data: updateResult,
+    error: updateError,
+  } = useFetch(updateSavedSearchAlerts);
+
+  const {
+    fn: deleteFn,
+    data: deleteResult,
+    error: deleteError,
+  } = useFetch(deleteSavedSearch);
+
+  // Reload the server data after any change
+  useEffect(() => {
+    if (updateResult?.success || deleteResult?.success) {
+      if (deleteResult?.success) toast.success("Saved search deleted");
+      setPendingId(null);
+      router.refresh();
+    }
+  }, [updateResult, deleteResult, router]);
+
+  useEffect(() => {
+    if (updateError || deleteError) setPendingId(null);
+  }, [updateError, deleteError]);
+
+  const handleToggleAlerts = async (savedSearch) => {
+    setPendingId(savedSearch.id);
+    await updateAlertsFn(savedSearch.id, !savedSearch.alertsEnabled);
+  };
+
+  const handleDelete = async (savedSearch) => {
+    if (!window.confirm(`Delete "${savedSearch.name}"?`)) return;
+    setPendingId(savedSearch.id);
+    await deleteFn(savedSearch.id);
+  };
+
+  if (!initialData?.success) {
+    return (
+      <p className="text-gray-500">
+        {initialData?.error || "Failed to load saved searches"}
+      </p>
+    );
+  }
+
+  // No saved searches
+  if (initialData.data.length === 0) {
+    return (
+      <div className="min-h-[400px] flex flex-col items-center justify-center text-center p-8 border rounded-lg bg-gray-50">
+        <div className="bg-gray-100 p-4 rounded-full mb-4">
+          <Search className="h-8 w-8 text-gray-500" />
+        </div>
+        <h3 className="text-lg font-medium mb-2">No Saved Searches</h3>
+        <p className="text-gray-500 mb-6 max-w-md">
+          Filter the car listings and click Save Search to get an email when
+          new cars match.
+        </p>
+        <Button variant="default" asChild>
+          <Link href="/cars">Browse Cars</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {initialData.data.map((savedSearch) => {
+        const summary = describeSearchFilters(savedSearch.filters);
+        const isPending = pendingId === savedSearch.id;
+
+        return (
+          <Card key={savedSearch.id}>
+            <CardContent className="p-4 flex flex-col md:flex-row md:items-center gap-4">
+              <div className="flex-1 space-y-2">
+                <div className="flex items-center gap-2">
+                  <Link
+                    href={getSearchUrl(savedSearch.filters)}
+                    className="text-lg font-bold hover:underline"
+                  >
+                    {savedSearch.name}
+                  </Link>
+                  <Badge variant="outline">
+                    {savedSearch.matchCount}{" "}
+                    {savedSearch.matchCount === 1 ? "car" : "cars"}
+                  </Badge>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {summary.length > 0 ? (
+                    summary.map((part) => (
+                      <Badge
+                        key={part}
+                        variant="outline"
+                        className="bg-gray-50 font-normal"
+                      >
+                        {part}
+                      </Badge>
+                    ))
+                  ) : (
+                    <span className="text-sm text-gray-500">All cars</span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">
+                  Saved on{" "}
+                  {format(new Date(savedSearch.createdAt), "MMM d, yyyy")}
+                </p>
+              </div>
+
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  onClick={() => handleToggleAlerts(savedSearch)}
+                  disabled={isPending}
+                  className={savedSearch.alertsEnabled ? "text-blue-600" : ""}
+                >
+                  {savedSearch.alertsEnabled ? (
+                    <Bell className="h-4 w-4" />
+                  ) : (
+                    <BellOff className="h-4 w-4" />
+                  )}
+                  {savedSearch.alertsEnabled ? "Alerts on" : "Alerts off"}
+                </Button>
+                <Button asChild>
+                  <Link href={getSearchUrl(savedSearch.filters)}>
+                    View Cars
+                  </Link>
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="text-red-600"
+                  onClick={() => handleDelete(savedSearch)}
+                  disabled={isPending}
+                  aria-label="Delete saved search"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
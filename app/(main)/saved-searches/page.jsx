@@ -0,0 +1,27 @@
+import { getSavedSearches } from "@/actions/saved-searches";
+import { SavedSearchesList } from "./_components/saved-searches-list";
+import { auth } from "@clerk/nextjs/server";
+import { redirect } from "next/navigation";
+
+export const metadata = {
+  title: "Saved Searches | Vehiql",
+  description: "Your saved car searches and alerts",
+};
+
+export default async function SavedSearchesPage() {
+  // Check authentication on server
+  const { userId } = await auth();
+  if (!userId) {
+    redirect("/sign-in?redirect=/saved-searches");
+  }
+
+  // Fetch saved searches on the server
+  const savedSearchesResult = await getSavedSearches();
+
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <h1 className="text-6xl mb-6 gradient-title">Saved Searches</h1>
+      <SavedSearchesList initialData={savedSearchesResult} />
+    </div>
+  );
+}
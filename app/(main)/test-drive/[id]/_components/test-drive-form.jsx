@@ -36,9 +36,10 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { cn } from "@/lib/utils";
-import { bookTestDrive } from "@/actions/test-drive";
+import { bookTestDrive, getAvailableSlots } from "@/actions/test-drive";
 import { toast } from "sonner";
 import useFetch from "@/hooks/use-fetch";
+import { getScheduleForDate } from "@/lib/test-drive-slots";
 
 // Define Zod schema for form validation
 const testDriveSchema = z.object({
@@ -53,7 +54,6 @@ const testDriveSchema = z.object({
 
 export function TestDriveForm({ car, testDriveInfo }) {
   const router = useRouter();
-  const [availableTimeSlots, setAvailableTimeSlots] = useState([]);
   const [showConfirmation, setShowConfirmation] = useState(false);
   const [bookingDetails, setBookingDetails] = useState(null);
 
@@ -76,7 +76,6 @@ export function TestDriveForm({ car, testDriveInfo }) {
 
   // Get dealership and booking information
   const dealership = testDriveInfo?.dealership;
-  const existingBookings = testDriveInfo?.existingBookings || [];
 
   // Watch date field to update available time slots
   const selectedDate = watch("date");
@@ -89,6 +88,17 @@ export function TestDriveForm({ car, testDriveInfo }) {
     error: bookingError,
   } = useFetch(bookTestDrive);
 
+  const {
+    loading: slotsLoading,
+    fn: fetchSlotsFn,
+    data: slotsResult,
+  } = useFetch(getAvailableSlots);
+
+  const availableTimeSlots = slotsResult?.success ? slotsResult.data : [];
+
+  const fetchSlots = (date) =>
+    fetchSlotsFn({ carId: car.id, date: format(date, "yyyy-MM-dd") });
+
   // Handle successful booking
   useEffect(() => {
     if (bookingResult?.success) {
@@ -111,6 +121,15 @@ export function TestDriveForm({ car, testDriveInfo }) {
   }, [bookingResult, reset]);
 
   // Handle booking error
+  useEffect(() => {
+    if (bookingResult && !bookingResult.success) {
+      toast.error(bookingResult.error || "Failed to book test drive");
+
+      // Someone may have taken the slot, so refresh the list
+      if (selectedDate) fetchSlots(selectedDate);
+    }
+  }, [bookingResult]);
+
   useEffect(() => {
     if (bookingError) {
       toast.error(
@@ -119,57 +138,22 @@ export function TestDriveForm({ car, testDriveInfo }) {
     }
   }, [bookingError]);
 
-  // Update available time slots when date changes
+  // Fetch available time slots from the server when date changes
   useEffect(() => {
-    if (!selectedDate || !dealership?.workingHours) return;
-
-    const selectedDayOfWeek = format(selectedDate, "EEEE").toUpperCase();
-
-    // Find working hours for the selected day
-    const daySchedule = dealership.workingHours.find(
-      (day) => day.dayOfWeek === selectedDayOfWeek
-    );
+    if (!selectedDate) return;
 
-    if (!daySchedule || !daySchedule.isOpen) {
-      setAvailableTimeSlots([]);
-      return;
-    }
-
-    // Parse opening and closing hours
-    const openHour = parseInt(daySchedule.openTime.split(":")[0]);
-    const closeHour = parseInt(daySchedule.closeTime.split(":")[0]);
-
-    // Generate time slots (every hour)
-    const slots = [];
-    for (let hour = openHour; hour < closeHour; hour++) {
-      const startTime = `${hour.toString().padStart(2, "0")}:00`;
-      const endTime = `${(hour + 1).toString().padStart(2, "0")}:00`;
-
-      // Check if this slot is already booked
-      const isBooked = existingBookings.some((booking) => {
-        const bookingDate = booking.date;
-        return (
-          bookingDate === format(selectedDate, "yyyy-MM-dd") &&
-          (booking.startTime === startTime || booking.endTime === endTime)
-        );
-      });
-
-      if (!isBooked) {
-        slots.push({
-          id: `${startTime}-${endTime}`,
-          label: `${startTime} - ${endTime}`,
-          startTime,
-          endTime,
-        });
-      }
-    }
-
-    setAvailableTimeSlots(slots);
+    fetchSlots(selectedDate);
 
     // Clear time slot selection when date changes
     setValue("timeSlot", "");
   }, [selectedDate]);
 
+  useEffect(() => {
+    if (slotsResult && !slotsResult.success) {
+      toast.error(slotsResult.error || "Failed to load available time slots");
+    }
+  }, [slotsResult]);
+
   // Create a function to determine which days should be disabled
   const isDayDisabled = (day) => {
     // Disable past dates
@@ -177,12 +161,11 @@ export function TestDriveForm({ car, testDriveInfo }) {
       return true;
     }
 
-    // Get day of week
-    const dayOfWeek = format(day, "EEEE").toUpperCase();
-
-    // Find working hours for the day
-    const daySchedule = dealership?.workingHours?.find(
-      (schedule) => schedule.dayOfWeek === dayOfWeek
+    // Find working hours for the day, including holidays and special hours
+    const daySchedule = getScheduleForDate(
+      dealership?.workingHours,
+      dealership?.specialHours,
+      format(day, "yyyy-MM-dd")
     );
 
     // Disable if dealership is closed on this day
@@ -362,7 +345,9 @@ export function TestDriveForm({ car, testDriveInfo }) {
                         value={field.value}
                         onValueChange={field.onChange}
                         disabled={
-                          !selectedDate || availableTimeSlots.length === 0
+                          !selectedDate ||
+                          slotsLoading ||
+                          availableTimeSlots.length === 0
                         }
                       >
                         <SelectTrigger>
@@ -370,6 +355,8 @@ export function TestDriveForm({ car, testDriveInfo }) {
                             placeholder={
                               !selectedDate
                                 ? "Please select a date first"
+                                : slotsLoading
+                                ? "Loading available slots..."
                                 : availableTimeSlots.length === 0
                                 ? "No available slots on this date"
                                 : "Select a time slot"
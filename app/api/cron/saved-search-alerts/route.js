@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { sendSavedSearchAlerts } from "@/lib/notifications";
+
+// Called daily by the scheduler configured in vercel.json
+export async function GET(req) {
+  // Only the scheduler knows the secret
+  const authHeader = req.headers.get("authorization");
+  if (
+    !process.env.CRON_SECRET ||
+    authHeader !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  try {
+    const result = await sendSavedSearchAlerts();
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error sending saved search alerts:", error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { sendTestDriveReminders } from "@/lib/notifications";
+
+// Called hourly by the scheduler configured in vercel.json
+export async function GET(req) {
+  // Only the scheduler knows the secret
+  const authHeader = req.headers.get("authorization");
+  if (
+    !process.env.CRON_SECRET ||
+    authHeader !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  try {
+    const result = await sendTestDriveReminders();
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error sending test drive reminders:", error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
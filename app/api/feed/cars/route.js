@@ -0,0 +1,140 @@
+import { NextResponse } from "next/server";
+import { db } from "@/lib/prisma";
+import { serializeCarData } from "@/lib/helpers";
+import {
+  carCursorWhere,
+  decodeCarCursor,
+  encodeCarCursor,
+  getCarOrderBy,
+} from "@/lib/car-sort";
+
+const CAR_STATUSES = ["AVAILABLE", "UNAVAILABLE", "SOLD"];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Read-only inventory feed polled by partner sites and accounting tools.
+//
+// Query params (all optional):
+//   status       - comma separated car statuses, defaults to AVAILABLE, or to
+//                  every status when syncing changes with updatedSince or cursor
+//   updatedSince - ISO date or date-time, only cars changed since then
+//   make         - comma separated makes, case insensitive
+//   cursor       - nextCursor from the previous response, to carry on after it
+//   limit        - cars per page, up to 500
+export async function GET(req) {
+  // Feed consumers are given the key out of band
+  const authHeader = req.headers.get("authorization");
+  if (
+    !process.env.FEED_API_KEY ||
+    authHeader !== `Bearer ${process.env.FEED_API_KEY}`
+  ) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const { searchParams, origin } = new URL(req.url);
+
+  const cursor = searchParams.get("cursor");
+  if (cursor && !decodeCarCursor(cursor, "updated")) {
+    return NextResponse.json({ error: "Invalid cursor" }, { status: 400 });
+  }
+
+  const limit = Number(searchParams.get("limit") || DEFAULT_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return NextResponse.json(
+      { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` },
+      { status: 400 }
+    );
+  }
+
+  // Syncing consumers need to hear about cars that were sold or taken off
+  // sale, not just the ones still for sale
+  const isSync = !!(cursor || searchParams.get("updatedSince"));
+  const statuses = (
+    searchParams.get("status") ||
+    (isSync ? CAR_STATUSES.join(",") : "AVAILABLE")
+  )
+    .split(",")
+    .map((status) => status.trim().toUpperCase())
+    .filter(Boolean);
+  if (statuses.some((status) => !CAR_STATUSES.includes(status))) {
+    return NextResponse.json(
+      { error: `status must be one of ${CAR_STATUSES.join(", ")}` },
+      { status: 400 }
+    );
+  }
+
+  const where = { status: { in: statuses }, AND: [] };
+
+  const updatedSince = searchParams.get("updatedSince");
+  if (updatedSince) {
+    const date = new Date(updatedSince);
+    if (isNaN(date.getTime())) {
+      return NextResponse.json(
+        { error: "updatedSince must be an ISO date" },
+        { status: 400 }
+      );
+    }
+    where.updatedAt = { gte: date };
+  }
+
+  const makes = (searchParams.get("make") || "")
+    .split(",")
+    .map((make) => make.trim())
+    .filter(Boolean);
+  if (makes.length > 0) {
+    where.AND.push({
+      OR: makes.map((make) => ({
+        make: { equals: make, mode: "insensitive" },
+      })),
+    });
+  }
+
+  if (cursor) {
+    where.AND.push(carCursorWhere(cursor, "updated"));
+  }
+
+  try {
+    // Oldest change first, so pollers can resume from the last car they saw
+    const cars = await db.car.findMany({
+      where,
+      include: {
+        dealership: {
+          select: { id: true, name: true, address: true },
+        },
+      },
+      orderBy: getCarOrderBy("updated"),
+      take: limit + 1,
+    });
+
+    const hasMore = cars.length > limit;
+    const page = cars.slice(0, limit);
+
+    return NextResponse.json({
+      generatedAt: new Date().toISOString(),
+      count: page.length,
+      hasMore,
+      // Kept when nothing changed, so the next poll starts from the same place
+      nextCursor:
+        page.length > 0
+          ? encodeCarCursor(page[page.length - 1], "updated")
+          : cursor,
+      cars: page.map(({ dealership, ...car }) => {
+        // Wishlists are per user and mean nothing to feed consumers
+        const { wishlisted, ...serialized } = serializeCarData(car);
+
+        return {
+          ...serialized,
+          dealership,
+          url: `${origin}/cars/${car.id}`,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Error fetching car feed:", error);
+    return NextResponse.json(
+      { error: "Error fetching car feed" },
+      { status: 500 }
+    );
+  }
+}
@@ -9,6 +9,7 @@ import { SignedOut } from "@clerk/nextjs";
 import  { HomeSearch }  from "@/components/home-search";
 import { Button } from "@/components/ui/button";
 import { CarCard } from "@/components/car-card";
+import { RecentlyViewed } from "@/components/recently-viewed";
 import Link from "next/link";
 import { bodyTypes, carMakes, faqItems } from "@/lib/data";
 import { getFeaturedCars } from "@/actions/home";
@@ -56,6 +57,9 @@ export default async function Home() {
         </div>
       </section>
 
+      {/* Recently Viewed (Client) */}
+      <RecentlyViewed />
+
        {/* Browse by Make */}
        <section className="py-12 bg-gray-50">
         <div className="container mx-auto px-4">
@@ -2,7 +2,13 @@
 
 import { useState, useEffect } from "react";
 import Link from "next/link";
-import { Heart, Car as CarIcon, Loader2 } from "lucide-react";
+import {
+  Heart,
+  Car as CarIcon,
+  GitCompareArrows,
+  Loader2,
+  TrendingDown,
+} from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
@@ -12,11 +18,15 @@ import { useRouter } from "next/navigation";
 import useFetch from "@/hooks/use-fetch";
 import { toggleSavedCar } from "@/actions/car-listing";
 import { useAuth } from "@clerk/nextjs";
+import { formatCurrency } from "@/lib/helpers";
+import useCompare from "@/hooks/use-compare";
 
 export const CarCard = ({ car }) => {
   const { isSignedIn } = useAuth();
   const router = useRouter();
   const [isSaved, setIsSaved] = useState(car.wishlisted);
+  const { isComparing, toggleCompare } = useCompare();
+  const comparing = isComparing(car.id);
 
   // Use the useFetch hook
   const {
@@ -73,6 +83,13 @@ export const CarCard = ({ car }) => {
           </div>
         )}
 
+        {car.priceDrop > 0 && (
+          <Badge className="absolute top-2 left-2 bg-green-600 hover:bg-green-600 text-white">
+            <TrendingDown className="mr-1 h-3 w-3" />
+            Price dropped by {formatCurrency(car.priceDrop)}
+          </Badge>
+        )}
+
         <Button
           variant="ghost"
           size="icon"
@@ -121,7 +138,7 @@ export const CarCard = ({ car }) => {
           </Badge>
         </div>
 
-        <div className="flex justify-between">
+        <div className="flex justify-between gap-2">
           <Button
             className="flex-1"
             onClick={() => {
@@ -130,6 +147,14 @@ export const CarCard = ({ car }) => {
           >
             View Car
           </Button>
+          <Button
+            variant="outline"
+            className={comparing ? "border-blue-600 text-blue-600" : ""}
+            onClick={() => toggleCompare(car.id)}
+          >
+            <GitCompareArrows className="h-4 w-4" />
+            {comparing ? "Comparing" : "Compare"}
+          </Button>
         </div>
       </CardContent>
     </Card>
@@ -0,0 +1,51 @@
+"use client";
+
+import Link from "next/link";
+import { usePathname } from "next/navigation";
+import { GitCompareArrows, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import useCompare from "@/hooks/use-compare";
+import { MAX_COMPARE_CARS, getCompareUrl } from "@/lib/compare";
+
+// Floating bar showing the cars picked for comparison
+export const CompareBar = () => {
+  const pathname = usePathname();
+  const { compareIds, clearCompare } = useCompare();
+
+  if (
+    compareIds.length === 0 ||
+    pathname.startsWith("/compare") ||
+    pathname.startsWith("/admin")
+  ) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 bg-white border shadow-lg rounded-full px-4 py-2 flex items-center gap-3">
+      <GitCompareArrows className="h-5 w-5 text-blue-600" />
+      <span className="text-sm font-medium">
+        {compareIds.length} of {MAX_COMPARE_CARS} cars selected
+      </span>
+      <Button
+        size="sm"
+        className="rounded-full"
+        disabled={compareIds.length < 2}
+        asChild={compareIds.length >= 2}
+      >
+        {compareIds.length >= 2 ? (
+          <Link href={getCompareUrl(compareIds)}>Compare</Link>
+        ) : (
+          "Pick one more"
+        )}
+      </Button>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-8 w-8 rounded-full"
+        onClick={clearCompare}
+      >
+        <X className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+};
@@ -1,6 +1,14 @@
 import React from "react";
 import { Button } from "./ui/button";
-import { Heart, CarFront, Layout, ArrowLeft } from "lucide-react";
+import {
+  Heart,
+  CarFront,
+  Layout,
+  ArrowLeft,
+  Bell,
+  BookmarkCheck,
+  ClipboardList,
+} from "lucide-react";
 import Link from "next/link";
 import { SignedIn, SignedOut, SignInButton, UserButton } from "@clerk/nextjs";
 import { checkUser } from "@/lib/checkUser";
@@ -9,6 +17,7 @@ import Image from "next/image";
  const Header = async ({ isAdminPage = false }) => {
   const user = await checkUser();
   const isAdmin = user?.role === "ADMIN";
+  const isStaff = user?.role === "STAFF";
    
    return (
     <header className="fixed top-0 w-full bg-white/80 backdrop-blur-md z-50 border-b">
@@ -49,12 +58,30 @@ import Image from "next/image";
                     </Button>
                   </Link>
                 )}
+                {isStaff && (
+                  <Link href="/my-drives">
+                    <Button variant="outline" className="flex items-center gap-2">
+                      <ClipboardList size={18} />
+                      <span className="hidden md:inline">My Drives</span>
+                    </Button>
+                  </Link>
+                )}
                 <a href="/saved-cars">
                   <Button className="flex items-center gap-2">
                     <Heart size={18} />
                     <span className="hidden md:inline">Saved Cars</span>
                   </Button>
                 </a>
+                <Link href="/saved-searches">
+                  <Button variant="outline" size="icon" aria-label="Saved Searches">
+                    <BookmarkCheck size={18} />
+                  </Button>
+                </Link>
+                <Link href="/notifications">
+                  <Button variant="outline" size="icon" aria-label="Notifications">
+                    <Bell size={18} />
+                  </Button>
+                </Link>
                 {isAdmin && (
                   <Link href="/admin">
                     <Button variant="outline" className="flex items-center gap-2">
@@ -1,15 +1,21 @@
 "use client";
 
 import { useState, useEffect } from "react";
-import { Search, Upload, Camera } from "lucide-react";
+import { Search, Upload, Camera, Clock, CarFront } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { toast } from "sonner";
 import { useDropzone } from "react-dropzone";
 import { useRouter } from "next/navigation";
 import useFetch from "@/hooks/use-fetch";
-import { processImageSearch } from "@/actions/home";
+import {
+  getSearchSuggestions,
+  processImageSearch,
+  saveRecentSearch,
+} from "@/actions/home";
 
+// Wait for a pause in typing before asking for suggestions
+const SUGGESTION_DELAY_MS = 200;
 
 export function HomeSearch() {
   const router = useRouter();
@@ -18,6 +24,42 @@ export function HomeSearch() {
   const [imagePreview, setImagePreview] = useState("");
   const [isUploading, setIsUploading] = useState(false);
   const [isImageSearchActive, setIsImageSearchActive] = useState(false);
+  const [isSuggestionsOpen, setIsSuggestionsOpen] = useState(false);
+  const [suggestionData, setSuggestionData] = useState({
+    suggestions: [],
+    recent: [],
+  });
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Recent searches first, then inventory matches
+  const suggestionItems = [
+    ...suggestionData.recent,
+    ...suggestionData.suggestions,
+  ];
+
+  // Fetch suggestions as the user types. Results of a superseded request are
+  // dropped, so a slow response can't replace newer suggestions.
+  useEffect(() => {
+    if (!isSuggestionsOpen) return;
+
+    let ignore = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await getSearchSuggestions(searchTerm);
+        if (!ignore) {
+          setSuggestionData(result.data);
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        console.error("Error fetching search suggestions:", error);
+      }
+    }, SUGGESTION_DELAY_MS);
+
+    return () => {
+      ignore = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, isSuggestionsOpen]);
 
   // Use the useFetch hook for image processing
   const {
@@ -63,14 +105,53 @@ export function HomeSearch() {
     });
 
   // Handle text search submissions
-  const handleTextSearch = (e) => {
+  const handleTextSearch = async (e) => {
     e.preventDefault();
     if (!searchTerm.trim()) {
       toast.error("Please enter a search term");
       return;
     }
 
-    router.push(`/cars?search=${encodeURIComponent(searchTerm)}`);
+    setIsSuggestionsOpen(false);
+    await rememberSearch(searchTerm);
+    router.push(
+      `/cars?search=${encodeURIComponent(searchTerm)}&sortBy=relevance`
+    );
+  };
+
+  // Recent searches are a convenience, so failing to save one isn't shown
+  const rememberSearch = async (query) => {
+    try {
+      await saveRecentSearch(query);
+    } catch (error) {
+      console.error("Error saving recent search:", error);
+    }
+  };
+
+  const handleSuggestionSelect = async (item) => {
+    setIsSuggestionsOpen(false);
+    if (item.type === "recent") await rememberSearch(item.label);
+    router.push(item.url);
+  };
+
+  // Arrow keys move through the suggestions, Enter opens the highlighted one
+  const handleSearchKeyDown = (e) => {
+    if (!isSuggestionsOpen || suggestionItems.length === 0) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % suggestionItems.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((index) =>
+        index <= 0 ? suggestionItems.length - 1 : index - 1
+      );
+    } else if (e.key === "Enter" && activeIndex >= 0) {
+      e.preventDefault();
+      handleSuggestionSelect(suggestionItems[activeIndex]);
+    } else if (e.key === "Escape") {
+      setIsSuggestionsOpen(false);
+    }
   };
 
   // Handle image search submissions
@@ -118,12 +199,60 @@ export function HomeSearch() {
           <Search className="absolute left-3 w-5 h-5" />
           <Input
             type="text"
-            placeholder="Enter make, model, or use our AI Image Search..."
+            placeholder='Try "white camry under 30k" or use our AI Image Search...'
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            onChange={(e) => {
+              setSearchTerm(e.target.value);
+              setIsSuggestionsOpen(true);
+            }}
+            onFocus={() => setIsSuggestionsOpen(true)}
+            onBlur={() => setIsSuggestionsOpen(false)}
+            onKeyDown={handleSearchKeyDown}
+            role="combobox"
+            aria-expanded={isSuggestionsOpen && suggestionItems.length > 0}
+            aria-controls="search-suggestions"
+            aria-autocomplete="list"
             className="pl-10 pr-12 py-6 w-full rounded-full border-gray-300 bg-white/95 backdrop-blur-sm"
           />
 
+          {/* Typeahead suggestions */}
+          {isSuggestionsOpen && suggestionItems.length > 0 && (
+            <ul
+              id="search-suggestions"
+              role="listbox"
+              className="absolute top-full left-0 right-0 mt-2 z-20 bg-white border rounded-2xl shadow-lg py-2 text-left text-gray-900 overflow-hidden"
+            >
+              {suggestionItems.map((item, index) => (
+                <li
+                  key={`${item.type}-${item.label}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  // Keep focus in the input so blur doesn't close the list first
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => handleSuggestionSelect(item)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${
+                    index === activeIndex ? "bg-gray-100" : ""
+                  }`}
+                >
+                  {item.type === "recent" ? (
+                    <Clock className="h-4 w-4 text-gray-400" />
+                  ) : (
+                    <CarFront className="h-4 w-4 text-gray-400" />
+                  )}
+                  <span className="flex-1">{item.label}</span>
+                  {item.type === "recent" ? (
+                    <span className="text-xs text-gray-400">Recent</span>
+                  ) : (
+                    <span className="text-sm text-gray-500">
+                      {item.count} available
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
           {/* Image Search Button */}
           <div className="absolute right-[100px]">
             <Camera
@@ -0,0 +1,43 @@
+"use client";
+
+import { useEffect } from "react";
+import { useAuth } from "@clerk/nextjs";
+import { CarCard } from "@/components/car-card";
+import useFetch from "@/hooks/use-fetch";
+import useRecentlyViewed from "@/hooks/use-recently-viewed";
+import { getRecentlyViewedCars } from "@/actions/car-listing";
+
+export const RecentlyViewed = () => {
+  const { isLoaded, isSignedIn } = useAuth();
+  const { recentlyViewedIds } = useRecentlyViewed();
+
+  const { data: result, fn: fetchRecentlyViewed } = useFetch(
+    getRecentlyViewedCars
+  );
+
+  // Signed-in users get their account's views, guests the ones in storage
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (!isSignedIn && recentlyViewedIds.length === 0) return;
+
+    fetchRecentlyViewed(isSignedIn ? [] : recentlyViewedIds);
+  }, [isLoaded, isSignedIn, recentlyViewedIds]);
+
+  const cars = result?.data || [];
+  if (cars.length === 0) return null;
+
+  return (
+    <section className="py-12">
+      <div className="container mx-auto px-4">
+        <h2 className="text-2xl font-bold mb-8">Recently Viewed</h2>
+        <div className="flex gap-6 overflow-x-auto pb-4 custom-scrollbar">
+          {cars.map((car) => (
+            <div key={car.id} className="w-72 flex-shrink-0">
+              <CarCard car={car} />
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+};
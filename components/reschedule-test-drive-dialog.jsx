@@ -0,0 +1,204 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { format, parseISO } from "date-fns";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import useFetch from "@/hooks/use-fetch";
+import { getAvailableSlots, rescheduleTestDrive } from "@/actions/test-drive";
+import { pickPreferredSlot } from "@/lib/test-drive-slots";
+
+const formatTime = (timeString) =>
+  format(parseISO(`2022-01-01T${timeString}`), "h:mm a");
+
+export function RescheduleTestDriveDialog({
+  booking,
+  open,
+  onOpenChange,
+  onRescheduled,
+  isAdmin = false,
+  // Day and "HH:MM" time to start with, e.g. where a booking was dropped
+  initialDate,
+  preferredTime,
+}) {
+  const [date, setDate] = useState();
+  const [slotId, setSlotId] = useState("");
+
+  const {
+    loading: slotsLoading,
+    fn: fetchSlotsFn,
+    data: slotsResult,
+    setData: setSlotsResult,
+  } = useFetch(getAvailableSlots);
+
+  const { loading: rescheduling, fn: rescheduleFn } =
+    useFetch(rescheduleTestDrive);
+
+  const availableSlots = slotsResult?.success ? slotsResult.data : [];
+
+  const fetchSlots = useCallback(
+    (day) =>
+      fetchSlotsFn({
+        carId: booking.carId,
+        date: format(day, "yyyy-MM-dd"),
+        bookingId: booking.id,
+      }),
+    [fetchSlotsFn, booking.carId, booking.id]
+  );
+
+  // Start over each time the dialog opens
+  useEffect(() => {
+    if (!open) return;
+
+    setDate(initialDate);
+    setSlotId("");
+    setSlotsResult(undefined);
+  }, [open, initialDate, setSlotsResult]);
+
+  // Load the open slots for the picked day
+  useEffect(() => {
+    setSlotId("");
+    if (date) fetchSlots(date);
+  }, [date, fetchSlots]);
+
+  useEffect(() => {
+    if (slotsResult && !slotsResult.success) {
+      toast.error(slotsResult.error || "Failed to load available time slots");
+    }
+  }, [slotsResult]);
+
+  // Preselect the slot closest to the preferred time
+  useEffect(() => {
+    if (slotsResult?.success && preferredTime) {
+      setSlotId(pickPreferredSlot(slotsResult.data, preferredTime)?.id || "");
+    }
+  }, [slotsResult, preferredTime]);
+
+  // Handled here rather than in an effect so the callbacks are the current ones
+  const handleReschedule = async () => {
+    const slot = availableSlots.find((item) => item.id === slotId);
+    if (!date || !slot) return;
+
+    const result = await rescheduleFn({
+      bookingId: booking.id,
+      bookingDate: format(date, "yyyy-MM-dd"),
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+    });
+    if (!result) return;
+
+    if (result.success) {
+      toast.success("Test drive rescheduled");
+      onOpenChange(false);
+      onRescheduled?.(result.data);
+    } else {
+      toast.error(result.error || "Failed to reschedule test drive");
+
+      // Someone may have taken the slot, so refresh the list
+      fetchSlots(date);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Reschedule Test Drive</DialogTitle>
+          <DialogDescription>
+            Pick a new time for the {booking.car.year} {booking.car.make}{" "}
+            {booking.car.model}, currently booked for{" "}
+            {format(new Date(booking.bookingDate), "EEEE, MMMM d, yyyy")} at{" "}
+            {formatTime(booking.startTime)}.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex justify-center border rounded-md">
+            <Calendar
+              mode="single"
+              selected={date}
+              onSelect={setDate}
+              defaultMonth={initialDate}
+              disabled={(day) => day < new Date()}
+              initialFocus
+            />
+          </div>
+
+          <Select
+            value={slotId}
+            onValueChange={setSlotId}
+            disabled={!date || slotsLoading || availableSlots.length === 0}
+          >
+            <SelectTrigger>
+              <SelectValue
+                placeholder={
+                  !date
+                    ? "Please select a date first"
+                    : slotsLoading
+                    ? "Loading available slots..."
+                    : availableSlots.length === 0
+                    ? "No available slots on this date"
+                    : "Select a time slot"
+                }
+              />
+            </SelectTrigger>
+            <SelectContent>
+              {availableSlots.map((slot) => (
+                <SelectItem key={slot.id} value={slot.id}>
+                  {slot.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          {!isAdmin && booking.status === "CONFIRMED" && (
+            <p className="text-sm text-amber-700">
+              Your booking is confirmed. Moving it sends it back to the
+              dealership to confirm the new time.
+            </p>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button
+            variant="outline"
+            onClick={() => onOpenChange(false)}
+            disabled={rescheduling}
+          >
+            Keep Current Time
+          </Button>
+          <Button
+            onClick={handleReschedule}
+            disabled={!date || !slotId || rescheduling}
+          >
+            {rescheduling ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Rescheduling...
+              </>
+            ) : (
+              "Reschedule"
+            )}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
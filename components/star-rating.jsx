@@ -0,0 +1,59 @@
+"use client";
+
+import { Star } from "lucide-react";
+import { RATING_MAX } from "@/lib/test-drive-feedback";
+import { cn } from "@/lib/utils";
+
+const STARS = Array.from({ length: RATING_MAX }, (_, index) => index + 1);
+
+// A row of stars. Averages are shown to the nearest star, and the stars can
+// be clicked to pick a rating when onChange is given.
+export function StarRating({ value = 0, onChange, label, className }) {
+  const filled = Math.round(value || 0);
+
+  const renderStar = (star) => (
+    <Star
+      className={cn(
+        "h-5 w-5",
+        star <= filled ? "fill-amber-400 text-amber-400" : "text-gray-300",
+        className
+      )}
+    />
+  );
+
+  if (!onChange) {
+    return (
+      <div
+        className="flex items-center gap-0.5"
+        role="img"
+        aria-label={`${label ? `${label}: ` : ""}${value} out of ${RATING_MAX} stars`}
+      >
+        {STARS.map((star) => (
+          <span key={star}>{renderStar(star)}</span>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="flex items-center gap-1"
+      role="radiogroup"
+      aria-label={label}
+    >
+      {STARS.map((star) => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={star === filled}
+          aria-label={`${star} star${star === 1 ? "" : "s"}`}
+          onClick={() => onChange(star)}
+          className="rounded hover:scale-110 transition-transform"
+        >
+          {renderStar(star)}
+        </button>
+      ))}
+    </div>
+  );
+}
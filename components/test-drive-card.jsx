@@ -4,7 +4,16 @@ import { useState } from "react";
 import Link from "next/link";
 import Image from "next/image";
 import { format, parseISO } from "date-fns";
-import { Calendar, Car, Clock, User, Loader2, ArrowRight } from "lucide-react";
+import {
+  Calendar,
+  CalendarClock,
+  Car,
+  Clock,
+  User,
+  UserCheck,
+  Loader2,
+  ArrowRight,
+} from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
@@ -16,6 +25,7 @@ import {
   DialogHeader,
   DialogTitle,
 } from "@/components/ui/dialog";
+import { RescheduleTestDriveDialog } from "@/components/reschedule-test-drive-dialog";
 
 // Helper function to format time
 const formatTime = (timeString) => {
@@ -47,6 +57,7 @@ const getStatusBadge = (status) => {
 export function TestDriveCard({
   booking,
   onCancel,
+  onRescheduled,
   showActions = true,
   isPast = false,
   isAdmin = false,
@@ -54,6 +65,7 @@ export function TestDriveCard({
   renderStatusSelector = () => null,
 }) {
   const [cancelDialogOpen, setCancelDialogOpen] = useState(false);
+  const [rescheduleDialogOpen, setRescheduleDialogOpen] = useState(false);
 
   // Handle cancel
   const handleCancel = async () => {
@@ -120,6 +132,12 @@ export function TestDriveCard({
                   {booking.user.name || booking.user.email}
                 </div>
               )}
+              {isAdmin && booking.salesperson && (
+                <div className="flex items-center text-gray-600">
+                  <UserCheck className="h-4 w-4 mr-2" />
+                  {booking.salesperson.name || booking.salesperson.email}
+                </div>
+              )}
             </div>
           </div>
 
@@ -148,6 +166,19 @@ export function TestDriveCard({
                   <ArrowRight className="ml-2 h-4 w-4" />
                 </Link>
               </Button>
+              {onRescheduled &&
+                (booking.status === "PENDING" ||
+                  booking.status === "CONFIRMED") && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="w-full mb-2 sm:mb-0"
+                    onClick={() => setRescheduleDialogOpen(true)}
+                  >
+                    <CalendarClock className="mr-2 h-4 w-4" />
+                    Reschedule
+                  </Button>
+                )}
               {(booking.status === "PENDING" ||
                 booking.status === "CONFIRMED") && (
                 <Button
@@ -169,6 +200,17 @@ export function TestDriveCard({
         </div>
       </Card>
 
+      {/* Reschedule Dialog */}
+      {onRescheduled && (
+        <RescheduleTestDriveDialog
+          booking={booking}
+          open={rescheduleDialogOpen}
+          onOpenChange={setRescheduleDialogOpen}
+          onRescheduled={onRescheduled}
+          isAdmin={isAdmin}
+        />
+      )}
+
       {/* Cancel Confirmation Dialog */}
       {onCancel && (
         <Dialog open={cancelDialogOpen} onOpenChange={setCancelDialogOpen}>
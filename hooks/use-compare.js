@@ -0,0 +1,73 @@
+import { useSyncExternalStore } from "react";
+import { toast } from "sonner";
+import { MAX_COMPARE_CARS } from "@/lib/compare";
+
+// The comparison list lives in localStorage so it survives navigation and is
+// shared by every component (and tab) using this hook
+const STORAGE_KEY = "vehiql-compare";
+const CHANGE_EVENT = "vehiql-compare-change";
+const NO_CARS = [];
+
+let cachedValue = null;
+let cachedIds = NO_CARS;
+
+// Return the same array until storage changes, as useSyncExternalStore expects
+const readIds = () => {
+  const value = window.localStorage.getItem(STORAGE_KEY);
+
+  if (value !== cachedValue) {
+    cachedValue = value;
+    try {
+      cachedIds = value ? JSON.parse(value) : NO_CARS;
+    } catch {
+      cachedIds = NO_CARS;
+    }
+  }
+
+  return cachedIds;
+};
+
+const writeIds = (carIds) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(carIds));
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+const subscribe = (callback) => {
+  window.addEventListener("storage", callback);
+  window.addEventListener(CHANGE_EVENT, callback);
+
+  return () => {
+    window.removeEventListener("storage", callback);
+    window.removeEventListener(CHANGE_EVENT, callback);
+  };
+};
+
+const useCompare = () => {
+  const compareIds = useSyncExternalStore(subscribe, readIds, () => NO_CARS);
+
+  const toggleCompare = (carId) => {
+    const carIds = readIds();
+
+    if (carIds.includes(carId)) {
+      writeIds(carIds.filter((id) => id !== carId));
+      return;
+    }
+
+    if (carIds.length >= MAX_COMPARE_CARS) {
+      toast.error(`You can compare up to ${MAX_COMPARE_CARS} cars at a time`);
+      return;
+    }
+
+    writeIds([...carIds, carId]);
+  };
+
+  return {
+    compareIds,
+    isComparing: (carId) => compareIds.includes(carId),
+    toggleCompare,
+    setCompareIds: (carIds) => writeIds(carIds.slice(0, MAX_COMPARE_CARS)),
+    clearCompare: () => writeIds([]),
+  };
+};
+
+export default useCompare;
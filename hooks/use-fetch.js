@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useCallback, useState } from "react";
 import { toast } from "sonner";
 
 const useFetch = (cb) => {
@@ -6,21 +6,27 @@ const useFetch = (cb) => {
   const [loading, setLoading] = useState(null);
   const [error, setError] = useState(null);
 
-  const fn = async (...args) => {
-    setLoading(true);
-    setError(null);
-
-    try {
-      const response = await cb(...args);
-      setData(response);
+  // Stable between renders, so effects can depend on it. Resolves with the
+  // response, or undefined when the call failed.
+  const fn = useCallback(
+    async (...args) => {
+      setLoading(true);
       setError(null);
-    } catch (error) {
-      setError(error);
-      toast.error(error.message);
-    } finally {
-      setLoading(false);
-    }
-  };
+
+      try {
+        const response = await cb(...args);
+        setData(response);
+        setError(null);
+        return response;
+      } catch (error) {
+        setError(error);
+        toast.error(error.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [cb]
+  );
 
   return { data, loading, error, fn, setData };
 };
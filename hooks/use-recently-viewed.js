@@ -0,0 +1,62 @@
+import { useSyncExternalStore } from "react";
+import {
+  parseRecentlyViewedIds,
+  RECENTLY_VIEWED_LIMIT,
+} from "@/lib/recently-viewed";
+
+// Kept for every visitor, and the only record of what guests have viewed
+const STORAGE_KEY = "vehiql-recently-viewed";
+const CHANGE_EVENT = "vehiql-recently-viewed-change";
+const NO_CARS = [];
+
+let cachedValue = null;
+let cachedIds = NO_CARS;
+
+// Return the same array until storage changes, as useSyncExternalStore expects
+const readIds = () => {
+  const value = window.localStorage.getItem(STORAGE_KEY);
+
+  if (value !== cachedValue) {
+    cachedValue = value;
+    try {
+      cachedIds = value ? parseRecentlyViewedIds(JSON.parse(value)) : NO_CARS;
+    } catch {
+      cachedIds = NO_CARS;
+    }
+  }
+
+  return cachedIds;
+};
+
+const subscribe = (callback) => {
+  window.addEventListener("storage", callback);
+  window.addEventListener(CHANGE_EVENT, callback);
+
+  return () => {
+    window.removeEventListener("storage", callback);
+    window.removeEventListener(CHANGE_EVENT, callback);
+  };
+};
+
+const useRecentlyViewed = () => {
+  const recentlyViewedIds = useSyncExternalStore(
+    subscribe,
+    readIds,
+    () => NO_CARS
+  );
+
+  // Move the car to the front, dropping the oldest views past the limit
+  const addRecentlyViewed = (carId) => {
+    const carIds = [carId, ...readIds().filter((id) => id !== carId)];
+
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify(carIds.slice(0, RECENTLY_VIEWED_LIMIT))
+    );
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+  };
+
+  return { recentlyViewedIds, addRecentlyViewed };
+};
+
+export default useRecentlyViewed;
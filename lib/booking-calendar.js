@@ -0,0 +1,150 @@
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns";
+import {
+  getScheduleForDate,
+  timeToMinutes,
+  toDateKey,
+} from "./test-drive-slots";
+
+// Helpers for the admin test drive calendar. Weeks start on Monday.
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+// Hours shown when no location has opening hours in the range
+const DEFAULT_HOURS = { start: 9, end: 18 };
+
+export const CALENDAR_VIEWS = [
+  { value: "day", label: "Day" },
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" },
+];
+
+// Days on screen for a view, whole weeks for the month view
+export const getCalendarDays = (view, date) => {
+  if (view === "day") return [date];
+
+  if (view === "week") {
+    return eachDayOfInterval({
+      start: startOfWeek(date, WEEK_OPTIONS),
+      end: endOfWeek(date, WEEK_OPTIONS),
+    });
+  }
+
+  return eachDayOfInterval({
+    start: startOfWeek(startOfMonth(date), WEEK_OPTIONS),
+    end: endOfWeek(endOfMonth(date), WEEK_OPTIONS),
+  });
+};
+
+// Move one day, week or month back (-1) or forward (1)
+export const shiftCalendarDate = (view, date, step) => {
+  if (view === "day") return addDays(date, step);
+  if (view === "week") return addWeeks(date, step);
+  return addMonths(date, step);
+};
+
+export const getCalendarTitle = (view, date) => {
+  if (view === "day") return format(date, "EEEE, MMMM d, yyyy");
+  if (view === "month") return format(date, "MMMM yyyy");
+
+  const days = getCalendarDays("week", date);
+  return `${format(days[0], "MMM d")} - ${format(days[6], "MMM d, yyyy")}`;
+};
+
+export const getDayKey = (day) => format(day, "yyyy-MM-dd");
+
+// Bookings keyed by "yyyy-MM-dd", each day in start time order
+export const groupBookingsByDay = (bookings) => {
+  const byDay = new Map();
+
+  bookings.forEach((booking) => {
+    const key = toDateKey(booking.bookingDate);
+    byDay.set(key, [...(byDay.get(key) || []), booking]);
+  });
+
+  byDay.forEach((dayBookings) =>
+    dayBookings.sort((a, b) => a.startTime.localeCompare(b.startTime))
+  );
+
+  return byDay;
+};
+
+const hoursBetween = (start, end) =>
+  Array.from({ length: end - start }, (_, index) => start + index);
+
+// Whole hours for the time grid, from the earliest opening to the latest
+// closing of any location on the days shown. Stretched to fit bookings made
+// before the hours changed.
+export const getCalendarHours = (dealerships, days, bookings = []) => {
+  const schedules = days.flatMap((day) =>
+    dealerships
+      .map((dealership) =>
+        getScheduleForDate(
+          dealership.workingHours,
+          dealership.specialHours,
+          getDayKey(day)
+        )
+      )
+      .filter((schedule) => schedule?.isOpen)
+  );
+
+  const ranges = [
+    ...schedules.map((schedule) => [schedule.openTime, schedule.closeTime]),
+    ...bookings.map((booking) => [booking.startTime, booking.endTime]),
+  ];
+
+  if (ranges.length === 0) {
+    return hoursBetween(DEFAULT_HOURS.start, DEFAULT_HOURS.end);
+  }
+
+  return hoursBetween(
+    Math.min(...ranges.map(([start]) => Math.floor(timeToMinutes(start) / 60))),
+    Math.max(...ranges.map(([, end]) => Math.ceil(timeToMinutes(end) / 60)))
+  );
+};
+
+// Only upcoming bookings can be moved
+export const isMovableBooking = (booking) =>
+  booking.status === "PENDING" || booking.status === "CONFIRMED";
+
+/**
+ * Whether a booking can be dropped on a day, and optionally an hour of it:
+ * the day can't be in the past and the car's location must be open for the
+ * whole drive. The server still checks the slot is free when it's moved.
+ */
+export const canMoveBookingTo = (
+  booking,
+  dealership,
+  day,
+  hour,
+  now = new Date()
+) => {
+  const dayKey = getDayKey(day);
+  if (!isMovableBooking(booking) || dayKey < getDayKey(now)) return false;
+
+  const schedule = getScheduleForDate(
+    dealership?.workingHours,
+    dealership?.specialHours,
+    dayKey
+  );
+  if (!schedule?.isOpen) return false;
+  if (hour === undefined) return true;
+
+  // A drive has to be able to start within the hour and finish by closing
+  const duration =
+    timeToMinutes(booking.endTime) - timeToMinutes(booking.startTime);
+  const earliestStart = Math.max(hour * 60, timeToMinutes(schedule.openTime));
+
+  return (
+    earliestStart < (hour + 1) * 60 &&
+    earliestStart + duration <= timeToMinutes(schedule.closeTime)
+  );
+};
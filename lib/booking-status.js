@@ -0,0 +1,95 @@
+// Test drive booking lifecycle. Statuses can only move along these
+// transitions, CANCELLED is final.
+export const BOOKING_STATUS_TRANSITIONS = {
+  PENDING: ["CONFIRMED", "CANCELLED"],
+  CONFIRMED: ["COMPLETED", "CANCELLED", "NO_SHOW"],
+  // Corrections to the recorded outcome
+  COMPLETED: ["NO_SHOW"],
+  NO_SHOW: ["COMPLETED"],
+  CANCELLED: [],
+};
+
+// Only made by rescheduleTestDrive: a confirmed booking the customer moves
+// goes back to PENDING for the dealership to confirm again
+const RESCHEDULE_TRANSITIONS = {
+  CONFIRMED: ["PENDING"],
+};
+
+export const BOOKING_STATUS_LABELS = {
+  PENDING: "Pending",
+  CONFIRMED: "Confirmed",
+  COMPLETED: "Completed",
+  CANCELLED: "Cancelled",
+  NO_SHOW: "No Show",
+};
+
+// Changing an outcome after the fact has to say why
+export const needsStatusChangeReason = (fromStatus) =>
+  fromStatus === "COMPLETED" || fromStatus === "NO_SHOW";
+
+export const canChangeBookingStatus = (
+  fromStatus,
+  toStatus,
+  { reschedule = false } = {}
+) => {
+  const transitions = [
+    ...(BOOKING_STATUS_TRANSITIONS[fromStatus] || []),
+    ...((reschedule && RESCHEDULE_TRANSITIONS[fromStatus]) || []),
+  ];
+  return transitions.includes(toStatus);
+};
+
+// Throws when the change isn't allowed, with a message for the admin
+export const assertBookingStatusChange = (
+  fromStatus,
+  toStatus,
+  reason,
+  { reschedule = false } = {}
+) => {
+  if (!BOOKING_STATUS_LABELS[toStatus]) throw new Error("Invalid status");
+
+  if (!canChangeBookingStatus(fromStatus, toStatus, { reschedule })) {
+    throw new Error(
+      `A ${BOOKING_STATUS_LABELS[fromStatus].toLowerCase()} booking can't be changed to ${BOOKING_STATUS_LABELS[toStatus].toLowerCase()}`
+    );
+  }
+
+  if (needsStatusChangeReason(fromStatus) && !reason?.trim()) {
+    throw new Error("Please give a reason for correcting the outcome");
+  }
+};
+
+/**
+ * Move a booking to a new status and record it in the history. Only applies
+ * if the booking still has the status it was read with, so two people
+ * changing it at once can't both win. Takes a Prisma client, which should be
+ * a transaction so the status and its history row are written together.
+ * `reschedule` also allows the transitions only a reschedule makes.
+ */
+export const changeBookingStatus = async (
+  client,
+  booking,
+  toStatus,
+  { changedById = null, reason = null, reschedule = false } = {}
+) => {
+  assertBookingStatusChange(booking.status, toStatus, reason, { reschedule });
+
+  const { count } = await client.testDriveBooking.updateMany({
+    where: { id: booking.id, status: booking.status },
+    data: { status: toStatus },
+  });
+
+  if (count === 0) {
+    throw new Error("The booking was changed by someone else, please reload");
+  }
+
+  await client.testDriveStatusChange.create({
+    data: {
+      bookingId: booking.id,
+      fromStatus: booking.status,
+      toStatus,
+      changedById,
+      reason: reason?.trim() || null,
+    },
+  });
+};
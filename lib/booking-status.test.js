@@ -0,0 +1,132 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  assertBookingStatusChange,
+  canChangeBookingStatus,
+  changeBookingStatus,
+  needsStatusChangeReason,
+} from "./booking-status";
+
+// Prisma client stand-in that records the writes made through it
+const createClient = ({ updatedCount = 1 } = {}) => ({
+  testDriveBooking: {
+    updateMany: vi.fn().mockResolvedValue({ count: updatedCount }),
+  },
+  testDriveStatusChange: {
+    create: vi.fn().mockResolvedValue({}),
+  },
+});
+
+describe("canChangeBookingStatus", () => {
+  it("allows moves along the lifecycle", () => {
+    expect(canChangeBookingStatus("PENDING", "CONFIRMED")).toBe(true);
+    expect(canChangeBookingStatus("CONFIRMED", "COMPLETED")).toBe(true);
+    expect(canChangeBookingStatus("COMPLETED", "NO_SHOW")).toBe(true);
+  });
+
+  it("rejects skipping ahead or leaving a cancelled booking", () => {
+    expect(canChangeBookingStatus("PENDING", "COMPLETED")).toBe(false);
+    expect(canChangeBookingStatus("COMPLETED", "CANCELLED")).toBe(false);
+    expect(canChangeBookingStatus("CANCELLED", "PENDING")).toBe(false);
+  });
+
+  it("only sends a confirmed booking back to pending for a reschedule", () => {
+    expect(canChangeBookingStatus("CONFIRMED", "PENDING")).toBe(false);
+    expect(
+      canChangeBookingStatus("CONFIRMED", "PENDING", { reschedule: true })
+    ).toBe(true);
+    expect(
+      canChangeBookingStatus("CANCELLED", "PENDING", { reschedule: true })
+    ).toBe(false);
+  });
+
+  it("rejects unknown statuses", () => {
+    expect(canChangeBookingStatus("ARCHIVED", "PENDING")).toBe(false);
+    expect(canChangeBookingStatus("PENDING", "ARCHIVED")).toBe(false);
+  });
+});
+
+describe("assertBookingStatusChange", () => {
+  it("names both statuses when the move isn't allowed", () => {
+    expect(() => assertBookingStatusChange("CANCELLED", "CONFIRMED")).toThrow(
+      "A cancelled booking can't be changed to confirmed"
+    );
+  });
+
+  it("rejects an unknown target status", () => {
+    expect(() => assertBookingStatusChange("PENDING", "DONE")).toThrow(
+      "Invalid status"
+    );
+  });
+
+  it("needs a reason to correct a recorded outcome", () => {
+    expect(needsStatusChangeReason("COMPLETED")).toBe(true);
+    expect(() =>
+      assertBookingStatusChange("COMPLETED", "NO_SHOW", " ")
+    ).toThrow("Please give a reason");
+    expect(() =>
+      assertBookingStatusChange("COMPLETED", "NO_SHOW", "Customer never came")
+    ).not.toThrow();
+  });
+});
+
+describe("changeBookingStatus", () => {
+  const booking = { id: "booking-1", status: "PENDING" };
+
+  it("updates the booking only if its status is unchanged and records it", async () => {
+    const client = createClient();
+
+    await changeBookingStatus(client, booking, "CONFIRMED", {
+      changedById: "admin-1",
+      reason: "  Called the customer  ",
+    });
+
+    expect(client.testDriveBooking.updateMany).toHaveBeenCalledWith({
+      where: { id: "booking-1", status: "PENDING" },
+      data: { status: "CONFIRMED" },
+    });
+    expect(client.testDriveStatusChange.create).toHaveBeenCalledWith({
+      data: {
+        bookingId: "booking-1",
+        fromStatus: "PENDING",
+        toStatus: "CONFIRMED",
+        changedById: "admin-1",
+        reason: "Called the customer",
+      },
+    });
+  });
+
+  it("writes no history when someone else changed the booking first", async () => {
+    const client = createClient({ updatedCount: 0 });
+
+    await expect(
+      changeBookingStatus(client, booking, "CANCELLED")
+    ).rejects.toThrow("The booking was changed by someone else");
+    expect(client.testDriveStatusChange.create).not.toHaveBeenCalled();
+  });
+
+  it("moves a confirmed booking back to pending only when rescheduling", async () => {
+    const confirmed = { id: "booking-1", status: "CONFIRMED" };
+
+    await expect(
+      changeBookingStatus(createClient(), confirmed, "PENDING")
+    ).rejects.toThrow("A confirmed booking can't be changed to pending");
+
+    const client = createClient();
+    await changeBookingStatus(client, confirmed, "PENDING", {
+      reschedule: true,
+    });
+    expect(client.testDriveBooking.updateMany).toHaveBeenCalledWith({
+      where: { id: "booking-1", status: "CONFIRMED" },
+      data: { status: "PENDING" },
+    });
+  });
+
+  it("writes nothing for a transition that isn't allowed", async () => {
+    const client = createClient();
+
+    await expect(
+      changeBookingStatus(client, booking, "COMPLETED")
+    ).rejects.toThrow("A pending booking can't be changed to completed");
+    expect(client.testDriveBooking.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+import { getDealershipDateTime } from "./dealership-time";
+import { toDateKey } from "./test-drive-slots";
+
+// Build iCalendar (.ics) invites for test drive bookings
+
+const formatIcsDate = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// UTC date-time of a booking time at the dealership, so calendar apps show it
+// in each customer's own time zone
+const formatBookingDateTime = (bookingDate, time) =>
+  formatIcsDate(getDealershipDateTime(toDateKey(new Date(bookingDate)), time));
+
+// Escape text values per RFC 5545
+const escapeIcsText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets must be folded with a leading space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+};
+
+// Pending bookings are tentative until an admin confirms them
+const getEventStatus = (status) => {
+  if (status === "CANCELLED") return "CANCELLED";
+  if (status === "CONFIRMED") return "CONFIRMED";
+  return "TENTATIVE";
+};
+
+// Create the .ics content for a booking. It is published rather than sent as a
+// meeting request, since there is no organizer for the customer to reply to;
+// a cancelled booking updates the event to cancelled.
+export const createTestDriveInvite = ({ booking, car, dealership }) => {
+  const location = dealership
+    ? `${dealership.name}, ${dealership.address}`
+    : "Vehiql Motors";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Vehiql//Test Drives//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    // Same UID for every email so calendar apps update the existing event
+    `UID:test-drive-${booking.id}@vehiql.com`,
+    `SEQUENCE:${Math.floor(new Date(booking.updatedAt).getTime() / 1000)}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatBookingDateTime(booking.bookingDate, booking.startTime)}`,
+    `DTEND:${formatBookingDateTime(booking.bookingDate, booking.endTime)}`,
+    `SUMMARY:${escapeIcsText(`Test drive: ${car.year} ${car.make} ${car.model}`)}`,
+    `DESCRIPTION:${escapeIcsText(
+      "Please arrive 10 minutes early with your driver's license."
+    )}`,
+    `LOCATION:${escapeIcsText(location)}`,
+    `STATUS:${getEventStatus(booking.status)}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
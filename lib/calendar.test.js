@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createTestDriveInvite } from "./calendar";
+import {
+  getDealershipDateKey,
+  getDealershipDateTime,
+  getDealershipMinutes,
+} from "./dealership-time";
+
+const invite = (booking = {}, dealership = null) =>
+  createTestDriveInvite({
+    booking: {
+      id: "booking-1",
+      status: "PENDING",
+      bookingDate: new Date("2025-07-07"),
+      startTime: "10:00",
+      endTime: "11:00",
+      updatedAt: new Date("2025-07-01T12:00:00Z"),
+      ...booking,
+    },
+    car: { year: 2020, make: "Toyota", model: "Corolla" },
+    dealership,
+  });
+
+// Unfold continuation lines so properties can be read whole
+const getLines = (ics) => ics.replace(/\r\n /g, "").split("\r\n");
+const getProperty = (ics, name) =>
+  getLines(ics)
+    .find((line) => line.startsWith(`${name}:`))
+    ?.slice(name.length + 1);
+
+beforeEach(() => {
+  vi.stubEnv("DEALERSHIP_TIMEZONE", "America/New_York");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("getDealershipDateTime", () => {
+  it("reads a booking time in the dealership's time zone", () => {
+    expect(getDealershipDateTime("2025-07-07", "10:00").toISOString()).toBe(
+      "2025-07-07T14:00:00.000Z"
+    );
+    expect(getDealershipDateTime("2025-01-06", "10:00").toISOString()).toBe(
+      "2025-01-06T15:00:00.000Z"
+    );
+  });
+
+  it("uses the offset after a daylight saving change earlier that day", () => {
+    expect(getDealershipDateTime("2025-03-09", "12:00").toISOString()).toBe(
+      "2025-03-09T16:00:00.000Z"
+    );
+    expect(getDealershipDateTime("2025-11-02", "12:00").toISOString()).toBe(
+      "2025-11-02T17:00:00.000Z"
+    );
+  });
+});
+
+describe("getDealershipDateKey and getDealershipMinutes", () => {
+  it("give the date and time on the dealership's clock", () => {
+    const now = new Date("2025-07-07T02:30:00Z");
+
+    expect(getDealershipDateKey(now)).toBe("2025-07-06");
+    expect(getDealershipMinutes(now)).toBe(22 * 60 + 30);
+  });
+});
+
+describe("createTestDriveInvite", () => {
+  it("publishes the slot in UTC", () => {
+    const ics = invite();
+
+    expect(getProperty(ics, "METHOD")).toBe("PUBLISH");
+    expect(getProperty(ics, "DTSTART")).toBe("20250707T140000Z");
+    expect(getProperty(ics, "DTEND")).toBe("20250707T150000Z");
+    expect(ics).not.toContain("TZID");
+  });
+
+  it("keeps the same UID so calendar apps update the event", () => {
+    expect(getProperty(invite(), "UID")).toBe(
+      getProperty(invite({ startTime: "12:00", endTime: "13:00" }), "UID")
+    );
+  });
+
+  it("marks the event by the booking status", () => {
+    expect(getProperty(invite(), "STATUS")).toBe("TENTATIVE");
+    expect(getProperty(invite({ status: "CONFIRMED" }), "STATUS")).toBe(
+      "CONFIRMED"
+    );
+    expect(getProperty(invite({ status: "CANCELLED" }), "STATUS")).toBe(
+      "CANCELLED"
+    );
+  });
+
+  it("escapes text and folds long lines", () => {
+    const ics = invite(
+      {},
+      {
+        name: "Vehiql Motors; Downtown",
+        address: "1 Long Road, Suite 200, Springfield, Somewhere Very Far Away",
+      }
+    );
+
+    expect(getProperty(ics, "LOCATION")).toBe(
+      "Vehiql Motors\\; Downtown\\, 1 Long Road\\, Suite 200\\, Springfield\\, Somewhere Very Far Away"
+    );
+    expect(ics.split("\r\n").every((line) => line.length <= 75)).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+});
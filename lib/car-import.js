@@ -0,0 +1,241 @@
+import Papa from "papaparse";
+import readXlsxFile from "read-excel-file";
+import { CAR_FEATURES, getFeatureLabel } from "./car-specs";
+
+// Car fields an import column can be mapped to, with header names we
+// recognise automatically (compared lowercase without spaces or punctuation)
+export const IMPORT_FIELDS = [
+  {
+    key: "vin",
+    label: "VIN",
+    aliases: ["vin", "vinnumber", "chassisnumber"],
+  },
+  { key: "make", label: "Make", aliases: ["make", "brand", "manufacturer"] },
+  { key: "model", label: "Model", aliases: ["model"] },
+  { key: "year", label: "Year", aliases: ["year", "modelyear"] },
+  {
+    key: "price",
+    label: "Price",
+    aliases: ["price", "askingprice", "listprice"],
+  },
+  {
+    key: "mileage",
+    label: "Mileage",
+    aliases: ["mileage", "odometer", "miles", "km", "kms"],
+  },
+  {
+    key: "color",
+    label: "Color",
+    aliases: ["color", "colour", "exteriorcolor"],
+  },
+  { key: "fuelType", label: "Fuel Type", aliases: ["fueltype", "fuel"] },
+  {
+    key: "transmission",
+    label: "Transmission",
+    aliases: ["transmission", "gearbox"],
+  },
+  {
+    key: "bodyType",
+    label: "Body Type",
+    aliases: ["bodytype", "body", "bodystyle"],
+  },
+  { key: "seats", label: "Seats", aliases: ["seats", "seating", "seatcount"] },
+  { key: "doors", label: "Doors", aliases: ["doors", "doorcount"] },
+  {
+    key: "drivetrain",
+    label: "Drivetrain",
+    aliases: ["drivetrain", "drive", "drivetype"],
+  },
+  {
+    key: "engineSize",
+    label: "Engine Size",
+    aliases: ["enginesize", "engine", "displacement"],
+  },
+  {
+    key: "horsepower",
+    label: "Horsepower",
+    aliases: ["horsepower", "hp", "power"],
+  },
+  {
+    key: "electricRange",
+    label: "Electric Range",
+    aliases: ["electricrange", "range", "evrange"],
+  },
+  {
+    key: "features",
+    label: "Features",
+    aliases: ["features", "equipment", "options"],
+  },
+  {
+    key: "description",
+    label: "Description",
+    aliases: ["description", "notes", "comments"],
+  },
+  { key: "status", label: "Status", aliases: ["status"] },
+  { key: "featured", label: "Featured", aliases: ["featured"] },
+  {
+    key: "location",
+    label: "Location",
+    aliases: ["location", "dealership", "lot", "branch"],
+  },
+  {
+    key: "images",
+    label: "Image URLs",
+    aliases: [
+      "images",
+      "image",
+      "imageurl",
+      "imageurls",
+      "photos",
+      "photourls",
+    ],
+  },
+];
+
+const normalizeHeader = (header) =>
+  String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Read a .csv or .xlsx file into its header row and one record per data row
+export const parseSpreadsheet = async (file) => {
+  let rows;
+
+  if (/\.xlsx$/i.test(file.name)) {
+    rows = await readXlsxFile(file);
+  } else {
+    const text = await file.text();
+    rows = Papa.parse(text, { skipEmptyLines: "greedy" }).data;
+  }
+
+  const [headerRow = [], ...dataRows] = rows;
+  const headers = headerRow.map((header) => String(header ?? "").trim());
+
+  const records = dataRows.map((row) =>
+    Object.fromEntries(
+      headers.map((header, index) => [header, row[index] ?? ""])
+    )
+  );
+
+  return { headers, records };
+};
+
+// Pick a column for each field based on its header name
+export const guessColumnMapping = (headers) =>
+  Object.fromEntries(
+    IMPORT_FIELDS.map((field) => [
+      field.key,
+      headers.find((header) =>
+        field.aliases.includes(normalizeHeader(header))
+      ) || "",
+    ])
+  );
+
+const cellToString = (value) => {
+  if (value instanceof Date) return value.getFullYear().toString();
+  return String(value ?? "").trim();
+};
+
+// Supplier feeds use all sorts of separators between URLs
+export const parseImageUrls = (value) =>
+  cellToString(value)
+    .split(/[\s,;|]+/)
+    .filter((url) => /^https?:\/\//i.test(url));
+
+// Match feature names or keys in a list like "Sunroof; Heated Seats"
+const parseFeatures = (value) => {
+  const names = cellToString(value)
+    .split(/[,;|]+/)
+    .map(normalizeHeader)
+    .filter(Boolean);
+
+  return CAR_FEATURES.filter(
+    (feature) =>
+      names.includes(normalizeHeader(feature.key)) ||
+      names.includes(normalizeHeader(feature.label))
+  ).map((feature) => feature.key);
+};
+
+const parseBoolean = (value) =>
+  ["true", "yes", "y", "1"].includes(cellToString(value).toLowerCase());
+
+// Match a location cell against dealership names or ids
+const findDealershipId = (value, dealerships) => {
+  const location = cellToString(value).toLowerCase();
+  if (!location) return null;
+
+  const dealership = dealerships.find(
+    (d) => d.id === location || d.name.toLowerCase() === location
+  );
+  return dealership ? dealership.id : "";
+};
+
+// Turn a spreadsheet record into the string values the car form schema expects
+export const buildImportRow = (
+  record,
+  mapping,
+  { rowNumber, defaultDealershipId, dealerships }
+) => {
+  const cell = (key) => (mapping[key] ? record[mapping[key]] : "");
+
+  const dealershipId = findDealershipId(cell("location"), dealerships);
+
+  return {
+    rowNumber,
+    vin: cellToString(cell("vin")),
+    make: cellToString(cell("make")),
+    model: cellToString(cell("model")),
+    year: cellToString(cell("year")),
+    // Drop currency symbols and thousands separators
+    price: cellToString(cell("price")).replace(/[^0-9.]/g, ""),
+    mileage: cellToString(cell("mileage")).replace(/[^0-9]/g, ""),
+    color: cellToString(cell("color")),
+    fuelType: cellToString(cell("fuelType")),
+    transmission: cellToString(cell("transmission")),
+    bodyType: cellToString(cell("bodyType")),
+    seats: cellToString(cell("seats")),
+    doors: cellToString(cell("doors")),
+    drivetrain: cellToString(cell("drivetrain")).toUpperCase(),
+    engineSize: cellToString(cell("engineSize")).replace(/[^0-9.]/g, ""),
+    horsepower: cellToString(cell("horsepower")).replace(/[^0-9]/g, ""),
+    electricRange: cellToString(cell("electricRange")).replace(/[^0-9]/g, ""),
+    features: parseFeatures(cell("features")),
+    description: cellToString(cell("description")),
+    status: cellToString(cell("status")).toUpperCase() || "AVAILABLE",
+    featured: parseBoolean(cell("featured")),
+    // Unknown location names are left blank so validation flags them
+    dealershipId: dealershipId ?? defaultDealershipId ?? "",
+    imageUrls: parseImageUrls(cell("images")),
+  };
+};
+
+const exportValue = {
+  featured: (car) => (car.featured ? "true" : "false"),
+  features: (car) => (car.features || []).map(getFeatureLabel).join("; "),
+  location: (car) => car.dealershipName || "",
+  images: (car) => car.images.join(" "),
+};
+
+// Write cars to CSV using the column names the importer recognises, so an
+// exported file can be edited and imported again
+export const carsToCsv = (cars) =>
+  Papa.unparse(
+    {
+      fields: [
+        "ID",
+        ...IMPORT_FIELDS.map((field) => field.label),
+        "Created At",
+        "Updated At",
+      ],
+      data: cars.map((car) => [
+        car.id,
+        ...IMPORT_FIELDS.map((field) =>
+          exportValue[field.key]
+            ? exportValue[field.key](car)
+            : car[field.key] ?? ""
+        ),
+        car.createdAt,
+        car.updatedAt,
+      ]),
+    },
+    // Stop spreadsheet apps from running cell values as formulas
+    { escapeFormulae: true }
+  );
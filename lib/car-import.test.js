@@ -0,0 +1,176 @@
+import { describe, expect, it } from "vitest";
+import Papa from "papaparse";
+import {
+  buildImportRow,
+  carsToCsv,
+  guessColumnMapping,
+  parseImageUrls,
+  parseSpreadsheet,
+} from "./car-import";
+
+const dealerships = [
+  { id: "downtown-id", name: "Downtown" },
+  { id: "airport-id", name: "Airport" },
+];
+
+const buildRow = (record, options = {}) =>
+  buildImportRow(record, guessColumnMapping(Object.keys(record)), {
+    rowNumber: 2,
+    dealerships,
+    ...options,
+  });
+
+describe("parseSpreadsheet", () => {
+  it("reads a CSV into headers and one record per row", async () => {
+    const file = new File(
+      ["Make, Model ,Year\nToyota,Corolla,2020\n\nHonda,Civic\n"],
+      "cars.csv"
+    );
+
+    await expect(parseSpreadsheet(file)).resolves.toEqual({
+      headers: ["Make", "Model", "Year"],
+      records: [
+        { Make: "Toyota", Model: "Corolla", Year: "2020" },
+        { Make: "Honda", Model: "Civic", Year: "" },
+      ],
+    });
+  });
+});
+
+describe("guessColumnMapping", () => {
+  it("matches supplier headers regardless of case and punctuation", () => {
+    const mapping = guessColumnMapping([
+      "Manufacturer",
+      "Model Year",
+      "Asking Price",
+      "Photo URLs",
+      "Stock #",
+    ]);
+
+    expect(mapping.make).toBe("Manufacturer");
+    expect(mapping.year).toBe("Model Year");
+    expect(mapping.price).toBe("Asking Price");
+    expect(mapping.images).toBe("Photo URLs");
+    expect(mapping.location).toBe("");
+  });
+});
+
+describe("parseImageUrls", () => {
+  it("splits on any separator and keeps only web URLs", () => {
+    expect(
+      parseImageUrls(
+        "https://a.example/1.jpg; http://b.example/2.jpg | ftp://c/3.jpg, x"
+      )
+    ).toEqual(["https://a.example/1.jpg", "http://b.example/2.jpg"]);
+  });
+});
+
+describe("buildImportRow", () => {
+  it("cleans numbers and normalises enums", () => {
+    const row = buildRow({
+      Make: " Toyota ",
+      Price: "$24,999.00",
+      Mileage: "45,000 mi",
+      Drivetrain: "awd",
+      Status: "sold",
+      Featured: "Yes",
+    });
+
+    expect(row).toMatchObject({
+      rowNumber: 2,
+      make: "Toyota",
+      price: "24999.00",
+      mileage: "45000",
+      drivetrain: "AWD",
+      status: "SOLD",
+      featured: true,
+    });
+  });
+
+  it("defaults the status and leaves unmapped fields empty", () => {
+    const row = buildRow({ Make: "Honda" });
+
+    expect(row.status).toBe("AVAILABLE");
+    expect(row.featured).toBe(false);
+    expect(row.model).toBe("");
+    expect(row.features).toEqual([]);
+    expect(row.imageUrls).toEqual([]);
+  });
+
+  it("matches features by label or key and drops unknown ones", () => {
+    const row = buildRow({
+      Features: "Heated Seats; appleCarPlay; Jet Pack",
+    });
+
+    expect(row.features).toEqual(["appleCarPlay", "heatedSeats"]);
+  });
+
+  it("reads the year from a date cell", () => {
+    const row = buildRow({ Year: new Date(2021, 5, 1) });
+
+    expect(row.year).toBe("2021");
+  });
+
+  it("finds the location by name or id, falling back to the default", () => {
+    const options = { defaultDealershipId: "downtown-id" };
+
+    expect(buildRow({ Location: "airport" }, options).dealershipId).toBe(
+      "airport-id"
+    );
+    expect(buildRow({ Location: "downtown-id" }, options).dealershipId).toBe(
+      "downtown-id"
+    );
+    expect(buildRow({ Make: "Honda" }, options).dealershipId).toBe(
+      "downtown-id"
+    );
+  });
+
+  it("leaves an unknown location blank so validation flags it", () => {
+    const row = buildRow(
+      { Location: "Moon Base" },
+      { defaultDealershipId: "downtown-id" }
+    );
+
+    expect(row.dealershipId).toBe("");
+  });
+});
+
+describe("carsToCsv", () => {
+  const car = {
+    id: "car-1",
+    make: '=HYPERLINK("http://evil")',
+    model: "Corolla",
+    year: 2020,
+    features: ["heatedSeats", "sunroof"],
+    featured: true,
+    dealershipName: "Downtown",
+    images: ["https://a.example/1.jpg", "https://a.example/2.jpg"],
+    createdAt: "2025-07-01T10:00:00.000Z",
+    updatedAt: "2025-07-02T10:00:00.000Z",
+  };
+
+  it("writes columns the importer maps back to the same fields", () => {
+    const [headers, values] = Papa.parse(carsToCsv([car])).data;
+    const mapping = guessColumnMapping(headers);
+    const record = Object.fromEntries(
+      headers.map((header, index) => [header, values[index]])
+    );
+    const row = buildImportRow(record, mapping, {
+      rowNumber: 2,
+      dealerships,
+    });
+
+    expect(row).toMatchObject({
+      model: "Corolla",
+      year: "2020",
+      featured: true,
+      dealershipId: "downtown-id",
+      features: ["sunroof", "heatedSeats"],
+      imageUrls: car.images,
+    });
+  });
+
+  it("stops spreadsheet apps from running cells as formulas", () => {
+    expect(carsToCsv([car])).toContain("'=HYPERLINK");
+  });
+});
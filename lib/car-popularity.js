@@ -0,0 +1,15 @@
+// Points a car gets for each save and test drive booking. The add_car_popularity
+// migration backfilled existing cars with the same weights.
+export const POPULARITY_POINTS = {
+  save: 1,
+  testDrive: 3,
+};
+
+// Raw update, so the car's updatedAt (which the inventory feed polls on)
+// doesn't change every time someone saves it
+export const addCarPopularity = (client, carId, points) =>
+  client.$executeRaw`
+    UPDATE "Car"
+    SET "popularity" = GREATEST("popularity" + ${points}, 0)
+    WHERE "id" = ${carId}
+  `;
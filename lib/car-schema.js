@@ -0,0 +1,80 @@
+import { z } from "zod";
+import { decodeVin, normalizeVin } from "./vin";
+import { DRIVETRAINS, sortFeatures } from "./car-specs";
+
+// Optional whole number, blank when not known
+const optionalInteger = (message) =>
+  z
+    .string()
+    .optional()
+    .refine((val) => !val || /^\d+$/.test(val), message);
+
+// Validation for car listings, shared by the add/edit form and bulk import.
+// Values are strings, as they come from form inputs or spreadsheet cells.
+export const carFormSchema = z.object({
+  vin: z
+    .string()
+    .optional()
+    .superRefine((val, ctx) => {
+      if (!val) return;
+      const decoded = decodeVin(val);
+      if (!decoded.valid) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: decoded.error });
+      }
+    }),
+  make: z.string().min(1, "Make is required"),
+  model: z.string().min(1, "Model is required"),
+  year: z.string().refine((val) => {
+    const year = parseInt(val);
+    return (
+      !isNaN(year) && year >= 1900 && year <= new Date().getFullYear() + 1
+    );
+  }, "Valid year required"),
+  price: z.string().min(1, "Price is required"),
+  mileage: z.string().min(1, "Mileage is required"),
+  color: z.string().min(1, "Color is required"),
+  fuelType: z.string().min(1, "Fuel type is required"),
+  transmission: z.string().min(1, "Transmission is required"),
+  bodyType: z.string().min(1, "Body type is required"),
+  seats: z.string().optional(),
+  doors: optionalInteger("Doors must be a whole number"),
+  drivetrain: z
+    .string()
+    .optional()
+    .refine(
+      (val) => !val || DRIVETRAINS.includes(val),
+      `Drivetrain must be one of ${DRIVETRAINS.join(", ")}`
+    ),
+  engineSize: z
+    .string()
+    .optional()
+    .refine(
+      (val) => !val || (parseFloat(val) > 0 && parseFloat(val) < 20),
+      "Engine size must be in litres, e.g. 2.0"
+    ),
+  horsepower: optionalInteger("Horsepower must be a whole number"),
+  electricRange: optionalInteger("Range must be a whole number of miles"),
+  features: z.array(z.string()).default([]),
+  description: z
+    .string()
+    .min(10, "Description must be at least 10 characters"),
+  status: z.enum(["AVAILABLE", "UNAVAILABLE", "SOLD"]),
+  dealershipId: z.string().min(1, "Location is required"),
+  featured: z.boolean().default(false),
+});
+
+// Convert validated form values to the shape stored on the Car model
+export const toCarData = (data) => ({
+  ...data,
+  vin: data.vin ? normalizeVin(data.vin) : null,
+  year: parseInt(data.year),
+  price: parseFloat(data.price),
+  mileage: parseInt(data.mileage),
+  seats: data.seats ? parseInt(data.seats) : null,
+  doors: data.doors ? parseInt(data.doors) : null,
+  drivetrain: data.drivetrain || null,
+  engineSize: data.engineSize ? parseFloat(data.engineSize) : null,
+  horsepower: data.horsepower ? parseInt(data.horsepower) : null,
+  electricRange: data.electricRange ? parseInt(data.electricRange) : null,
+  features: sortFeatures(data.features),
+});
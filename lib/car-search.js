@@ -0,0 +1,320 @@
+import { formatCurrency } from "./helpers";
+import { getFeatureLabel } from "./car-specs";
+
+// URL params of the /cars page that make up a search. Saved searches store
+// these as-is, so the same filters can rebuild the URL or a Prisma query.
+export const SEARCH_FILTER_KEYS = [
+  "search",
+  "make",
+  "bodyType",
+  "fuelType",
+  "transmission",
+  "location",
+  "drivetrain",
+  "features",
+  "color",
+  "seats",
+  "featured",
+  "minPrice",
+  "maxPrice",
+  "minYear",
+  "maxYear",
+  "minMileage",
+  "maxMileage",
+  "sortBy",
+];
+
+// Keep the non-empty search filters from URLSearchParams or a plain object
+export const pickSearchFilters = (params) => {
+  const get = (key) =>
+    typeof params?.get === "function" ? params.get(key) : params?.[key];
+
+  return Object.fromEntries(
+    SEARCH_FILTER_KEYS.map((key) => [
+      key,
+      String(get(key) ?? "").trim(),
+    ]).filter(([, value]) => value)
+  );
+};
+
+export const getSearchUrl = (filters) => {
+  const query = new URLSearchParams(pickSearchFilters(filters)).toString();
+  return query ? `/cars?${query}` : "/cars";
+};
+
+// Colours picked out of free text search and matched against the car colour
+const SEARCH_COLORS = [
+  "black",
+  "white",
+  "silver",
+  "grey",
+  "gray",
+  "red",
+  "blue",
+  "green",
+  "yellow",
+  "orange",
+  "brown",
+  "beige",
+  "gold",
+  "purple",
+  "maroon",
+];
+
+// Words that don't help a text match, e.g. "white cars for sale under 30k"
+const FILLER_WORDS = ["car", "cars", "for", "sale", "a", "an", "the", "with"];
+
+// An amount like 30k, $30,000 or 30 grand
+const AMOUNT = String.raw`(\$?)(\d+(?:[.,]\d+)*)\s*(k|grand|thousand)?\b`;
+const MILEAGE_UNIT = String.raw`(\s*(?:miles|mi|km)\b)?`;
+
+const parseAmount = (number, unit) =>
+  parseFloat(number.replace(/,/g, "")) * (unit ? 1000 : 1);
+
+/**
+ * Split free text search into hints and the words left to match, e.g.
+ * "toyota camry 2021 white under 30k" gives text "toyota camry", year 2021,
+ * color "white" and maxPrice 30000.
+ */
+export const parseSearchQuery = (search = "") => {
+  const hints = {};
+  let text = ` ${String(search).toLowerCase()} `;
+
+  // Price ranges need a $ or k on one side, so "2018-2020" stays a year range
+  text = text.replace(
+    new RegExp(
+      String.raw`(?:between\s+)?${AMOUNT}\s*(?:-|to|and)\s*${AMOUNT}`,
+      "g"
+    ),
+    (match, dollar1, number1, unit1, dollar2, number2, unit2) => {
+      if (!dollar1 && !unit1 && !dollar2 && !unit2) return match;
+      // "20-25k" shares the k, "$20,000 to 25k" is already in full
+      const sharesUnit = !unit1 && parseAmount(number1) < 1000;
+      hints.minPrice = parseAmount(number1, unit1 || (sharesUnit && unit2));
+      hints.maxPrice = parseAmount(number2, unit2);
+      return " ";
+    }
+  );
+
+  const bounds = [
+    {
+      pattern: String.raw`(?:under|below|less than|cheaper than|up to|max(?:imum)?|<)`,
+      price: "maxPrice",
+      mileage: "maxMileage",
+    },
+    {
+      pattern: String.raw`(?:over|above|more than|at least|min(?:imum)?|>)`,
+      price: "minPrice",
+      mileage: "minMileage",
+    },
+  ];
+
+  for (const bound of bounds) {
+    text = text.replace(
+      new RegExp(`(?<![a-z])${bound.pattern}\\s*${AMOUNT}${MILEAGE_UNIT}`, "g"),
+      (match, dollar, number, unit, mileageUnit) => {
+        hints[mileageUnit ? bound.mileage : bound.price] = parseAmount(
+          number,
+          unit
+        );
+        return " ";
+      }
+    );
+  }
+
+  const isModelYear = (year) =>
+    year >= 1900 && year <= new Date().getFullYear() + 1;
+
+  text = text.replace(
+    /\b((?:19|20)\d\d)\s*(?:-|to)\s*((?:19|20)\d\d)(?=\s)/g,
+    (match, from, to) => {
+      if (!isModelYear(parseInt(from)) || !isModelYear(parseInt(to))) {
+        return match;
+      }
+      hints.minYear = parseInt(from);
+      hints.maxYear = parseInt(to);
+      return " ";
+    }
+  );
+
+  text = text.replace(
+    /\b((?:19|20)\d\d)(\+|\s+or\s+(?:newer|later))?(?=\s)/g,
+    (match, year, orNewer) => {
+      if (!isModelYear(parseInt(year))) return match;
+      hints[orNewer ? "minYear" : "year"] = parseInt(year);
+      return " ";
+    }
+  );
+
+  text = text.replace(
+    new RegExp(`\\b(${SEARCH_COLORS.join("|")})\\b`),
+    (match, color) => {
+      hints.color = color;
+      return " ";
+    }
+  );
+
+  hints.text = text
+    .split(/\s+/)
+    .filter((word) => word && !FILLER_WORDS.includes(word))
+    .join(" ");
+
+  return hints;
+};
+
+// Prisma conditions for the hints found in free text search
+const searchHintConditions = (hints) => {
+  const conditions = [];
+
+  if (hints.year) conditions.push({ year: hints.year });
+  if (hints.minYear) conditions.push({ year: { gte: hints.minYear } });
+  if (hints.maxYear) conditions.push({ year: { lte: hints.maxYear } });
+  if (hints.minPrice) conditions.push({ price: { gte: hints.minPrice } });
+  if (hints.maxPrice) conditions.push({ price: { lte: hints.maxPrice } });
+  if (hints.minMileage) conditions.push({ mileage: { gte: hints.minMileage } });
+  if (hints.maxMileage) conditions.push({ mileage: { lte: hints.maxMileage } });
+
+  if (hints.color) {
+    // Listings spell it both ways
+    const spellings = ["grey", "gray"].includes(hints.color)
+      ? ["grey", "gray"]
+      : [hints.color];
+    conditions.push({
+      OR: spellings.map((color) => ({
+        color: { contains: color, mode: "insensitive" },
+      })),
+    });
+  }
+
+  return conditions;
+};
+
+/**
+ * Prisma where clause for cars for sale matching the filters. Words left in
+ * the search after its hints are matched by the database text search, pass
+ * the ids it found as matchedIds (see lib/car-text-search.js).
+ */
+export const buildCarSearchWhere = (
+  {
+    search = "",
+    make = "",
+    bodyType = "",
+    fuelType = "",
+    transmission = "",
+    location = "",
+    drivetrain = "",
+    features = "", // Comma separated feature keys, cars must have all of them
+    color = "",
+    seats = "",
+    featured = "", // "true" for featured cars only
+    minPrice = 0,
+    maxPrice = Number.MAX_SAFE_INTEGER,
+    minYear = "",
+    maxYear = "",
+    minMileage = "",
+    maxMileage = "",
+  } = {},
+  matchedIds = []
+) => {
+  const where = {
+    status: "AVAILABLE",
+  };
+
+  if (search) {
+    const hints = parseSearchQuery(search);
+    where.AND = searchHintConditions(hints);
+    if (hints.text) where.id = { in: matchedIds };
+  }
+
+  if (make) where.make = { equals: make, mode: "insensitive" };
+  if (bodyType) where.bodyType = { equals: bodyType, mode: "insensitive" };
+  if (fuelType) where.fuelType = { equals: fuelType, mode: "insensitive" };
+  if (transmission)
+    where.transmission = { equals: transmission, mode: "insensitive" };
+  if (location) where.dealershipId = location;
+  if (drivetrain) where.drivetrain = drivetrain;
+  if (features) where.features = { hasEvery: features.split(",") };
+  if (color) where.color = { equals: color, mode: "insensitive" };
+  if (seats) where.seats = parseInt(seats);
+  if (String(featured) === "true") where.featured = true;
+
+  // Add price range
+  where.price = {
+    gte: parseFloat(minPrice) || 0,
+  };
+
+  if (maxPrice && maxPrice < Number.MAX_SAFE_INTEGER) {
+    where.price.lte = parseFloat(maxPrice);
+  }
+
+  if (minYear || maxYear) {
+    where.year = {
+      ...(minYear && { gte: parseInt(minYear) }),
+      ...(maxYear && { lte: parseInt(maxYear) }),
+    };
+  }
+
+  if (minMileage || maxMileage) {
+    where.mileage = {
+      ...(minMileage && { gte: parseInt(minMileage) }),
+      ...(maxMileage && { lte: parseInt(maxMileage) }),
+    };
+  }
+
+  return where;
+};
+
+// Sort dropdown options, see lib/car-sort.js for how each is ordered
+export const SORT_OPTIONS = [
+  { value: "newest", label: "Newest First" },
+  { value: "relevance", label: "Best Match" },
+  { value: "priceAsc", label: "Price: Low to High" },
+  { value: "priceDesc", label: "Price: High to Low" },
+  { value: "mileageAsc", label: "Lowest Mileage" },
+  { value: "yearDesc", label: "Newest Model Year" },
+  { value: "popular", label: "Most Popular" },
+  { value: "oldest", label: "Oldest Listings" },
+];
+
+// "From x", "Up to y" or "x - y" for a range filter
+const describeRange = (min, max, format) => {
+  if (min && max) return `${format(min)} - ${format(max)}`;
+  if (min) return `From ${format(min)}`;
+  if (max) return `Up to ${format(max)}`;
+  return null;
+};
+
+const formatMiles = (miles) => `${Number(miles).toLocaleString()} miles`;
+
+// Short human readable summary of a search, e.g. for saved search lists.
+// Location ids can't be named without a lookup, so they are left out.
+export const describeSearchFilters = (filters = {}) => {
+  const parts = [];
+
+  if (filters.search) parts.push(`"${filters.search}"`);
+  if (filters.make) parts.push(filters.make);
+  if (filters.bodyType) parts.push(filters.bodyType);
+  if (filters.fuelType) parts.push(filters.fuelType);
+  if (filters.transmission) parts.push(filters.transmission);
+  if (filters.drivetrain) parts.push(filters.drivetrain);
+  if (filters.features) {
+    parts.push(...filters.features.split(",").map(getFeatureLabel));
+  }
+  if (filters.color) parts.push(filters.color);
+  if (filters.seats) parts.push(`${filters.seats} seats`);
+  if (filters.featured === "true") parts.push("Featured");
+
+  parts.push(
+    ...[
+      describeRange(filters.minPrice, filters.maxPrice, formatCurrency),
+      describeRange(filters.minYear, filters.maxYear, String),
+      describeRange(filters.minMileage, filters.maxMileage, formatMiles),
+    ].filter(Boolean)
+  );
+
+  // Newest first is the default, so it isn't worth mentioning
+  const sort = SORT_OPTIONS.find((option) => option.value === filters.sortBy);
+  if (sort && sort.value !== "newest") parts.push(sort.label);
+
+  return parts;
+};
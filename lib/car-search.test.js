@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { parseSearchQuery } from "./car-search";
+
+describe("parseSearchQuery", () => {
+  it("splits hints out of the text to match", () => {
+    expect(parseSearchQuery("Toyota Camry 2021 white under 30k")).toEqual({
+      year: 2021,
+      color: "white",
+      maxPrice: 30000,
+      text: "toyota camry",
+    });
+  });
+
+  it("reads price ranges written with a $ or k", () => {
+    expect(parseSearchQuery("suv between $15,000 and $20,000")).toEqual({
+      minPrice: 15000,
+      maxPrice: 20000,
+      text: "suv",
+    });
+    expect(parseSearchQuery("20-25k")).toMatchObject({
+      minPrice: 20000,
+      maxPrice: 25000,
+    });
+  });
+
+  it("only shares the unit of the upper price when the lower one needs it", () => {
+    expect(parseSearchQuery("$20,000 to 25k")).toMatchObject({
+      minPrice: 20000,
+      maxPrice: 25000,
+    });
+    expect(parseSearchQuery("$15k-$20,000")).toMatchObject({
+      minPrice: 15000,
+      maxPrice: 20000,
+    });
+  });
+
+  it("keeps a pair of years as a year range", () => {
+    expect(parseSearchQuery("civic 2018-2020")).toEqual({
+      minYear: 2018,
+      maxYear: 2020,
+      text: "civic",
+    });
+    expect(parseSearchQuery("2019 or newer")).toMatchObject({ minYear: 2019 });
+  });
+
+  it("tells mileage from price by the unit", () => {
+    expect(parseSearchQuery("under 50,000 miles over 10 grand")).toMatchObject({
+      maxMileage: 50000,
+      minPrice: 10000,
+    });
+  });
+
+  it("drops filler words and leaves other numbers in the text", () => {
+    expect(parseSearchQuery("a car for sale with 7 seats")).toEqual({
+      text: "7 seats",
+    });
+    expect(parseSearchQuery()).toEqual({ text: "" });
+  });
+});
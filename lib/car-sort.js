@@ -0,0 +1,75 @@
+// Sort column and direction for each /cars sortBy option. Ties are broken by
+// id in the same direction, so every car has one fixed place in the order and
+// pages never repeat or skip cars.
+export const CAR_SORTS = {
+  newest: { field: "createdAt", direction: "desc", type: "date" },
+  oldest: { field: "createdAt", direction: "asc", type: "date" },
+  priceAsc: { field: "price", direction: "asc" },
+  priceDesc: { field: "price", direction: "desc" },
+  mileageAsc: { field: "mileage", direction: "asc" },
+  yearDesc: { field: "year", direction: "desc" },
+  popular: { field: "popularity", direction: "desc" },
+  // Ranked in memory from the text search, see getCars, so only its cursor
+  // is built here
+  relevance: { field: "rank", direction: "desc" },
+  // Oldest change first, for pollers of the inventory feed
+  updated: { field: "updatedAt", direction: "asc", type: "date" },
+};
+
+const getCarSort = (sortBy) => CAR_SORTS[sortBy] || CAR_SORTS.newest;
+
+export const getCarOrderBy = (sortBy) => {
+  const { field, direction } = getCarSort(sortBy);
+  return [{ [field]: direction }, { id: direction }];
+};
+
+// Opaque cursor pointing just after the given car in the sort order
+export const encodeCarCursor = (car, sortBy) => {
+  const { field } = getCarSort(sortBy);
+  return Buffer.from(
+    JSON.stringify({ value: car[field], id: car.id })
+  ).toString("base64url");
+};
+
+// Sort values are dates or numbers, prices arriving as decimal strings
+const isValidSortValue = (value, type) => {
+  if (typeof value !== "string" && typeof value !== "number") return false;
+  if (type === "date") return Number.isFinite(new Date(value).getTime());
+  return String(value).trim() !== "" && Number.isFinite(Number(value));
+};
+
+// Sort value and id of a cursor, or null if it wasn't made here for this sort
+export const decodeCarCursor = (cursor, sortBy) => {
+  try {
+    const { value, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    const { type } = getCarSort(sortBy);
+
+    return typeof id === "string" && isValidSortValue(value, type)
+      ? { value, id }
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Prisma condition for the cars after a cursor: further along on the sort
+ * column, or level with it and further along on id
+ */
+export const carCursorWhere = (cursor, sortBy) => {
+  const { field, direction, type } = getCarSort(sortBy);
+  const decoded = decodeCarCursor(cursor, sortBy);
+  if (!decoded) throw new Error("Invalid cursor");
+
+  const value = type === "date" ? new Date(decoded.value) : decoded.value;
+  const after = direction === "desc" ? "lt" : "gt";
+
+  return {
+    OR: [
+      { [field]: { [after]: value } },
+      { [field]: value, id: { [after]: decoded.id } },
+    ],
+  };
+};
@@ -0,0 +1,150 @@
+import { describe, expect, it } from "vitest";
+import {
+  carCursorWhere,
+  decodeCarCursor,
+  encodeCarCursor,
+  getCarOrderBy,
+} from "./car-sort";
+
+// Apply the Prisma conditions built here to plain objects, enough to page
+// through a list in memory
+const compare = (a, b) => (a < b ? -1 : Number(a > b));
+const matchesCondition = (car, condition) =>
+  Object.entries(condition).every(([field, test]) => {
+    if (typeof test !== "object" || test instanceof Date) {
+      return compare(car[field], test) === 0;
+    }
+    if ("lt" in test) return compare(car[field], test.lt) < 0;
+    return compare(car[field], test.gt) > 0;
+  });
+const matchesWhere = (car, where) =>
+  where.OR.some((condition) => matchesCondition(car, condition));
+
+const sortCars = (cars, sortBy) => {
+  const order = getCarOrderBy(sortBy);
+
+  return [...cars].sort((a, b) => {
+    for (const entry of order) {
+      const [[field, direction]] = Object.entries(entry);
+      const result = compare(a[field], b[field]);
+      if (result !== 0) return direction === "asc" ? result : -result;
+    }
+    return 0;
+  });
+};
+
+// Read a whole list a page at a time, the way getCars does
+const readAllPages = (cars, sortBy, limit) => {
+  const seen = [];
+  let cursor = null;
+
+  do {
+    const remaining = cursor
+      ? cars.filter((car) => matchesWhere(car, carCursorWhere(cursor, sortBy)))
+      : cars;
+    const page = sortCars(remaining, sortBy).slice(0, limit);
+
+    seen.push(...page.map((car) => car.id));
+    cursor =
+      page.length === limit ? encodeCarCursor(page[limit - 1], sortBy) : null;
+  } while (cursor);
+
+  return seen;
+};
+
+describe("getCarOrderBy", () => {
+  it("breaks ties on id in the same direction", () => {
+    expect(getCarOrderBy("priceAsc")).toEqual([
+      { price: "asc" },
+      { id: "asc" },
+    ]);
+  });
+
+  it("falls back to the newest cars for an unknown sort", () => {
+    expect(getCarOrderBy("cheapestFirst")).toEqual(getCarOrderBy("newest"));
+  });
+});
+
+describe("car cursors", () => {
+  const car = {
+    id: "car-2",
+    price: 20000,
+    createdAt: new Date("2025-07-01T10:00:00.000Z"),
+  };
+
+  it("round-trip the sort value and id", () => {
+    expect(
+      decodeCarCursor(encodeCarCursor(car, "priceAsc"), "priceAsc")
+    ).toEqual({
+      value: 20000,
+      id: "car-2",
+    });
+  });
+
+  it("ignore cursors that weren't made here", () => {
+    expect(decodeCarCursor("not a cursor")).toBeNull();
+    expect(
+      decodeCarCursor(Buffer.from('{"value":1}').toString("base64url"))
+    ).toBeNull();
+    expect(() => carCursorWhere("not a cursor", "newest")).toThrow(
+      "Invalid cursor"
+    );
+  });
+
+  it("reject a sort value that doesn't fit the sort", () => {
+    const cursor = (value) =>
+      Buffer.from(JSON.stringify({ value, id: "car-2" })).toString("base64url");
+
+    expect(decodeCarCursor(cursor("yesterday"), "updated")).toBeNull();
+    expect(decodeCarCursor(cursor({}), "newest")).toBeNull();
+    expect(decodeCarCursor(cursor("cheap"), "priceAsc")).toBeNull();
+    expect(decodeCarCursor(cursor(null), "priceAsc")).toBeNull();
+    expect(() => carCursorWhere(cursor("soon"), "updated")).toThrow(
+      "Invalid cursor"
+    );
+
+    // Decimal prices are written out as strings
+    expect(decodeCarCursor(cursor("19999.99"), "priceAsc")).toEqual({
+      value: "19999.99",
+      id: "car-2",
+    });
+    expect(
+      decodeCarCursor(cursor("2025-07-01T10:00:00.000Z"), "updated")
+    ).not.toBeNull();
+  });
+
+  it("continue after the car on the sort column, then on id", () => {
+    expect(
+      carCursorWhere(encodeCarCursor(car, "priceAsc"), "priceAsc")
+    ).toEqual({
+      OR: [{ price: { gt: 20000 } }, { price: 20000, id: { gt: "car-2" } }],
+    });
+  });
+
+  it("compare date columns as dates, backwards for descending sorts", () => {
+    const where = carCursorWhere(encodeCarCursor(car, "newest"), "newest");
+
+    expect(where.OR[0]).toEqual({ createdAt: { lt: car.createdAt } });
+    expect(where.OR[1].id).toEqual({ lt: "car-2" });
+  });
+});
+
+describe("paging with cursors", () => {
+  // Several cars share a price and a listing date, so only the id sets them
+  // apart
+  const cars = Array.from({ length: 11 }, (_, index) => ({
+    id: `car-${String(index).padStart(2, "0")}`,
+    price: [15000, 20000, 20000, 20000, 25000][index % 5],
+    createdAt: new Date(Date.UTC(2025, 6, 1 + (index % 3))),
+    updatedAt: new Date(Date.UTC(2025, 6, 5, index % 2)),
+  }));
+
+  it.each(["priceAsc", "priceDesc", "newest", "oldest", "updated"])(
+    "visits every car exactly once sorted by %s",
+    (sortBy) => {
+      const expected = sortCars(cars, sortBy).map((car) => car.id);
+
+      expect(readAllPages(cars, sortBy, 3)).toEqual(expected);
+    }
+  );
+});
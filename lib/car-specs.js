@@ -0,0 +1,62 @@
+// Structured specs and equipment for listings. Feature keys are stored on
+// Car.features, so labels can change without touching existing cars.
+
+export const DRIVETRAINS = ["FWD", "RWD", "AWD", "4WD"];
+
+export const CAR_FEATURES = [
+  { key: "sunroof", label: "Sunroof / Moonroof" },
+  { key: "appleCarPlay", label: "Apple CarPlay" },
+  { key: "androidAuto", label: "Android Auto" },
+  { key: "navigation", label: "Navigation System" },
+  { key: "bluetooth", label: "Bluetooth" },
+  { key: "heatedSeats", label: "Heated Seats" },
+  { key: "leatherSeats", label: "Leather Seats" },
+  { key: "thirdRowSeating", label: "Third Row Seating" },
+  { key: "backupCamera", label: "Backup Camera" },
+  { key: "parkingSensors", label: "Parking Sensors" },
+  { key: "blindSpotMonitor", label: "Blind Spot Monitoring" },
+  { key: "laneKeepAssist", label: "Lane Keep Assist" },
+  { key: "adaptiveCruise", label: "Adaptive Cruise Control" },
+  { key: "keylessEntry", label: "Keyless Entry" },
+  { key: "towPackage", label: "Tow Package" },
+];
+
+const FEATURE_KEYS = CAR_FEATURES.map((feature) => feature.key);
+
+export const getFeatureLabel = (key) =>
+  CAR_FEATURES.find((feature) => feature.key === key)?.label || key;
+
+// Keep known feature keys only, in checklist order
+export const sortFeatures = (features = []) =>
+  FEATURE_KEYS.filter((key) => features.includes(key));
+
+// Rows for the spec table, skipping specs the listing doesn't have
+export const getCarSpecs = (car) =>
+  [
+    { label: "Make", value: car.make },
+    { label: "Model", value: car.model },
+    { label: "Year", value: car.year },
+    { label: "Body Type", value: car.bodyType },
+    { label: "Fuel Type", value: car.fuelType },
+    { label: "Transmission", value: car.transmission },
+    { label: "Drivetrain", value: car.drivetrain },
+    {
+      label: "Engine Size",
+      value: car.engineSize ? `${car.engineSize.toFixed(1)} L` : null,
+    },
+    {
+      label: "Horsepower",
+      value: car.horsepower ? `${car.horsepower} hp` : null,
+    },
+    {
+      label: "Electric Range",
+      value: car.electricRange
+        ? `${car.electricRange.toLocaleString()} miles`
+        : null,
+    },
+    { label: "Mileage", value: `${car.mileage.toLocaleString()} miles` },
+    { label: "Color", value: car.color },
+    { label: "Doors", value: car.doors },
+    { label: "Seats", value: car.seats },
+    { label: "VIN", value: car.vin },
+  ].filter((spec) => spec.value);
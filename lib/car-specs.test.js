@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { getCarSpecs, getFeatureLabel, sortFeatures } from "./car-specs";
+
+describe("feature keys", () => {
+  it("label known keys and show unknown ones as they are", () => {
+    expect(getFeatureLabel("appleCarPlay")).toBe("Apple CarPlay");
+    expect(getFeatureLabel("jetPack")).toBe("jetPack");
+  });
+
+  it("sort into checklist order, dropping unknown keys", () => {
+    expect(sortFeatures(["towPackage", "jetPack", "sunroof"])).toEqual([
+      "sunroof",
+      "towPackage",
+    ]);
+    expect(sortFeatures()).toEqual([]);
+  });
+});
+
+describe("getCarSpecs", () => {
+  it("formats the specs a listing has and skips the rest", () => {
+    const specs = getCarSpecs({
+      make: "Toyota",
+      model: "Corolla",
+      year: 2020,
+      engineSize: 2,
+      horsepower: 169,
+      electricRange: null,
+      mileage: 45000,
+      vin: "",
+    });
+
+    expect(specs).toEqual([
+      { label: "Make", value: "Toyota" },
+      { label: "Model", value: "Corolla" },
+      { label: "Year", value: 2020 },
+      { label: "Engine Size", value: "2.0 L" },
+      { label: "Horsepower", value: "169 hp" },
+      { label: "Mileage", value: "45,000 miles" },
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+import { Prisma } from "@prisma/client";
+import { db } from "./prisma";
+import { buildCarSearchWhere, parseSearchQuery } from "./car-search";
+
+// Must match the expressions indexed in the add_car_search_indexes migration
+const SEARCH_VECTOR = Prisma.sql`(
+  setweight(to_tsvector('english', "make" || ' ' || "model"), 'A') ||
+  setweight(to_tsvector('english', "description"), 'C')
+)`;
+const MAKE_MODEL = Prisma.sql`("make" || ' ' || "model")`;
+
+// How close a misspelling has to be, "camery" scores about 0.57 against
+// "Toyota Camry"
+const FUZZY_THRESHOLD = 0.4;
+
+/**
+ * Find cars for sale matching free text, best first. Words are matched with
+ * full-text search over make, model and description, and misspelt makes and
+ * models through trigram similarity. Every match is returned, only ids and
+ * ranks, so results aren't cut short; callers load the cars a page at a time.
+ */
+export const searchCarsByText = async (text) => {
+  const query = Prisma.sql`websearch_to_tsquery('english', ${text})`;
+
+  const [, matches] = await db.$transaction([
+    // The <% operator uses this threshold, and can then use the trigram index
+    db.$executeRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(FUZZY_THRESHOLD)}, true)`,
+    db.$queryRaw`
+      SELECT
+        "id",
+        ts_rank(${SEARCH_VECTOR}, ${query}) + word_similarity(${text}, ${MAKE_MODEL}) AS "rank"
+      FROM "Car"
+      WHERE "status" = 'AVAILABLE'
+        AND (${SEARCH_VECTOR} @@ ${query} OR ${text} <% ${MAKE_MODEL})
+      ORDER BY "rank" DESC
+    `,
+  ]);
+
+  return matches.map((match) => ({ id: match.id, rank: Number(match.rank) }));
+};
+
+/**
+ * Resolve car search filters to a Prisma where clause, running the text
+ * search for any words in the search box. `relevance` maps matched car ids
+ * to their rank, or is null when there was nothing to rank.
+ */
+export const getCarSearchQuery = async (filters = {}) => {
+  const { text } = parseSearchQuery(filters.search || "");
+  const matches = text ? await searchCarsByText(text) : null;
+
+  return {
+    where: buildCarSearchWhere(
+      filters,
+      matches ? matches.map((match) => match.id) : []
+    ),
+    relevance: matches
+      ? new Map(matches.map((match) => [match.id, match.rank]))
+      : null,
+  };
+};
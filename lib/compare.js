@@ -0,0 +1,16 @@
+// Cars picked for side-by-side comparison, shared through the ?ids= param
+export const MAX_COMPARE_CARS = 4;
+
+export const getCompareUrl = (carIds) =>
+  `/compare?ids=${carIds.map(encodeURIComponent).join(",")}`;
+
+// Unique car ids from the ?ids= param, capped at the comparison limit
+export const parseCompareIds = (param) =>
+  [
+    ...new Set(
+      (Array.isArray(param) ? param.join(",") : param || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+    ),
+  ].slice(0, MAX_COMPARE_CARS);
@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { getCompareUrl, parseCompareIds } from "./compare";
+
+describe("getCompareUrl", () => {
+  it("lists the car ids in the ?ids= param", () => {
+    expect(getCompareUrl(["car-1", "car 2"])).toBe(
+      "/compare?ids=car-1,car%202"
+    );
+  });
+});
+
+describe("parseCompareIds", () => {
+  it("reads the ids back from the param", () => {
+    expect(parseCompareIds("car-1, car-2,,car-1")).toEqual(["car-1", "car-2"]);
+    expect(parseCompareIds(["car-1", "car-2,car-3"])).toEqual([
+      "car-1",
+      "car-2",
+      "car-3",
+    ]);
+    expect(parseCompareIds(undefined)).toEqual([]);
+  });
+
+  it("keeps at most the comparison limit", () => {
+    expect(parseCompareIds("a,b,c,d,e")).toEqual(["a", "b", "c", "d"]);
+  });
+});
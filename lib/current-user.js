@@ -0,0 +1,13 @@
+import { auth } from "@clerk/nextjs/server";
+import { db } from "./prisma";
+
+// Database record of the signed-in user, or null when signed out. Unlike
+// checkUser it never creates the record.
+export const getCurrentDbUser = async () => {
+  const { userId } = await auth();
+  if (!userId) return null;
+
+  return db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+};
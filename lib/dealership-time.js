@@ -0,0 +1,61 @@
+// Dates and times as they are at the dealership. Bookings store a plain date
+// and an "HH:MM" time, both in DEALERSHIP_TIMEZONE, or the server's time zone
+// when that isn't set.
+
+const getTimeZone = () => process.env.DEALERSHIP_TIMEZONE || undefined;
+
+// Wall-clock date and time of an instant at the dealership
+const getLocalParts = (instant) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: getTimeZone(),
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(instant);
+
+  return Object.fromEntries(
+    parts
+      .filter((part) => part.type !== "literal")
+      .map((part) => [part.type, part.value])
+  );
+};
+
+// "yyyy-MM-dd" of an instant at the dealership
+export const getDealershipDateKey = (instant = new Date()) => {
+  const { year, month, day } = getLocalParts(instant);
+  return `${year}-${month}-${day}`;
+};
+
+// Minutes since midnight of an instant at the dealership
+export const getDealershipMinutes = (instant = new Date()) => {
+  const { hour, minute } = getLocalParts(instant);
+  return Number(hour) * 60 + Number(minute);
+};
+
+// How far the dealership's clock is ahead of UTC at an instant, in ms
+const getOffset = (instant) => {
+  const { year, month, day, hour, minute } = getLocalParts(instant);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  return localAsUtc - Math.floor(instant.getTime() / 60000) * 60000;
+};
+
+// The instant a "yyyy-MM-dd" date and "HH:MM" time happen at the dealership.
+// The offset is checked again at the result in case a DST change lies between.
+export const getDealershipDateTime = (date, time) => {
+  const localAsUtc = new Date(`${date}T${time}:00Z`).getTime();
+  const offset = getOffset(new Date(localAsUtc));
+  const adjustedOffset = getOffset(new Date(localAsUtc - offset));
+
+  return new Date(localAsUtc - adjustedOffset);
+};
+
+// An instant as it reads at the dealership, e.g. for dates in emails. Takes
+// Intl.DateTimeFormat options.
+export const formatDealershipDateTime = (instant, options) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: getTimeZone(),
+    ...options,
+  }).format(instant);
@@ -0,0 +1,98 @@
+import { db } from "./prisma";
+
+// Weekly schedule every new location starts with
+export const DEFAULT_WORKING_HOURS = [
+  {
+    dayOfWeek: "MONDAY",
+    openTime: "09:00",
+    closeTime: "18:00",
+    isOpen: true,
+  },
+  {
+    dayOfWeek: "TUESDAY",
+    openTime: "09:00",
+    closeTime: "18:00",
+    isOpen: true,
+  },
+  {
+    dayOfWeek: "WEDNESDAY",
+    openTime: "09:00",
+    closeTime: "18:00",
+    isOpen: true,
+  },
+  {
+    dayOfWeek: "THURSDAY",
+    openTime: "09:00",
+    closeTime: "18:00",
+    isOpen: true,
+  },
+  {
+    dayOfWeek: "FRIDAY",
+    openTime: "09:00",
+    closeTime: "18:00",
+    isOpen: true,
+  },
+  {
+    dayOfWeek: "SATURDAY",
+    openTime: "10:00",
+    closeTime: "16:00",
+    isOpen: true,
+  },
+  {
+    dayOfWeek: "SUNDAY",
+    openTime: "10:00",
+    closeTime: "16:00",
+    isOpen: false,
+  },
+];
+
+// Location ids an admin is scoped to, or null when they manage every location.
+// Expects the user to be loaded with `dealerships: { select: { id: true } }`.
+// Throws for anyone who isn't an admin, since having no locations would
+// otherwise read as managing all of them.
+export const getManagedDealershipIds = (user) => {
+  if (user?.role !== "ADMIN") {
+    throw new Error("Unauthorized: Admin access required");
+  }
+
+  return user.dealerships?.length > 0
+    ? user.dealerships.map((dealership) => dealership.id)
+    : null;
+};
+
+export const canManageDealership = (managedIds, dealershipId) =>
+  !managedIds || managedIds.includes(dealershipId);
+
+// Prisma where clause limiting cars to the admin's locations
+export const managedCarsWhere = (managedIds) =>
+  managedIds ? { dealershipId: { in: managedIds } } : {};
+
+// The oldest location, used for cars that haven't been assigned one
+export const getDefaultDealership = (client = db, include) =>
+  client.dealershipInfo.findFirst({
+    orderBy: { createdAt: "asc" },
+    ...(include && { include }),
+  });
+
+// Location a car is sold from, falling back to the default location
+export const getCarDealership = async (car, client = db, include) => {
+  if (car.dealershipId) {
+    const dealership = await client.dealershipInfo.findUnique({
+      where: { id: car.dealershipId },
+      ...(include && { include }),
+    });
+    if (dealership) return dealership;
+  }
+
+  return getDefaultDealership(client, include);
+};
+
+// Prisma where clause for the cars sold from a location, counting cars that
+// haven't been assigned one as the default location's, like getCarDealership
+export const carsAtDealershipWhere = async (dealership, client = db) => {
+  const defaultDealership = await getDefaultDealership(client);
+
+  return defaultDealership?.id === dealership.id
+    ? { OR: [{ dealershipId: dealership.id }, { dealershipId: null }] }
+    : { dealershipId: dealership.id };
+};
@@ -0,0 +1,75 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  canManageDealership,
+  carsAtDealershipWhere,
+  getManagedDealershipIds,
+  managedCarsWhere,
+} from "./dealerships";
+
+// Only the helpers that don't query are tested, so keep Prisma out of it
+vi.mock("./prisma", () => ({ db: {} }));
+
+const admin = (dealershipIds = []) => ({
+  role: "ADMIN",
+  dealerships: dealershipIds.map((id) => ({ id })),
+});
+
+describe("getManagedDealershipIds", () => {
+  it("scopes an admin to their locations", () => {
+    expect(getManagedDealershipIds(admin(["downtown", "airport"]))).toEqual([
+      "downtown",
+      "airport",
+    ]);
+  });
+
+  it("gives an admin without locations every location", () => {
+    const managedIds = getManagedDealershipIds(admin());
+
+    expect(managedIds).toBeNull();
+    expect(canManageDealership(managedIds, "airport")).toBe(true);
+    expect(managedCarsWhere(managedIds)).toEqual({});
+  });
+
+  it("rejects users who aren't admins, even without locations", () => {
+    expect(() =>
+      getManagedDealershipIds({ role: "USER", dealerships: [] })
+    ).toThrow("Unauthorized: Admin access required");
+    expect(() =>
+      getManagedDealershipIds({ role: "STAFF", dealerships: [] })
+    ).toThrow("Unauthorized");
+    expect(() => getManagedDealershipIds(null)).toThrow("Unauthorized");
+  });
+});
+
+describe("canManageDealership", () => {
+  it("only allows a scoped admin's own locations", () => {
+    expect(canManageDealership(["downtown"], "downtown")).toBe(true);
+    expect(canManageDealership(["downtown"], "airport")).toBe(false);
+    expect(managedCarsWhere(["downtown"])).toEqual({
+      dealershipId: { in: ["downtown"] },
+    });
+  });
+});
+
+describe("carsAtDealershipWhere", () => {
+  // Prisma client stand-in whose oldest location is "downtown"
+  const client = {
+    dealershipInfo: {
+      findFirst: vi.fn().mockResolvedValue({ id: "downtown" }),
+    },
+  };
+
+  it("counts cars without a location at the default location", async () => {
+    await expect(
+      carsAtDealershipWhere({ id: "downtown" }, client)
+    ).resolves.toEqual({
+      OR: [{ dealershipId: "downtown" }, { dealershipId: null }],
+    });
+  });
+
+  it("only counts a location's own cars elsewhere", async () => {
+    await expect(
+      carsAtDealershipWhere({ id: "airport" }, client)
+    ).resolves.toEqual({ dealershipId: "airport" });
+  });
+});
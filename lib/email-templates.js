@@ -0,0 +1,242 @@
+import { format, parseISO } from "date-fns";
+import { formatCurrency } from "./helpers";
+import {
+  formatDealershipDateTime,
+  getDealershipDateKey,
+  getDealershipDateTime,
+} from "./dealership-time";
+import { toDateKey } from "./test-drive-slots";
+
+const APP_URL = process.env.NEXT_PUBLIC_APP_URL || "http://localhost:3000";
+
+// Escape user-provided values before putting them in HTML
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const carTitle = (car) => `${car.year} ${car.make} ${car.model}`;
+
+// Shared wrapper so every email has the same header, button and footer
+const renderLayout = ({ heading, paragraphs, action }) => {
+  const body = paragraphs
+    .map(
+      (paragraph) =>
+        `<p style="margin:0 0 16px;color:#374151;line-height:1.5">${paragraph}</p>`
+    )
+    .join("");
+
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${action.url}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,sans-serif">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px">
+      <h1 style="margin:0 0 24px;font-size:22px;color:#111827">${escapeHtml(heading)}</h1>
+      ${body}
+      ${button}
+      <p style="margin:32px 0 0;font-size:12px;color:#9ca3af">
+        You are receiving this email from Vehiql. Manage your email preferences at
+        <a href="${APP_URL}/notifications" style="color:#9ca3af">${APP_URL}/notifications</a>.
+      </p>
+    </div>
+  </body>
+</html>`;
+};
+
+// Plain-text version built from the same pieces as the HTML
+const renderText = ({ heading, paragraphs, action }) =>
+  [
+    heading,
+    "",
+    ...paragraphs.map((paragraph) => paragraph.replace(/<[^>]+>/g, "")),
+    action ? `${action.label}: ${action.url}` : "",
+    "",
+    `Manage your email preferences: ${APP_URL}/notifications`,
+  ].join("\n");
+
+const renderEmail = (subject, content) => ({
+  subject,
+  html: renderLayout(content),
+  text: renderText(content),
+});
+
+// Email for users who saved a car whose price just dropped
+export const priceDropEmail = ({ user, car, previousPrice }) =>
+  renderEmail(`Price drop: ${carTitle(car)}`, {
+    heading: "A car you saved just got cheaper",
+    paragraphs: [
+      `Hi ${escapeHtml(user.name || "there")},`,
+      `The <strong>${escapeHtml(carTitle(car))}</strong> you saved dropped from ${formatCurrency(previousPrice)} to <strong>${formatCurrency(car.price)}</strong>, a saving of ${formatCurrency(previousPrice - car.price)}.`,
+    ],
+    action: { label: "View car", url: `${APP_URL}/cars/${car.id}` },
+  });
+
+// Email for users who saved a car that was sold or taken off the market
+export const carStatusEmail = ({ user, car }) => {
+  const isSold = car.status === "SOLD";
+
+  return renderEmail(
+    `${carTitle(car)} is ${isSold ? "sold" : "no longer available"}`,
+    {
+      heading: isSold
+        ? "A car you saved has been sold"
+        : "A car you saved is unavailable",
+      paragraphs: [
+        `Hi ${escapeHtml(user.name || "there")},`,
+        isSold
+          ? `The <strong>${escapeHtml(carTitle(car))}</strong> you saved has been sold.`
+          : `The <strong>${escapeHtml(carTitle(car))}</strong> you saved is currently unavailable. We'll keep it in your saved cars in case it comes back.`,
+        "Take a look at similar cars in our inventory.",
+      ],
+      action: {
+        label: "Browse cars",
+        url: `${APP_URL}/cars?make=${encodeURIComponent(car.make)}`,
+      },
+    }
+  );
+};
+
+// Email listing new cars that match one of the user's saved searches
+export const savedSearchAlertEmail = ({ user, savedSearch, cars, total, url }) =>
+  renderEmail(
+    `${total} new ${total === 1 ? "car matches" : "cars match"} "${savedSearch.name}"`,
+    {
+      heading: "New cars for your saved search",
+      paragraphs: [
+        `Hi ${escapeHtml(user.name || "there")},`,
+        `${total === 1 ? "A new car matches" : `${total} new cars match`} your saved search <strong>${escapeHtml(savedSearch.name)}</strong>:`,
+        cars
+          .map(
+            (car) =>
+              `<a href="${APP_URL}/cars/${car.id}">${escapeHtml(carTitle(car))}</a> - ${formatCurrency(car.price)}`
+          )
+          .join("<br />"),
+        ...(total > cars.length
+          ? [`And ${total - cars.length} more.`]
+          : []),
+      ],
+      action: { label: "See all matches", url: `${APP_URL}${url}` },
+    }
+  );
+
+// Booking date and time as shown in test drive emails. The date is read at
+// the dealership, like the calendar invite, not in the server's time zone.
+const formatBookingSlot = (booking) => {
+  const time = (value) => format(parseISO(`2022-01-01T${value}`), "h:mm a");
+  const startsAt = getDealershipDateTime(
+    toDateKey(booking.bookingDate),
+    booking.startTime
+  );
+
+  return {
+    date: formatDealershipDateTime(startsAt, {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+      year: "numeric",
+    }),
+    time: `${time(booking.startTime)} - ${time(booking.endTime)}`,
+  };
+};
+
+// Details block shared by all test drive emails
+const bookingDetails = ({ booking, car, dealership }) => {
+  const slot = formatBookingSlot(booking);
+  const rows = [
+    ["Car", carTitle(car)],
+    ["Date", slot.date],
+    ["Time", slot.time],
+    ["Dealership", dealership?.name || "Vehiql Motors"],
+    ["Address", dealership?.address || "Not available"],
+  ];
+
+  return rows
+    .map(([label, value]) => `<strong>${label}:</strong> ${escapeHtml(value)}`)
+    .join("<br />");
+};
+
+const testDriveEmail = (subject, heading, intro, { user, booking, car, dealership }, extra = []) =>
+  renderEmail(subject, {
+    heading,
+    paragraphs: [
+      `Hi ${escapeHtml(user.name || "there")},`,
+      intro,
+      bookingDetails({ booking, car, dealership }),
+      ...extra,
+    ],
+    action: { label: "View your reservations", url: `${APP_URL}/reservations` },
+  });
+
+// Email sent as soon as a customer books a test drive
+export const testDriveBookedEmail = (data) =>
+  testDriveEmail(
+    `Test drive request received: ${carTitle(data.car)}`,
+    "We received your test drive request",
+    "Thanks for booking a test drive. Our team will review your request and confirm it shortly. The attached invite lets you add the slot to your calendar.",
+    data
+  );
+
+// Email sent when an admin confirms a booking
+export const testDriveConfirmedEmail = (data) =>
+  testDriveEmail(
+    `Test drive confirmed: ${carTitle(data.car)}`,
+    "Your test drive is confirmed",
+    "Good news, your test drive has been confirmed. We look forward to seeing you.",
+    data,
+    ["Please arrive 10 minutes early with your driver's license."]
+  );
+
+// Email sent when a booking is cancelled by the customer or the dealership
+export const testDriveCancelledEmail = (data) =>
+  testDriveEmail(
+    `Test drive cancelled: ${carTitle(data.car)}`,
+    "Your test drive has been cancelled",
+    "The following test drive has been cancelled. If this was a mistake, you can book a new slot at any time.",
+    data
+  );
+
+// Email sent when the customer or the dealership moves a booking
+export const testDriveRescheduledEmail = (data) =>
+  testDriveEmail(
+    `Test drive rescheduled: ${carTitle(data.car)}`,
+    "Your test drive has been moved",
+    data.booking.status === "PENDING"
+      ? "Your test drive has been moved to the new time below. Our team will review the change and confirm it shortly."
+      : "Your test drive has been moved to the new time below. The attached invite updates the slot in your calendar.",
+    data
+  );
+
+// Sent once the dealership marks the drive completed, asking for a rating
+export const testDriveFeedbackEmail = ({ user, booking, car }) =>
+  renderEmail(`How was your test drive? ${carTitle(car)}`, {
+    heading: "Tell us about your test drive",
+    paragraphs: [
+      `Hi ${escapeHtml(user.name || "there")},`,
+      `Thanks for test driving the <strong>${escapeHtml(carTitle(car))}</strong> on ${formatBookingSlot(booking).date}.`,
+      "We'd love to hear what you thought of the car and how the drive went. It only takes a minute.",
+    ],
+    action: {
+      label: "Rate your test drive",
+      url: `${APP_URL}/reservations?feedback=${booking.id}`,
+    },
+  });
+
+// Reminder sent up to a day before the slot, which may still be the same day
+export const testDriveReminderEmail = (data) =>
+  testDriveEmail(
+    `Reminder: test drive ${
+      toDateKey(data.booking.bookingDate) === getDealershipDateKey()
+        ? "today"
+        : "tomorrow"
+    } - ${carTitle(data.car)}`,
+    "Your test drive is coming up",
+    "This is a reminder that your test drive is in less than 24 hours.",
+    data,
+    ["Please arrive 10 minutes early with your driver's license."]
+  );
@@ -0,0 +1,41 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { testDriveBookedEmail } from "./email-templates";
+
+const email = (booking = {}) =>
+  testDriveBookedEmail({
+    user: { name: "Sam" },
+    booking: {
+      id: "booking-1",
+      status: "PENDING",
+      bookingDate: new Date("2025-07-07"),
+      startTime: "10:00",
+      endTime: "11:00",
+      ...booking,
+    },
+    car: { year: 2020, make: "Toyota", model: "Corolla" },
+    dealership: null,
+  });
+
+beforeEach(() => {
+  vi.stubEnv("DEALERSHIP_TIMEZONE", "America/New_York");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("test drive emails", () => {
+  it("show the booking date and time at the dealership", () => {
+    const { text } = email();
+
+    expect(text).toContain("Date: Monday, July 7, 2025");
+    expect(text).toContain("Time: 10:00 AM - 11:00 AM");
+  });
+
+  it("keep the booking date on a server behind UTC", () => {
+    // Bookings are stored at midnight UTC, still the day before out west
+    vi.stubEnv("TZ", "America/Los_Angeles");
+
+    expect(email().text).toContain("Date: Monday, July 7, 2025");
+  });
+});
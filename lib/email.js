@@ -0,0 +1,88 @@
+import nodemailer from "nodemailer";
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+
+// EMAIL_TRANSPORT picks where mail goes:
+// - "smtp": a real SMTP server, or a local stand-in like Mailpit on localhost:1025
+// - "file": writes each message as an .eml file to EMAIL_OUTBOX_DIR (default .outbox)
+// Without it, SMTP is used when SMTP_HOST is set and the file outbox otherwise.
+// Production never falls back to the outbox, mail would silently go nowhere.
+const getTransportType = () => {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return "smtp";
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SMTP_HOST or EMAIL_TRANSPORT must be set in production");
+  }
+  return "file";
+};
+
+let transporter = globalThis.emailTransporter || null;
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (getTransportType() === "smtp") {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT || "1025"),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD,
+          }
+        : undefined,
+    });
+  } else {
+    // Build the raw message in memory so we can write it to the outbox
+    transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: "unix",
+    });
+  }
+
+  // Reuse the transporter across hot reloads, same as the Prisma client
+  if (process.env.NODE_ENV !== "production") {
+    globalThis.emailTransporter = transporter;
+  }
+
+  return transporter;
+};
+
+// Write a built message to the outbox directory for local development
+const writeToOutbox = async (info, subject) => {
+  const outboxDir = path.resolve(
+    process.env.EMAIL_OUTBOX_DIR || ".outbox"
+  );
+  await mkdir(outboxDir, { recursive: true });
+
+  const slug = subject
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 50);
+  const filePath = path.join(outboxDir, `${Date.now()}-${slug}.eml`);
+
+  await writeFile(filePath, info.message);
+  return filePath;
+};
+
+// Send an email through the configured transport
+export const sendEmail = async ({ to, subject, html, text, attachments = [] }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || "Vehiql <no-reply@vehiql.com>",
+    to,
+    subject,
+    html,
+    text,
+    attachments,
+  });
+
+  if (getTransportType() !== "smtp") {
+    await writeToOutbox(info, subject);
+  }
+
+  return info;
+};
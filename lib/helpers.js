@@ -7,11 +7,60 @@ export const formatCurrency = (amount) => {
   
   // Helper function to serialize car data
   export const serializeCarData = (car, wishlisted = false) => {
-    return {
+    const serialized = {
       ...car,
       price: car.price ? parseFloat(car.price.toString()) : 0,
       createdAt: car.createdAt?.toISOString(),
       updatedAt: car.updatedAt?.toISOString(),
       wishlisted: wishlisted,
     };
-  };
\ No newline at end of file
+
+    // Price history is only present when the query included it
+    if (car.priceHistory) {
+      serialized.priceHistory = car.priceHistory.map(serializePriceHistory);
+      serialized.priceDrop = getPriceDrop(serialized);
+    }
+
+    return serialized;
+  };
+
+  // Helper function to serialize a price history entry
+  export const serializePriceHistory = (entry) => {
+    return {
+      ...entry,
+      price: parseFloat(entry.price.toString()),
+      changedAt: entry.changedAt?.toISOString(),
+    };
+  };
+
+  // How much the price fell at its most recent change (history is newest first)
+  export const getPriceDrop = (car) => {
+    const previous = car.priceHistory?.[1];
+    if (!previous) return 0;
+
+    const drop = previous.price - car.price;
+    return drop > 0 ? drop : 0;
+  };
+  // Monthly installment (EMI) for a loan at a yearly interest rate in percent
+  export const calculateEmi = (principal, annualRate, years) => {
+    if (principal <= 0) return 0;
+
+    const monthlyRate = annualRate / 100 / 12;
+    const months = years * 12;
+    if (monthlyRate === 0) return principal / months;
+
+    return (
+      (principal * monthlyRate * Math.pow(1 + monthlyRate, months)) /
+      (Math.pow(1 + monthlyRate, months) - 1)
+    );
+  };
+
+  // Special hours dates are plain dates, so send them as "yyyy-MM-dd"
+  export const serializeSpecialHour = (entry) => {
+    return {
+      ...entry,
+      date: entry.date.toISOString().slice(0, 10),
+      createdAt: entry.createdAt?.toISOString(),
+      updatedAt: entry.updatedAt?.toISOString(),
+    };
+  };
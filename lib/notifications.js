@@ -0,0 +1,266 @@
+import { db } from "./prisma";
+import { sendEmail } from "./email";
+import {
+  carStatusEmail,
+  priceDropEmail,
+  savedSearchAlertEmail,
+  testDriveBookedEmail,
+  testDriveCancelledEmail,
+  testDriveConfirmedEmail,
+  testDriveFeedbackEmail,
+  testDriveReminderEmail,
+  testDriveRescheduledEmail,
+} from "./email-templates";
+import { serializeCarData } from "./helpers";
+import { createTestDriveInvite } from "./calendar";
+import { getCarDealership } from "./dealerships";
+import { getSearchUrl } from "./car-search";
+import { getCarSearchQuery } from "./car-text-search";
+import { getDealershipDateKey, getDealershipDateTime } from "./dealership-time";
+import { toDateKey } from "./test-drive-slots";
+
+// Most cars listed in a single saved search alert
+const ALERT_CAR_LIMIT = 5;
+
+// A user without a preference row gets every notification
+const isOptedIn = (preference, type) =>
+  !preference || (preference.emailEnabled && preference[type]);
+
+// Email everyone who saved the car and opted in to this notification type
+const notifySavers = async (carId, type, buildEmail) => {
+  const savedBy = await db.userSavedCar.findMany({
+    where: { carId },
+    include: {
+      user: {
+        include: { notificationPreference: true },
+      },
+    },
+  });
+
+  const recipients = savedBy
+    .map((saved) => saved.user)
+    .filter((user) => isOptedIn(user.notificationPreference, type));
+
+  const results = await Promise.allSettled(
+    recipients.map((user) =>
+      sendEmail({ to: user.email, ...buildEmail(user) })
+    )
+  );
+
+  // One bad address shouldn't stop the others, so just log failures
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.error(
+        `Failed to send ${type} email to ${recipients[index].email}:`,
+        result.reason
+      );
+    }
+  });
+
+  return recipients.length;
+};
+
+// Notify users who saved a car that its price dropped
+export const notifyPriceDrop = async (car, previousPrice) => {
+  const serializedCar = serializeCarData(car);
+
+  return notifySavers(car.id, "priceDrops", (user) =>
+    priceDropEmail({ user, car: serializedCar, previousPrice })
+  );
+};
+
+// Notify users who saved a car that it was sold or became unavailable
+export const notifyStatusChange = async (car) => {
+  if (car.status !== "SOLD" && car.status !== "UNAVAILABLE") return 0;
+
+  const serializedCar = serializeCarData(car);
+
+  return notifySavers(car.id, "statusChanges", (user) =>
+    carStatusEmail({ user, car: serializedCar })
+  );
+};
+
+// Run notifications without letting email problems fail the caller
+export const sendCarNotifications = async ({ car, previousPrice, previousStatus }) => {
+  try {
+    const currentPrice = parseFloat(car.price.toString());
+
+    if (previousPrice !== undefined && currentPrice < previousPrice) {
+      await notifyPriceDrop(car, previousPrice);
+    }
+
+    if (previousStatus !== undefined && car.status !== previousStatus) {
+      await notifyStatusChange(car);
+    }
+  } catch (error) {
+    console.error("Error sending car notifications:", error);
+  }
+};
+
+// Templates for each test drive email
+const TEST_DRIVE_EMAILS = {
+  booked: testDriveBookedEmail,
+  confirmed: testDriveConfirmedEmail,
+  cancelled: testDriveCancelledEmail,
+  rescheduled: testDriveRescheduledEmail,
+  reminder: testDriveReminderEmail,
+  feedback: testDriveFeedbackEmail,
+};
+
+// Sent after the drive, when a calendar invite would be no use
+const EMAILS_WITHOUT_INVITE = ["feedback"];
+
+// Send a transactional test drive email, with a calendar invite attached for
+// an upcoming drive.
+// These go out regardless of notification preferences since they are about
+// the customer's own booking.
+export const sendTestDriveEmail = async (bookingId, type) => {
+  try {
+    const booking = await db.testDriveBooking.findUnique({
+      where: { id: bookingId },
+      include: { car: true, user: true },
+    });
+
+    if (!booking) throw new Error("Booking not found");
+
+    // The drive happens at the car's location
+    const dealership = await getCarDealership(booking.car);
+
+    const data = {
+      user: booking.user,
+      car: serializeCarData(booking.car),
+      booking,
+      dealership,
+    };
+
+    await sendEmail({
+      to: booking.user.email,
+      ...TEST_DRIVE_EMAILS[type](data),
+      attachments: EMAILS_WITHOUT_INVITE.includes(type)
+        ? []
+        : [
+            {
+              filename: "test-drive.ics",
+              content: createTestDriveInvite(data),
+              contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+            },
+          ],
+    });
+
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${type} test drive email:`, error);
+    return false;
+  }
+};
+
+// How long before a test drive its reminder goes out
+const REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Email a reminder for every active booking starting within the next 24 hours.
+// Bookings made inside that window skip it, the booking email is recent enough.
+export const sendTestDriveReminders = async (now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + REMINDER_WINDOW_MS);
+
+  // bookingDate is a plain date at the dealership, so fetch the two candidate
+  // days and compare times below
+  const today = new Date(getDealershipDateKey(now));
+  const dayAfterTomorrow = new Date(today.getTime() + 2 * REMINDER_WINDOW_MS);
+
+  const bookings = await db.testDriveBooking.findMany({
+    where: {
+      status: { in: ["PENDING", "CONFIRMED"] },
+      reminderSentAt: null,
+      bookingDate: { gte: today, lt: dayAfterTomorrow },
+    },
+    select: { id: true, bookingDate: true, startTime: true, createdAt: true },
+  });
+
+  const dueBookings = bookings.filter((booking) => {
+    const startsAt = getDealershipDateTime(
+      toDateKey(booking.bookingDate),
+      booking.startTime
+    );
+    const bookedEarlyEnough =
+      booking.createdAt.getTime() <= startsAt.getTime() - REMINDER_WINDOW_MS;
+
+    return startsAt > now && startsAt <= windowEnd && bookedEarlyEnough;
+  });
+
+  let sent = 0;
+  for (const booking of dueBookings) {
+    if (await sendTestDriveEmail(booking.id, "reminder")) {
+      await db.testDriveBooking.update({
+        where: { id: booking.id },
+        data: { reminderSentAt: new Date() },
+      });
+      sent++;
+    }
+  }
+
+  return { due: dueBookings.length, sent };
+};
+
+// Email users about cars added since each of their saved searches was last
+// checked. A search only moves on once its email went out, so a failed send
+// is retried on the next run.
+export const sendSavedSearchAlerts = async (now = new Date()) => {
+  const savedSearches = await db.savedSearch.findMany({
+    where: { alertsEnabled: true },
+    include: {
+      user: {
+        include: { notificationPreference: true },
+      },
+    },
+  });
+
+  let sent = 0;
+  for (const savedSearch of savedSearches) {
+    try {
+      const { user } = savedSearch;
+      const { where: searchWhere } = await getCarSearchQuery(
+        savedSearch.filters
+      );
+      const where = {
+        ...searchWhere,
+        createdAt: { gt: savedSearch.lastCheckedAt, lte: now },
+      };
+
+      const total = isOptedIn(user.notificationPreference, "savedSearches")
+        ? await db.car.count({ where })
+        : 0;
+
+      if (total > 0) {
+        const cars = await db.car.findMany({
+          where,
+          orderBy: { createdAt: "desc" },
+          take: ALERT_CAR_LIMIT,
+        });
+
+        await sendEmail({
+          to: user.email,
+          ...savedSearchAlertEmail({
+            user,
+            savedSearch,
+            cars: cars.map((car) => serializeCarData(car)),
+            total,
+            url: getSearchUrl(savedSearch.filters),
+          }),
+        });
+        sent++;
+      }
+
+      await db.savedSearch.update({
+        where: { id: savedSearch.id },
+        data: { lastCheckedAt: now },
+      });
+    } catch (error) {
+      console.error(
+        `Error sending saved search alert ${savedSearch.id}:`,
+        error
+      );
+    }
+  }
+
+  return { checked: savedSearches.length, sent };
+};
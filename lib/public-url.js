@@ -0,0 +1,51 @@
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+
+// Addresses the server must never fetch from on someone else's behalf:
+// private networks, loopback, link-local (which holds cloud metadata
+// endpoints such as 169.254.169.254) and other ranges that aren't on the
+// public internet. IPv4 rules also match IPv4-mapped IPv6 addresses.
+const BLOCKED_SUBNETS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"], // Carrier-grade NAT
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["224.0.0.0", 3, "ipv4"], // Multicast and reserved
+  ["::", 96, "ipv6"], // Unspecified, loopback and IPv4-compatible
+  ["64:ff9b::", 96, "ipv6"], // NAT64, which reaches IPv4 addresses
+  ["fc00::", 7, "ipv6"], // Unique local
+  ["fe80::", 10, "ipv6"], // Link-local
+  ["ff00::", 8, "ipv6"], // Multicast
+];
+
+const blockedAddresses = new BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) =>
+  blockedAddresses.addSubnet(network, prefix, type)
+);
+
+export const isPublicAddress = (address) => {
+  const version = isIP(address);
+  if (!version) return false;
+
+  return !blockedAddresses.check(address, version === 6 ? "ipv6" : "ipv4");
+};
+
+// Throws unless the URL is http(s) and every address its host resolves to is
+// public. Check each redirect too, as the next URL can point anywhere.
+export const assertPublicUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new Error(`Unsupported URL ${url}`);
+  }
+
+  // IPv6 hosts keep their brackets in the URL
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  const addresses = await lookup(host, { all: true, verbatim: true });
+
+  if (!addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`URL ${url} doesn't point to a public address`);
+  }
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { assertPublicUrl, isPublicAddress } from "./public-url";
+
+describe("isPublicAddress", () => {
+  it("allows addresses on the public internet", () => {
+    expect(isPublicAddress("93.184.216.34")).toBe(true);
+    expect(isPublicAddress("2606:2800:220:1:248:1893:25c8:1946")).toBe(true);
+  });
+
+  it("rejects private, loopback and link-local addresses", () => {
+    [
+      "10.1.2.3",
+      "172.16.0.1",
+      "192.168.1.1",
+      "127.0.0.1",
+      "169.254.169.254",
+      "0.0.0.0",
+      "::1",
+      "fd00:ec2::254",
+      "fe80::1",
+    ].forEach((address) => expect(isPublicAddress(address)).toBe(false));
+  });
+
+  it("sees through IPv4 addresses written as IPv6", () => {
+    expect(isPublicAddress("::ffff:127.0.0.1")).toBe(false);
+    expect(isPublicAddress("::ffff:a9fe:a9fe")).toBe(false);
+  });
+
+  it("rejects anything that isn't an IP address", () => {
+    expect(isPublicAddress("localhost")).toBe(false);
+  });
+});
+
+describe("assertPublicUrl", () => {
+  it("only allows http and https", async () => {
+    await expect(assertPublicUrl("file:///etc/passwd")).rejects.toThrow(
+      "Unsupported URL"
+    );
+  });
+
+  it("rejects hosts that resolve to internal addresses", async () => {
+    await expect(
+      assertPublicUrl("http://169.254.169.254/latest/meta-data/")
+    ).rejects.toThrow("doesn't point to a public address");
+    await expect(assertPublicUrl("http://[::1]:3000/")).rejects.toThrow(
+      "doesn't point to a public address"
+    );
+    // The URL parser turns shorthand like this into 127.0.0.1
+    await expect(assertPublicUrl("http://0x7f.1/")).rejects.toThrow(
+      "doesn't point to a public address"
+    );
+    await expect(assertPublicUrl("http://localhost/")).rejects.toThrow(
+      "doesn't point to a public address"
+    );
+  });
+
+  it("allows a public address", async () => {
+    await expect(
+      assertPublicUrl("https://93.184.216.34/car.jpg")
+    ).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,13 @@
+// Cars a shopper looked at most recently, kept per user in the database and
+// in localStorage for guests
+export const RECENTLY_VIEWED_LIMIT = 12;
+
+// Unique car ids, most recent first, capped at the limit
+export const parseRecentlyViewedIds = (carIds) =>
+  [
+    ...new Set(
+      (Array.isArray(carIds) ? carIds : []).filter(
+        (id) => typeof id === "string" && id
+      )
+    ),
+  ].slice(0, RECENTLY_VIEWED_LIMIT);
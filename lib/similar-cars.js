@@ -0,0 +1,48 @@
+// Cars priced within this fraction of each other are in the same price band
+const PRICE_BAND = 0.2;
+
+// Points for each way a car is like the one being viewed
+const SIMILARITY_POINTS = {
+  make: 3,
+  bodyType: 2,
+  priceBand: 2,
+  fuelType: 1,
+};
+
+export const getPriceBand = (price) => ({
+  gte: Math.floor(price * (1 - PRICE_BAND)),
+  lte: Math.ceil(price * (1 + PRICE_BAND)),
+});
+
+const sameText = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+// How alike two cars are, by make, body type, price band and fuel type
+export const scoreSimilarCar = (car, candidate) => {
+  const band = getPriceBand(Number(car.price));
+  const price = Number(candidate.price);
+
+  return (
+    (sameText(car.make, candidate.make) ? SIMILARITY_POINTS.make : 0) +
+    (sameText(car.bodyType, candidate.bodyType)
+      ? SIMILARITY_POINTS.bodyType
+      : 0) +
+    (price >= band.gte && price <= band.lte ? SIMILARITY_POINTS.priceBand : 0) +
+    (sameText(car.fuelType, candidate.fuelType)
+      ? SIMILARITY_POINTS.fuelType
+      : 0)
+  );
+};
+
+// Most similar first, closest in price breaking ties
+export const rankSimilarCars = (car, candidates) => {
+  const price = Number(car.price);
+
+  return candidates
+    .map((candidate) => ({
+      candidate,
+      score: scoreSimilarCar(car, candidate),
+      priceGap: Math.abs(Number(candidate.price) - price),
+    }))
+    .sort((a, b) => b.score - a.score || a.priceGap - b.priceGap)
+    .map(({ candidate }) => candidate);
+};
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { getPriceBand, rankSimilarCars, scoreSimilarCar } from "./similar-cars";
+
+const car = {
+  id: "viewed",
+  make: "Toyota",
+  bodyType: "Sedan",
+  fuelType: "Petrol",
+  price: 20000,
+};
+
+describe("getPriceBand", () => {
+  it("spans 20% either side of the price", () => {
+    expect(getPriceBand(20000)).toEqual({ gte: 16000, lte: 24000 });
+  });
+});
+
+describe("scoreSimilarCar", () => {
+  it("adds points for make, body type, price band and fuel type", () => {
+    expect(scoreSimilarCar(car, { ...car, make: "toyota" })).toBe(8);
+    expect(
+      scoreSimilarCar(car, {
+        make: "Honda",
+        bodyType: "SUV",
+        fuelType: "Petrol",
+        price: 40000,
+      })
+    ).toBe(1);
+  });
+});
+
+describe("rankSimilarCars", () => {
+  it("puts the most similar first, then the closest in price", () => {
+    const candidates = [
+      { id: "suv", make: "Toyota", bodyType: "SUV", price: "21000" },
+      { ...car, id: "far", price: "23500" },
+      { ...car, id: "near", price: "19000" },
+    ];
+
+    expect(
+      rankSimilarCars(car, candidates).map((candidate) => candidate.id)
+    ).toEqual(["near", "far", "suv"]);
+  });
+});
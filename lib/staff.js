@@ -0,0 +1,39 @@
+import { getDayOfWeek, shiftCoversSlot } from "./test-drive-slots";
+
+// Whether a salesperson can take a drive on a date ("yyyy-MM-dd") at a
+// location: on shift there for the whole slot and not assigned another drive
+// at the same time. Staff without any shifts can be assigned at any time.
+export const isSalespersonFree = async (
+  client,
+  { salespersonId, dealershipId, date, startTime, endTime, excludeBookingId }
+) => {
+  const shifts = await client.staffShift.findMany({
+    where: { userId: salespersonId },
+  });
+
+  if (shifts.length > 0) {
+    const shift = shifts.find((item) => item.dayOfWeek === getDayOfWeek(date));
+    if (
+      !shift ||
+      shift.dealershipId !== dealershipId ||
+      !shiftCoversSlot(shift, { startTime, endTime })
+    ) {
+      return false;
+    }
+  }
+
+  // "HH:MM" strings compare in time order
+  const clash = await client.testDriveBooking.findFirst({
+    where: {
+      salespersonId,
+      bookingDate: new Date(date),
+      status: { in: ["PENDING", "CONFIRMED"] },
+      startTime: { lt: endTime },
+      endTime: { gt: startTime },
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+    },
+    select: { id: true },
+  });
+
+  return !clash;
+};
@@ -0,0 +1,69 @@
+// Ratings customers give a completed test drive, stored in TestDriveFeedback
+
+export const RATING_MAX = 5;
+
+export const FEEDBACK_COMMENTS_MAX_LENGTH = 2000;
+
+// Whole stars from 1 to RATING_MAX
+export const isValidRating = (rating) =>
+  Number.isInteger(rating) && rating >= 1 && rating <= RATING_MAX;
+
+// Throws with a message for the customer when the feedback can't be saved
+export const assertValidFeedback = ({
+  carRating,
+  experienceRating,
+  comments,
+}) => {
+  if (!isValidRating(carRating) || !isValidRating(experienceRating)) {
+    throw new Error(
+      `Please rate the car and your experience from 1 to ${RATING_MAX} stars`
+    );
+  }
+
+  if (comments && comments.length > FEEDBACK_COMMENTS_MAX_LENGTH) {
+    throw new Error(
+      `Comments can be at most ${FEEDBACK_COMMENTS_MAX_LENGTH} characters`
+    );
+  }
+};
+
+const average = (values) =>
+  values.length > 0
+    ? Math.round(
+        (values.reduce((sum, value) => sum + value, 0) / values.length) * 10
+      ) / 10
+    : null;
+
+// Count and average ratings, rounded to one decimal
+export const summarizeFeedback = (entries) => ({
+  count: entries.length,
+  carRating: average(entries.map((entry) => entry.carRating)),
+  experienceRating: average(entries.map((entry) => entry.experienceRating)),
+});
+
+// Summaries per group, e.g. per car, best rated first. getGroup returns
+// { id, label } for an entry, or null to leave it out.
+export const summarizeFeedbackBy = (entries, getGroup) => {
+  const groups = new Map();
+
+  entries.forEach((entry) => {
+    const group = getGroup(entry);
+    if (!group) return;
+
+    if (!groups.has(group.id)) {
+      groups.set(group.id, { ...group, entries: [] });
+    }
+    groups.get(group.id).entries.push(entry);
+  });
+
+  return [...groups.values()]
+    .map(({ entries: groupEntries, ...group }) => ({
+      ...group,
+      ...summarizeFeedback(groupEntries),
+    }))
+    .sort(
+      (a, b) =>
+        b.carRating + b.experienceRating - (a.carRating + a.experienceRating) ||
+        b.count - a.count
+    );
+};
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import {
+  assertValidFeedback,
+  isValidRating,
+  summarizeFeedback,
+  summarizeFeedbackBy,
+} from "./test-drive-feedback";
+
+describe("isValidRating", () => {
+  it("accepts whole stars from 1 to 5", () => {
+    expect([1, 5].every(isValidRating)).toBe(true);
+    expect([0, 6, 4.5, "4"].some(isValidRating)).toBe(false);
+  });
+});
+
+describe("assertValidFeedback", () => {
+  it("needs both ratings", () => {
+    expect(() => assertValidFeedback({ carRating: 4 })).toThrow(
+      "Please rate the car and your experience from 1 to 5 stars"
+    );
+    expect(() =>
+      assertValidFeedback({ carRating: 4, experienceRating: 5 })
+    ).not.toThrow();
+  });
+
+  it("limits the length of the comments", () => {
+    expect(() =>
+      assertValidFeedback({
+        carRating: 4,
+        experienceRating: 5,
+        comments: "x".repeat(2001),
+      })
+    ).toThrow("Comments can be at most 2000 characters");
+  });
+});
+
+describe("summarizeFeedback", () => {
+  it("averages each rating to one decimal", () => {
+    expect(
+      summarizeFeedback([
+        { carRating: 5, experienceRating: 4 },
+        { carRating: 4, experienceRating: 4 },
+        { carRating: 4, experienceRating: 3 },
+      ])
+    ).toEqual({ count: 3, carRating: 4.3, experienceRating: 3.7 });
+  });
+
+  it("has no averages without feedback", () => {
+    expect(summarizeFeedback([])).toEqual({
+      count: 0,
+      carRating: null,
+      experienceRating: null,
+    });
+  });
+});
+
+describe("summarizeFeedbackBy", () => {
+  it("groups entries and puts the best rated first", () => {
+    const entries = [
+      { carId: "a", carRating: 3, experienceRating: 3 },
+      { carId: "b", carRating: 5, experienceRating: 5 },
+      { carId: "a", carRating: 5, experienceRating: 5 },
+      { carId: null, carRating: 1, experienceRating: 1 },
+    ];
+
+    expect(
+      summarizeFeedbackBy(entries, (entry) =>
+        entry.carId ? { id: entry.carId, label: `Car ${entry.carId}` } : null
+      )
+    ).toEqual([
+      {
+        id: "b",
+        label: "Car b",
+        count: 1,
+        carRating: 5,
+        experienceRating: 5,
+      },
+      {
+        id: "a",
+        label: "Car a",
+        count: 2,
+        carRating: 4,
+        experienceRating: 4,
+      },
+    ]);
+  });
+});
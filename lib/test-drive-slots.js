@@ -0,0 +1,164 @@
+import { getDealershipDateKey, getDealershipMinutes } from "./dealership-time";
+
+// Time slot helpers for test drive scheduling. Times are "HH:MM" (24-hour)
+// strings, matching WorkingHour and TestDriveBooking.
+
+// Defaults match the DealershipInfo schema defaults
+export const DEFAULT_BOOKING_SETTINGS = {
+  slotDuration: 60,
+  bufferMinutes: 0,
+  maxConcurrentDrives: 1,
+};
+
+// Pick the booking settings off a dealership record, falling back to defaults
+export const getBookingSettings = (dealership) => ({
+  slotDuration:
+    dealership?.slotDuration ?? DEFAULT_BOOKING_SETTINGS.slotDuration,
+  bufferMinutes:
+    dealership?.bufferMinutes ?? DEFAULT_BOOKING_SETTINGS.bufferMinutes,
+  maxConcurrentDrives:
+    dealership?.maxConcurrentDrives ??
+    DEFAULT_BOOKING_SETTINGS.maxConcurrentDrives,
+});
+
+const DAYS_OF_WEEK = [
+  "SUNDAY",
+  "MONDAY",
+  "TUESDAY",
+  "WEDNESDAY",
+  "THURSDAY",
+  "FRIDAY",
+  "SATURDAY",
+];
+
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+export const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(
+    minutes % 60
+  ).padStart(2, "0")}`;
+
+// "yyyy-MM-dd" -> DayOfWeek enum value, independent of the server time zone
+export const getDayOfWeek = (date) =>
+  DAYS_OF_WEEK[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Normalize a Date or ISO string to "yyyy-MM-dd"
+export const toDateKey = (date) =>
+  (typeof date === "string" ? date : date.toISOString()).slice(0, 10);
+
+// Opening hours for a date: a special-hours entry wins over the weekly schedule
+export const getScheduleForDate = (workingHours, specialHours, date) => {
+  const special = specialHours?.find((entry) => toDateKey(entry.date) === date);
+  if (special) return special;
+
+  return workingHours?.find((day) => day.dayOfWeek === getDayOfWeek(date));
+};
+
+// Two time ranges overlap when each starts before the other ends. The buffer
+// keeps that many minutes free on either side of b.
+export const slotsOverlap = (a, b, bufferMinutes = 0) =>
+  timeToMinutes(a.startTime) < timeToMinutes(b.endTime) + bufferMinutes &&
+  timeToMinutes(b.startTime) - bufferMinutes < timeToMinutes(a.endTime);
+
+// All slots that fit inside the opening hours of a day, with the buffer
+// between consecutive slots
+export const generateDaySlots = (
+  daySchedule,
+  { slotDuration, bufferMinutes } = DEFAULT_BOOKING_SETTINGS
+) => {
+  if (!daySchedule || !daySchedule.isOpen) return [];
+
+  const open = timeToMinutes(daySchedule.openTime);
+  const close = timeToMinutes(daySchedule.closeTime);
+
+  const slots = [];
+  for (
+    let start = open;
+    start + slotDuration <= close;
+    start += slotDuration + bufferMinutes
+  ) {
+    const startTime = minutesToTime(start);
+    const endTime = minutesToTime(start + slotDuration);
+    slots.push({
+      id: `${startTime}-${endTime}`,
+      label: `${startTime} - ${endTime}`,
+      startTime,
+      endTime,
+    });
+  }
+
+  return slots;
+};
+
+// Whether a staff shift covers the whole of a slot
+export const shiftCoversSlot = (shift, slot) =>
+  timeToMinutes(shift.startTime) <= timeToMinutes(slot.startTime) &&
+  timeToMinutes(slot.endTime) <= timeToMinutes(shift.endTime);
+
+// Salespeople on shift for the whole slot who aren't already assigned a drive
+// overlapping it
+export const getFreeSalespeople = (slot, shifts, bookings, bufferMinutes = 0) =>
+  shifts
+    .filter(
+      (shift) =>
+        shiftCoversSlot(shift, slot) &&
+        !bookings.some(
+          (booking) =>
+            booking.salespersonId === shift.userId &&
+            slotsOverlap(slot, booking, bufferMinutes)
+        )
+    )
+    .map((shift) => shift.userId);
+
+// Drop slots that have already started at the dealership, overlap another
+// drive of the same car, or would exceed how many drives the dealership can
+// run at once. With staff shifts for the day, a salesperson must also be free
+// for each slot, after setting one aside for every overlapping drive nobody is
+// assigned to yet.
+export const filterAvailableSlots = (
+  slots,
+  { carBookings, dealershipBookings, staffShifts = null },
+  { settings = DEFAULT_BOOKING_SETTINGS, date, now } = {}
+) => {
+  const today = now ? getDealershipDateKey(now) : null;
+  const nowMinutes = now ? getDealershipMinutes(now) : null;
+
+  return slots.filter((slot) => {
+    if (date && today && date < today) return false;
+    if (date && date === today && timeToMinutes(slot.startTime) <= nowMinutes) {
+      return false;
+    }
+
+    const carIsBusy = carBookings.some((booking) =>
+      slotsOverlap(slot, booking, settings.bufferMinutes)
+    );
+    if (carIsBusy) return false;
+
+    const overlapping = dealershipBookings.filter((booking) =>
+      slotsOverlap(slot, booking, settings.bufferMinutes)
+    );
+    if (overlapping.length >= settings.maxConcurrentDrives) return false;
+
+    if (!staffShifts) return true;
+
+    const unassigned = overlapping.filter(
+      (booking) => !booking.salespersonId
+    ).length;
+    const freeSalespeople = getFreeSalespeople(
+      slot,
+      staffShifts,
+      dealershipBookings,
+      settings.bufferMinutes
+    );
+
+    return freeSalespeople.length > unassigned;
+  });
+};
+
+// The slot starting at a time, or else the first one starting in that hour
+export const pickPreferredSlot = (slots, time) =>
+  slots.find((slot) => slot.startTime === time) ||
+  slots.find((slot) => slot.startTime.slice(0, 2) === time.slice(0, 2));
@@ -0,0 +1,265 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  filterAvailableSlots,
+  generateDaySlots,
+  getBookingSettings,
+  getDayOfWeek,
+  getFreeSalespeople,
+  getScheduleForDate,
+  minutesToTime,
+  pickPreferredSlot,
+  slotsOverlap,
+  timeToMinutes,
+} from "./test-drive-slots";
+
+const slot = (startTime, endTime) => ({ startTime, endTime });
+
+describe("time helpers", () => {
+  it("converts between HH:MM and minutes", () => {
+    expect(timeToMinutes("09:30")).toBe(570);
+    expect(minutesToTime(570)).toBe("09:30");
+    expect(minutesToTime(0)).toBe("00:00");
+  });
+
+  it("reads the weekday of a date the same in every time zone", () => {
+    expect(getDayOfWeek("2025-07-06")).toBe("SUNDAY");
+    expect(getDayOfWeek("2025-07-07")).toBe("MONDAY");
+  });
+});
+
+describe("getBookingSettings", () => {
+  it("falls back to the defaults for missing settings", () => {
+    expect(getBookingSettings({ slotDuration: 30 })).toEqual({
+      slotDuration: 30,
+      bufferMinutes: 0,
+      maxConcurrentDrives: 1,
+    });
+    expect(getBookingSettings(null).slotDuration).toBe(60);
+  });
+});
+
+describe("getScheduleForDate", () => {
+  const workingHours = [
+    {
+      dayOfWeek: "MONDAY",
+      isOpen: true,
+      openTime: "09:00",
+      closeTime: "18:00",
+    },
+  ];
+
+  it("uses the weekly hours for the weekday", () => {
+    expect(getScheduleForDate(workingHours, [], "2025-07-07")).toBe(
+      workingHours[0]
+    );
+  });
+
+  it("prefers special hours for the same date", () => {
+    const holiday = { date: new Date("2025-07-07"), isOpen: false };
+
+    expect(getScheduleForDate(workingHours, [holiday], "2025-07-07")).toBe(
+      holiday
+    );
+  });
+});
+
+describe("generateDaySlots", () => {
+  const schedule = { isOpen: true, openTime: "09:00", closeTime: "12:30" };
+
+  it("fills the opening hours with back to back slots", () => {
+    const slots = generateDaySlots(schedule);
+
+    expect(slots.map((item) => item.id)).toEqual([
+      "09:00-10:00",
+      "10:00-11:00",
+      "11:00-12:00",
+    ]);
+    expect(slots[0].label).toBe("09:00 - 10:00");
+  });
+
+  it("leaves the buffer between slots and drops one that runs past closing", () => {
+    const slots = generateDaySlots(schedule, {
+      slotDuration: 45,
+      bufferMinutes: 15,
+    });
+
+    expect(slots.map((item) => item.label)).toEqual([
+      "09:00 - 09:45",
+      "10:00 - 10:45",
+      "11:00 - 11:45",
+    ]);
+  });
+
+  it("has no slots on a closed day", () => {
+    expect(generateDaySlots({ ...schedule, isOpen: false })).toEqual([]);
+    expect(generateDaySlots(undefined)).toEqual([]);
+  });
+});
+
+describe("slotsOverlap", () => {
+  it("treats touching slots as free", () => {
+    expect(slotsOverlap(slot("10:00", "11:00"), slot("11:00", "12:00"))).toBe(
+      false
+    );
+    expect(slotsOverlap(slot("10:00", "11:00"), slot("10:30", "11:30"))).toBe(
+      true
+    );
+  });
+
+  it("keeps the buffer free around the other slot", () => {
+    expect(
+      slotsOverlap(slot("11:00", "12:00"), slot("10:00", "11:00"), 15)
+    ).toBe(true);
+    expect(
+      slotsOverlap(slot("11:15", "12:15"), slot("10:00", "11:00"), 15)
+    ).toBe(false);
+  });
+});
+
+describe("getFreeSalespeople", () => {
+  const shifts = [
+    { userId: "ann", startTime: "09:00", endTime: "17:00" },
+    { userId: "bob", startTime: "12:00", endTime: "17:00" },
+  ];
+
+  it("needs a shift covering the whole slot", () => {
+    expect(getFreeSalespeople(slot("11:00", "12:00"), shifts, [])).toEqual([
+      "ann",
+    ]);
+  });
+
+  it("skips salespeople already out on an overlapping drive", () => {
+    const bookings = [{ ...slot("13:00", "14:00"), salespersonId: "ann" }];
+
+    expect(
+      getFreeSalespeople(slot("13:00", "14:00"), shifts, bookings)
+    ).toEqual(["bob"]);
+  });
+});
+
+describe("filterAvailableSlots", () => {
+  const slots = generateDaySlots({
+    isOpen: true,
+    openTime: "09:00",
+    closeTime: "13:00",
+  });
+  const ids = (result) => result.map((item) => item.id);
+  const noBookings = { carBookings: [], dealershipBookings: [] };
+
+  beforeEach(() => {
+    vi.stubEnv("DEALERSHIP_TIMEZONE", "America/New_York");
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("drops slots that already started on the dealership's clock", () => {
+    // 10:30 in New York, while the server in UTC is already past 14:00
+    const now = new Date("2025-07-07T14:30:00Z");
+
+    expect(
+      ids(filterAvailableSlots(slots, noBookings, { date: "2025-07-07", now }))
+    ).toEqual(["11:00-12:00", "12:00-13:00"]);
+  });
+
+  it("keeps today open when the server's date has already moved on", () => {
+    // 21:00 on the 6th in New York is the 7th in UTC
+    const now = new Date("2025-07-07T01:00:00Z");
+
+    expect(
+      filterAvailableSlots(slots, noBookings, { date: "2025-07-06", now })
+    ).toEqual([]);
+    expect(
+      ids(filterAvailableSlots(slots, noBookings, { date: "2025-07-07", now }))
+    ).toHaveLength(4);
+  });
+
+  it("drops slots the car is already booked for", () => {
+    const result = filterAvailableSlots(slots, {
+      carBookings: [slot("10:00", "11:00")],
+      dealershipBookings: [slot("10:00", "11:00")],
+    });
+
+    expect(ids(result)).toEqual(["09:00-10:00", "11:00-12:00", "12:00-13:00"]);
+  });
+
+  it("allows as many overlapping drives as the dealership can run", () => {
+    const dealershipBookings = [slot("10:00", "11:00")];
+    const options = (maxConcurrentDrives) => ({
+      settings: { slotDuration: 60, bufferMinutes: 0, maxConcurrentDrives },
+    });
+
+    expect(
+      ids(
+        filterAvailableSlots(
+          slots,
+          { carBookings: [], dealershipBookings },
+          options(1)
+        )
+      )
+    ).not.toContain("10:00-11:00");
+    expect(
+      ids(
+        filterAvailableSlots(
+          slots,
+          { carBookings: [], dealershipBookings },
+          options(2)
+        )
+      )
+    ).toContain("10:00-11:00");
+  });
+
+  it("sets a salesperson aside for each unassigned overlapping drive", () => {
+    const staffShifts = [
+      { userId: "ann", startTime: "09:00", endTime: "13:00" },
+      { userId: "bob", startTime: "09:00", endTime: "13:00" },
+    ];
+    const settings = {
+      slotDuration: 60,
+      bufferMinutes: 0,
+      maxConcurrentDrives: 3,
+    };
+
+    // One drive assigned to Ann and one waiting for someone leaves nobody
+    const busy = filterAvailableSlots(
+      slots,
+      {
+        carBookings: [],
+        dealershipBookings: [
+          { ...slot("10:00", "11:00"), salespersonId: "ann" },
+          { ...slot("10:00", "11:00"), salespersonId: null },
+        ],
+        staffShifts,
+      },
+      { settings }
+    );
+    expect(ids(busy)).not.toContain("10:00-11:00");
+
+    const free = filterAvailableSlots(
+      slots,
+      {
+        carBookings: [],
+        dealershipBookings: [
+          { ...slot("10:00", "11:00"), salespersonId: "ann" },
+        ],
+        staffShifts,
+      },
+      { settings }
+    );
+    expect(ids(free)).toContain("10:00-11:00");
+  });
+});
+
+describe("pickPreferredSlot", () => {
+  const slots = [
+    { id: "a", startTime: "09:30" },
+    { id: "b", startTime: "10:30" },
+  ];
+
+  it("prefers an exact start time, then any slot in the same hour", () => {
+    expect(pickPreferredSlot(slots, "10:30").id).toBe("b");
+    expect(pickPreferredSlot(slots, "10:00").id).toBe("b");
+    expect(pickPreferredSlot(slots, "12:00")).toBeUndefined();
+  });
+});
@@ -0,0 +1,204 @@
+// Offline VIN decoding: format and check digit validation, manufacturer from
+// the World Manufacturer Identifier (first 3 characters) and model year from
+// the 10th character. No network lookups, so it only knows common makes.
+
+// Letters I, O and Q are never used, to avoid confusion with 1 and 0
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Value of each letter in the check digit calculation
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Model year codes repeat every 30 years, starting with A = 1980
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+// World Manufacturer Identifiers for common makes
+const WMI_MAKES = {
+  "1C3": "Chrysler",
+  "1C4": "Jeep",
+  "1C6": "Ram",
+  "1FA": "Ford",
+  "1FM": "Ford",
+  "1FT": "Ford",
+  "1G1": "Chevrolet",
+  "1GC": "Chevrolet",
+  "1G6": "Cadillac",
+  "1GT": "GMC",
+  "1GK": "GMC",
+  "1GY": "Cadillac",
+  "1HG": "Honda",
+  "1J4": "Jeep",
+  "1LN": "Lincoln",
+  "1N4": "Nissan",
+  "1N6": "Nissan",
+  "19X": "Honda",
+  "1B3": "Dodge",
+  "1D7": "Dodge",
+  "2C3": "Chrysler",
+  "2FM": "Ford",
+  "2G1": "Chevrolet",
+  "2HG": "Honda",
+  "2HK": "Honda",
+  "2T1": "Toyota",
+  "2T3": "Toyota",
+  "3FA": "Ford",
+  "3G1": "Chevrolet",
+  "3GC": "Chevrolet",
+  "3HG": "Honda",
+  "3N1": "Nissan",
+  "3VW": "Volkswagen",
+  "3C6": "Ram",
+  "4JG": "Mercedes-Benz",
+  "4S3": "Subaru",
+  "4S4": "Subaru",
+  "4T1": "Toyota",
+  "4T3": "Toyota",
+  "4US": "BMW",
+  "5FN": "Honda",
+  "5J6": "Honda",
+  "5N1": "Nissan",
+  "5NP": "Hyundai",
+  "5TD": "Toyota",
+  "5TF": "Toyota",
+  "5UX": "BMW",
+  "5XY": "Kia",
+  "5YJ": "Tesla",
+  "7SA": "Tesla",
+  JA3: "Mitsubishi",
+  JA4: "Mitsubishi",
+  JF1: "Subaru",
+  JF2: "Subaru",
+  JHM: "Honda",
+  JHL: "Honda",
+  JM1: "Mazda",
+  JM3: "Mazda",
+  JN1: "Nissan",
+  JN8: "Nissan",
+  JTD: "Toyota",
+  JTE: "Toyota",
+  JTH: "Lexus",
+  JTJ: "Lexus",
+  JTM: "Toyota",
+  JTN: "Toyota",
+  KMH: "Hyundai",
+  KM8: "Hyundai",
+  KNA: "Kia",
+  KND: "Kia",
+  LRW: "Tesla",
+  MA3: "Suzuki",
+  MAJ: "Ford",
+  MAT: "Tata",
+  MA1: "Mahindra",
+  SAJ: "Jaguar",
+  SAL: "Land Rover",
+  SCC: "Lotus",
+  SCF: "Aston Martin",
+  SB1: "Toyota",
+  SHH: "Honda",
+  SJN: "Nissan",
+  TRU: "Audi",
+  VF1: "Renault",
+  VF3: "Peugeot",
+  VF7: "Citroen",
+  VSS: "SEAT",
+  TMB: "Skoda",
+  WAU: "Audi",
+  WA1: "Audi",
+  WBA: "BMW",
+  WBS: "BMW",
+  WBY: "BMW",
+  WDB: "Mercedes-Benz",
+  WDD: "Mercedes-Benz",
+  W1K: "Mercedes-Benz",
+  W1N: "Mercedes-Benz",
+  WF0: "Ford",
+  WMW: "MINI",
+  W0L: "Opel",
+  WP0: "Porsche",
+  WP1: "Porsche",
+  WVW: "Volkswagen",
+  WVG: "Volkswagen",
+  WV1: "Volkswagen",
+  WV2: "Volkswagen",
+  YS3: "Saab",
+  YV1: "Volvo",
+  YV4: "Volvo",
+  ZAR: "Alfa Romeo",
+  ZFA: "Fiat",
+  ZFF: "Ferrari",
+  ZHW: "Lamborghini",
+};
+
+// Uppercase and strip spaces and dashes people paste in
+export const normalizeVin = (vin) =>
+  String(vin ?? "")
+    .toUpperCase()
+    .replace(/[\s-]/g, "");
+
+// North American VINs always carry a check digit, most others don't
+const requiresCheckDigit = (vin) => /^[1-5]/.test(vin);
+
+const calculateCheckDigit = (vin) => {
+  const sum = vin.split("").reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * POSITION_WEIGHTS[index];
+  }, 0);
+
+  const remainder = sum % 11;
+  return remainder === 10 ? "X" : String(remainder);
+};
+
+// Model year from the 10th character. North American VINs use a letter in
+// position 7 for 2010 onwards; elsewhere pick the latest year not in the future.
+const decodeModelYear = (vin) => {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  const candidates = [1980 + index, 2010 + index];
+
+  if (requiresCheckDigit(vin)) {
+    return /\d/.test(vin[6]) ? candidates[0] : candidates[1];
+  }
+
+  const maxYear = new Date().getFullYear() + 1;
+  return candidates[1] <= maxYear ? candidates[1] : candidates[0];
+};
+
+// Decode a VIN. `valid` is false with a reason in `error` when the format or
+// a required check digit is wrong; make is null for manufacturers not listed.
+export const decodeVin = (input) => {
+  const vin = normalizeVin(input);
+
+  if (vin.length !== 17) {
+    return { vin, valid: false, error: "VIN must be 17 characters" };
+  }
+
+  if (!VIN_PATTERN.test(vin)) {
+    return {
+      vin,
+      valid: false,
+      error: "VIN can only contain letters (except I, O, Q) and numbers",
+    };
+  }
+
+  const checkDigitValid = calculateCheckDigit(vin) === vin[8];
+  if (!checkDigitValid && requiresCheckDigit(vin)) {
+    return { vin, valid: false, error: "VIN check digit doesn't match" };
+  }
+
+  const wmi = vin.slice(0, 3);
+
+  return {
+    vin,
+    valid: true,
+    checkDigitValid,
+    wmi,
+    make: WMI_MAKES[wmi] || null,
+    year: decodeModelYear(vin),
+  };
+};
@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { decodeVin, normalizeVin } from "./vin";
+
+describe("normalizeVin", () => {
+  it("uppercases and strips spaces and dashes", () => {
+    expect(normalizeVin(" 1hgcm826-33a 004352 ")).toBe("1HGCM82633A004352");
+    expect(normalizeVin(null)).toBe("");
+  });
+});
+
+describe("decodeVin", () => {
+  it("reads the make and model year of a North American VIN", () => {
+    expect(decodeVin("1HGCM82633A004352")).toEqual({
+      vin: "1HGCM82633A004352",
+      valid: true,
+      checkDigitValid: true,
+      wmi: "1HG",
+      make: "Honda",
+      year: 2003,
+    });
+  });
+
+  it("uses position 7 to tell the 1980s cycle from 2010 onwards", () => {
+    expect(decodeVin("5YJSA1E27HF000001").year).toBe(2017);
+    expect(decodeVin("1G1AZ37Y3GR000001").year).toBe(1986);
+  });
+
+  it("rejects a North American VIN with the wrong check digit", () => {
+    expect(decodeVin("1HGCM82634A004352")).toEqual({
+      vin: "1HGCM82634A004352",
+      valid: false,
+      error: "VIN check digit doesn't match",
+    });
+  });
+
+  it("accepts other VINs without a check digit", () => {
+    const result = decodeVin("WVWZZZ1JZ3W386752");
+
+    expect(result.valid).toBe(true);
+    expect(result.checkDigitValid).toBe(false);
+    expect(result.make).toBe("Volkswagen");
+  });
+
+  it("leaves the make empty for manufacturers it doesn't know", () => {
+    const result = decodeVin("ZZZZZZ1JZ3W386752");
+
+    expect(result.valid).toBe(true);
+    expect(result.make).toBeNull();
+  });
+
+  it("explains what's wrong with the format", () => {
+    expect(decodeVin("1HGCM826").error).toBe("VIN must be 17 characters");
+    expect(decodeVin("1HGCM82633A00435O").error).toBe(
+      "VIN can only contain letters (except I, O, Q) and numbers"
+    );
+  });
+});
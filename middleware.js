@@ -2,10 +2,17 @@ import arcjet, { createMiddleware, detectBot, shield } from "@arcjet/next";
 import { clerkMiddleware, createRouteMatcher } from "@clerk/nextjs/server";
  import { NextResponse } from "next/server";
  
+ // Polled by partner scripts, which bot detection would block. The route
+ // checks its own API key.
+ const isFeedRoute = createRouteMatcher(["/api/feed(.*)"]);
+
  const isProtectedRoute = createRouteMatcher([
    "/admin(.*)",
    "/saved-cars(.*)",
+   "/saved-searches(.*)",
    "/reservations(.*)",
+   "/my-drives(.*)",
+   "/notifications(.*)",
  ]);
 
  // Create Arcjet middleware
@@ -21,6 +28,7 @@ const aj = arcjet({
       mode: "LIVE", // will block requests. Use "DRY_RUN" to log only
       allow: [
         "CATEGORY:SEARCH_ENGINE", // Google, Bing, etc
+        "CATEGORY:VERCEL", // Vercel cron jobs, e.g. test drive reminders
         // See the full list at https://arcjet.com/bot-list
       ],
     }),
@@ -40,7 +48,12 @@ const aj = arcjet({
  });
 
   // Chain middlewares - ArcJet runs first, then Clerk
-  export default createMiddleware(aj, clerk);
+  const protectedMiddleware = createMiddleware(aj, clerk);
+
+  export default function middleware(req, event) {
+    if (isFeedRoute(req)) return clerk(req, event);
+    return protectedMiddleware(req, event);
+  }
  
  export const config = {
    matcher: [
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "CarPriceHistory" (
+    "id" TEXT NOT NULL,
+    "carId" TEXT NOT NULL,
+    "price" DECIMAL(10,2) NOT NULL,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CarPriceHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CarPriceHistory_carId_idx" ON "CarPriceHistory"("carId");
+
+-- CreateIndex
+CREATE INDEX "CarPriceHistory_changedAt_idx" ON "CarPriceHistory"("changedAt");
+
+-- AddForeignKey
+ALTER TABLE "CarPriceHistory" ADD CONSTRAINT "CarPriceHistory_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill the current price of existing cars as their first history entry
+INSERT INTO "CarPriceHistory" ("id", "carId", "price", "changedAt")
+SELECT gen_random_uuid()::text, "id", "price", "createdAt" FROM "Car";
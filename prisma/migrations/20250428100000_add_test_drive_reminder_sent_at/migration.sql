@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TestDriveBooking" ADD COLUMN     "reminderSentAt" TIMESTAMP(3);
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "DealershipInfo" ADD COLUMN     "bufferMinutes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "maxConcurrentDrives" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "slotDuration" INTEGER NOT NULL DEFAULT 60;
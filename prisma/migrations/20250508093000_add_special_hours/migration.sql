@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "SpecialHour" (
+    "id" TEXT NOT NULL,
+    "dealershipId" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "isOpen" BOOLEAN NOT NULL DEFAULT false,
+    "openTime" TEXT,
+    "closeTime" TEXT,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SpecialHour_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SpecialHour_date_idx" ON "SpecialHour"("date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SpecialHour_dealershipId_date_key" ON "SpecialHour"("dealershipId", "date");
+
+-- AddForeignKey
+ALTER TABLE "SpecialHour" ADD CONSTRAINT "SpecialHour_dealershipId_fkey" FOREIGN KEY ("dealershipId") REFERENCES "DealershipInfo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
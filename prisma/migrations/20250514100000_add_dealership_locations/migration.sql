@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "Car" ADD COLUMN     "dealershipId" TEXT;
+
+-- CreateTable
+CREATE TABLE "_DealershipAdmins" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_DealershipAdmins_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "_DealershipAdmins_B_index" ON "_DealershipAdmins"("B");
+
+-- CreateIndex
+CREATE INDEX "Car_dealershipId_idx" ON "Car"("dealershipId");
+
+-- AddForeignKey
+ALTER TABLE "Car" ADD CONSTRAINT "Car_dealershipId_fkey" FOREIGN KEY ("dealershipId") REFERENCES "DealershipInfo"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_DealershipAdmins" ADD CONSTRAINT "_DealershipAdmins_A_fkey" FOREIGN KEY ("A") REFERENCES "DealershipInfo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_DealershipAdmins" ADD CONSTRAINT "_DealershipAdmins_B_fkey" FOREIGN KEY ("B") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing cars belong to the original dealership
+UPDATE "Car"
+SET "dealershipId" = (SELECT "id" FROM "DealershipInfo" ORDER BY "createdAt" LIMIT 1)
+WHERE "dealershipId" IS NULL;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Car" ADD COLUMN     "vin" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Car_vin_idx" ON "Car"("vin");
+
+-- A VIN can only be listed once at a time, sold cars keep theirs for history.
+-- Prisma can't describe partial indexes, so this one lives only here.
+CREATE UNIQUE INDEX "Car_vin_listed_key" ON "Car"("vin") WHERE "status" <> 'SOLD';
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "Car" ADD COLUMN     "doors" INTEGER,
+ADD COLUMN     "drivetrain" TEXT,
+ADD COLUMN     "electricRange" INTEGER,
+ADD COLUMN     "engineSize" DOUBLE PRECISION,
+ADD COLUMN     "features" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "horsepower" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Car_drivetrain_idx" ON "Car"("drivetrain");
+
+-- CreateIndex
+CREATE INDEX "Car_features_idx" ON "Car" USING GIN ("features");
@@ -0,0 +1,12 @@
+-- Fuzzy matching for misspelt makes and models
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Full-text and trigram search used by lib/car-text-search.js. Prisma can't
+-- describe expression indexes, so these live only here and the expressions
+-- must stay identical to the ones in that file.
+CREATE INDEX "Car_search_vector_idx" ON "Car" USING GIN ((
+  setweight(to_tsvector('english', "make" || ' ' || "model"), 'A') ||
+  setweight(to_tsvector('english', "description"), 'C')
+));
+
+CREATE INDEX "Car_make_model_trgm_idx" ON "Car" USING GIN (("make" || ' ' || "model") gin_trgm_ops);
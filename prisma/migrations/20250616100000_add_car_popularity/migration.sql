@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "Car" ADD COLUMN     "popularity" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "Car_popularity_idx" ON "Car"("popularity");
+
+-- CreateIndex
+CREATE INDEX "Car_mileage_idx" ON "Car"("mileage");
+
+-- Backfill from existing saves and bookings, weighted as in lib/car-popularity.js
+UPDATE "Car" SET "popularity" =
+  (SELECT COUNT(*) FROM "UserSavedCar" WHERE "UserSavedCar"."carId" = "Car"."id") * 1 +
+  (SELECT COUNT(*) FROM "TestDriveBooking" WHERE "TestDriveBooking"."carId" = "Car"."id") * 3;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "CarView" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "carId" TEXT NOT NULL,
+    "viewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CarView_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CarView_userId_viewedAt_idx" ON "CarView"("userId", "viewedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CarView_userId_carId_key" ON "CarView"("userId", "carId");
+
+-- AddForeignKey
+ALTER TABLE "CarView" ADD CONSTRAINT "CarView_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CarView" ADD CONSTRAINT "CarView_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE CASCADE ON UPDATE CASCADE;
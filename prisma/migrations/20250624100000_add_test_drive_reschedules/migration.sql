@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "TestDriveReschedule" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "previousDate" DATE NOT NULL,
+    "previousStartTime" TEXT NOT NULL,
+    "previousEndTime" TEXT NOT NULL,
+    "previousStatus" "BookingStatus" NOT NULL,
+    "newDate" DATE NOT NULL,
+    "newStartTime" TEXT NOT NULL,
+    "newEndTime" TEXT NOT NULL,
+    "rescheduledById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TestDriveReschedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TestDriveReschedule_bookingId_idx" ON "TestDriveReschedule"("bookingId");
+
+-- AddForeignKey
+ALTER TABLE "TestDriveReschedule" ADD CONSTRAINT "TestDriveReschedule_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "TestDriveBooking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TestDriveReschedule" ADD CONSTRAINT "TestDriveReschedule_rescheduledById_fkey" FOREIGN KEY ("rescheduledById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
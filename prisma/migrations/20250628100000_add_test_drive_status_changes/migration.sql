@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "TestDriveStatusChange" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "fromStatus" "BookingStatus",
+    "toStatus" "BookingStatus" NOT NULL,
+    "reason" TEXT,
+    "changedById" TEXT,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TestDriveStatusChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TestDriveStatusChange_bookingId_changedAt_idx" ON "TestDriveStatusChange"("bookingId", "changedAt");
+
+-- AddForeignKey
+ALTER TABLE "TestDriveStatusChange" ADD CONSTRAINT "TestDriveStatusChange_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "TestDriveBooking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TestDriveStatusChange" ADD CONSTRAINT "TestDriveStatusChange_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
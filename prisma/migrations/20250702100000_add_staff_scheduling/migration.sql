@@ -0,0 +1,37 @@
+-- AlterEnum
+ALTER TYPE "UserRole" ADD VALUE 'STAFF';
+
+-- AlterTable
+ALTER TABLE "TestDriveBooking" ADD COLUMN     "salespersonId" TEXT;
+
+-- CreateTable
+CREATE TABLE "StaffShift" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "dealershipId" TEXT NOT NULL,
+    "dayOfWeek" "DayOfWeek" NOT NULL,
+    "startTime" TEXT NOT NULL,
+    "endTime" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffShift_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StaffShift_dealershipId_idx" ON "StaffShift"("dealershipId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StaffShift_userId_dayOfWeek_key" ON "StaffShift"("userId", "dayOfWeek");
+
+-- CreateIndex
+CREATE INDEX "TestDriveBooking_salespersonId_bookingDate_idx" ON "TestDriveBooking"("salespersonId", "bookingDate");
+
+-- AddForeignKey
+ALTER TABLE "TestDriveBooking" ADD CONSTRAINT "TestDriveBooking_salespersonId_fkey" FOREIGN KEY ("salespersonId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StaffShift" ADD CONSTRAINT "StaffShift_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StaffShift" ADD CONSTRAINT "StaffShift_dealershipId_fkey" FOREIGN KEY ("dealershipId") REFERENCES "DealershipInfo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "TestDriveBooking" ADD COLUMN     "feedbackSentAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "TestDriveFeedback" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "carRating" INTEGER NOT NULL,
+    "experienceRating" INTEGER NOT NULL,
+    "comments" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TestDriveFeedback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TestDriveFeedback_bookingId_key" ON "TestDriveFeedback"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "TestDriveFeedback_createdAt_idx" ON "TestDriveFeedback"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "TestDriveFeedback" ADD CONSTRAINT "TestDriveFeedback_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "TestDriveBooking"("id") ON DELETE CASCADE ON UPDATE CASCADE;